@@ -1,441 +1,1264 @@
-import React, { useState, useCallback } from 'react';
-import { Upload, BarChart3, PieChart, TrendingUp, Download, FileText, AlertCircle } from 'lucide-react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart as RechartsPieChart, Cell, LineChart, Line, ScatterChart, Scatter } from 'recharts';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { Upload, Table, BarChart3, Grid, PieChart, TrendingUp, Download, FileText, AlertCircle, X, FileImage, FileJson, FileSpreadsheet, Plus, Combine, Terminal, LayoutDashboard } from 'lucide-react';
 import Papa from 'papaparse';
 import _ from 'lodash';
+import { findReader, supportedExtensions, recordsToTable, toTable, pastedFile } from './core/readers';
+import { analyseDataset } from './core/statistics';
+import { applyView, describeView, emptyView, isFilterActive, isViewFiltered, rowsView } from './core/filters';
+import { buildPivot, pivotToMatrix } from './core/aggregate';
+import { buildChart, chartTitle, isTimeSeriesChart, PIVOT_CHART_TYPES } from './core/chartdata';
+import { buildReport, reportTables } from './core/report';
+import { typeTable, buildHistograms, assessQuality, REPORT_FORMATS } from './core/analyser';
+import { datasetToMatrix, matrixToCsv, tablesToCsv, sheetsToXlsx, CSV_TYPE, XLSX_TYPE } from './core/exporters';
+import { runPipeline, serializePipeline, parsePipeline, pushHistory, undoHistory, redoHistory } from './core/pipeline';
+import { EMPTY_DATASET, createDataset, cleanedTable, appendTables, joinTables, uniqueName } from './core/workspace';
+import { compareDatasets } from './core/compare';
+import { runQuery, recordQuery } from './core/sql';
+import { profileRawColumns, qualitySummary } from './core/quality';
+import { crossTab } from './core/categorical';
+import { defaultRegressionConfig, runRegression, regressionSummary } from './core/regression';
+import { createWidget, evaluateDashboard, serializeDashboard, parseDashboard, checkDashboardColumns } from './core/dashboard';
+import { createSessionId, serializeSession, restoreSession, sessionToJson, parseSessionFile } from './core/session';
+import { listSessions, loadSession, saveSession, saveSessionState, renameSession, deleteSession, storageEstimate } from './core/sessionstore';
+import { createAnalysisWorker } from './workers/createworker';
+import SchemaPanel from './components/schemapanel';
+import DataGrid from './components/datagrid';
+import PipelinePanel from './components/pipelinepanel';
+import PivotPanel from './components/pivotpanel';
+import NumericStats from './components/numericstats';
+import HistogramPanel from './components/histogrampanel';
+import CorrelationHeatmap from './components/correlationheatmap';
+import OutlierPanel from './components/outlierpanel';
+import DateColumnsPanel from './components/datecolumnspanel';
+import TimeSeriesControls from './components/timeseriescontrols';
+import ChartConfigPanel from './components/chartconfigpanel';
+import ChartView, { chartLegend } from './components/chartview';
+import { chartSvgFrom, svgToPngBlob } from './components/chartexport';
+import DatasetSwitcher from './components/datasetswitcher';
+import CombinePanel from './components/combinepanel';
+import ComparePanel from './components/comparepanel';
+import SessionList from './components/sessionlist';
+import QualityPanel from './components/qualitypanel';
+import QueryPanel from './components/querypanel';
+import CategoricalPanel from './components/categoricalpanel';
+import RegressionPanel from './components/regressionpanel';
+import DashboardPanel from './components/dashboardpanel';
+import { ThemeContext, resolveTheme, themeCss, useTheme } from './components/theme';
+import { I18nContext, createI18n, useI18n } from './components/i18n';
 
-const DataAnalyzerApp = () => {
-  const [data, setData] = useState([]);
-  const [headers, setHeaders] = useState([]);
-  const [fileName, setFileName] = useState('');
-  const [analysis, setAnalysis] = useState(null);
-  const [activeTab, setActiveTab] = useState('upload');
-  const [selectedColumns, setSelectedColumns] = useState([]);
-  const [chartType, setChartType] = useState('bar');
+const baseName = (name) => name.replace(/\.[^.]+$/, '');
+
+const AUTOSAVE_DELAY = 1000;
+
+const emptyCompareConfig = () => ({ leftId: '', rightId: '', keys: [] });
+
+const TABS = [
+  { id: 'upload', icon: Upload },
+  { id: 'data', icon: Table },
+  { id: 'analyze', icon: BarChart3 },
+  { id: 'pivot', icon: Grid },
+  { id: 'visualize', icon: TrendingUp },
+  { id: 'dashboard', icon: LayoutDashboard },
+  { id: 'combine', icon: Combine },
+  { id: 'query', icon: Terminal }
+];
+
+const NO_TABS = [];
+const DEFAULT_SOURCE_NAME = 'data.csv';
+
+let instanceCounter = 0;
+
+// File name for a `src` URL or Blob; the extension picks the reader.
+const sourceName = (src, fileName) => {
+  if (fileName) return fileName;
+  if (typeof src === 'string') return decodeURIComponent(new URL(src, window.location.href).pathname.split('/').pop()) || DEFAULT_SOURCE_NAME;
+  return src.name || DEFAULT_SOURCE_NAME;
+};
+
+const hasInputProps = (props) => Boolean(props.data || props.rows || props.src);
+
+const downloadBlob = (content, type, name) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+const AnalyzerWorkspace = (props) => {
+  const { hiddenTabs = NO_TABS } = props;
+  const theme = useTheme();
+  const { t, formatNumber, locale } = useI18n();
+  const [scope] = useState(() => {
+    instanceCounter += 1;
+    return `data-analyzer-${instanceCounter}`;
+  });
+  // Latest props for the callbacks and presets, so inline handlers from the host don't re-run effects.
+  const propsRef = useRef(props);
+  propsRef.current = props;
+  const [datasets, setDatasets] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [compareConfig, setCompareConfig] = useState(emptyCompareConfig());
+  const [sessionId, setSessionId] = useState(null);
+  const [sessionName, setSessionName] = useState('');
+  const [sessions, setSessions] = useState([]);
+  const [storage, setStorage] = useState(null);
+  const [selectedTab, setActiveTab] = useState('upload');
+  const [histogramBins, setHistogramBins] = useState({});
+  const [crossTabColumns, setCrossTabColumns] = useState({ rows: '', columns: '' });
+  const [regressionConfig, setRegressionConfig] = useState(defaultRegressionConfig());
+  const [reportCharts, setReportCharts] = useState([]);
+  const [crossFilter, setCrossFilter] = useState(null);
+  const [dashboardIssues, setDashboardIssues] = useState([]);
+  const [querySql, setQuerySql] = useState('');
+  const [queryHistory, setQueryHistory] = useState([]);
+  const [queryResult, setQueryResult] = useState(null);
+  const [queryError, setQueryError] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const [dragActive, setDragActive] = useState(false);
+  const workerRef = useRef(null);
+  const jobIdRef = useRef(0);
+  const pendingLoadRef = useRef(null);
+  const inputIdRef = useRef(null);
+  const inputJobRef = useRef(null);
+  const chartRef = useRef(null);
+  const rootRef = useRef(null);
+  const tabListRef = useRef(null);
+  const panelRef = useRef(null);
+
+  const active = datasets.find(dataset => dataset.id === activeId) || EMPTY_DATASET;
+  const {
+    table: baseTable,
+    analysis: baseAnalysis,
+    rawRows,
+    nullTokens,
+    pipeline,
+    typeOverrides,
+    fileName,
+    sourceFile,
+    sheetNames,
+    activeSheet,
+    view,
+    chartConfig,
+    pivotConfig,
+    qualityConfig,
+    dashboard
+  } = active;
+
+  // Changes to the active dataset; a function receives the dataset and returns the changed fields.
+  const updateActive = (changes) => setDatasets(prev => prev.map(dataset => (
+    dataset.id === activeId ? { ...dataset, ...(typeof changes === 'function' ? changes(dataset) : changes) } : dataset
+  )));
+  // useState-style setter for one field of the active dataset.
+  const fieldSetter = (field) => (value) => updateActive(dataset => ({
+    [field]: typeof value === 'function' ? value(dataset[field]) : value
+  }));
+  const setView = fieldSetter('view');
+  const setPipeline = fieldSetter('pipeline');
+  const setTypeOverrides = fieldSetter('typeOverrides');
+  const setChartConfig = fieldSetter('chartConfig');
+  const setPivotConfig = fieldSetter('pivotConfig');
+  const setQualityConfig = fieldSetter('qualityConfig');
+  const setDashboard = fieldSetter('dashboard');
+
+  // New datasets start from the host's preset chart settings, if any.
+  const withChartPreset = (dataset) => {
+    const preset = propsRef.current.chartConfig;
+    return preset ? { ...dataset, chartConfig: _.merge({}, dataset.chartConfig, preset) } : dataset;
+  };
+
+  // Switches the active dataset. A cross-filter or import warning belongs to the dashboard it was made on.
+  const selectDataset = useCallback((id) => {
+    setActiveId(id);
+    setCrossFilter(null);
+    setDashboardIssues([]);
+  }, []);
 
-  const COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#ff7300', '#8dd1e1', '#d084d0', '#ffb347'];
+  const addDataset = useCallback((dataset) => {
+    setDatasets(prev => [...prev, { ...withChartPreset(dataset), name: uniqueName(dataset.name, prev.map(item => item.name)) }]);
+    selectDataset(dataset.id);
+  }, [selectDataset]);
+
+  const handleWorkerMessage = useCallback((message) => {
+    if (message.jobId !== jobIdRef.current) return;
+
+    switch (message.type) {
+      case 'progress':
+        setProgress(prev => ({ ...prev, stage: message.stage, rows: message.rows, loaded: message.loaded, total: message.total }));
+        break;
+      case 'complete': {
+        const { file, datasetId } = pendingLoadRef.current;
+        const loaded = {
+          headers: message.headers,
+          rows: message.rows,
+          schema: message.schema,
+          nullTokens: message.nullTokens,
+          analysis: message.analysis,
+          fileName: file.name,
+          sourceFile: file,
+          sheetNames: message.sheets,
+          activeSheet: message.sheet
+        };
+        if (datasetId) {
+          // Another sheet of a loaded workbook replaces that dataset but keeps its name and cleaning steps.
+          setDatasets(prev => prev.map(dataset => (
+            dataset.id === datasetId
+              ? {
+                ...createDataset({ ...loaded, name: dataset.name }),
+                id: dataset.id,
+                pipeline: dataset.pipeline,
+                qualityConfig: dataset.qualityConfig
+              }
+              : dataset
+          )));
+        } else {
+          const dataset = createDataset({ ...loaded, name: baseName(file.name) });
+          if (message.jobId === inputJobRef.current) inputIdRef.current = dataset.id;
+          addDataset(dataset);
+        }
+        setActiveTab('analyze');
+        setIsLoading(false);
+        setProgress(null);
+        setAnnouncement(t('upload.loadedFile', { rows: formatNumber(message.rows.length), name: file.name }));
+        break;
+      }
+      case 'error':
+        setError(message.message);
+        setIsLoading(false);
+        setProgress(null);
+        break;
+      default:
+        break;
+    }
+  }, [addDataset, t, formatNumber]);
+
+  // The worker outlives re-renders, so it reaches the latest handler through a ref.
+  const workerMessageRef = useRef(handleWorkerMessage);
+  workerMessageRef.current = handleWorkerMessage;
+
+  const getWorker = useCallback(() => {
+    if (!workerRef.current) {
+      workerRef.current = createAnalysisWorker();
+      workerRef.current.onmessage = (event) => workerMessageRef.current(event.data);
+    }
+    return workerRef.current;
+  }, []);
+
+  useEffect(() => () => {
+    if (workerRef.current) workerRef.current.terminate();
+  }, []);
+
+  // Loads a file as a new dataset, or into `datasetId` when switching the sheet of a loaded workbook.
+  // Returns the load's job id, or null for an unsupported file.
+  const loadFile = useCallback((file, options = {}, datasetId = null) => {
+    if (!findReader(file.name)) {
+      setError(t('upload.unsupported', { formats: supportedExtensions().join(', ') }));
+      return null;
+    }
+
+    jobIdRef.current += 1;
+    pendingLoadRef.current = { file, datasetId };
+    setIsLoading(true);
+    setError('');
+    setProgress({ name: file.name, stage: 'parsing', rows: 0, loaded: 0, total: file.size });
+    setAnnouncement(t('upload.parsing', { name: file.name }));
+    getWorker().postMessage({ type: 'load', jobId: jobIdRef.current, file, options });
+    return jobIdRef.current;
+  }, [getWorker, t]);
+
+  // A worker busy typing or analysing can't see the cancel message until it finishes, so it is
+  // terminated and the next load starts a fresh one. The in-thread fallback stops on the message.
+  const cancelLoading = () => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'cancel', jobId: jobIdRef.current });
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+    jobIdRef.current += 1;
+    setIsLoading(false);
+    setProgress(null);
+    setAnnouncement(t('upload.cancelled'));
+  };
 
   const handleFileUpload = useCallback((event) => {
     const file = event.target.files[0];
     if (!file) return;
+    loadFile(file);
+  }, [loadFile]);
 
-    if (!file.name.toLowerCase().endsWith('.csv')) {
-      setError('Please upload a CSV file');
-      return;
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = isLoading ? 'none' : 'copy';
+    setDragActive(true);
+  };
+
+  const handleDragLeave = (event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) setDragActive(false);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragActive(false);
+    const file = event.dataTransfer.files[0];
+    if (file && !isLoading) loadFile(file);
+  };
+
+  // A file or spreadsheet cells pasted anywhere on the Upload tab but in a text field load as a new dataset.
+  const handlePaste = (event) => {
+    if (isLoading || event.target.closest('textarea, input:not([type="file"])')) return;
+    event.preventDefault();
+    const file = pastedFile(event.clipboardData);
+    if (file) {
+      loadFile(file);
+    } else {
+      setError(t('upload.nothingPasted'));
     }
+  };
 
-    setIsLoading(true);
-    setError('');
-    setFileName(file.name);
-
-    Papa.parse(file, {
-      complete: (results) => {
-        try {
-          if (results.errors.length > 0) {
-            console.warn('Parse warnings:', results.errors);
-          }
-
-          const cleanedData = results.data
-            .filter(row => row.some(cell => cell && cell.toString().trim() !== ''))
-            .map(row => row.map(cell => cell ? cell.toString().trim() : ''));
-
-          if (cleanedData.length < 2) {
-            setError('CSV file must contain at least a header row and one data row');
-            setIsLoading(false);
-            return;
-          }
-
-          const headerRow = cleanedData[0];
-          const dataRows = cleanedData.slice(1);
-
-          const processedData = dataRows.map((row, index) => {
-            const rowObj = { _index: index };
-            headerRow.forEach((header, colIndex) => {
-              const value = row[colIndex] || '';
-              const numValue = parseFloat(value);
-              rowObj[header] = isNaN(numValue) ? value : numValue;
-            });
-            return rowObj;
-          });
-
-          setHeaders(headerRow);
-          setData(processedData);
-          setSelectedColumns([headerRow[0], headerRow[1]].filter(Boolean));
-          performAnalysis(processedData, headerRow);
-          setActiveTab('analyze');
-        } catch (err) {
-          setError('Error processing CSV file: ' + err.message);
-        } finally {
-          setIsLoading(false);
-        }
-      },
-      header: false,
-      skipEmptyLines: true,
-      dynamicTyping: false,
-      delimitersToGuess: [',', ';', '\t', '|']
-    });
-  }, []);
+  // Rows passed in as props (`data` records, or `rows` with optional `headers`) become one dataset,
+  // reloaded in place when the props change.
+  const { data: inputData, headers: inputHeaders, rows: inputRows, src, fileName: srcFileName, datasetName } = props;
+  useEffect(() => {
+    if (!inputData && !inputRows) return;
+    try {
+      const table = inputData ? recordsToTable(inputData) : toTable(inputHeaders ? [inputHeaders, ...inputRows] : inputRows);
+      const dataset = withChartPreset(createDataset({ name: datasetName || t('dataset.defaultName'), headers: table.headers, rows: table.rows }));
+      const id = inputIdRef.current;
+      if (id) {
+        setDatasets(prev => prev.map(existing => (
+          existing.id === id ? { ...dataset, id, pipeline: existing.pipeline, qualityConfig: existing.qualityConfig } : existing
+        )));
+        selectDataset(id);
+      } else {
+        inputIdRef.current = dataset.id;
+        addDataset(dataset);
+      }
+      setError('');
+      setActiveTab('analyze');
+    } catch (err) {
+      setError(t('error.loadData', { message: err.message }));
+    }
+  }, [inputData, inputHeaders, inputRows, datasetName, addDataset, selectDataset]);
 
-  const performAnalysis = (dataset, headerList) => {
-    const numericColumns = headerList.filter(header => {
-      return dataset.some(row => typeof row[header] === 'number' && !isNaN(row[header]));
-    });
+  // A `src` URL or Blob is read like an uploaded file.
+  useEffect(() => {
+    if (!src) return undefined;
+    let cancelled = false;
+    const name = sourceName(src, srcFileName);
+    const blob = typeof src === 'string'
+      ? fetch(src).then(response => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return response.blob();
+      })
+      : Promise.resolve(src);
+    blob
+      .then(content => {
+        if (cancelled) return;
+        inputJobRef.current = loadFile(content.name === name ? content : new File([content], name, { type: content.type }), {}, inputIdRef.current);
+      })
+      .catch(err => {
+        if (!cancelled) setError(t('error.loadData', { message: err.message }));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [src, srcFileName, loadFile]);
 
-    const categoricalColumns = headerList.filter(header => {
-      return dataset.some(row => typeof row[header] === 'string' && row[header] !== '');
+  const handleSheetChange = (sheet) => {
+    if (sourceFile) loadFile(sourceFile, { sheet, nullTokens }, activeId);
+  };
+
+  const applySchema = (headerList, rows, overrides, tokens = nullTokens) => {
+    const table = typeTable(headerList, rows, { typeOverrides: overrides, nullTokens: tokens });
+    updateActive({
+      nullTokens: tokens,
+      table,
+      analysis: analyseDataset(table.rows, headerList, table.schema),
+      view: emptyView()
     });
+  };
 
-    const summary = {
-      totalRows: dataset.length,
-      totalColumns: headerList.length,
-      numericColumns: numericColumns.length,
-      categoricalColumns: categoricalColumns.length,
-      missingValues: headerList.reduce((acc, header) => {
-        const missing = dataset.filter(row => !row[header] || row[header] === '').length;
-        if (missing > 0) acc[header] = missing;
-        return acc;
-      }, {})
-    };
+  const handleTypeOverride = (header, type) => {
+    setTypeOverrides(prev => ({ ...prev, [header]: type }));
+  };
 
-    const numericStats = {};
-    numericColumns.forEach(col => {
-      const values = dataset.map(row => row[col]).filter(val => typeof val === 'number' && !isNaN(val));
-      if (values.length > 0) {
-        numericStats[col] = {
-          min: Math.min(...values),
-          max: Math.max(...values),
-          mean: _.mean(values),
-          median: values.sort((a, b) => a - b)[Math.floor(values.length / 2)],
-          stdDev: Math.sqrt(_.mean(values.map(v => Math.pow(v - _.mean(values), 2))))
-        };
-      }
+  const rerunWithOverrides = () => {
+    applySchema(baseTable.headers, rawRows, typeOverrides);
+  };
+
+  const resetTypeOverrides = () => {
+    setTypeOverrides({});
+    applySchema(baseTable.headers, rawRows, {});
+  };
+
+  const applyNullTokens = (tokens) => {
+    applySchema(baseTable.headers, rawRows, typeOverrides, tokens);
+  };
+
+  const pipelineResult = useMemo(() => runPipeline(baseTable, pipeline.present), [baseTable, pipeline.present]);
+  const { headers, rows: data, schema: columnSchema } = pipelineResult;
+
+  // A hidden tab falls back to the first visible one the loaded data allows.
+  const visibleTabs = TABS.filter(tab => !hiddenTabs.includes(tab.id));
+  const activeTab = visibleTabs.some(tab => tab.id === selectedTab)
+    ? selectedTab
+    : (visibleTabs.find(tab => tab.id !== 'upload' && data.length) || visibleTabs[0] || {}).id;
+  const tabEnabled = (id) => id === 'upload' || data.length > 0;
+  const tabId = (id) => `${scope}-tab-${id}`;
+  const panelProps = (id) => ({ ref: panelRef, role: 'tabpanel', id: `${scope}-panel-${id}`, 'aria-labelledby': tabId(id), tabIndex: -1 });
+
+  // Arrow keys, Home and End move along the enabled tabs, selecting the tab they land on.
+  const handleTabKeyDown = (event) => {
+    const enabled = visibleTabs.filter(tab => tabEnabled(tab.id));
+    const index = enabled.findIndex(tab => tab.id === activeTab);
+    const targets = { ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: enabled.length - 1 };
+    if (targets[event.key] === undefined || !enabled.length) return;
+    event.preventDefault();
+    const next = enabled[(targets[event.key] + enabled.length) % enabled.length];
+    setActiveTab(next.id);
+    document.getElementById(tabId(next.id)).focus();
+  };
+
+  // When a tab opens other than from the tab bar (a load finishing, a "show in Data" action), focus
+  // moves to its panel so keyboard and screen reader users land on the new content.
+  const shownTabRef = useRef(activeTab);
+  useEffect(() => {
+    if (shownTabRef.current === activeTab) return;
+    shownTabRef.current = activeTab;
+    const focused = document.activeElement;
+    if (!panelRef.current || tabListRef.current.contains(focused)) return;
+    if (focused === document.body || rootRef.current.contains(focused)) panelRef.current.focus();
+  }, [activeTab]);
+
+  const analysis = useMemo(
+    () => (pipelineResult.changed ? analyseDataset(data, headers, columnSchema) : baseAnalysis),
+    [pipelineResult, data, headers, columnSchema, baseAnalysis]
+  );
+
+  const updateSteps = (steps) => {
+    setPipeline(prev => pushHistory(prev, steps));
+  };
+
+  const addStep = (step) => {
+    updateSteps([...pipeline.present, step]);
+  };
+
+  const toggleStep = (id) => {
+    updateSteps(pipeline.present.map(step => (step.id === id ? { ...step, enabled: !step.enabled } : step)));
+  };
+
+  const moveStep = (id, delta) => {
+    const steps = pipeline.present.slice();
+    const index = steps.findIndex(step => step.id === id);
+    const target = index + delta;
+    if (index === -1 || target < 0 || target >= steps.length) return;
+    [steps[index], steps[target]] = [steps[target], steps[index]];
+    updateSteps(steps);
+  };
+
+  const removeStep = (id) => {
+    updateSteps(pipeline.present.filter(step => step.id !== id));
+  };
+
+  const savePipeline = () => {
+    downloadBlob(serializePipeline(pipeline.present), 'application/json', `pipeline_${baseName(fileName)}.json`);
+  };
+
+  const loadPipeline = (file) => {
+    file.text()
+      .then(text => {
+        updateSteps(parsePipeline(text));
+        setError('');
+      })
+      .catch(err => {
+        setError(t('error.loadPipeline', { message: err.message }));
+      });
+  };
+
+  const isFiltered = isViewFiltered(view);
+  const viewData = useMemo(() => applyView(data, headers, columnSchema, view), [data, headers, columnSchema, view]);
+  const viewAnalysis = useMemo(
+    () => (isFiltered && analysis ? analyseDataset(viewData, headers, columnSchema) : analysis),
+    [isFiltered, viewData, headers, columnSchema, analysis]
+  );
+
+  const histograms = useMemo(
+    () => (viewAnalysis ? buildHistograms(viewData, viewAnalysis, histogramBins) : {}),
+    [viewAnalysis, viewData, histogramBins]
+  );
+
+  const rawProfile = useMemo(
+    () => (activeTab === 'analyze' ? profileRawColumns(baseTable.headers, rawRows, nullTokens) : {}),
+    [activeTab, baseTable.headers, rawRows, nullTokens]
+  );
+
+  // Quality checks run on every cleaned row, not the filtered view, so drilling into failing rows doesn't change them.
+  const quality = useMemo(() => {
+    if (activeTab !== 'analyze' || !analysis) return null;
+    return assessQuality({ headers, rows: data, schema: columnSchema }, rawProfile, qualityConfig);
+  }, [activeTab, analysis, data, headers, columnSchema, qualityConfig, rawProfile]);
+
+  const crossTabulation = useMemo(() => {
+    const { rows: rowColumn, columns: columnColumn } = crossTabColumns;
+    if (activeTab !== 'analyze' || !columnSchema[rowColumn] || !columnSchema[columnColumn] || rowColumn === columnColumn) return null;
+    return crossTab(viewData, rowColumn, columnColumn, columnSchema);
+  }, [activeTab, crossTabColumns, viewData, columnSchema]);
+
+  const regression = useMemo(() => {
+    const predictors = regressionConfig.predictors.filter(column => columnSchema[column]);
+    if (activeTab !== 'analyze' || !columnSchema[regressionConfig.target] || !predictors.length) return null;
+    return runRegression(viewData, columnSchema, { ...regressionConfig, predictors });
+  }, [activeTab, regressionConfig, viewData, columnSchema]);
+
+  const viewRows = (label, indexes) => {
+    setView(rowsView(label, indexes));
+    setActiveTab('data');
+  };
+
+  const viewOutlierRows = (column, lower, upper) => {
+    setView(prev => ({ ...prev, filters: { ...prev.filters, [column]: { kind: 'outside', min: String(lower), max: String(upper) } } }));
+    setActiveTab('data');
+  };
+
+  const valueOptions = useMemo(() => {
+    if (!analysis) return {};
+    return _.mapValues(analysis.categoricalStats, counts => _.take(_.orderBy(Object.keys(counts), key => counts[key], 'desc'), 200));
+  }, [analysis]);
+
+  const pivot = useMemo(() => {
+    const rowKeys = pivotConfig.rowKeys.filter(key => columnSchema[key]);
+    const columnKeys = pivotConfig.columnKeys.filter(key => columnSchema[key]);
+    const measures = pivotConfig.measures.filter(measure => !measure.column || columnSchema[measure.column]);
+    if (!rowKeys.length || !measures.length || !viewData.length) return null;
+    return buildPivot(viewData, columnSchema, { rowKeys, columnKeys, measures });
+  }, [pivotConfig, viewData, columnSchema]);
+
+  const exportPivot = () => {
+    if (!pivot) return;
+    downloadBlob(Papa.unparse(pivotToMatrix(pivot)), 'text/csv', `pivot_${baseName(fileName)}_${Date.now()}.csv`);
+  };
+
+  const chartPivot = () => {
+    setChartConfig(prev => ({ ...prev, source: 'pivot', type: PIVOT_CHART_TYPES.includes(prev.type) ? prev.type : 'bar' }));
+    setActiveTab('visualize');
+  };
+
+  const chart = useMemo(
+    () => (activeTab === 'visualize' ? buildChart(viewData, columnSchema, chartConfig, pivot, { locale }) : null),
+    [activeTab, viewData, columnSchema, chartConfig, pivot, locale]
+  );
+
+  // Dashboard widgets read every cleaned row; the Data tab filters saved with a chart travel with the widget.
+  const dashboardResults = useMemo(
+    () => (activeTab === 'dashboard' ? evaluateDashboard(dashboard, { rows: data, headers, schema: columnSchema }, crossFilter, { locale }) : {}),
+    [activeTab, dashboard, data, headers, columnSchema, crossFilter, locale]
+  );
+
+  const saveChartWidget = () => {
+    const widget = createWidget('chart', {
+      title: chartTitle(chartConfig, chart),
+      config: chartConfig,
+      pivotConfig: chartConfig.source === 'pivot' ? pivotConfig : undefined,
+      filters: _.pickBy(view.filters, isFilterActive)
     });
+    setDashboard(prev => ({ ...prev, widgets: [...prev.widgets, widget] }));
+  };
+
+  const exportDashboard = () => {
+    downloadBlob(serializeDashboard(dashboard, columnSchema), 'application/json', `dashboard_${baseName(fileName)}.json`);
+  };
+
+  const importDashboard = (file) => {
+    file.text()
+      .then(text => {
+        const { dashboard: imported, columns } = parseDashboard(text);
+        setDashboard(imported);
+        setCrossFilter(null);
+        setDashboardIssues(checkDashboardColumns(columns, columnSchema));
+        setError('');
+      })
+      .catch(err => {
+        setError(t('error.loadDashboard', { message: err.message }));
+      });
+  };
 
-    const categoricalStats = {};
-    categoricalColumns.forEach(col => {
-      const values = dataset.map(row => row[col]).filter(val => val && val !== '');
-      if (values.length > 0) {
-        const grouped = _.groupBy(values);
-        categoricalStats[col] = _.mapValues(grouped, group => group.length);
+  const renameDataset = (id, name) => {
+    setDatasets(prev => prev.map(dataset => (
+      dataset.id === id ? { ...dataset, name: uniqueName(name, prev.filter(other => other.id !== id).map(other => other.name)) } : dataset
+    )));
+  };
+
+  const removeDataset = (id) => {
+    const remaining = datasets.filter(dataset => dataset.id !== id);
+    if (id === inputIdRef.current) inputIdRef.current = null;
+    setDatasets(remaining);
+    if (id === activeId) selectDataset(remaining.length ? remaining[remaining.length - 1].id : null);
+    if (!remaining.length) setActiveTab('upload');
+  };
+
+  const refreshSessions = useCallback(() => {
+    listSessions().then(setSessions).catch(() => setSessions(null));
+    storageEstimate().then(setStorage).catch(() => setStorage(null));
+  }, []);
+
+  const applySession = useCallback((session) => {
+    const restored = restoreSession(session);
+    setSessionId(restored.id);
+    setSessionName(restored.name);
+    setDatasets(restored.datasets);
+    selectDataset(restored.activeId);
+    setActiveTab(restored.activeTab);
+    setCompareConfig(restored.compareConfig);
+    setHistogramBins(restored.histogramBins);
+    setReportCharts(restored.reportCharts);
+    setQuerySql(restored.querySql);
+    setQueryHistory(restored.queryHistory);
+    setQueryResult(null);
+    setQueryError(null);
+    setError('');
+  }, [selectDataset]);
+
+  // Reopen the most recent session after a reload.
+  useEffect(() => {
+    listSessions()
+      .then(items => {
+        setSessions(items);
+        // Data passed in by the host page takes the place of the last session.
+        return items.length && !hasInputProps(propsRef.current) ? loadSession(items[0].id) : null;
+      })
+      .then(session => {
+        if (session) applySession(session);
+      })
+      .catch(() => setSessions(null));
+    storageEstimate().then(setStorage).catch(() => setStorage(null));
+  }, [applySession]);
+
+  const currentSession = (id, name) => serializeSession({
+    id,
+    name,
+    datasets,
+    activeId,
+    activeTab,
+    compareConfig,
+    histogramBins,
+    reportCharts,
+    querySql,
+    queryHistory
+  });
+
+  // Saves the workspace shortly after its datasets stop changing; the first save starts a new session.
+  const canSaveSessions = sessions !== null;
+  useEffect(() => {
+    if (!datasets.length || !canSaveSessions) return undefined;
+    const timer = setTimeout(() => {
+      const id = sessionId || createSessionId();
+      const name = sessionName || datasets[0].name;
+      if (!sessionId) {
+        setSessionId(id);
+        setSessionName(name);
       }
-    });
+      saveSession(currentSession(id, name))
+        .then(refreshSessions)
+        .catch(err => setError(t('error.saveSession', { message: err.message })));
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [datasets, sessionId, sessionName, canSaveSessions]);
 
-    setAnalysis({
-      summary,
-      numericStats,
-      categoricalStats,
-      numericColumns,
-      categoricalColumns
-    });
+  // The UI state changes far more often than the data, so it is saved on its own without the rows.
+  useEffect(() => {
+    if (!sessionId || !canSaveSessions) return undefined;
+    const timer = setTimeout(() => {
+      saveSessionState(sessionId, { activeId, activeTab, compareConfig, histogramBins, reportCharts, querySql, queryHistory })
+        .catch(err => setError(t('error.saveSession', { message: err.message })));
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [activeId, activeTab, compareConfig, histogramBins, reportCharts, querySql, queryHistory, sessionId, canSaveSessions]);
+
+  const newSession = () => {
+    setSessionId(null);
+    setSessionName('');
+    setDatasets([]);
+    selectDataset(null);
+    setCompareConfig(emptyCompareConfig());
+    setHistogramBins({});
+    setReportCharts([]);
+    setQuerySql('');
+    setQueryHistory([]);
+    setQueryResult(null);
+    setQueryError(null);
+    setActiveTab('upload');
+    setError('');
   };
 
-  const generateChartData = () => {
-    if (!data.length || selectedColumns.length < 1) return [];
+  const openSession = (id) => {
+    loadSession(id)
+      .then(session => {
+        if (!session) throw new Error('session not found');
+        applySession(session);
+      })
+      .catch(err => setError(t('error.openSession', { message: err.message })));
+  };
 
-    const [xCol, yCol] = selectedColumns;
-    
-    if (chartType === 'pie' && xCol) {
-      const grouped = _.groupBy(data, xCol);
-      return Object.entries(grouped).map(([key, group]) => ({
-        name: key,
-        value: group.length,
-        percentage: ((group.length / data.length) * 100).toFixed(1)
-      })).slice(0, 10);
-    }
+  const renameSavedSession = (id, name) => {
+    if (id === sessionId) setSessionName(name);
+    renameSession(id, name).then(refreshSessions).catch(err => setError(t('error.renameSession', { message: err.message })));
+  };
+
+  const deleteSavedSession = (id) => {
+    // Deleting the open session also closes it, or the next autosave would bring it back.
+    if (id === sessionId) newSession();
+    deleteSession(id).then(refreshSessions).catch(err => setError(t('error.deleteSession', { message: err.message })));
+  };
+
+  const exportSession = () => {
+    if (!sessionId) return;
+    downloadBlob(sessionToJson(currentSession(sessionId, sessionName)), 'application/json', `session_${sessionName.replace(/[^\w-]+/g, '_')}.json`);
+  };
+
+  const importSession = (file) => {
+    file.text()
+      .then(text => {
+        // A fresh id, so importing a session never overwrites one saved here.
+        applySession({ ...parseSessionFile(text), id: createSessionId() });
+      })
+      .catch(err => setError(t('error.importSession', { message: err.message })));
+  };
+
+  // Every dataset after its cleaning steps, for the Combine and Query tabs; the active one reuses the current result.
+  const workspaceTables = useMemo(() => {
+    if (activeTab !== 'combine' && activeTab !== 'query') return [];
+    return datasets.map(dataset => (dataset.id === activeId
+      ? { id: dataset.id, name: dataset.name, headers, rows: data, schema: columnSchema, analysis }
+      : cleanedTable(dataset)));
+  }, [activeTab, datasets, activeId, headers, data, columnSchema, analysis]);
+
+  const comparison = useMemo(() => {
+    const left = workspaceTables.find(table => table.id === compareConfig.leftId);
+    const right = workspaceTables.find(table => table.id === compareConfig.rightId);
+    return left && right ? compareDatasets(left, right, { keys: compareConfig.keys }) : null;
+  }, [workspaceTables, compareConfig]);
 
-    if (chartType === 'scatter' && xCol && yCol) {
-      return data.filter(row => 
-        typeof row[xCol] === 'number' && typeof row[yCol] === 'number'
-      ).map(row => ({
-        x: row[xCol],
-        y: row[yCol],
-        name: `${xCol}: ${row[xCol]}, ${yCol}: ${row[yCol]}`
+  const appendDatasets = ({ ids, mode, sourceColumn, name }) => {
+    const tables = ids.map(id => workspaceTables.find(table => table.id === id));
+    const result = appendTables(tables, { mode, sourceColumn });
+    const names = tables.map(table => table.name).join(', ');
+    addDataset(createDataset({
+      name: name || t('dataset.appended'),
+      headers: result.headers,
+      rows: result.rows,
+      origin: result.conflicts.length
+        ? t('dataset.appendedWithConflicts', { names, columns: result.conflicts.map(item => item.column).join(', ') })
+        : t('dataset.appendedFrom', { names })
+    }));
+    setError('');
+    setActiveTab('data');
+  };
+
+  const joinDatasets = ({ leftId, rightId, leftKeys, rightKeys, type, name }) => {
+    const left = workspaceTables.find(table => table.id === leftId);
+    const right = workspaceTables.find(table => table.id === rightId);
+    try {
+      const result = joinTables(left, right, { leftKeys, rightKeys, type });
+      const keys = leftKeys.map((key, i) => (key === rightKeys[i] ? key : `${key} = ${rightKeys[i]}`)).join(', ');
+      addDataset(createDataset({
+        name: name || `${left.name} + ${right.name}`,
+        headers: result.headers,
+        rows: result.rows,
+        origin: t('dataset.joined', {
+          type: t(`dataset.joinType.${type}`),
+          keys,
+          matched: formatNumber(result.stats.matched),
+          leftOnly: formatNumber(result.stats.leftOnly),
+          left: left.name,
+          rightOnly: formatNumber(result.stats.rightOnly),
+          right: right.name
+        })
       }));
+      setError('');
+      setActiveTab('data');
+    } catch (err) {
+      setError(err.message);
     }
+  };
 
-    if (yCol && typeof data[0][yCol] === 'number') {
-      const grouped = _.groupBy(data, xCol);
-      return Object.entries(grouped).map(([key, group]) => ({
-        name: key,
-        value: _.mean(group.map(item => item[yCol])),
-        count: group.length
-      })).slice(0, 15);
+  // Runs the editor text as is, so error positions line up with it; history keeps it trimmed.
+  const runSql = () => {
+    const sql = querySql.trim();
+    const ranAt = new Date().toISOString();
+    try {
+      const result = runQuery(querySql, workspaceTables);
+      setQueryResult({ ...result, sql });
+      setQueryError(null);
+      setQueryHistory(prev => recordQuery(prev, { sql, ranAt, rows: result.rows.length, error: null }));
+    } catch (err) {
+      setQueryResult(null);
+      setQueryError({ message: err.message, position: err.position, length: err.length, sql: querySql });
+      setQueryHistory(prev => recordQuery(prev, { sql, ranAt, rows: 0, error: err.message }));
     }
+  };
 
-    const grouped = _.groupBy(data, xCol);
-    return Object.entries(grouped).map(([key, group]) => ({
-      name: key,
-      value: group.length
-    })).slice(0, 15);
+  const saveQueryResult = (name) => {
+    addDataset(createDataset({
+      name: name || t('dataset.queryResult'),
+      headers: queryResult.headers,
+      rows: queryResult.matrix,
+      schema: queryResult.schema,
+      typeOverrides: queryResult.typeOverrides,
+      origin: t('dataset.fromQuery', { sql: queryResult.sql })
+    }));
+    setError('');
+    setActiveTab('data');
   };
 
-  const renderChart = () => {
-    const chartData = generateChartData();
-    if (!chartData.length) return <div className="text-gray-500 text-center py-8">No data to display</div>;
+  const renderViewBanner = () => isFiltered && (
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6 flex flex-wrap justify-between items-center gap-2">
+      <span className="text-blue-800">
+        {t('view.filtered', { shown: formatNumber(viewData.length), total: formatNumber(data.length) })}
+      </span>
+      <button
+        onClick={() => setView(emptyView())}
+        className="flex items-center gap-1 px-3 py-1 text-sm border border-blue-300 text-blue-700 rounded-md hover:bg-blue-100 transition-colors"
+      >
+        <X size={16} />
+        {t('action.clearFilters')}
+      </button>
+    </div>
+  );
 
-    const commonProps = {
-      width: '100%',
-      height: 400,
-      data: chartData
-    };
+  const currentReport = () => buildReport({
+    fileName,
+    sheet: activeSheet,
+    view: isFiltered ? describeView(view) : undefined,
+    analysis: viewAnalysis,
+    histograms,
+    quality: quality ? qualitySummary(quality) : undefined,
+    regression: regression && regression.model ? regressionSummary(regression.model) : undefined
+  });
 
-    switch (chartType) {
-      case 'bar':
-        return (
-          <ResponsiveContainer {...commonProps}>
-            <BarChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis 
-                dataKey="name" 
-                angle={-45} 
-                textAnchor="end" 
-                height={80}
-                interval={0}
-              />
-              <YAxis />
-              <Tooltip />
-              <Bar dataKey="value" fill="#8884d8" />
-            </BarChart>
-          </ResponsiveContainer>
-        );
-
-      case 'line':
-        return (
-          <ResponsiveContainer {...commonProps}>
-            <LineChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis 
-                dataKey="name" 
-                angle={-45} 
-                textAnchor="end" 
-                height={80}
-              />
-              <YAxis />
-              <Tooltip />
-              <Line type="monotone" dataKey="value" stroke="#8884d8" strokeWidth={2} />
-            </LineChart>
-          </ResponsiveContainer>
-        );
-
-      case 'pie':
-        return (
-          <ResponsiveContainer {...commonProps}>
-            <RechartsPieChart>
-              <RechartsPieChart
-                data={chartData}
-                cx="50%"
-                cy="50%"
-                outerRadius={120}
-                fill="#8884d8"
-                dataKey="value"
-                label={({ name, percentage }) => `${name} (${percentage}%)`}
-              >
-                {chartData.map((entry, index) => (
-                  <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                ))}
-              </RechartsPieChart>
-              <Tooltip formatter={(value) => [value, 'Count']} />
-            </RechartsPieChart>
-          </ResponsiveContainer>
-        );
-
-      case 'scatter':
-        return (
-          <ResponsiveContainer {...commonProps}>
-            <ScatterChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="x" type="number" />
-              <YAxis dataKey="y" type="number" />
-              <Tooltip formatter={(value, name) => [value, name]} />
-              <Scatter dataKey="y" fill="#8884d8" />
-            </ScatterChart>
-          </ResponsiveContainer>
-        );
+  const exportAnalysis = () => {
+    if (!viewAnalysis) return;
+    const { render, type, extension } = REPORT_FORMATS.json;
+    downloadBlob(render(currentReport()), type, `analysis_${baseName(fileName)}_${Date.now()}${extension}`);
+  };
 
-      default:
-        return null;
+  const exportReportHtml = () => {
+    if (!viewAnalysis) return;
+    const { render, type, extension } = REPORT_FORMATS.html;
+    downloadBlob(render(currentReport(), { charts: reportCharts }), type, `report_${baseName(fileName)}_${Date.now()}${extension}`);
+  };
+
+  const exportStats = (format) => {
+    if (!viewAnalysis) return;
+    const tables = reportTables(currentReport());
+    if (format === 'xlsx') {
+      downloadBlob(sheetsToXlsx(tables.map(table => ({ name: table.title, rows: table.rows }))), XLSX_TYPE, `statistics_${baseName(fileName)}_${Date.now()}.xlsx`);
+    } else {
+      downloadBlob(tablesToCsv(tables), CSV_TYPE, `statistics_${baseName(fileName)}_${Date.now()}.csv`);
     }
   };
 
-  const exportAnalysis = () => {
-    if (!analysis) return;
-
-    const report = {
-      fileName,
-      timestamp: new Date().toISOString(),
-      summary: analysis.summary,
-      numericStatistics: analysis.numericStats,
-      categoricalStatistics: analysis.categoricalStats
-    };
+  const exportData = (format) => {
+    if (format === 'xlsx') {
+      const rows = datasetToMatrix(headers, viewData, columnSchema, { raw: true });
+      downloadBlob(sheetsToXlsx([{ name: activeSheet || 'Data', rows }]), XLSX_TYPE, `${baseName(fileName)}_cleaned.xlsx`);
+    } else {
+      downloadBlob(matrixToCsv(datasetToMatrix(headers, viewData, columnSchema)), CSV_TYPE, `${baseName(fileName)}_cleaned.csv`);
+    }
+  };
+
+  const captureChart = () => chartSvgFrom(chartRef.current, {
+    title: chartTitle(chartConfig, chart),
+    legend: chartConfig.legend ? chartLegend(chart, chartConfig, theme.palette) : []
+  });
+
+  const exportChart = async (format) => {
+    const image = captureChart();
+    if (!image) return;
+    const name = `chart_${baseName(fileName)}_${Date.now()}`;
+    if (format === 'svg') {
+      downloadBlob(image.svg, 'image/svg+xml', `${name}.svg`);
+      return;
+    }
+    try {
+      downloadBlob(await svgToPngBlob(image), 'image/png', `${name}.png`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
-    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `analysis_${fileName.replace('.csv', '')}_${Date.now()}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+  const addChartToReport = () => {
+    const image = captureChart();
+    if (!image) return;
+    setReportCharts(prev => [...prev, { id: Date.now(), title: chartTitle(chartConfig, chart), svg: image.svg }]);
   };
 
+  useEffect(() => {
+    if (viewAnalysis && propsRef.current.onAnalysisComplete) {
+      propsRef.current.onAnalysisComplete({ datasetId: activeId, name: active.name, analysis: viewAnalysis, report: currentReport() });
+    }
+  }, [viewAnalysis]);
+
+  useEffect(() => {
+    if (activeId && propsRef.current.onChartChange) propsRef.current.onChartChange(chartConfig, { datasetId: activeId });
+  }, [chartConfig]);
+
+  useEffect(() => {
+    if (error && propsRef.current.onError) propsRef.current.onError(error);
+  }, [error]);
+
+  const css = themeCss(theme, scope);
+
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+    <div ref={rootRef} className={`${scope} min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100`}>
+      {css && <style>{css}</style>}
+      <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
       <div className="container mx-auto px-4 py-8">
         <div className="text-center mb-8">
-          <h1 className="text-4xl font-bold text-gray-800 mb-2">Data Analyzer Pro</h1>
-          <p className="text-gray-600">Upload, analyze, and visualize your CSV data</p>
+          <h1 className="text-4xl font-bold text-gray-800 mb-2">{t('app.title')}</h1>
+          <p className="text-gray-600">{t('app.subtitle')}</p>
         </div>
 
         {/* Tab Navigation */}
         <div className="flex justify-center mb-8">
-          <div className="bg-white rounded-lg p-1 shadow-lg">
-            {[
-              { id: 'upload', label: 'Upload', icon: Upload },
-              { id: 'analyze', label: 'Analyze', icon: BarChart3 },
-              { id: 'visualize', label: 'Visualize', icon: TrendingUp }
-            ].map(({ id, label, icon: Icon }) => (
+          <div
+            ref={tabListRef}
+            role="tablist"
+            aria-label={t('app.sections')}
+            onKeyDown={handleTabKeyDown}
+            className="bg-white rounded-lg p-1 shadow-lg"
+          >
+            {visibleTabs.map(({ id, icon: Icon }) => (
               <button
                 key={id}
+                id={tabId(id)}
+                role="tab"
+                aria-selected={activeTab === id}
+                aria-controls={`${scope}-panel-${id}`}
+                tabIndex={activeTab === id ? 0 : -1}
                 onClick={() => setActiveTab(id)}
-                disabled={id !== 'upload' && !data.length}
-                className={`px-6 py-3 rounded-md font-medium transition-all duration-200 flex items-center gap-2 ${
+                disabled={!tabEnabled(id)}
+                className={`px-6 py-3 rounded-md font-medium transition-all duration-200 flex items-center gap-2 focus:outline-none focus:ring-2 focus:ring-blue-500 ${
                   activeTab === id
                     ? 'bg-blue-500 text-white shadow-md'
-                    : data.length || id === 'upload'
+                    : tabEnabled(id)
                     ? 'text-gray-600 hover:text-blue-500 hover:bg-blue-50'
                     : 'text-gray-400 cursor-not-allowed'
                 }`}
               >
-                <Icon size={18} />
-                {label}
+                <Icon size={18} aria-hidden="true" />
+                {t(`tab.${id}`)}
               </button>
             ))}
           </div>
         </div>
 
+        {datasets.length > 0 && (
+          <DatasetSwitcher
+            datasets={datasets}
+            activeId={activeId}
+            onSelect={selectDataset}
+            onRename={renameDataset}
+            onRemove={removeDataset}
+          />
+        )}
+
         {error && (
-          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center gap-2">
-            <AlertCircle className="text-red-500" size={20} />
+          <div role="alert" className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center gap-2">
+            <AlertCircle className="text-red-500" size={20} aria-hidden="true" />
             <span className="text-red-700">{error}</span>
           </div>
         )}
 
         {/* Upload Tab */}
         {activeTab === 'upload' && (
-          <div className="bg-white rounded-xl shadow-lg p-8">
+          <div {...panelProps('upload')} onPaste={handlePaste} className="bg-white rounded-xl shadow-lg p-8">
             <div className="text-center">
-              <div className="border-2 border-dashed border-gray-300 rounded-lg p-12 hover:border-blue-400 transition-colors">
-                <Upload className="mx-auto h-12 w-12 text-gray-400 mb-4" />
-                <h3 className="text-lg font-medium text-gray-900 mb-2">Upload Your CSV File</h3>
-                <p className="text-gray-500 mb-6">Drag and drop or click to select your data file</p>
+              <div
+                role="region"
+                tabIndex={0}
+                aria-label={t('upload.dropZone')}
+                onDragOver={handleDragOver}
+                onDragLeave={handleDragLeave}
+                onDrop={handleDrop}
+                className={`border-2 border-dashed rounded-lg p-12 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                  dragActive ? 'border-blue-400 bg-blue-50' : 'border-gray-300 hover:border-blue-400'
+                }`}
+              >
+                <Upload className="mx-auto h-12 w-12 text-gray-400 mb-4" aria-hidden="true" />
+                <h2 className="text-lg font-medium text-gray-900 mb-2">{t('upload.title')}</h2>
+                <p className="text-gray-500 mb-2">{t('upload.hint')}</p>
+                <p className="text-gray-400 text-sm mb-6">
+                  {t('upload.formats', { formats: supportedExtensions().join(', ') })}
+                </p>
                 <input
                   type="file"
-                  accept=".csv"
+                  accept={supportedExtensions().join(',')}
                   onChange={handleFileUpload}
-                  className="hidden"
-                  id="csv-upload"
+                  className="sr-only peer"
+                  id="data-upload"
                   disabled={isLoading}
                 />
                 <label
-                  htmlFor="csv-upload"
-                  className={`inline-flex items-center px-6 py-3 border border-transparent text-base font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 cursor-pointer transition-colors ${
+                  htmlFor="data-upload"
+                  className={`inline-flex items-center px-6 py-3 border border-transparent text-base font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 cursor-pointer transition-colors peer-focus:ring-2 peer-focus:ring-offset-2 peer-focus:ring-blue-500 ${
                     isLoading ? 'opacity-50 cursor-not-allowed' : ''
                   }`}
                 >
-                  {isLoading ? 'Processing...' : 'Choose File'}
+                  {t(isLoading ? 'upload.processing' : datasets.length ? 'upload.addAnother' : 'upload.choose')}
                 </label>
               </div>
               
-              {fileName && (
+              {isLoading && progress && (
+                <div className="mt-6 p-4 bg-blue-50 rounded-lg text-left">
+                  <div className="flex justify-between items-center mb-2">
+                    <span className="text-blue-800 font-medium">
+                      {t(progress.stage === 'analysing' ? 'upload.analysing' : 'upload.parsing', { name: progress.name })}
+                    </span>
+                    <button
+                      onClick={cancelLoading}
+                      className="flex items-center gap-1 px-3 py-1 text-sm border border-blue-300 text-blue-700 rounded-md hover:bg-blue-100 transition-colors"
+                    >
+                      <X size={16} />
+                      {t('action.cancel')}
+                    </button>
+                  </div>
+                  <div
+                    role="progressbar"
+                    aria-label={t(progress.stage === 'analysing' ? 'upload.analysing' : 'upload.parsing', { name: progress.name })}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={progress.total ? Math.round(Math.min(100, (progress.loaded / progress.total) * 100)) : 0}
+                    className="w-full bg-blue-100 rounded-full h-3 overflow-hidden"
+                  >
+                    <div
+                      className="bg-blue-500 h-3 transition-all duration-200"
+                      style={{ width: `${progress.total ? Math.min(100, (progress.loaded / progress.total) * 100) : 0}%` }}
+                    />
+                  </div>
+                  <p className="text-blue-600 text-sm mt-2">{t('upload.rowsRead', { rows: formatNumber(progress.rows) })}</p>
+                </div>
+              )}
+
+              {sourceFile && !isLoading && (
                 <div className="mt-6 p-4 bg-green-50 rounded-lg">
                   <div className="flex items-center justify-center gap-2">
                     <FileText className="text-green-600" size={20} />
                     <span className="text-green-800 font-medium">{fileName}</span>
                   </div>
-                  <p className="text-green-600 text-sm mt-1">Successfully loaded {data.length} rows</p>
+                  <p className="text-green-600 text-sm mt-1">{t('upload.loaded', { rows: formatNumber(baseTable.rows.length) })}</p>
+                  {sheetNames.length > 1 && (
+                    <div className="mt-4 flex items-center justify-center gap-2">
+                      <label htmlFor="sheet-select" className="text-sm font-medium text-gray-700">{t('upload.sheet')}</label>
+                      <select
+                        id="sheet-select"
+                        value={activeSheet}
+                        onChange={(e) => handleSheetChange(e.target.value)}
+                        disabled={isLoading}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {sheetNames.map(sheet => (
+                          <option key={sheet} value={sheet}>{sheet}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
                 </div>
               )}
+
+              <SessionList
+                sessions={sessions}
+                currentId={sessionId}
+                estimate={storage}
+                onOpen={openSession}
+                onRename={renameSavedSession}
+                onDelete={deleteSavedSession}
+                onNew={newSession}
+                onExport={exportSession}
+                onImport={importSession}
+              />
             </div>
           </div>
         )}
 
-        {/* Analysis Tab */}
-        {activeTab === 'analyze' && analysis && (
-          <div className="space-y-6">
-            <div className="bg-white rounded-xl shadow-lg p-6">
-              <div className="flex justify-between items-center mb-6">
-                <h2 className="text-2xl font-bold text-gray-800">Data Analysis Summary</h2>
+        {/* Data Tab */}
+        {activeTab === 'data' && data.length > 0 && (
+          <div {...panelProps('data')} className="bg-white rounded-xl shadow-lg p-6">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-6">
+              <h2 className="text-2xl font-bold text-gray-800">{t('data.title')}</h2>
+              <div className="flex gap-2">
                 <button
-                  onClick={exportAnalysis}
-                  className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                  onClick={() => exportData('csv')}
+                  className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
                 >
                   <Download size={18} />
-                  Export Report
+                  {t('data.exportCsv')}
                 </button>
+                <button
+                  onClick={() => exportData('xlsx')}
+                  className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  <FileSpreadsheet size={18} />
+                  {t('data.exportXlsx')}
+                </button>
+              </div>
+            </div>
+            <PipelinePanel
+              headers={headers}
+              steps={pipeline.present}
+              errors={pipelineResult.errors}
+              canUndo={pipeline.past.length > 0}
+              canRedo={pipeline.future.length > 0}
+              onAddStep={addStep}
+              onToggleStep={toggleStep}
+              onMoveStep={moveStep}
+              onRemoveStep={removeStep}
+              onUndo={() => setPipeline(undoHistory)}
+              onRedo={() => setPipeline(redoHistory)}
+              onSave={savePipeline}
+              onLoad={loadPipeline}
+            />
+            <DataGrid
+              key={activeId}
+              headers={headers}
+              schema={columnSchema}
+              rows={viewData}
+              totalRows={data.length}
+              view={view}
+              valueOptions={valueOptions}
+              onViewChange={setView}
+            />
+          </div>
+        )}
+
+        {/* Analysis Tab */}
+        {activeTab === 'analyze' && viewAnalysis && (
+          <div {...panelProps('analyze')} className="space-y-6">
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              {renderViewBanner()}
+              <div className="flex justify-between items-center mb-6">
+                <h2 className="text-2xl font-bold text-gray-800">{t('analyze.title')}</h2>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    onClick={() => exportStats('csv')}
+                    className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    <Download size={18} />
+                    {t('analyze.statsCsv')}
+                  </button>
+                  <button
+                    onClick={() => exportStats('xlsx')}
+                    className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    <FileSpreadsheet size={18} />
+                    {t('analyze.statsXlsx')}
+                  </button>
+                  <button
+                    onClick={exportAnalysis}
+                    className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    <FileJson size={18} />
+                    {t('analyze.json')}
+                  </button>
+                  <button
+                    onClick={exportReportHtml}
+                    className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+                    title={reportCharts.length
+                      ? t(reportCharts.length === 1 ? 'analyze.reportWithChart' : 'analyze.reportWithCharts', { count: formatNumber(reportCharts.length) })
+                      : t('analyze.reportTitle')}
+                  >
+                    <FileText size={18} />
+                    {t('analyze.exportReport')}
+                  </button>
+                </div>
               </div>
 
               <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
                 <div className="bg-blue-50 rounded-lg p-4">
-                  <h3 className="font-semibold text-blue-800">Total Rows</h3>
-                  <p className="text-2xl font-bold text-blue-600">{analysis.summary.totalRows}</p>
+                  <h3 className="font-semibold text-blue-800">{t('analyze.totalRows')}</h3>
+                  <p className="text-2xl font-bold text-blue-600">{formatNumber(viewAnalysis.summary.totalRows)}</p>
                 </div>
                 <div className="bg-green-50 rounded-lg p-4">
-                  <h3 className="font-semibold text-green-800">Total Columns</h3>
-                  <p className="text-2xl font-bold text-green-600">{analysis.summary.totalColumns}</p>
+                  <h3 className="font-semibold text-green-800">{t('analyze.totalColumns')}</h3>
+                  <p className="text-2xl font-bold text-green-600">{formatNumber(viewAnalysis.summary.totalColumns)}</p>
                 </div>
                 <div className="bg-purple-50 rounded-lg p-4">
-                  <h3 className="font-semibold text-purple-800">Numeric Columns</h3>
-                  <p className="text-2xl font-bold text-purple-600">{analysis.summary.numericColumns}</p>
+                  <h3 className="font-semibold text-purple-800">{t('analyze.numericColumns')}</h3>
+                  <p className="text-2xl font-bold text-purple-600">{formatNumber(viewAnalysis.summary.numericColumns)}</p>
                 </div>
                 <div className="bg-orange-50 rounded-lg p-4">
-                  <h3 className="font-semibold text-orange-800">Text Columns</h3>
-                  <p className="text-2xl font-bold text-orange-600">{analysis.summary.categoricalColumns}</p>
+                  <h3 className="font-semibold text-orange-800">{t('analyze.textColumns')}</h3>
+                  <p className="text-2xl font-bold text-orange-600">{formatNumber(viewAnalysis.summary.categoricalColumns)}</p>
                 </div>
               </div>
 
+              <SchemaPanel
+                headers={baseTable.headers}
+                schema={baseTable.schema}
+                rawRows={rawRows}
+                overrides={typeOverrides}
+                onOverrideChange={handleTypeOverride}
+                onApply={rerunWithOverrides}
+                onReset={resetTypeOverrides}
+              />
+
+              {quality && (
+                <QualityPanel
+                  key={activeId}
+                  headers={headers}
+                  schema={columnSchema}
+                  quality={quality}
+                  nullTokens={nullTokens}
+                  config={qualityConfig}
+                  onNullTokensChange={applyNullTokens}
+                  onConfigChange={setQualityConfig}
+                  onViewRows={viewRows}
+                />
+              )}
+
               {/* Numeric Statistics */}
-              {Object.keys(analysis.numericStats).length > 0 && (
-                <div className="mb-8">
-                  <h3 className="text-xl font-semibold mb-4">Numeric Column Statistics</h3>
-                  <div className="overflow-x-auto">
-                    <table className="w-full border-collapse border border-gray-300">
-                      <thead>
-                        <tr className="bg-gray-50">
-                          <th className="border border-gray-300 px-4 py-2 text-left">Column</th>
-                          <th className="border border-gray-300 px-4 py-2 text-left">Min</th>
-                          <th className="border border-gray-300 px-4 py-2 text-left">Max</th>
-                          <th className="border border-gray-300 px-4 py-2 text-left">Mean</th>
-                          <th className="border border-gray-300 px-4 py-2 text-left">Median</th>
-                          <th className="border border-gray-300 px-4 py-2 text-left">Std Dev</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {Object.entries(analysis.numericStats).map(([col, stats]) => (
-                          <tr key={col}>
-                            <td className="border border-gray-300 px-4 py-2 font-medium">{col}</td>
-                            <td className="border border-gray-300 px-4 py-2">{stats.min.toFixed(2)}</td>
-                            <td className="border border-gray-300 px-4 py-2">{stats.max.toFixed(2)}</td>
-                            <td className="border border-gray-300 px-4 py-2">{stats.mean.toFixed(2)}</td>
-                            <td className="border border-gray-300 px-4 py-2">{stats.median.toFixed(2)}</td>
-                            <td className="border border-gray-300 px-4 py-2">{stats.stdDev.toFixed(2)}</td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                </div>
+              {Object.keys(viewAnalysis.numericStats).length > 0 && (
+                <>
+                  <NumericStats numericStats={viewAnalysis.numericStats} />
+                  <HistogramPanel
+                    histograms={histograms}
+                    binCounts={histogramBins}
+                    onBinCountChange={(col, bins) => setHistogramBins(prev => ({ ...prev, [col]: bins }))}
+                  />
+                  <CorrelationHeatmap correlations={viewAnalysis.correlations} />
+                  <OutlierPanel outliers={viewAnalysis.outliers} totalRows={viewAnalysis.summary.totalRows} onViewRows={viewOutlierRows} />
+                  <RegressionPanel
+                    headers={headers}
+                    schema={columnSchema}
+                    config={regressionConfig}
+                    regression={regression}
+                    onConfigChange={setRegressionConfig}
+                  />
+                </>
               )}
 
+              <CategoricalPanel
+                analysis={viewAnalysis}
+                crossTab={crossTabulation}
+                crossTabColumns={crossTabColumns}
+                onCrossTabChange={setCrossTabColumns}
+              />
+
+              <DateColumnsPanel dateStats={viewAnalysis.dateStats} />
+
               {/* Missing Values */}
-              {Object.keys(analysis.summary.missingValues).length > 0 && (
+              {Object.keys(viewAnalysis.summary.missingValues).length > 0 && (
                 <div>
-                  <h3 className="text-xl font-semibold mb-4">Missing Values</h3>
+                  <h3 className="text-xl font-semibold mb-4">{t('analyze.missingValues')}</h3>
                   <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                    {Object.entries(analysis.summary.missingValues).map(([col, count]) => (
+                    {Object.entries(viewAnalysis.summary.missingValues).map(([col, count]) => (
                       <div key={col} className="bg-yellow-50 rounded-lg p-4">
                         <h4 className="font-medium text-yellow-800">{col}</h4>
-                        <p className="text-yellow-600">{count} missing values</p>
+                        <p className="text-yellow-600">{t('analyze.missingCount', { count: formatNumber(count) })}</p>
                       </div>
                     ))}
                   </div>
@@ -445,60 +1268,158 @@ const DataAnalyzerApp = () => {
           </div>
         )}
 
+        {/* Pivot Tab */}
+        {activeTab === 'pivot' && data.length > 0 && (
+          <div {...panelProps('pivot')} className="bg-white rounded-xl shadow-lg p-6">
+            {renderViewBanner()}
+            <h2 className="text-2xl font-bold text-gray-800 mb-6">{t('pivot.title')}</h2>
+            <PivotPanel
+              headers={headers}
+              schema={columnSchema}
+              config={pivotConfig}
+              pivot={pivot}
+              onConfigChange={setPivotConfig}
+              onExport={exportPivot}
+              onChart={chartPivot}
+            />
+          </div>
+        )}
+
         {/* Visualization Tab */}
         {activeTab === 'visualize' && data.length > 0 && (
-          <div className="bg-white rounded-xl shadow-lg p-6">
-            <h2 className="text-2xl font-bold text-gray-800 mb-6">Data Visualization</h2>
-
-            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Chart Type</label>
-                <select
-                  value={chartType}
-                  onChange={(e) => setChartType(e.target.value)}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                >
-                  <option value="bar">Bar Chart</option>
-                  <option value="line">Line Chart</option>
-                  <option value="pie">Pie Chart</option>
-                  <option value="scatter">Scatter Plot</option>
-                </select>
-              </div>
+          <div {...panelProps('visualize')} className="bg-white rounded-xl shadow-lg p-6">
+            {renderViewBanner()}
+            <h2 className="text-2xl font-bold text-gray-800 mb-6">{t('visualize.title')}</h2>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">X-Axis Column</label>
-                <select
-                  value={selectedColumns[0] || ''}
-                  onChange={(e) => setSelectedColumns([e.target.value, selectedColumns[1]])}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                >
-                  <option value="">Select column...</option>
-                  {headers.map(header => (
-                    <option key={header} value={header}>{header}</option>
-                  ))}
-                </select>
-              </div>
+            <ChartConfigPanel
+              headers={headers}
+              schema={columnSchema}
+              config={chartConfig}
+              pivot={pivot}
+              onChange={setChartConfig}
+            />
 
-              {chartType !== 'pie' && (
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Y-Axis Column (optional)</label>
-                  <select
-                    value={selectedColumns[1] || ''}
-                    onChange={(e) => setSelectedColumns([selectedColumns[0], e.target.value])}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  >
-                    <option value="">Select column...</option>
-                    {headers.map(header => (
-                      <option key={header} value={header}>{header}</option>
-                    ))}
-                  </select>
-                </div>
-              )}
+            {isTimeSeriesChart(chartConfig, columnSchema) && (
+              <TimeSeriesControls
+                config={chartConfig.timeSeries}
+                onChange={(timeSeries) => setChartConfig(prev => ({ ...prev, timeSeries }))}
+              />
+            )}
+
+            <div className="flex flex-wrap justify-end gap-2 mb-2">
+              <button
+                onClick={() => exportChart('svg')}
+                disabled={!chart || chart.kind === 'empty'}
+                className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              >
+                <FileImage size={18} />
+                SVG
+              </button>
+              <button
+                onClick={() => exportChart('png')}
+                disabled={!chart || chart.kind === 'empty'}
+                className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              >
+                <FileImage size={18} />
+                PNG
+              </button>
+              <button
+                onClick={addChartToReport}
+                disabled={!chart || chart.kind === 'empty'}
+                className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              >
+                <Plus size={18} />
+                {t('visualize.addToReport')}
+              </button>
+              <button
+                onClick={saveChartWidget}
+                disabled={!chart || chart.kind === 'empty'}
+                className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              >
+                <LayoutDashboard size={18} />
+                {t('visualize.saveWidget')}
+              </button>
             </div>
 
-            <div className="bg-gray-50 rounded-lg p-4">
-              {renderChart()}
+            <div ref={chartRef} className="bg-gray-50 rounded-lg p-4">
+              <ChartView chart={chart} config={chartConfig} />
             </div>
+
+            {reportCharts.length > 0 && (
+              <div className="mt-4 flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-600">{t('visualize.inReport')}</span>
+                {reportCharts.map(item => (
+                  <span key={item.id} className="flex items-center gap-1 px-2 py-1 bg-blue-50 border border-blue-200 rounded-md text-blue-800">
+                    {item.title}
+                    <button
+                      onClick={() => setReportCharts(prev => prev.filter(existing => existing.id !== item.id))}
+                      className="text-blue-500 hover:text-blue-700"
+                      aria-label={t('visualize.removeFromReport', { title: item.title })}
+                    >
+                      <X size={14} />
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Dashboard Tab */}
+        {activeTab === 'dashboard' && data.length > 0 && (
+          <div {...panelProps('dashboard')} className="bg-white rounded-xl shadow-lg p-6">
+            <h2 className="text-2xl font-bold text-gray-800 mb-6">{t('dashboard.title')}</h2>
+            <DashboardPanel
+              headers={headers}
+              schema={columnSchema}
+              dashboard={dashboard}
+              results={dashboardResults}
+              crossFilter={crossFilter}
+              issues={dashboardIssues}
+              valueOptions={valueOptions}
+              onChange={setDashboard}
+              onCrossFilter={setCrossFilter}
+              onExport={exportDashboard}
+              onImport={importDashboard}
+            />
+          </div>
+        )}
+
+        {/* Combine Tab */}
+        {activeTab === 'combine' && datasets.length > 0 && (
+          <div {...panelProps('combine')} className="space-y-6">
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h2 className="text-2xl font-bold text-gray-800 mb-6">{t('combine.title')}</h2>
+              <CombinePanel tables={workspaceTables} onAppend={appendDatasets} onJoin={joinDatasets} />
+            </div>
+            <div className="bg-white rounded-xl shadow-lg p-6">
+              <h2 className="text-2xl font-bold text-gray-800 mb-6">{t('compare.title')}</h2>
+              <ComparePanel
+                tables={workspaceTables}
+                config={compareConfig}
+                comparison={comparison}
+                onConfigChange={setCompareConfig}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Query Tab */}
+        {activeTab === 'query' && datasets.length > 0 && (
+          <div {...panelProps('query')} className="bg-white rounded-xl shadow-lg p-6">
+            <h2 className="text-2xl font-bold text-gray-800 mb-6">{t('query.title')}</h2>
+            <QueryPanel
+              tables={workspaceTables}
+              activeName={active.name}
+              sql={querySql}
+              result={queryResult}
+              error={queryError}
+              history={queryHistory}
+              onSqlChange={setQuerySql}
+              onRun={runSql}
+              onSave={saveQueryResult}
+              onClearHistory={() => setQueryHistory([])}
+            />
           </div>
         )}
       </div>
@@ -506,4 +1427,19 @@ const DataAnalyzerApp = () => {
   );
 };
 
+// The analyser as an embeddable component. Every prop is optional; with none it behaves as the standalone
+// app. See "Embedding" in the README for the props.
+const DataAnalyzerApp = (props) => {
+  const { theme, locale, messages } = props;
+  const resolvedTheme = useMemo(() => resolveTheme(theme), [theme]);
+  const i18n = useMemo(() => createI18n({ locale, messages }), [locale, messages]);
+  return (
+    <ThemeContext.Provider value={resolvedTheme}>
+      <I18nContext.Provider value={i18n}>
+        <AnalyzerWorkspace {...props} />
+      </I18nContext.Provider>
+    </ThemeContext.Provider>
+  );
+};
+
 export default DataAnalyzerApp;
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { analyseFile, parsePipeline, describeStep, supportedExtensions, REPORT_FORMATS, DEFAULT_NULL_TOKENS, FIT_TYPES, describeRegressionError } from '../core/index.js';
+
+// Command-line analysis, e.g. `analyse data.csv --format md > report.md` in CI. Produces the same
+// report as the app's JSON and HTML exports.
+
+const USAGE = `Usage: analyse <file> [options]
+
+Reads ${supportedExtensions().join(', ')} files and prints the analysis report.
+
+Options:
+  --format <format>       Report format: ${Object.keys(REPORT_FORMATS).join(', ')} (default: json)
+  -o, --output <path>     Write the report to a file instead of standard output
+  --sheet <name>          Worksheet to analyse in an Excel workbook (default: the first)
+  --null-tokens <list>    Comma-separated values read as missing (default: ${DEFAULT_NULL_TOKENS.join(',')})
+  --pipeline <path>       Cleaning steps saved from the Data tab, replayed before analysing
+  --regression <model>    Fit a target column on predictors, e.g. "price~area,rooms"
+  --fit <type>            Model for a single predictor: linear, polynomial[:degree], exponential
+                          or logarithmic (default: linear)
+  -h, --help              Show this help`;
+
+const OPTIONS = {
+  '--format': 'format',
+  '--output': 'output',
+  '-o': 'output',
+  '--sheet': 'sheet',
+  '--null-tokens': 'nullTokens',
+  '--pipeline': 'pipeline',
+  '--regression': 'regression',
+  '--fit': 'fit'
+};
+
+const parseArgs = (args) => {
+  const options = { format: 'json', files: [] };
+  for (let i = 0; i < args.length; i += 1) {
+    const [flag, inline] = args[i].startsWith('--') ? args[i].split(/=(.*)/s) : [args[i]];
+    if (flag === '-h' || flag === '--help') {
+      options.help = true;
+    } else if (OPTIONS[flag]) {
+      const value = inline !== undefined ? inline : args[i + 1];
+      if (value === undefined) throw new Error(`${flag} needs a value`);
+      if (inline === undefined) i += 1;
+      options[OPTIONS[flag]] = value;
+    } else if (flag.startsWith('-')) {
+      throw new Error(`Unknown option ${flag}`);
+    } else {
+      options.files.push(flag);
+    }
+  }
+  return options;
+};
+
+// Just enough of the browser File interface for the readers.
+const fileFromPath = async (filePath) => {
+  const buffer = await readFile(filePath);
+  return {
+    name: path.basename(filePath),
+    size: buffer.length,
+    text: () => Promise.resolve(buffer.toString('utf8')),
+    arrayBuffer: () => Promise.resolve(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length))
+  };
+};
+
+// "price~area,rooms" with --fit "polynomial:3" → { target, predictors, type, degree }.
+const parseRegression = (model, fit = 'linear') => {
+  const [target, predictors = ''] = model.split('~').map(part => part.trim());
+  const [type, degree = '2'] = fit.split(':');
+  if (!target || !predictors) throw new Error(`--regression needs target~predictor[,predictor...], not "${model}"`);
+  if (!FIT_TYPES[type] || type === 'none') throw new Error(`Unknown fit "${type}"`);
+  return { target, predictors: predictors.split(',').map(column => column.trim()).filter(Boolean), type, degree: Number(degree) };
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (options.files.length !== 1) throw new Error(`Expected one data file\n\n${USAGE}`);
+  const format = REPORT_FORMATS[options.format];
+  if (!format) throw new Error(`Unknown format "${options.format}"; use ${Object.keys(REPORT_FORMATS).join(', ')}`);
+
+  const steps = options.pipeline ? parsePipeline(await readFile(options.pipeline, 'utf8')) : [];
+  const nullTokens = options.nullTokens === undefined
+    ? DEFAULT_NULL_TOKENS
+    : options.nullTokens.split(',').map(token => token.trim()).filter(Boolean);
+
+  const regression = options.regression ? parseRegression(options.regression, options.fit) : null;
+
+  const { report, stepErrors, regression: fitted } = await analyseFile(await fileFromPath(options.files[0]), { sheet: options.sheet, nullTokens, steps, regression });
+  steps
+    .filter(step => stepErrors[step.id])
+    .forEach(step => console.error(`analyse: skipped step "${describeStep(step)}": ${stepErrors[step.id]}`));
+  if (fitted && fitted.error) console.error(`analyse: no regression: ${describeRegressionError(fitted.error)}`);
+
+  const output = format.render(report);
+  if (options.output) {
+    await writeFile(options.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+};
+
+main().catch(err => {
+  console.error(`analyse: ${err.message}`);
+  process.exitCode = 1;
+});
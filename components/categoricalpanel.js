@@ -0,0 +1,289 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowUp, ArrowDown } from 'lucide-react';
+import { MIN_EXPECTED_COUNT, frequencyTable } from '../core/categorical';
+import { useI18n } from './i18n';
+
+const fieldClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+const cellClass = 'border border-gray-300 px-3 py-2';
+const FREQUENCY_ROWS = 100;
+
+const LEVEL_CLASSES = {
+  constant: 'bg-gray-100 text-gray-700',
+  low: 'bg-green-100 text-green-800',
+  high: 'bg-yellow-100 text-yellow-800',
+  id: 'bg-red-100 text-red-800'
+};
+
+const CROSSTAB_VALUES = ['count', 'row', 'column'];
+
+const SUMMARY_COLUMNS = ['categorical.column', 'categorical.distinct', 'categorical.uniqueness', 'categorical.cardinality', 'categorical.mostFrequent'];
+
+const CardinalityBadge = ({ level }) => {
+  const { t } = useI18n();
+  return <span className={`inline-block px-2 py-0.5 rounded text-xs font-medium ${LEVEL_CLASSES[level]}`}>{t(`categorical.level.${level}`)}</span>;
+};
+
+// Frequency tables and cardinality for text/boolean columns, and a cross-tab with a chi-square test.
+const CategoricalPanel = ({ analysis, crossTab, crossTabColumns, onCrossTabChange }) => {
+  const { t, formatNumber } = useI18n();
+  const columns = Object.keys(analysis.categoricalStats);
+  const [selected, setSelected] = useState('');
+  const [sort, setSort] = useState({ by: 'count', direction: 'desc' });
+  const [minShare, setMinShare] = useState('');
+  const [showAll, setShowAll] = useState(false);
+  const [cellValues, setCellValues] = useState('count');
+
+  const column = columns.includes(selected) ? selected : columns[0];
+  const rows = useMemo(
+    () => (column ? frequencyTable(analysis.categoricalStats[column], analysis.cardinality[column], {
+      sort: sort.by,
+      direction: sort.direction,
+      minShare: Number(minShare) || 0
+    }) : []),
+    [analysis, column, sort, minShare]
+  );
+
+  if (!columns.length) return null;
+
+  // Shares arrive as percentages (0–100).
+  const percent = (value) => formatNumber(value / 100, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  const fixed = (value, digits) => formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  const formatPValue = (pValue) => (pValue < 0.001 ? `< ${fixed(0.001, 3)}` : fixed(pValue, 3));
+  const distinctLabel = (cardinality) => `${formatNumber(cardinality.distinct)}${cardinality.capped ? '+' : ''}`;
+
+  const toggleSort = (by) => {
+    setSort(prev => (prev.by === by
+      ? { by, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+      : { by, direction: by === 'count' ? 'desc' : 'asc' }));
+  };
+
+  const sortHeader = (by, label) => (
+    <th className={`${cellClass} text-left`}>
+      <button onClick={() => toggleSort(by)} className="flex items-center gap-1 font-semibold" title={t('categorical.sort')}>
+        {label}
+        {sort.by === by && (sort.direction === 'asc' ? <ArrowUp size={14} /> : <ArrowDown size={14} />)}
+      </button>
+    </th>
+  );
+
+  const cellValue = (count, i, j) => {
+    if (cellValues === 'row') return crossTab.rowTotals[i] ? percent((count / crossTab.rowTotals[i]) * 100) : '—';
+    if (cellValues === 'column') return crossTab.columnTotals[j] ? percent((count / crossTab.columnTotals[j]) * 100) : '—';
+    return formatNumber(count);
+  };
+
+  const visibleRows = showAll ? rows : rows.slice(0, FREQUENCY_ROWS);
+  const test = crossTab && crossTab.test;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-xl font-semibold mb-4">{t('categorical.title')}</h3>
+
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full border-collapse border border-gray-300 text-sm">
+          <thead>
+            <tr className="bg-gray-50">
+              {SUMMARY_COLUMNS.map(key => (
+                <th key={key} className={`${cellClass} text-left`}>{t(key)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map(col => {
+              const cardinality = analysis.cardinality[col];
+              const [top] = frequencyTable(analysis.categoricalStats[col], cardinality);
+              return (
+                <tr key={col} className={col === column ? 'bg-blue-50' : ''}>
+                  <td className={`${cellClass} font-medium`}>
+                    <button onClick={() => setSelected(col)} className="text-blue-700 hover:text-blue-900 text-left">{col}</button>
+                  </td>
+                  <td className={cellClass}>{distinctLabel(cardinality)}</td>
+                  <td className={cellClass}>{cardinality.uniqueness === null ? '—' : `${cardinality.capped ? '≥ ' : ''}${percent(cardinality.uniqueness * 100)}`}</td>
+                  <td className={cellClass}><CardinalityBadge level={cardinality.level} /></td>
+                  <td className={cellClass}>
+                    {cardinality.level === 'id' || !top || top.grouped ? '—' : `${top.value} (${percent(top.share)})`}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <div>
+          <label htmlFor="frequency-column" className="block text-sm font-medium text-gray-700 mb-1">{t('categorical.frequenciesOf')}</label>
+          <select id="frequency-column" value={column} onChange={(e) => setSelected(e.target.value)} className={fieldClass}>
+            {columns.map(col => <option key={col} value={col}>{col}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="rare-share" className="block text-sm font-medium text-gray-700 mb-1">{t('categorical.groupUnder')}</label>
+          <input
+            id="rare-share"
+            type="number"
+            min="0"
+            max="100"
+            step="0.5"
+            value={minShare}
+            onChange={(e) => setMinShare(e.target.value)}
+            placeholder="0"
+            className={`${fieldClass} w-28`}
+          />
+        </div>
+      </div>
+
+      {analysis.cardinality[column].level === 'id' && (
+        <p className="text-sm text-yellow-700 mb-2">
+          {t('categorical.idLike', { column })}
+        </p>
+      )}
+      {analysis.cardinality[column].kept < analysis.cardinality[column].distinct && (
+        <p className="text-sm text-gray-500 mb-2">
+          {t('categorical.kept', { kept: formatNumber(analysis.cardinality[column].kept), distinct: distinctLabel(analysis.cardinality[column]) })}
+        </p>
+      )}
+
+      <div className="overflow-x-auto mb-8">
+        <table className="w-full border-collapse border border-gray-300 text-sm">
+          <thead>
+            <tr className="bg-gray-50">
+              {sortHeader('value', t('categorical.value'))}
+              {sortHeader('count', t('categorical.count'))}
+              <th className={`${cellClass} text-left`}>{t('categorical.share')}</th>
+              <th className={`${cellClass} text-left`}>{t('categorical.cumulative')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map(row => (
+              <tr key={row.value} className={row.grouped ? 'bg-gray-50 italic' : ''}>
+                <td className={cellClass}>
+                  {row.grouped ? t('categorical.groupedValues', { label: row.value, count: `${formatNumber(row.grouped)}${row.capped ? '+' : ''}` }) : row.value}
+                </td>
+                <td className={cellClass}>{formatNumber(row.count)}</td>
+                <td className={cellClass}>
+                  <div className="flex items-center gap-2">
+                    <div className="w-24 bg-gray-100 rounded h-2 overflow-hidden">
+                      <div className="bg-blue-500 h-2" style={{ width: `${row.share}%` }} />
+                    </div>
+                    {percent(row.share)}
+                  </div>
+                </td>
+                <td className={cellClass}>{percent(row.cumulative)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length > FREQUENCY_ROWS && (
+          <button onClick={() => setShowAll(prev => !prev)} className="mt-2 text-sm text-blue-600 hover:text-blue-800">
+            {showAll ? t('categorical.showFirst', { count: formatNumber(FREQUENCY_ROWS) }) : t('categorical.showAll', { count: formatNumber(rows.length) })}
+          </button>
+        )}
+      </div>
+
+      <h4 className="text-lg font-semibold mb-2">{t('categorical.crossTab')}</h4>
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <div>
+          <label htmlFor="crosstab-rows" className="block text-sm font-medium text-gray-700 mb-1">{t('categorical.rows')}</label>
+          <select
+            id="crosstab-rows"
+            value={crossTabColumns.rows}
+            onChange={(e) => onCrossTabChange({ ...crossTabColumns, rows: e.target.value })}
+            className={fieldClass}
+          >
+            <option value="">{t('categorical.selectColumn')}</option>
+            {columns.map(col => <option key={col} value={col}>{col}</option>)}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="crosstab-columns" className="block text-sm font-medium text-gray-700 mb-1">{t('categorical.columns')}</label>
+          <select
+            id="crosstab-columns"
+            value={crossTabColumns.columns}
+            onChange={(e) => onCrossTabChange({ ...crossTabColumns, columns: e.target.value })}
+            className={fieldClass}
+          >
+            <option value="">{t('categorical.selectColumn')}</option>
+            {columns.filter(col => col !== crossTabColumns.rows).map(col => <option key={col} value={col}>{col}</option>)}
+          </select>
+        </div>
+        {crossTab && (
+          <div>
+            <label htmlFor="crosstab-values" className="block text-sm font-medium text-gray-700 mb-1">{t('categorical.show')}</label>
+            <select id="crosstab-values" value={cellValues} onChange={(e) => setCellValues(e.target.value)} className={fieldClass}>
+              {CROSSTAB_VALUES.map(key => <option key={key} value={key}>{t(`categorical.values.${key}`)}</option>)}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {!crossTab && <p className="text-sm text-gray-500">{t('categorical.chooseTwo')}</p>}
+      {crossTab && (
+        <>
+          <div className="overflow-x-auto mb-4">
+            <table className="border-collapse border border-gray-300 text-sm">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className={`${cellClass} text-left`}>{crossTab.rowColumn} \ {crossTab.columnColumn}</th>
+                  {crossTab.columnKeys.map(key => <th key={key} className={`${cellClass} text-right`}>{key}</th>)}
+                  <th className={`${cellClass} text-right`}>{t('categorical.total')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {crossTab.rowKeys.map((key, i) => (
+                  <tr key={key}>
+                    <th className={`${cellClass} text-left font-medium`}>{key}</th>
+                    {crossTab.counts[i].map((count, j) => (
+                      <td key={crossTab.columnKeys[j]} className={`${cellClass} text-right`}>{cellValue(count, i, j)}</td>
+                    ))}
+                    <td className={`${cellClass} text-right font-medium`}>{formatNumber(crossTab.rowTotals[i])}</td>
+                  </tr>
+                ))}
+                <tr className="bg-gray-50 font-medium">
+                  <th className={`${cellClass} text-left`}>{t('categorical.total')}</th>
+                  {crossTab.columnTotals.map((total, j) => (
+                    <td key={crossTab.columnKeys[j]} className={`${cellClass} text-right`}>{formatNumber(total)}</td>
+                  ))}
+                  <td className={`${cellClass} text-right`}>{formatNumber(crossTab.total)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          {(crossTab.grouped.rows || crossTab.grouped.columns || crossTab.skipped > 0) && (
+            <p className="text-sm text-gray-500 mb-2">
+              {crossTab.grouped.rows || crossTab.grouped.columns ? `${t('categorical.crossTabGrouped')} ` : ''}
+              {crossTab.skipped > 0 ? t('categorical.crossTabSkipped', { count: formatNumber(crossTab.skipped) }) : ''}
+            </p>
+          )}
+          {test ? (
+            <div className="bg-gray-50 rounded-lg p-4 text-sm">
+              <p className="font-medium mb-1">{t('categorical.chiSquare')}</p>
+              <p>
+                {t('categorical.chiSquareResult', {
+                  statistic: fixed(test.statistic, 2),
+                  df: formatNumber(test.df),
+                  p: formatPValue(test.pValue),
+                  v: fixed(test.cramersV, 3)
+                })}
+              </p>
+              <p className="text-gray-600 mt-1">
+                {test.pValue < 0.05
+                  ? t('categorical.associated', { rows: crossTab.rowColumn, columns: crossTab.columnColumn })
+                  : t('categorical.notAssociated', { rows: crossTab.rowColumn, columns: crossTab.columnColumn })}
+              </p>
+              {test.lowExpected / test.cells > 0.2 && (
+                <p className="text-yellow-700 mt-1">
+                  {t('categorical.lowExpected', { low: formatNumber(test.lowExpected), cells: formatNumber(test.cells), min: formatNumber(MIN_EXPECTED_COUNT) })}
+                </p>
+              )}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">{t('categorical.testNeedsValues')}</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CategoricalPanel;
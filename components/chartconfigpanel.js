@@ -0,0 +1,198 @@
+import React from 'react';
+import { isDateType } from '../core/typeinference';
+import { pivotSeries } from '../core/aggregate';
+import { CHART_TYPES, PIVOT_CHART_TYPES, SORT_ORDERS } from '../core/chartdata';
+import { FIT_TYPES, MAX_DEGREE, defaultFitConfig } from '../core/regression';
+import MeasureEditor from './measureeditor';
+import { useI18n } from './i18n';
+
+const fieldClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const labelClass = 'block text-sm font-medium text-gray-700 mb-2';
+
+// `id` is the id of the control the label is for. With `group`, the label instead captions the several
+// controls inside and names their group.
+const Field = ({ id, label, group = false, className = '', children }) => (group ? (
+  <div className={className} role="group" aria-labelledby={`${id}-label`}>
+    <span id={`${id}-label`} className={labelClass}>{label}</span>
+    {children}
+  </div>
+) : (
+  <div className={className}>
+    <label htmlFor={id} className={labelClass}>{label}</label>
+    {children}
+  </div>
+));
+
+const Toggle = ({ label, checked, onChange }) => (
+  <label className="flex items-center gap-2 text-sm text-gray-700">
+    <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} />
+    {label}
+  </label>
+);
+
+const MEASURE_LABELS = {
+  scatter: 'chartConfig.measures.scatter',
+  box: 'chartConfig.measures.box',
+  heatmap: 'chartConfig.measures.heatmap',
+  pie: 'chartConfig.measures.pie'
+};
+
+const ChartConfigPanel = ({ headers, schema, config, pivot, onChange }) => {
+  const { t, formatNumber } = useI18n();
+  const set = (key, value) => onChange({ ...config, [key]: value });
+  const isPivot = config.source === 'pivot';
+  const { type } = config;
+
+  const changeSource = (source) => {
+    const next = { ...config, source };
+    if (source === 'pivot' && !PIVOT_CHART_TYPES.includes(config.type)) next.type = 'bar';
+    onChange(next);
+  };
+
+  const columnOptions = (emptyLabel) => (
+    <>
+      <option value="">{emptyLabel}</option>
+      {headers.map(header => (
+        <option key={header} value={header}>
+          {schema[header] && isDateType(schema[header].type) ? t('chartConfig.dateColumn', { column: header }) : header}
+        </option>
+      ))}
+    </>
+  );
+
+  const showGroupBy = !isPivot && !['pie', 'box'].includes(type);
+  const showTopN = ['bar', 'line', 'area', 'pie', 'box', 'heatmap'].includes(type);
+  const showStacked = ['bar', 'line', 'area', 'histogram'].includes(type) && (isPivot ? false : Boolean(config.groupBy) || config.measures.length > 1);
+  const showLog = ['bar', 'line', 'area', 'scatter', 'histogram'].includes(type);
+  const showFit = type === 'scatter' || type === 'line';
+  const fit = config.fit || defaultFitConfig();
+
+  return (
+    <div className="space-y-4 mb-6">
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <Field id="chart-source" label={t('chartConfig.source')}>
+          <select id="chart-source" value={config.source} onChange={(e) => changeSource(e.target.value)} className={fieldClass}>
+            <option value="dataset">{t('chartConfig.source.dataset')}</option>
+            <option value="pivot" disabled={!pivot}>{t('chartConfig.source.pivot')}</option>
+          </select>
+        </Field>
+
+        <Field id="chart-type" label={t('chartConfig.type')}>
+          <select id="chart-type" value={type} onChange={(e) => set('type', e.target.value)} className={fieldClass}>
+            {Object.keys(CHART_TYPES).map(value => (
+              <option key={value} value={value} disabled={isPivot && !PIVOT_CHART_TYPES.includes(value)}>{t(`chartConfig.type.${value}`)}</option>
+            ))}
+          </select>
+        </Field>
+
+        {isPivot ? (
+          pivot && (
+            <Field id="chart-series" label={t('chartConfig.series')} className="lg:col-span-2">
+              <select id="chart-series" value={config.pivotSeries} onChange={(e) => set('pivotSeries', e.target.value)} className={fieldClass}>
+                {pivotSeries(pivot).map(item => (
+                  <option key={item.id} value={item.id}>{item.label}</option>
+                ))}
+              </select>
+            </Field>
+          )
+        ) : (
+          <>
+            <Field id="chart-x" label={t(type === 'box' ? 'chartConfig.boxCategory' : 'chartConfig.x')}>
+              <select id="chart-x" value={config.x} onChange={(e) => set('x', e.target.value)} className={fieldClass}>
+                {columnOptions(t('chartConfig.selectColumn'))}
+              </select>
+            </Field>
+            {showGroupBy && (
+              <Field id="chart-group-by" label={t(type === 'heatmap' ? 'chartConfig.heatmapRows' : 'chartConfig.groupBy')}>
+                <select id="chart-group-by" value={config.groupBy} onChange={(e) => set('groupBy', e.target.value)} className={fieldClass}>
+                  {columnOptions(t('chartConfig.none'))}
+                </select>
+              </Field>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {!isPivot && type !== 'histogram' && (
+          <Field id="chart-measures" group label={t(MEASURE_LABELS[type] || (config.groupBy ? 'chartConfig.measures.grouped' : 'chartConfig.measures'))} className="lg:col-span-2">
+            <MeasureEditor headers={headers} schema={schema} measures={config.measures} onChange={(value) => set('measures', value)} />
+          </Field>
+        )}
+
+        {type === 'histogram' && (
+          <Field id="chart-bins" label={t('chartConfig.bins', { count: formatNumber(config.bins) })}>
+            <input id="chart-bins" type="range" min="5" max="100" value={config.bins} onChange={(e) => set('bins', Number(e.target.value))} className="w-full" />
+          </Field>
+        )}
+
+        {showTopN && (
+          <Field id="chart-top-n" label={t('chartConfig.topN')}>
+            <div className="flex items-center gap-3">
+              <input
+                id="chart-top-n"
+                type="number"
+                min="0"
+                value={config.topN}
+                onChange={(e) => set('topN', Math.max(0, Math.round(Number(e.target.value))))}
+                className={fieldClass}
+                title={t('chartConfig.topNHint')}
+              />
+              {!isPivot && type !== 'box' && type !== 'heatmap' && (
+                <Toggle label={t('chartConfig.other')} checked={config.other} onChange={(value) => set('other', value)} />
+              )}
+            </div>
+            <select value={config.sort} onChange={(e) => set('sort', e.target.value)} className={`${fieldClass} mt-2`} aria-label={t('chartConfig.sort')}>
+              {Object.keys(SORT_ORDERS).map(value => (
+                <option key={value} value={value}>{t(`chartConfig.sort.${value}`)}</option>
+              ))}
+            </select>
+          </Field>
+        )}
+
+        {showFit && (
+          <Field id="chart-fit" label={t('chartConfig.fit')}>
+            <select id="chart-fit" value={fit.type} onChange={(e) => set('fit', { ...fit, type: e.target.value })} className={fieldClass}>
+              {Object.keys(FIT_TYPES).map(value => (
+                <option key={value} value={value}>{t(`fit.${value}`)}</option>
+              ))}
+            </select>
+            {fit.type === 'polynomial' && (
+              <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+                {t('chartConfig.degree')}
+                <input
+                  type="number"
+                  min="1"
+                  max={MAX_DEGREE}
+                  value={fit.degree}
+                  onChange={(e) => set('fit', { ...fit, degree: Math.min(MAX_DEGREE, Math.max(1, Math.round(Number(e.target.value)))) })}
+                  className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                />
+              </label>
+            )}
+            {fit.type !== 'none' && type === 'line' && (
+              <p className="text-xs text-gray-500 mt-2">{t(config.groupBy ? 'chartConfig.fitsFirstGroup' : 'chartConfig.fitsFirstSeries')}</p>
+            )}
+          </Field>
+        )}
+
+        <Field id="chart-axes" group label={t('chartConfig.axes')}>
+          {type !== 'pie' && (
+            <div className="space-y-2">
+              <input type="text" value={config.xTitle} placeholder={t('chartConfig.xTitle')} aria-label={t('chartConfig.xTitle')} onChange={(e) => set('xTitle', e.target.value)} className={fieldClass} />
+              <input type="text" value={config.yTitle} placeholder={t('chartConfig.yTitle')} aria-label={t('chartConfig.yTitle')} onChange={(e) => set('yTitle', e.target.value)} className={fieldClass} />
+            </div>
+          )}
+          <div className="flex flex-wrap gap-4 mt-2">
+            {type !== 'heatmap' && type !== 'box' && <Toggle label={t('chartConfig.legend')} checked={config.legend} onChange={(value) => set('legend', value)} />}
+            {showStacked && <Toggle label={t('chartConfig.stacked')} checked={config.stacked} onChange={(value) => set('stacked', value)} />}
+            {showLog && <Toggle label={t('chartConfig.logScale')} checked={config.logScale} onChange={(value) => set('logScale', value)} />}
+          </div>
+        </Field>
+      </div>
+    </div>
+  );
+};
+
+export default ChartConfigPanel;
@@ -0,0 +1,74 @@
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const TITLE_HEIGHT = 32;
+const LEGEND_ROW_HEIGHT = 22;
+
+const escapeXml = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Recharts draws the legend as HTML, so exported images get an SVG legend of their own.
+const legendMarkup = (legend, width, top) => {
+  let x = 16;
+  let y = top;
+  const items = legend.map(item => {
+    const itemWidth = 28 + item.label.length * 7;
+    if (x + itemWidth > width && x > 16) {
+      x = 16;
+      y += LEGEND_ROW_HEIGHT;
+    }
+    const markup = `<rect x="${x}" y="${y}" width="12" height="12" fill="${item.color}"/><text x="${x + 18}" y="${y + 11}">${escapeXml(item.label)}</text>`;
+    x += itemWidth;
+    return markup;
+  });
+  return { markup: items.join(''), height: legend.length ? y - top + LEGEND_ROW_HEIGHT : 0 };
+};
+
+// Standalone SVG of the chart drawn inside `container`, with an optional title and legend.
+export const chartSvgFrom = (container, { title = '', legend = [] } = {}) => {
+  const candidates = container ? Array.from(container.querySelectorAll('svg')) : [];
+  if (!candidates.length) return null;
+  const area = svg => {
+    const box = svg.getBoundingClientRect();
+    return (Number(svg.getAttribute('width')) || box.width) * (Number(svg.getAttribute('height')) || box.height);
+  };
+  const source = candidates.reduce((largest, svg) => (area(svg) > area(largest) ? svg : largest));
+  const box = source.getBoundingClientRect();
+  const width = Math.ceil(Number(source.getAttribute('width')) || box.width);
+  const chartHeight = Math.ceil(Number(source.getAttribute('height')) || box.height);
+
+  const clone = source.cloneNode(true);
+  clone.setAttribute('xmlns', SVG_NS);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', chartHeight);
+  clone.setAttribute('y', title ? TITLE_HEIGHT : 0);
+  const titleHeight = title ? TITLE_HEIGHT : 0;
+  const { markup, height: legendHeight } = legendMarkup(legend, width, titleHeight + chartHeight + 8);
+  const height = titleHeight + chartHeight + (legendHeight ? legendHeight + 8 : 0);
+
+  const svg = `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" font-size="12">`
+    + `<rect width="100%" height="100%" fill="#ffffff"/>`
+    + (title ? `<text x="${width / 2}" y="22" text-anchor="middle" font-size="16" font-weight="bold" fill="#1f2937">${escapeXml(title)}</text>` : '')
+    + new XMLSerializer().serializeToString(clone)
+    + `<g fill="#374151">${markup}</g>`
+    + '</svg>';
+
+  return { svg, width, height };
+};
+
+export const svgToPngBlob = ({ svg, width, height }, scale = 2) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render the chart as PNG'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render the chart as PNG'));
+  };
+  image.src = url;
+});
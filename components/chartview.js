@@ -0,0 +1,456 @@
+import React, { useState } from 'react';
+import { DEFAULT_THEME, useTheme } from './theme';
+import { fitLabel, useI18n } from './i18n';
+import { CONFIDENCE_LEVEL } from '../core/regression';
+import { chartTable, chartTitle } from '../core/chartdata';
+import {
+  ComposedChart, Bar, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
+  PieChart, Pie, Cell, ScatterChart, Scatter
+} from 'recharts';
+
+const CHART_HEIGHT = 400;
+// Neutral grey, so the fit stands apart from every palette colour.
+const FIT_COLOR = '#6b7280';
+const HEATMAP_CELL = { width: 56, height: 28 };
+const MAX_TABLE_ROWS = 500;
+
+// Axis and tooltip numbers, rounded to two decimals and grouped for the locale; [low, high] pairs are ranges.
+const numberFormatter = (formatNumber) => {
+  const format = (value) => (typeof value === 'number' ? formatNumber(Number(value.toFixed(2))) : value);
+  return (value) => (Array.isArray(value) ? value.map(format).join(' – ') : format(value));
+};
+
+const xAxisLabel = (value) => (value ? { value, position: 'insideBottom', offset: -5 } : undefined);
+const yAxisLabel = (value) => (value ? { value, angle: -90, position: 'insideLeft', style: { textAnchor: 'middle' } } : undefined);
+
+const logScaleProps = (config) => (config.logScale ? { scale: 'log', domain: ['auto', 'auto'], allowDataOverflow: true } : {});
+
+const Note = ({ children }) => <p className="text-yellow-700 text-sm mt-2">{children}</p>;
+
+const FitNote = ({ chart, format, t }) => {
+  const { formatNumber } = useI18n();
+  if (chart.fitUnavailable) return <Note>{t('chart.fitUnavailable')}</Note>;
+  if (!chart.fit) return null;
+  const { equation, rSquared, n, excluded, type } = chart.fit;
+  return (
+    <p className="text-gray-600 text-sm mt-2">
+      {t('chart.fitOver', { label: fitLabel(t, chart.fit), count: format(n) })} <span className="font-mono">{equation}</span>
+      {rSquared !== null && `, R² = ${formatNumber(rSquared, { minimumFractionDigits: 4, maximumFractionDigits: 4 })}${type === 'exponential' ? ` ${t('chart.onLogY')}` : ''}`}
+      {excluded > 0 && ` · ${t('chart.fitExcluded', { count: format(excluded) })}`}
+    </p>
+  );
+};
+
+const bandLabel = (t) => t('chart.confidenceBand', { level: CONFIDENCE_LEVEL * 100 });
+
+const renderSeries = (item, index, config, colors, dense) => {
+  const color = colors[index % colors.length];
+  const stackId = config.stacked ? 'stack' : undefined;
+  switch (config.type) {
+    case 'line':
+      return <Line key={item.key} yAxisId="value" type="monotone" dataKey={item.key} name={item.label} stroke={color} strokeWidth={2} dot={!dense} />;
+    case 'area':
+      return <Area key={item.key} yAxisId="value" type="monotone" dataKey={item.key} name={item.label} stroke={color} fill={color} fillOpacity={0.3} stackId={stackId} />;
+    default:
+      return <Bar key={item.key} yAxisId="value" dataKey={item.key} name={item.label} fill={color} stackId={stackId} />;
+  }
+};
+
+// Time-series overlays take the palette colours after the series', in this order, so each overlay keeps
+// its colour whichever of the others are shown.
+const OVERLAYS = ['rolling', 'trend', 'seasonal', 'change'];
+
+// Bar, line and area charts over categories or resampled periods, with the time-series overlays.
+const SeriesChart = ({ chart, config, colors, format, t, height, onCategoryClick }) => {
+  const timeSeries = chart.kind === 'timeseries';
+  const hasChange = timeSeries && chart.data.some(point => point.change !== undefined);
+  const hasSeasonal = timeSeries && chart.data.some(point => point.seasonal !== undefined);
+  const hasTrend = timeSeries && chart.data.some(point => point.trend !== undefined);
+  const hasRolling = timeSeries && chart.data.some(point => point.rolling !== undefined);
+  const dense = chart.data.length > 60;
+  const overlayColor = (key) => colors[(chart.series.length + OVERLAYS.indexOf(key)) % colors.length];
+
+  return (
+    <>
+      <ResponsiveContainer width="100%" height={height}>
+        <ComposedChart
+          data={chart.data}
+          margin={{ top: 20, right: 30, left: 20, bottom: 60 }}
+          onClick={onCategoryClick && (state => state && state.activeLabel !== undefined && onCategoryClick(state.activeLabel))}
+          className={onCategoryClick ? 'cursor-pointer' : undefined}
+        >
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="name" angle={-45} textAnchor="end" height={90} interval={dense ? 'preserveEnd' : 0} label={xAxisLabel(chart.axes.x)} />
+          <YAxis yAxisId="value" tickFormatter={format} label={yAxisLabel(chart.axes.y)} {...logScaleProps(config)} />
+          {hasChange && <YAxis yAxisId="change" orientation="right" unit="%" />}
+          {hasSeasonal && <YAxis yAxisId="seasonal" orientation="right" hide={hasChange} />}
+          <Tooltip formatter={format} />
+          {config.legend && <Legend verticalAlign="top" />}
+          {chart.series.map((item, index) => renderSeries(item, index, config, colors, dense))}
+          {hasRolling && (
+            <Line yAxisId="value" type="monotone" dataKey="rolling" name={t('chart.rolling', { periods: config.timeSeries.rolling })} stroke={overlayColor('rolling')} strokeWidth={2} dot={false} />
+          )}
+          {hasTrend && <Line yAxisId="value" type="monotone" dataKey="trend" name={t('chart.trend')} stroke={overlayColor('trend')} strokeDasharray="6 4" dot={false} />}
+          {hasSeasonal && <Line yAxisId="seasonal" type="monotone" dataKey="seasonal" name={t('chart.seasonal')} stroke={overlayColor('seasonal')} strokeDasharray="2 2" dot={false} />}
+          {hasChange && <Line yAxisId="change" type="monotone" dataKey="change" name={t('chart.change')} stroke={overlayColor('change')} dot={false} />}
+          {chart.fit && (
+            <Area yAxisId="value" type="monotone" dataKey="fitBand" name={bandLabel(t)} stroke="none" fill={FIT_COLOR} fillOpacity={0.15} legendType="none" />
+          )}
+          {chart.fit && (
+            <Line yAxisId="value" type="monotone" dataKey="fit" name={t('chart.fitLine', { label: fitLabel(t, chart.fit) })} stroke={FIT_COLOR} strokeWidth={2} dot={false} />
+          )}
+        </ComposedChart>
+      </ResponsiveContainer>
+      <FitNote chart={chart} format={format} t={t} />
+      {chart.hiddenCategories > 0 && <Note>{t('chart.hiddenCategories', { count: format(chart.hiddenCategories) })}</Note>}
+      {chart.truncated && <Note>{t('chart.truncated', { count: format(chart.data.length) })}</Note>}
+      {chart.decompositionUnavailable && <Note>{t('chart.decompositionUnavailable')}</Note>}
+    </>
+  );
+};
+
+const pieSlices = (chart) => {
+  const series = chart.series[0];
+  const points = chart.data.filter(point => typeof point[series.key] === 'number' && point[series.key] > 0);
+  const total = points.reduce((sum, point) => sum + point[series.key], 0);
+  return points.map(point => ({
+    name: point.name,
+    value: point[series.key],
+    share: total ? point[series.key] / total : 0
+  }));
+};
+
+const PieView = ({ chart, config, colors, format, height, onCategoryClick }) => {
+  const { formatNumber } = useI18n();
+  const series = chart.series[0];
+  const data = pieSlices(chart);
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <PieChart>
+        <Pie
+          data={data}
+          dataKey="value"
+          nameKey="name"
+          cx="50%"
+          cy="50%"
+          outerRadius={Math.min(120, height / 2 - 40)}
+          onClick={onCategoryClick && (entry => onCategoryClick(entry.name))}
+          label={({ name, share }) => `${name} (${formatNumber(share, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 })})`}
+        >
+          {data.map((entry, index) => (
+            <Cell key={entry.name} fill={colors[index % colors.length]} />
+          ))}
+        </Pie>
+        <Tooltip formatter={(value) => [format(value), series.label]} />
+        {config.legend && <Legend />}
+      </PieChart>
+    </ResponsiveContainer>
+  );
+};
+
+const ScatterView = ({ chart, config, colors, format, t, height }) => (
+  <>
+    <ResponsiveContainer width="100%" height={height}>
+      <ScatterChart margin={{ top: 20, right: 30, left: 20, bottom: 30 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="x" type="number" name={chart.axes.x} tickFormatter={format} label={xAxisLabel(chart.axes.x)} {...logScaleProps(config)} />
+        <YAxis dataKey="y" type="number" name={chart.axes.y} tickFormatter={format} label={yAxisLabel(chart.axes.y)} {...logScaleProps(config)} />
+        <Tooltip formatter={format} />
+        {config.legend && (chart.series.length > 1 || chart.fit) && <Legend verticalAlign="top" />}
+        {chart.series.map((item, index) => (
+          <Scatter key={item.key} name={item.label} data={item.points} fill={colors[index % colors.length]} />
+        ))}
+        {chart.fit && ['lower', 'upper'].map(bound => (
+          <Scatter
+            key={bound}
+            name={bandLabel(t)}
+            data={chart.fit.curve.map(point => ({ x: point.x, y: point[bound] }))}
+            line={{ stroke: FIT_COLOR, strokeDasharray: '4 4' }}
+            shape={() => null}
+            legendType="none"
+            isAnimationActive={false}
+          />
+        ))}
+        {chart.fit && (
+          <Scatter
+            name={t('chart.fitLine', { label: fitLabel(t, chart.fit) })}
+            data={chart.fit.curve.map(point => ({ x: point.x, y: point.fit }))}
+            line={{ stroke: FIT_COLOR, strokeWidth: 2 }}
+            shape={() => null}
+            legendType="line"
+            isAnimationActive={false}
+          />
+        )}
+      </ScatterChart>
+    </ResponsiveContainer>
+    <FitNote chart={chart} format={format} t={t} />
+    {chart.sampledFrom > 0 && <Note>{t('chart.sampled', { count: format(chart.sampledFrom) })}</Note>}
+  </>
+);
+
+const HistogramView = ({ chart, config, colors, height }) => (
+  <ResponsiveContainer width="100%" height={height}>
+    <ComposedChart data={chart.data} barCategoryGap={config.stacked || chart.series.length === 1 ? 0 : '10%'} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="name" angle={-45} textAnchor="end" height={90} label={xAxisLabel(chart.axes.x)} />
+      <YAxis yAxisId="value" allowDecimals={false} label={yAxisLabel(chart.axes.y)} {...logScaleProps(config)} />
+      <Tooltip />
+      {config.legend && chart.series.length > 1 && <Legend verticalAlign="top" />}
+      {chart.series.map((item, index) => (
+        <Bar key={item.key} yAxisId="value" dataKey={item.key} name={item.label} fill={colors[index % colors.length]} stackId={config.stacked ? 'stack' : undefined} />
+      ))}
+    </ComposedChart>
+  </ResponsiveContainer>
+);
+
+// Draws a box and whiskers inside the bar that recharts lays out for the [whiskerLow, whiskerHigh] range.
+const BoxShape = ({ x, y, width, height, payload, fill }) => {
+  const span = payload.whiskerHigh - payload.whiskerLow;
+  const toY = value => (span ? y + (height * (payload.whiskerHigh - value)) / span : y);
+  const centre = x + width / 2;
+  const boxWidth = Math.max(4, width * 0.6);
+  const left = centre - boxWidth / 2;
+  return (
+    <g>
+      <line x1={centre} x2={centre} y1={toY(payload.whiskerHigh)} y2={toY(payload.q3)} stroke="#374151" />
+      <line x1={centre} x2={centre} y1={toY(payload.q1)} y2={toY(payload.whiskerLow)} stroke="#374151" />
+      <line x1={left + boxWidth / 4} x2={left + (boxWidth * 3) / 4} y1={toY(payload.whiskerHigh)} y2={toY(payload.whiskerHigh)} stroke="#374151" />
+      <line x1={left + boxWidth / 4} x2={left + (boxWidth * 3) / 4} y1={toY(payload.whiskerLow)} y2={toY(payload.whiskerLow)} stroke="#374151" />
+      <rect x={left} y={toY(payload.q3)} width={boxWidth} height={Math.max(1, toY(payload.q1) - toY(payload.q3))} fill={fill} fillOpacity={0.6} stroke="#374151" />
+      <line x1={left} x2={left + boxWidth} y1={toY(payload.median)} y2={toY(payload.median)} stroke="#111827" strokeWidth={2} />
+    </g>
+  );
+};
+
+const BOX_STATS = [
+  ['chart.max', 'max'], ['chart.upperWhisker', 'whiskerHigh'], ['chart.q3', 'q3'], ['chart.median', 'median'],
+  ['chart.q1', 'q1'], ['chart.lowerWhisker', 'whiskerLow'], ['chart.min', 'min']
+];
+
+const BoxTooltip = ({ active, payload, format, t }) => {
+  if (!active || !payload || !payload.length) return null;
+  const stats = payload[0].payload;
+  return (
+    <div className="bg-white border border-gray-300 rounded-md p-2 text-sm shadow">
+      <p className="font-medium">{stats.name}</p>
+      {BOX_STATS.map(([label, key]) => (
+        <p key={key}>{t(label)}: {format(stats[key])}</p>
+      ))}
+      <p className="text-gray-500">{t('chart.boxCounts', { count: format(stats.count), outliers: format(stats.outliers) })}</p>
+    </div>
+  );
+};
+
+const BoxView = ({ chart, colors, format, t, height }) => (
+  <ResponsiveContainer width="100%" height={height}>
+    <ComposedChart data={chart.data} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="name" angle={-45} textAnchor="end" height={90} interval={0} label={xAxisLabel(chart.axes.x)} />
+      <YAxis tickFormatter={format} domain={['auto', 'auto']} label={yAxisLabel(chart.axes.y)} />
+      <Tooltip content={<BoxTooltip format={format} t={t} />} />
+      <Bar dataKey="range" fill={colors[0]} shape={<BoxShape />} isAnimationActive={false} />
+    </ComposedChart>
+  </ResponsiveContainer>
+);
+
+// Sequential blue scale for heatmap cells.
+const heatColor = (value, min, max) => {
+  if (typeof value !== 'number') return '#f3f4f6';
+  const t = max > min ? (value - min) / (max - min) : 1;
+  const mix = (from, to) => Math.round(from + (to - from) * t);
+  return `rgb(${mix(239, 29)}, ${mix(246, 78)}, ${mix(255, 216)})`;
+};
+
+const HeatmapView = ({ chart, format, t }) => {
+  const labelWidth = 120;
+  const headerHeight = 90;
+  const width = labelWidth + chart.xKeys.length * HEATMAP_CELL.width;
+  const height = headerHeight + chart.yKeys.length * HEATMAP_CELL.height + 30;
+  const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+  return (
+    <div className="overflow-auto">
+      <svg width={width} height={height} xmlns="http://www.w3.org/2000/svg" fontSize={11} fontFamily="sans-serif">
+        {chart.axes.y && <text x={4} y={12} fill="#374151" fontWeight="bold">{chart.axes.y}</text>}
+        {chart.xKeys.map((key, i) => (
+          <text
+            key={key}
+            transform={`translate(${labelWidth + i * HEATMAP_CELL.width + HEATMAP_CELL.width / 2}, ${headerHeight - 6}) rotate(-45)`}
+            fill="#374151"
+          >
+            <title>{key}</title>
+            {truncate(key, 14)}
+          </text>
+        ))}
+        {chart.yKeys.map((yKey, row) => (
+          <g key={yKey}>
+            <text x={labelWidth - 6} y={headerHeight + row * HEATMAP_CELL.height + HEATMAP_CELL.height / 2 + 4} textAnchor="end" fill="#374151">
+              <title>{yKey}</title>
+              {truncate(yKey, 18)}
+            </text>
+            {chart.xKeys.map((xKey, col) => {
+              const value = chart.cells[row][col];
+              const fill = heatColor(value, chart.min, chart.max);
+              const dark = typeof value === 'number' && chart.max > chart.min && (value - chart.min) / (chart.max - chart.min) > 0.55;
+              return (
+                <g key={xKey}>
+                  <rect
+                    x={labelWidth + col * HEATMAP_CELL.width}
+                    y={headerHeight + row * HEATMAP_CELL.height}
+                    width={HEATMAP_CELL.width - 1}
+                    height={HEATMAP_CELL.height - 1}
+                    fill={fill}
+                  >
+                    <title>{`${yKey} × ${xKey}: ${value === null ? t('chart.noRows') : format(value)}`}</title>
+                  </rect>
+                  {value !== null && (
+                    <text
+                      x={labelWidth + col * HEATMAP_CELL.width + HEATMAP_CELL.width / 2}
+                      y={headerHeight + row * HEATMAP_CELL.height + HEATMAP_CELL.height / 2 + 4}
+                      textAnchor="middle"
+                      fill={dark ? '#ffffff' : '#1f2937'}
+                    >
+                      {format(value)}
+                    </text>
+                  )}
+                </g>
+              );
+            })}
+          </g>
+        ))}
+        <text x={labelWidth} y={height - 8} fill="#374151" fontWeight="bold">{`${chart.axes.x} · ${chart.valueLabel}`}</text>
+      </svg>
+    </div>
+  );
+};
+
+// Legend entries matching the colours ChartView uses, for exported images.
+export const chartLegend = (chart, config, colors = DEFAULT_THEME.palette) => {
+  if (!chart || !chart.series || !chart.series.length) return [];
+  if (config.type === 'pie' && chart.data) {
+    return pieSlices(chart).map((slice, index) => ({ label: slice.name, color: colors[index % colors.length] }));
+  }
+  return chart.series.map((item, index) => ({ label: item.label, color: colors[index % colors.length] }));
+};
+
+// Header labels for chartTable, worded for this chart.
+const tableLabels = (chart, config, t) => ({
+  category: t('chart.category'),
+  column: t('chart.column'),
+  series: t('chart.series'),
+  x: t('chart.x'),
+  y: t('chart.y'),
+  count: t('chart.count'),
+  min: t('chart.min'),
+  whiskerLow: t('chart.lowerWhisker'),
+  q1: t('chart.q1'),
+  median: t('chart.median'),
+  q3: t('chart.q3'),
+  whiskerHigh: t('chart.upperWhisker'),
+  max: t('chart.max'),
+  outliers: t('chart.outliers'),
+  rolling: t('chart.rolling', { periods: config.timeSeries ? config.timeSeries.rolling : '' }),
+  trend: t('chart.trend'),
+  seasonal: t('chart.seasonal'),
+  change: t('chart.change'),
+  fit: chart.fit ? t('chart.fitLine', { label: fitLabel(t, chart.fit) }) : t('chart.fit'),
+  bandLow: t('chart.bandLow', { band: bandLabel(t) }),
+  bandHigh: t('chart.bandHigh', { band: bandLabel(t) })
+});
+
+// The chart's data as a table under the drawing, opened with a toggle. With `onCategoryClick`, the
+// categories of a category chart become buttons, so keyboard users can pick them too.
+const ChartTable = ({ chart, config, format, onCategoryClick }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const table = open ? chartTable(chart, config, tableLabels(chart, config, t)) : null;
+  const clickable = onCategoryClick && chart.kind === 'category';
+  const cell = (value) => (value === null || value === undefined ? '' : format(value));
+
+  return (
+    <div className="mt-2">
+      <button
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="text-sm text-blue-600 hover:text-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+      >
+        {t(open ? 'chart.hideTable' : 'chart.showTable')}
+      </button>
+      {table && (
+        <div className="mt-2 max-h-96 overflow-auto">
+          <table className="w-full border-collapse border border-gray-300 text-sm">
+            <caption className="sr-only">{chartTitle(config, chart)}</caption>
+            <thead>
+              <tr className="bg-gray-50">
+                {table.columns.map((column, index) => (
+                  <th key={index} scope="col" className="border border-gray-300 px-3 py-2 text-left">{column}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {table.rows.slice(0, MAX_TABLE_ROWS).map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  {row.map((value, index) => (index === 0 ? (
+                    <th key={index} scope="row" className="border border-gray-300 px-3 py-2 text-left font-medium">
+                      {clickable ? (
+                        <button onClick={() => onCategoryClick(value)} className="text-blue-600 hover:text-blue-800 underline">{cell(value)}</button>
+                      ) : cell(value)}
+                    </th>
+                  ) : (
+                    <td key={index} className={`border border-gray-300 px-3 py-2 ${typeof value === 'number' ? 'text-right' : ''}`}>{cell(value)}</td>
+                  )))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {table.rows.length > MAX_TABLE_ROWS && (
+            <p className="text-gray-500 text-sm mt-1">{t('chart.tableRows', { shown: format(MAX_TABLE_ROWS), total: format(table.rows.length) })}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const renderChart = (chart, config, props) => {
+  switch (chart.kind) {
+    case 'scatter':
+      return <ScatterView chart={chart} config={config} {...props} />;
+    case 'histogram':
+      return <HistogramView chart={chart} config={config} {...props} />;
+    case 'box':
+      return <BoxView chart={chart} {...props} />;
+    case 'heatmap':
+      return <HeatmapView chart={chart} {...props} />;
+    default:
+      return config.type === 'pie'
+        ? <PieView chart={chart} config={config} {...props} />
+        : <SeriesChart chart={chart} config={config} {...props} />;
+  }
+};
+
+// `onCategoryClick(name)` makes the categories of bar, line, area and pie charts clickable.
+const ChartView = ({ chart, config, colors, height = CHART_HEIGHT, onCategoryClick }) => {
+  const theme = useTheme();
+  const { t, formatNumber } = useI18n();
+  const palette = colors || theme.palette;
+  const format = numberFormatter(formatNumber);
+  if (!chart || chart.kind === 'empty') {
+    return <div className="text-gray-500 text-center py-8">{chart ? chart.message : t('chart.noData')}</div>;
+  }
+  if ((chart.data && !chart.data.length) || (chart.series && !chart.series.length) || (chart.xKeys && !chart.xKeys.length)) {
+    return <div className="text-gray-500 text-center py-8">{t('chart.noData')}</div>;
+  }
+
+  return (
+    <>
+      <div role="figure" aria-label={chartTitle(config, chart)}>
+        {renderChart(chart, config, { colors: palette, format, t, height, onCategoryClick })}
+      </div>
+      <ChartTable chart={chart} config={config} format={format} onCategoryClick={onCategoryClick} />
+    </>
+  );
+};
+
+export default ChartView;
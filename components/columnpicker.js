@@ -0,0 +1,28 @@
+import React from 'react';
+
+const fieldClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Multi-select of column names; the selection keeps the order columns were picked in. `labelledBy` is the
+// id of the caption that names the picker.
+const ColumnPicker = ({ headers, selected, onChange, emptyLabel, labelledBy }) => {
+  const toggle = (header) => {
+    onChange(selected.includes(header) ? selected.filter(item => item !== header) : [...selected, header]);
+  };
+  return (
+    <details className="relative" aria-labelledby={labelledBy}>
+      <summary className={`${fieldClass} cursor-pointer list-none bg-white`}>
+        {selected.length ? selected.join(', ') : emptyLabel}
+      </summary>
+      <div className="absolute z-10 mt-1 w-full max-h-60 overflow-y-auto bg-white border border-gray-300 rounded-md shadow-lg p-2">
+        {headers.map(header => (
+          <label key={header} className="flex items-center gap-2 text-sm py-0.5">
+            <input type="checkbox" checked={selected.includes(header)} onChange={() => toggle(header)} />
+            <span className="truncate">{header}</span>
+          </label>
+        ))}
+      </div>
+    </details>
+  );
+};
+
+export default ColumnPicker;
@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { Layers, Merge } from 'lucide-react';
+import { APPEND_MODES, JOIN_TYPES } from '../core/workspace';
+import ColumnPicker from './columnpicker';
+import { useI18n } from './i18n';
+
+const fieldClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+const labelClass = 'block text-sm font-medium text-gray-700 mb-2';
+
+const DatasetSelect = ({ id, tables, value, onChange }) => {
+  const { t } = useI18n();
+  return (
+    <select id={id} value={value} onChange={(e) => onChange(e.target.value)} className={fieldClass}>
+      <option value="">{t('combine.selectDataset')}</option>
+      {tables.map(table => (
+        <option key={table.id} value={table.id}>{table.name}</option>
+      ))}
+    </select>
+  );
+};
+
+// Forms for appending datasets and joining two of them; each produces a new dataset in the workspace.
+const CombinePanel = ({ tables, onAppend, onJoin }) => {
+  const { t } = useI18n();
+  const [append, setAppend] = useState({ names: [], mode: 'union', addSource: true, sourceColumn: 'source', name: '' });
+  const [join, setJoin] = useState({ leftId: '', rightId: '', leftKeys: [], rightKeys: [], type: 'inner', name: '' });
+
+  const byId = (id) => tables.find(table => table.id === id);
+  const appendTables = append.names.map(name => tables.find(table => table.name === name)).filter(Boolean);
+  const left = byId(join.leftId);
+  const right = byId(join.rightId);
+
+  const setAppendField = (key, value) => setAppend(prev => ({ ...prev, [key]: value }));
+  const setJoinField = (key, value) => setJoin(prev => ({ ...prev, [key]: value }));
+  const setJoinSide = (side, id) => setJoin(prev => ({ ...prev, [`${side}Id`]: id, [`${side}Keys`]: [] }));
+
+  const appendError = appendTables.length < 2 ? t('combine.appendNeedsTwo') : '';
+  let joinError = '';
+  if (!left || !right) joinError = t('combine.joinNeedsBoth');
+  else if (!join.leftKeys.length) joinError = t('combine.joinNeedsKeys');
+  else if (join.leftKeys.length !== join.rightKeys.length) joinError = t('combine.joinKeysMismatch');
+
+  const submitAppend = () => {
+    if (appendError) return;
+    onAppend({
+      ids: appendTables.map(table => table.id),
+      mode: append.mode,
+      sourceColumn: append.addSource ? append.sourceColumn.trim() : '',
+      name: append.name.trim()
+    });
+  };
+
+  const submitJoin = () => {
+    if (joinError) return;
+    onJoin({ ...join, name: join.name.trim() });
+  };
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+      <div className="border border-gray-200 rounded-lg p-4">
+        <h3 className="text-lg font-semibold mb-1 flex items-center gap-2">
+          <Layers size={20} />
+          {t('combine.appendTitle')}
+        </h3>
+        <p className="text-sm text-gray-500 mb-4">{t('combine.appendHint')}</p>
+        <div className="space-y-4">
+          <div>
+            <span id="append-datasets" className={labelClass}>{t('combine.appendDatasets')}</span>
+            <ColumnPicker
+              labelledBy="append-datasets"
+              headers={tables.map(table => table.name)}
+              selected={append.names}
+              onChange={(value) => setAppendField('names', value)}
+              emptyLabel={t('combine.selectDatasets')}
+            />
+          </div>
+          <div>
+            <label htmlFor="append-mode" className={labelClass}>{t('combine.appendMode')}</label>
+            <select id="append-mode" value={append.mode} onChange={(e) => setAppendField('mode', e.target.value)} className={fieldClass}>
+              {Object.keys(APPEND_MODES).map(key => (
+                <option key={key} value={key}>{t(`combine.appendMode.${key}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              id="append-source"
+              type="checkbox"
+              checked={append.addSource}
+              onChange={(e) => setAppendField('addSource', e.target.checked)}
+            />
+            <label htmlFor="append-source" className="text-sm text-gray-700 whitespace-nowrap">{t('combine.addSource')}</label>
+            <input
+              value={append.sourceColumn}
+              onChange={(e) => setAppendField('sourceColumn', e.target.value)}
+              disabled={!append.addSource}
+              className={fieldClass}
+              aria-label={t('combine.sourceColumn')}
+            />
+          </div>
+          <div>
+            <label htmlFor="append-name" className={labelClass}>{t('combine.newName')}</label>
+            <input id="append-name" value={append.name} onChange={(e) => setAppendField('name', e.target.value)} className={fieldClass} placeholder={t('dataset.appended')} />
+          </div>
+          {appendError && <p className="text-sm text-gray-500">{appendError}</p>}
+          <button
+            onClick={submitAppend}
+            disabled={Boolean(appendError)}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <Layers size={18} />
+            {t('combine.append')}
+          </button>
+        </div>
+      </div>
+
+      <div className="border border-gray-200 rounded-lg p-4">
+        <h3 className="text-lg font-semibold mb-1 flex items-center gap-2">
+          <Merge size={20} />
+          {t('combine.joinTitle')}
+        </h3>
+        <p className="text-sm text-gray-500 mb-4">{t('combine.joinHint')}</p>
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="join-left" className={labelClass}>{t('combine.leftDataset')}</label>
+              <DatasetSelect id="join-left" tables={tables} value={join.leftId} onChange={(id) => setJoinSide('left', id)} />
+            </div>
+            <div>
+              <label htmlFor="join-right" className={labelClass}>{t('combine.rightDataset')}</label>
+              <DatasetSelect id="join-right" tables={tables} value={join.rightId} onChange={(id) => setJoinSide('right', id)} />
+            </div>
+            <div>
+              <span id="join-left-keys" className={labelClass}>{t('combine.leftKeys')}</span>
+              <ColumnPicker
+                labelledBy="join-left-keys"
+                headers={left ? left.headers : []}
+                selected={join.leftKeys}
+                onChange={(value) => setJoinField('leftKeys', value)}
+                emptyLabel={t('combine.selectKeys')}
+              />
+            </div>
+            <div>
+              <span id="join-right-keys" className={labelClass}>{t('combine.rightKeys')}</span>
+              <ColumnPicker
+                labelledBy="join-right-keys"
+                headers={right ? right.headers : []}
+                selected={join.rightKeys}
+                onChange={(value) => setJoinField('rightKeys', value)}
+                emptyLabel={t('combine.selectKeys')}
+              />
+            </div>
+          </div>
+          <div>
+            <label htmlFor="join-type" className={labelClass}>{t('combine.joinType')}</label>
+            <select id="join-type" value={join.type} onChange={(e) => setJoinField('type', e.target.value)} className={fieldClass}>
+              {Object.keys(JOIN_TYPES).map(key => (
+                <option key={key} value={key}>{t(`combine.joinType.${key}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="join-name" className={labelClass}>{t('combine.newName')}</label>
+            <input id="join-name" value={join.name} onChange={(e) => setJoinField('name', e.target.value)} className={fieldClass} placeholder={t('combine.joinedPlaceholder')} />
+          </div>
+          {joinError && <p className="text-sm text-gray-500">{joinError}</p>}
+          <button
+            onClick={submitJoin}
+            disabled={Boolean(joinError)}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <Merge size={18} />
+            {t('combine.join')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CombinePanel;
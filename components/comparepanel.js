@@ -0,0 +1,292 @@
+import React from 'react';
+import { EFFECT_SIZE_THRESHOLD } from '../core/compare';
+import ColumnPicker from './columnpicker';
+import { useI18n } from './i18n';
+
+const fieldClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+const labelClass = 'block text-sm font-medium text-gray-700 mb-2';
+const cellClass = 'border border-gray-300 px-4 py-2';
+
+const NUMERIC_COLUMNS = [
+  'compare.column', 'compare.mean', 'compare.change', 'compare.median', 'compare.stdDev', 'compare.min', 'compare.max', 'compare.effectSize'
+];
+const CATEGORY_COLUMNS = ['compare.column', 'compare.distinct', 'compare.newValues', 'compare.droppedValues'];
+
+// Number formatters over the locale's formatNumber.
+const formatters = (formatNumber) => ({
+  fixed: (value) => (value === null || value === undefined || Number.isNaN(value)
+    ? '—'
+    : formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })),
+  signed: (value, digits = 0) => formatNumber(value, { signDisplay: 'exceptZero', minimumFractionDigits: digits, maximumFractionDigits: digits })
+});
+
+// Spelled out so Tailwind keeps the classes.
+const TONES = {
+  blue: { box: 'bg-blue-50', title: 'text-blue-800', value: 'text-blue-600' },
+  green: { box: 'bg-green-50', title: 'text-green-800', value: 'text-green-600' },
+  orange: { box: 'bg-orange-50', title: 'text-orange-800', value: 'text-orange-600' },
+  purple: { box: 'bg-purple-50', title: 'text-purple-800', value: 'text-purple-600' }
+};
+
+const Card = ({ title, value, detail, tone }) => (
+  <div className={`${TONES[tone].box} rounded-lg p-4`}>
+    <h4 className={`font-semibold ${TONES[tone].title}`}>{title}</h4>
+    <p className={`text-2xl font-bold ${TONES[tone].value}`}>{value}</p>
+    {detail && <p className={`text-sm ${TONES[tone].title}`}>{detail}</p>}
+  </div>
+);
+
+const SampleRows = ({ title, total, rows, columns, schema }) => {
+  const { t, formatNumber, formatCell } = useI18n();
+  return (
+    <div>
+      <h4 className="font-medium text-gray-700 mb-2">{title} ({formatNumber(total)})</h4>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('compare.none')}</p>
+      ) : (
+        <div className="overflow-auto max-h-80">
+          <table className="w-full border-collapse border border-gray-300 text-sm">
+            <thead>
+              <tr className="bg-gray-50">
+                {columns.map(column => (
+                  <th key={column} className={`${cellClass} text-left`}>{column}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row._index}>
+                  {columns.map(column => (
+                    <td key={column} className={cellClass}>{formatCell(row[column], schema[column])}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {total > rows.length && <p className="text-xs text-gray-500 mt-1">{t('compare.sampleShown', { count: formatNumber(rows.length) })}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Schema and statistics of two datasets side by side, from compareDatasets.
+const ComparePanel = ({ tables, config, comparison, onConfigChange }) => {
+  const { t, formatNumber } = useI18n();
+  const { fixed, signed } = formatters(formatNumber);
+  const setConfig = (key, value) => onConfigChange({ ...config, [key]: value });
+  const left = tables.find(table => table.id === config.leftId);
+  const right = tables.find(table => table.id === config.rightId);
+  const shared = left && right ? left.headers.filter(header => right.headers.includes(header)) : [];
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        {['left', 'right'].map(side => (
+          <div key={side}>
+            <label htmlFor={`compare-${side}`} className={labelClass}>{t(side === 'left' ? 'compare.left' : 'compare.right')}</label>
+            <select id={`compare-${side}`} value={config[`${side}Id`]} onChange={(e) => setConfig(`${side}Id`, e.target.value)} className={fieldClass}>
+              <option value="">{t('compare.selectDataset')}</option>
+              {tables.map(table => (
+                <option key={table.id} value={table.id}>{table.name}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+        <div>
+          <span id="compare-keys" className={labelClass}>{t('compare.keys')}</span>
+          <ColumnPicker
+            headers={shared}
+            selected={config.keys}
+            onChange={(value) => setConfig('keys', value)}
+            emptyLabel={t('compare.allShared')}
+            labelledBy="compare-keys"
+          />
+        </div>
+      </div>
+
+      {!comparison ? (
+        <div className="text-gray-500 text-center py-8">{t('compare.empty')}</div>
+      ) : (
+        <div className="space-y-8">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <Card
+              title={t('compare.rows')}
+              value={signed(comparison.rows.delta)}
+              detail={`${formatNumber(comparison.rows.left)} → ${formatNumber(comparison.rows.right)}`}
+              tone="blue"
+            />
+            <Card
+              title={t('compare.columns')}
+              value={`+${formatNumber(comparison.columns.added.length)} / −${formatNumber(comparison.columns.removed.length)}`}
+              detail={t('compare.columnsDetail', {
+                shared: formatNumber(comparison.columns.shared.length),
+                changed: formatNumber(comparison.columns.types.filter(item => item.changed).length)
+              })}
+              tone="green"
+            />
+            <Card title={t('compare.onlyIn', { name: comparison.names.left })} value={formatNumber(comparison.diff.onlyLeft)} tone="orange" />
+            <Card
+              title={t('compare.onlyIn', { name: comparison.names.right })}
+              value={formatNumber(comparison.diff.onlyRight)}
+              detail={comparison.diff.changed !== null ? t('compare.changed', { count: formatNumber(comparison.diff.changed) }) : ''}
+              tone="purple"
+            />
+          </div>
+
+          <div>
+            <h3 className="text-xl font-semibold mb-4">{t('compare.schema')}</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full border-collapse border border-gray-300">
+                <thead>
+                  <tr className="bg-gray-50">
+                    <th className={`${cellClass} text-left`}>{t('compare.column')}</th>
+                    <th className={`${cellClass} text-left`}>{comparison.names.left}</th>
+                    <th className={`${cellClass} text-left`}>{comparison.names.right}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.columns.types.map(item => (
+                    <tr key={item.column} className={item.changed ? 'bg-yellow-50' : ''}>
+                      <td className={`${cellClass} font-medium`}>{item.column}</td>
+                      <td className={cellClass}>{t(`type.${item.left}`)}</td>
+                      <td className={cellClass}>{t(`type.${item.right}`)}</td>
+                    </tr>
+                  ))}
+                  {comparison.columns.removed.map(column => (
+                    <tr key={`removed-${column}`} className="bg-red-50">
+                      <td className={`${cellClass} font-medium`}>{column}</td>
+                      <td className={cellClass}>{t(`type.${left.schema[column].type}`)}</td>
+                      <td className={`${cellClass} text-red-700`}>{t('compare.removed')}</td>
+                    </tr>
+                  ))}
+                  {comparison.columns.added.map(column => (
+                    <tr key={`added-${column}`} className="bg-green-50">
+                      <td className={`${cellClass} font-medium`}>{column}</td>
+                      <td className={`${cellClass} text-green-700`}>{t('compare.added')}</td>
+                      <td className={cellClass}>{t(`type.${right.schema[column].type}`)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {comparison.numeric.length > 0 && (
+            <div>
+              <h3 className="text-xl font-semibold mb-4">{t('compare.numeric')}</h3>
+              <div className="overflow-x-auto">
+                <table className="w-full border-collapse border border-gray-300">
+                  <thead>
+                    <tr className="bg-gray-50">
+                      {NUMERIC_COLUMNS.map(key => (
+                        <th key={key} className={`${cellClass} text-left`}>{t(key)}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {comparison.numeric.map(item => (
+                      <tr key={item.column} className={item.shifted ? 'bg-yellow-50' : ''}>
+                        <td className={`${cellClass} font-medium`}>{item.column}</td>
+                        <td className={cellClass}>{fixed(item.left.mean)} → {fixed(item.right.mean)}</td>
+                        <td className={cellClass}>
+                          {signed(item.meanDelta, 2)}
+                          {item.meanChange !== null && ` (${formatNumber(item.meanChange / 100, { style: 'percent', signDisplay: 'exceptZero', minimumFractionDigits: 1, maximumFractionDigits: 1 })})`}
+                        </td>
+                        <td className={cellClass}>{fixed(item.left.median)} → {fixed(item.right.median)}</td>
+                        <td className={cellClass}>{fixed(item.left.stdDev)} → {fixed(item.right.stdDev)}</td>
+                        <td className={cellClass}>{fixed(item.left.min)} → {fixed(item.right.min)}</td>
+                        <td className={cellClass}>{fixed(item.left.max)} → {fixed(item.right.max)}</td>
+                        <td className={cellClass}>{fixed(item.effectSize)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-sm text-gray-500 mt-2">{t('compare.shiftedHint', { threshold: formatNumber(EFFECT_SIZE_THRESHOLD) })}</p>
+            </div>
+          )}
+
+          {(comparison.missing.length > 0 || comparison.categories.length > 0) && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {comparison.missing.length > 0 && (
+                <div>
+                  <h3 className="text-xl font-semibold mb-4">{t('compare.missing')}</h3>
+                  <table className="w-full border-collapse border border-gray-300">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        <th className={`${cellClass} text-left`}>{t('compare.column')}</th>
+                        <th className={`${cellClass} text-left`}>{comparison.names.left}</th>
+                        <th className={`${cellClass} text-left`}>{comparison.names.right}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparison.missing.map(item => (
+                        <tr key={item.column}>
+                          <td className={`${cellClass} font-medium`}>{item.column}</td>
+                          <td className={cellClass}>{formatNumber(item.left)}</td>
+                          <td className={cellClass}>{formatNumber(item.right)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              {comparison.categories.length > 0 && (
+                <div>
+                  <h3 className="text-xl font-semibold mb-4">{t('compare.categories')}</h3>
+                  <table className="w-full border-collapse border border-gray-300">
+                    <thead>
+                      <tr className="bg-gray-50">
+                        {CATEGORY_COLUMNS.map(key => (
+                          <th key={key} className={`${cellClass} text-left`}>{t(key)}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparison.categories.map(item => (
+                        <tr key={item.column}>
+                          <td className={`${cellClass} font-medium`}>{item.column}</td>
+                          <td className={cellClass}>{formatNumber(item.left)} → {formatNumber(item.right)}</td>
+                          <td className={cellClass}>{item.added === null ? '—' : formatNumber(item.added)}</td>
+                          <td className={cellClass}>{item.removed === null ? '—' : formatNumber(item.removed)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          <div>
+            <h3 className="text-xl font-semibold mb-1">{t('compare.rowDifferences')}</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              {comparison.diff.keys.length
+                ? t('compare.matchedOn', { keys: comparison.diff.keys.join(', ') })
+                : t('compare.matchedOnAll')}
+            </p>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <SampleRows
+                title={t('compare.onlyIn', { name: comparison.names.left })}
+                total={comparison.diff.onlyLeft}
+                rows={comparison.diff.samples.left}
+                columns={comparison.columns.shared}
+                schema={left.schema}
+              />
+              <SampleRows
+                title={t('compare.onlyIn', { name: comparison.names.right })}
+                total={comparison.diff.onlyRight}
+                rows={comparison.diff.samples.right}
+                columns={comparison.columns.shared}
+                schema={right.schema}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparePanel;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { useI18n } from './i18n';
+
+// Diverging scale: blue for positive, red for negative correlations.
+const cellColor = (value) => {
+  if (value === null) return '#f3f4f6';
+  const strength = Math.round(Math.abs(value) * 200);
+  return value >= 0 ? `rgb(${255 - strength}, ${255 - strength * 0.6}, 255)` : `rgb(255, ${255 - strength}, ${255 - strength})`;
+};
+
+const CorrelationHeatmap = ({ correlations }) => {
+  const { t, formatNumber } = useI18n();
+  const [method, setMethod] = useState('pearson');
+  if (!correlations) return null;
+  const fixed = (value, digits) => formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+  const matrix = correlations[method];
+
+  return (
+    <div className="mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold">{t('correlation.title')}</h3>
+        <div className="flex border border-gray-300 rounded-md overflow-hidden text-sm">
+          {['pearson', 'spearman'].map(key => (
+            <button
+              key={key}
+              onClick={() => setMethod(key)}
+              className={`px-3 py-1 ${method === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {t(`correlation.${key}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="border-collapse text-sm">
+          <thead>
+            <tr>
+              <td />
+              {correlations.columns.map(col => (
+                <th key={col} className="px-2 py-1 font-medium text-gray-700 max-w-24 truncate" title={col}>{col}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {correlations.columns.map((row, i) => (
+              <tr key={row}>
+                <th className="px-2 py-1 font-medium text-gray-700 text-right max-w-32 truncate" title={row}>{row}</th>
+                {matrix[i].map((value, j) => (
+                  <td
+                    key={correlations.columns[j]}
+                    className="w-16 h-10 text-center border border-white"
+                    style={{ backgroundColor: cellColor(value) }}
+                    title={t('correlation.cell', {
+                      row,
+                      column: correlations.columns[j],
+                      value: value === null ? t('correlation.notAvailable') : fixed(value, 3),
+                      pairs: formatNumber(correlations.pairs[i][j])
+                    })}
+                  >
+                    {value === null ? '—' : fixed(value, 2)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {correlations.truncated > 0 && (
+        <p className="text-yellow-700 text-sm mt-2">
+          {t('correlation.truncated', { shown: formatNumber(correlations.columns.length), more: formatNumber(correlations.truncated) })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CorrelationHeatmap;
@@ -0,0 +1,290 @@
+import React, { useState } from 'react';
+import { ArrowLeft, ArrowRight, Download, FilterX, Gauge, Trash2, Upload, X } from 'lucide-react';
+import { aggregationsFor } from '../core/aggregate';
+import { defaultFilterFor } from '../core/filters';
+import { GRID_COLUMNS, MAX_WIDGET_HEIGHT, createWidget, crossFilterFor, kpiTitle, moveWidget, resizeWidget } from '../core/dashboard';
+import { ColumnFilter } from './datagrid';
+import ChartView from './chartview';
+import { useI18n } from './i18n';
+
+const fieldClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+const smallButtonClass = 'p-1 text-gray-500 hover:text-gray-700 disabled:opacity-30';
+
+const SPAN_CLASSES = {
+  1: 'md:col-span-1',
+  2: 'md:col-span-2',
+  3: 'md:col-span-3',
+  4: 'md:col-span-4'
+};
+
+// Chart height in pixels for each grid row a widget spans.
+const ROW_HEIGHT = 200;
+
+const emptyKpi = () => ({ column: '', aggregation: 'count', percentile: 90 });
+
+const KpiForm = ({ headers, schema, onAdd }) => {
+  const { t } = useI18n();
+  const [measure, setMeasure] = useState(emptyKpi());
+  const update = (patch) => {
+    const next = { ...measure, ...patch };
+    if (!aggregationsFor(schema[next.column]).includes(next.aggregation)) next.aggregation = 'count';
+    setMeasure(next);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select value={measure.column} onChange={(e) => update({ column: e.target.value })} className={fieldClass} aria-label={t('dashboard.kpiColumn')}>
+        <option value="">{t('dashboard.kpiRows')}</option>
+        {headers.map(header => (
+          <option key={header} value={header}>{header}</option>
+        ))}
+      </select>
+      <select
+        value={measure.aggregation}
+        onChange={(e) => update({ aggregation: e.target.value })}
+        className={fieldClass}
+        aria-label={t('dashboard.kpiAggregation')}
+      >
+        {(measure.column ? aggregationsFor(schema[measure.column]) : ['count']).map(key => (
+          <option key={key} value={key}>{t(`aggregation.${key}`)}</option>
+        ))}
+      </select>
+      {measure.aggregation === 'percentile' && (
+        <input
+          type="number"
+          min="0"
+          max="100"
+          value={measure.percentile}
+          onChange={(e) => update({ percentile: Math.min(100, Math.max(0, Number(e.target.value))) })}
+          className="w-20 px-2 py-2 border border-gray-300 rounded-md"
+          title={t('dashboard.percentile')}
+          aria-label={t('dashboard.percentile')}
+        />
+      )}
+      <button
+        onClick={() => {
+          onAdd(createWidget('kpi', { title: kpiTitle(measure), measure }));
+          setMeasure(emptyKpi());
+        }}
+        className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+      >
+        <Gauge size={18} />
+        {t('dashboard.addKpi')}
+      </button>
+    </div>
+  );
+};
+
+// Filters applied to every widget: add a column, then set its filter as on the Data tab.
+const FilterBar = ({ headers, schema, filters, valueOptions, onChange }) => {
+  const { t } = useI18n();
+  const available = headers.filter(header => !filters[header]);
+  const setFilter = (header, filter) => onChange({ ...filters, [header]: filter });
+  const removeFilter = (header) => {
+    const { [header]: removed, ...rest } = filters;
+    onChange(rest);
+  };
+
+  return (
+    <div className="flex flex-wrap items-end gap-3 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+      {Object.entries(filters).map(([header, filter]) => (
+        <div key={header} className="w-56">
+          <div className="flex justify-between items-center text-sm font-medium text-gray-700 mb-1">
+            <span className="truncate" title={header}>{header}</span>
+            <button onClick={() => removeFilter(header)} className={smallButtonClass} aria-label={t('dashboard.removeFilter', { column: header })}>
+              <X size={14} />
+            </button>
+          </div>
+          {schema[header] ? (
+            <ColumnFilter
+              name={header}
+              column={schema[header]}
+              filter={filter}
+              options={valueOptions[header] || []}
+              onChange={(value) => setFilter(header, value)}
+            />
+          ) : (
+            <p className="text-sm text-red-600">{t('dashboard.missingColumn')}</p>
+          )}
+        </div>
+      ))}
+      <select
+        value=""
+        onChange={(e) => setFilter(e.target.value, defaultFilterFor(schema[e.target.value], (valueOptions[e.target.value] || []).length))}
+        className={fieldClass}
+        disabled={!available.length}
+        aria-label={t('dashboard.addFilter')}
+      >
+        <option value="">{t('dashboard.addFilter')}</option>
+        {available.map(header => (
+          <option key={header} value={header}>{header}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+const Widget = ({ widget, result, index, count, crossFilter, onChange, onMove, onResize, onRemove, onCrossFilter }) => {
+  const { t, formatNumber } = useI18n();
+  const clickCategory = (name) => {
+    const filter = crossFilterFor(widget, result.chart, name);
+    if (!filter) return;
+    const same = crossFilter && crossFilter.widgetId === filter.widgetId && crossFilter.value === filter.value;
+    onCrossFilter(same ? null : filter);
+  };
+
+  return (
+    <div className={`col-span-1 ${SPAN_CLASSES[widget.width]} bg-white border rounded-lg p-3 ${crossFilter && crossFilter.widgetId === widget.id ? 'border-blue-400' : 'border-gray-200'}`}>
+      <div className="flex items-center gap-1 mb-2">
+        <input
+          type="text"
+          value={widget.title}
+          onChange={(e) => onChange({ ...widget, title: e.target.value })}
+          className="flex-1 min-w-0 px-1 font-medium text-gray-800 border border-transparent rounded hover:border-gray-300 focus:outline-none focus:border-blue-500"
+          aria-label={t('dashboard.widgetTitle')}
+        />
+        <select value={widget.width} onChange={(e) => onResize({ width: Number(e.target.value) })} className="text-sm border border-gray-300 rounded-md" title={t('dashboard.width')} aria-label={t('dashboard.width')}>
+          {Array.from({ length: GRID_COLUMNS }, (item, i) => i + 1).map(width => (
+            <option key={width} value={width}>{t('dashboard.wide', { count: width })}</option>
+          ))}
+        </select>
+        {widget.type === 'chart' && (
+          <select value={widget.height} onChange={(e) => onResize({ height: Number(e.target.value) })} className="text-sm border border-gray-300 rounded-md" title={t('dashboard.height')} aria-label={t('dashboard.height')}>
+            {Array.from({ length: MAX_WIDGET_HEIGHT }, (item, i) => i + 1).map(height => (
+              <option key={height} value={height}>{t('dashboard.high', { count: height })}</option>
+            ))}
+          </select>
+        )}
+        <button onClick={() => onMove(-1)} disabled={index === 0} className={smallButtonClass} aria-label={t('dashboard.moveEarlier')}>
+          <ArrowLeft size={16} />
+        </button>
+        <button onClick={() => onMove(1)} disabled={index === count - 1} className={smallButtonClass} aria-label={t('dashboard.moveLater')}>
+          <ArrowRight size={16} />
+        </button>
+        <button onClick={onRemove} className="p-1 text-red-500 hover:text-red-700" aria-label={t('dashboard.removeWidget', { title: widget.title || t('dashboard.widget') })}>
+          <Trash2 size={16} />
+        </button>
+      </div>
+      {!result ? null : result.error ? (
+        <p className="text-sm text-red-600 py-4">{result.error}</p>
+      ) : widget.type === 'kpi' ? (
+        <div className="py-2">
+          <p className="text-3xl font-bold text-blue-600">
+            {result.value === null || Number.isNaN(result.value) ? '—' : formatNumber(result.value, { maximumFractionDigits: 2 })}
+          </p>
+          <p className="text-sm text-gray-500">{t('dashboard.kpiOver', { rows: formatNumber(result.rows) })}</p>
+        </div>
+      ) : (
+        <ChartView
+          chart={result.chart}
+          config={widget.config}
+          height={widget.height * ROW_HEIGHT}
+          onCategoryClick={clickCategory}
+        />
+      )}
+    </div>
+  );
+};
+
+const DashboardPanel = ({ headers, schema, dashboard, results, crossFilter, issues, valueOptions, onChange, onCrossFilter, onExport, onImport }) => {
+  const { t, formatNumber } = useI18n();
+  const updateWidget = (widget) => onChange({ ...dashboard, widgets: dashboard.widgets.map(existing => (existing.id === widget.id ? widget : existing)) });
+  const removeWidget = (id) => {
+    if (crossFilter && crossFilter.widgetId === id) onCrossFilter(null);
+    onChange({ ...dashboard, widgets: dashboard.widgets.filter(widget => widget.id !== id) });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={dashboard.name}
+          onChange={(e) => onChange({ ...dashboard, name: e.target.value })}
+          className={`${fieldClass} flex-1 min-w-0 font-medium`}
+          aria-label={t('dashboard.name')}
+        />
+        <KpiForm headers={headers} schema={schema} onAdd={(widget) => onChange({ ...dashboard, widgets: [...dashboard.widgets, widget] })} />
+        <button
+          onClick={onExport}
+          disabled={!dashboard.widgets.length}
+          className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+        >
+          <Download size={18} />
+          {t('dashboard.exportJson')}
+        </button>
+        <label className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors cursor-pointer focus-within:ring-2 focus-within:ring-blue-500">
+          <Upload size={18} />
+          {t('dashboard.importJson')}
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="sr-only"
+            onChange={(e) => {
+              if (e.target.files[0]) onImport(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+      </div>
+
+      {issues.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+          {t('dashboard.issues', { issues: issues.join('; ') })}
+        </div>
+      )}
+
+      <FilterBar
+        headers={headers}
+        schema={schema}
+        filters={dashboard.filters}
+        valueOptions={valueOptions}
+        onChange={(filters) => onChange({ ...dashboard, filters })}
+      />
+
+      {crossFilter && (
+        <div className="flex items-center gap-2 text-sm">
+          <span className="px-2 py-1 bg-blue-50 border border-blue-200 rounded-md text-blue-800">
+            {crossFilter.column} = {crossFilter.label}
+          </span>
+          <button onClick={() => onCrossFilter(null)} className="flex items-center gap-1 text-blue-600 hover:text-blue-800">
+            <FilterX size={16} />
+            {t('dashboard.clearCrossFilter')}
+          </button>
+        </div>
+      )}
+
+      {!dashboard.widgets.length ? (
+        <div className="text-gray-500 text-center py-8">
+          {t('dashboard.empty')}
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500">
+            {t(dashboard.widgets.length === 1 ? 'dashboard.widgetCount' : 'dashboard.widgetsCount', { count: formatNumber(dashboard.widgets.length) })}{' '}
+            {t('dashboard.crossFilterHint')}
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            {dashboard.widgets.map((widget, index) => (
+              <Widget
+                key={widget.id}
+                widget={widget}
+                result={results[widget.id]}
+                index={index}
+                count={dashboard.widgets.length}
+                crossFilter={crossFilter}
+                onChange={updateWidget}
+                onMove={(delta) => onChange(moveWidget(dashboard, widget.id, delta))}
+                onResize={(size) => onChange(resizeWidget(dashboard, widget.id, size))}
+                onRemove={() => removeWidget(widget.id)}
+                onCrossFilter={onCrossFilter}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DashboardPanel;
@@ -0,0 +1,274 @@
+import React, { useState, useMemo } from 'react';
+import { FixedSizeList } from 'react-window';
+import { ArrowUp, ArrowDown, ChevronLeft, ChevronRight, Search, X } from 'lucide-react';
+import { formatValue, isNumericType, isDateType } from '../core/typeinference';
+import { defaultFilterFor, emptyView, isFilterActive, isValidPattern, sortRows } from '../core/filters';
+import { useI18n } from './i18n';
+
+const COLUMN_WIDTH = 180;
+const ROW_HEIGHT = 36;
+const GRID_HEIGHT = 480;
+const PAGE_SIZES = [100, 500, 1000, 5000];
+
+const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Filter input for one column, `name`; also used by the dashboard filter bar.
+export const ColumnFilter = ({ name, column, filter, options, onChange }) => {
+  const { t } = useI18n();
+  if (filter.kind === 'outside') {
+    return (
+      <div className="flex items-center gap-1 px-2 py-1 text-sm bg-yellow-50 border border-yellow-300 rounded-md">
+        <span className="flex-1 truncate" title={t('grid.outsideHint')}>
+          {t('grid.outside', { min: filter.min, max: filter.max })}
+        </span>
+        <button onClick={() => onChange(defaultFilterFor(column, options.length))} className="text-gray-500 hover:text-gray-700" aria-label={t('grid.clearOutlierFilter')}>
+          <X size={14} />
+        </button>
+      </div>
+    );
+  }
+
+  if (filter.kind === 'range') {
+    const inputType = isDateType(column.type) ? 'date' : 'number';
+    return (
+      <div className="flex gap-1">
+        <input
+          type={inputType}
+          value={filter.min}
+          placeholder={t('grid.min')}
+          aria-label={t('grid.filterMin', { column: name })}
+          onChange={(e) => onChange({ ...filter, min: e.target.value })}
+          className={inputClass}
+        />
+        <input
+          type={inputType}
+          value={filter.max}
+          placeholder={t('grid.max')}
+          aria-label={t('grid.filterMax', { column: name })}
+          onChange={(e) => onChange({ ...filter, max: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+    );
+  }
+
+  if (filter.kind === 'values') {
+    const toggle = (value) => {
+      const values = filter.values.includes(value)
+        ? filter.values.filter(existing => existing !== value)
+        : [...filter.values, value];
+      onChange({ ...filter, values });
+    };
+    return (
+      <details className="relative">
+        <summary className={`${inputClass} cursor-pointer list-none bg-white`}>
+          {filter.values.length ? t('grid.selected', { count: filter.values.length }) : t('grid.allValues')}
+        </summary>
+        <div className="absolute z-10 mt-1 w-full max-h-60 overflow-y-auto bg-white border border-gray-300 rounded-md shadow-lg p-2">
+          {options.map(value => (
+            <label key={value} className="flex items-center gap-2 text-sm py-0.5">
+              <input type="checkbox" checked={filter.values.includes(value)} onChange={() => toggle(value)} />
+              <span className="truncate">{value}</span>
+            </label>
+          ))}
+        </div>
+      </details>
+    );
+  }
+
+  const invalid = filter.mode === 'regex' && !isValidPattern(filter.pattern);
+  return (
+    <div className="flex gap-1">
+      <select
+        value={filter.mode}
+        onChange={(e) => onChange({ ...filter, mode: e.target.value })}
+        className="px-1 py-1 text-sm border border-gray-300 rounded-md"
+        aria-label={t('grid.filterMode', { column: name })}
+      >
+        <option value="contains">{t('grid.contains')}</option>
+        <option value="regex">{t('grid.regex')}</option>
+      </select>
+      <input
+        type="text"
+        value={filter.pattern}
+        onChange={(e) => onChange({ ...filter, pattern: e.target.value })}
+        className={`${inputClass} ${invalid ? 'border-red-400 bg-red-50' : ''}`}
+        aria-label={t('grid.filterPattern', { column: name })}
+      />
+    </div>
+  );
+};
+
+const DataGrid = ({ headers, schema, rows, totalRows, view, valueOptions, onViewChange }) => {
+  const { t, formatNumber, formatCell } = useI18n();
+  const [sort, setSort] = useState({ column: null, direction: 'asc' });
+  const [pageIndex, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+
+  const sortedRows = useMemo(() => sortRows(rows, sort.column, sort.direction), [rows, sort]);
+  const pageCount = Math.max(1, Math.ceil(sortedRows.length / pageSize));
+  // Rows removed from outside, e.g. by a cleaning step, can leave the page past the end.
+  const page = Math.min(pageIndex, pageCount - 1);
+  const pageRows = sortedRows.slice(page * pageSize, (page + 1) * pageSize);
+  const gridWidth = headers.length * COLUMN_WIDTH;
+
+  const toggleSort = (column) => {
+    setSort(prev => {
+      if (prev.column !== column) return { column, direction: 'asc' };
+      if (prev.direction === 'asc') return { column, direction: 'desc' };
+      return { column: null, direction: 'asc' };
+    });
+  };
+
+  // New filters start again from the first page.
+  const changeView = (next) => {
+    setPage(0);
+    onViewChange(next);
+  };
+
+  const filterFor = (header) => view.filters[header] || defaultFilterFor(schema[header], (valueOptions[header] || []).length);
+
+  const setFilter = (header, filter) => {
+    changeView({ ...view, filters: { ...view.filters, [header]: filter } });
+  };
+
+  const hasActiveFilters = Boolean(view.search) || Boolean(view.rows) || Object.values(view.filters).some(isFilterActive);
+
+  const renderRow = ({ index, style }) => {
+    const row = pageRows[index];
+    return (
+      <div style={style} className={`flex border-b border-gray-200 ${index % 2 ? 'bg-gray-50' : 'bg-white'}`}>
+        {headers.map(header => (
+          <div
+            key={header}
+            style={{ width: COLUMN_WIDTH }}
+            className={`px-3 py-2 text-sm truncate flex-shrink-0 ${isNumericType(schema[header].type) ? 'text-right' : ''}`}
+            title={formatValue(row[header], schema[header])}
+          >
+            {row[header] === null ? <span className="text-gray-300">—</span> : formatCell(row[header], schema[header])}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+        <div className="relative flex-1 min-w-[240px] max-w-md">
+          <Search className="absolute left-3 top-2.5 text-gray-400" size={18} />
+          <input
+            type="text"
+            value={view.search}
+            onChange={(e) => changeView({ ...view, search: e.target.value })}
+            placeholder={t('grid.search')}
+            aria-label={t('grid.search')}
+            className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div className="flex items-center gap-4 text-sm text-gray-600">
+          {view.rows && (
+            <span className="flex items-center gap-1 px-2 py-1 bg-yellow-50 border border-yellow-300 rounded-md">
+              {view.rows.label}
+              <button
+                onClick={() => changeView({ ...view, rows: null })}
+                className="text-yellow-700 hover:text-yellow-900"
+                aria-label={t('grid.showAllRows')}
+              >
+                <X size={14} />
+              </button>
+            </span>
+          )}
+          <span>{t('grid.rowCount', { shown: formatNumber(rows.length), total: formatNumber(totalRows) })}</span>
+          {hasActiveFilters && (
+            <button
+              onClick={() => changeView(emptyView())}
+              className="flex items-center gap-1 px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+            >
+              <X size={16} />
+              {t('action.clearFilters')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto border border-gray-300 rounded-lg">
+        <div style={{ width: gridWidth }}>
+          <div className="flex bg-gray-50 border-b border-gray-300">
+            {headers.map(header => (
+              <div key={header} style={{ width: COLUMN_WIDTH }} className="px-3 py-2 flex-shrink-0 space-y-2">
+                <button
+                  onClick={() => toggleSort(header)}
+                  className="flex items-center gap-1 font-semibold text-left text-gray-800 w-full"
+                  title={t('grid.sort')}
+                >
+                  <span className="truncate">{header}</span>
+                  {sort.column === header && (sort.direction === 'asc' ? <ArrowUp size={14} /> : <ArrowDown size={14} />)}
+                </button>
+                <ColumnFilter
+                  name={header}
+                  column={schema[header]}
+                  filter={filterFor(header)}
+                  options={valueOptions[header] || []}
+                  onChange={(filter) => setFilter(header, filter)}
+                />
+              </div>
+            ))}
+          </div>
+          {pageRows.length > 0 ? (
+            <FixedSizeList
+              height={Math.min(GRID_HEIGHT, pageRows.length * ROW_HEIGHT)}
+              width={gridWidth}
+              itemCount={pageRows.length}
+              itemSize={ROW_HEIGHT}
+            >
+              {renderRow}
+            </FixedSizeList>
+          ) : (
+            <div className="text-gray-500 text-center py-8">{t('grid.noMatches')}</div>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap justify-between items-center gap-4 mt-4 text-sm text-gray-600">
+        <div className="flex items-center gap-2">
+          <label htmlFor="page-size">{t('grid.pageSize')}</label>
+          <select
+            id="page-size"
+            value={pageSize}
+            onChange={(e) => {
+              setPageSize(Number(e.target.value));
+              setPage(0);
+            }}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+          >
+            {PAGE_SIZES.map(size => (
+              <option key={size} value={size}>{size}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page === 0}
+            className="p-1 border border-gray-300 rounded-md disabled:opacity-50"
+            aria-label={t('grid.previousPage')}
+          >
+            <ChevronLeft size={18} />
+          </button>
+          <span>{t('grid.page', { page: page + 1, count: pageCount })}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pageCount - 1}
+            className="p-1 border border-gray-300 rounded-md disabled:opacity-50"
+            aria-label={t('grid.nextPage')}
+          >
+            <ChevronRight size={18} />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataGrid;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { Database, Pencil, Trash2, Check } from 'lucide-react';
+import { useI18n } from './i18n';
+
+const fieldClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Picks the active dataset of the workspace and renames or removes it.
+const DatasetSwitcher = ({ datasets, activeId, onSelect, onRename, onRemove }) => {
+  const { t, formatNumber } = useI18n();
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState('');
+  const active = datasets.find(dataset => dataset.id === activeId);
+  if (!active) return null;
+
+  const startRename = () => {
+    setName(active.name);
+    setEditing(true);
+  };
+
+  const finishRename = () => {
+    if (name.trim() && name.trim() !== active.name) onRename(active.id, name.trim());
+    setEditing(false);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-3 mb-6 flex flex-wrap items-center gap-2">
+      <Database className="text-blue-500" size={18} />
+      <label htmlFor="dataset-select" className="text-sm font-medium text-gray-700">{t('dataset.label')}</label>
+      {editing ? (
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') finishRename();
+            if (e.key === 'Escape') setEditing(false);
+          }}
+          className={fieldClass}
+          aria-label={t('dataset.name')}
+          autoFocus
+        />
+      ) : (
+        <select
+          id="dataset-select"
+          value={activeId}
+          onChange={(e) => onSelect(e.target.value)}
+          className={fieldClass}
+        >
+          {datasets.map(dataset => (
+            <option key={dataset.id} value={dataset.id}>
+              {t(dataset.table.rows.length === 1 ? 'dataset.optionRow' : 'dataset.optionRows', { name: dataset.name, count: formatNumber(dataset.table.rows.length) })}
+            </option>
+          ))}
+        </select>
+      )}
+      <button
+        onClick={editing ? finishRename : startRename}
+        className="p-2 border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+        aria-label={t(editing ? 'dataset.saveName' : 'dataset.rename')}
+      >
+        {editing ? <Check size={16} /> : <Pencil size={16} />}
+      </button>
+      <button
+        onClick={() => onRemove(active.id)}
+        className="p-2 border border-gray-300 rounded-md text-red-600 hover:bg-red-50 transition-colors"
+        aria-label={t('dataset.remove')}
+      >
+        <Trash2 size={16} />
+      </button>
+      {active.origin && <span className="text-sm text-gray-500">{active.origin}</span>}
+      {datasets.length > 1 && (
+        <span className="text-sm text-gray-500 ml-auto">{t('dataset.count', { count: formatNumber(datasets.length) })}</span>
+      )}
+    </div>
+  );
+};
+
+export default DatasetSwitcher;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { useI18n } from './i18n';
+
+const cellClass = 'border border-gray-300 px-4 py-2';
+
+const shortDate = (iso) => (iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.replace('.000Z', 'Z'));
+
+const DateColumnsPanel = ({ dateStats }) => {
+  const { t, formatNumber } = useI18n();
+  const entries = Object.entries(dateStats || {});
+  if (!entries.length) return null;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-xl font-semibold mb-4">{t('dates.title')}</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse border border-gray-300">
+          <thead>
+            <tr className="bg-gray-50">
+              <th className={`${cellClass} text-left`}>{t('dates.column')}</th>
+              <th className={`${cellClass} text-left`}>{t('dates.from')}</th>
+              <th className={`${cellClass} text-left`}>{t('dates.to')}</th>
+              <th className={`${cellClass} text-left`}>{t('dates.distinct')}</th>
+              <th className={`${cellClass} text-left`}>{t('dates.granularity')}</th>
+              <th className={`${cellClass} text-left`}>{t('dates.missingPeriods')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(([col, stats]) => (
+              <tr key={col}>
+                <td className={`${cellClass} font-medium`}>{col}</td>
+                <td className={cellClass}>{shortDate(stats.min)}</td>
+                <td className={cellClass}>{shortDate(stats.max)}</td>
+                <td className={cellClass}>{formatNumber(stats.distinct)}</td>
+                <td className={cellClass}>{stats.granularity ? t(`dates.period.${stats.granularity}`) : '—'}</td>
+                <td className={cellClass}>
+                  {stats.missingPeriods === null ? '—' : formatNumber(stats.missingPeriods)}
+                  {stats.gaps.length > 0 && (
+                    <div className="text-gray-500 text-sm">
+                      {t('dates.largestGaps', { gaps: stats.gaps.map(gap => (gap.from === gap.to ? gap.from : `${gap.from} – ${gap.to}`)).join(', ') })}
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default DateColumnsPanel;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { DEFAULT_BINS } from '../core/analyser';
+import { useTheme } from './theme';
+import { useI18n } from './i18n';
+
+// Bin edges: whole numbers when large or integral, two decimals otherwise.
+const tickFormatter = (formatNumber) => (value) => (Math.abs(value) >= 1000 || Number.isInteger(value)
+  ? formatNumber(Math.round(value))
+  : formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+
+const HistogramPanel = ({ histograms, binCounts, onBinCountChange }) => {
+  const { palette } = useTheme();
+  const { t, formatNumber } = useI18n();
+  const tick = tickFormatter(formatNumber);
+  const columns = Object.keys(histograms);
+  if (!columns.length) return null;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-xl font-semibold mb-4">{t('histogram.title')}</h3>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {columns.map(col => {
+          const bins = binCounts[col] || DEFAULT_BINS;
+          const points = histograms[col].map(bin => ({ ...bin, label: `${tick(bin.start)} – ${tick(bin.end)}` }));
+          return (
+            <div key={col} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex justify-between items-center mb-2">
+                <h4 className="font-medium text-gray-800">{col}</h4>
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  {t('histogram.bins')}
+                  <input
+                    type="range"
+                    min="5"
+                    max="100"
+                    value={bins}
+                    onChange={(e) => onBinCountChange(col, Number(e.target.value))}
+                  />
+                  <span className="w-8 text-right">{bins}</span>
+                </label>
+              </div>
+              <ResponsiveContainer width="100%" height={200}>
+                <BarChart data={points} barCategoryGap={0}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="start" tickFormatter={tick} />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip labelFormatter={(value, payload) => (payload && payload[0] ? payload[0].payload.label : value)} />
+                  <Bar dataKey="count" name={t('histogram.count')} fill={palette[0]} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default HistogramPanel;
@@ -0,0 +1,668 @@
+import { createContext, useContext } from 'react';
+import { formatValue, isNumericType, isDateType } from '../core/typeinference';
+
+// UI strings and locale-aware formatting. `messages` overrides any of the English strings below;
+// `{name}` placeholders are filled from the values passed to t(). Without a locale, numbers use the
+// browser's default grouping and cells keep their canonical text, as before.
+
+export const DEFAULT_MESSAGES = {
+  'app.title': 'Data Analyzer Pro',
+  'app.subtitle': 'Upload, analyze, and visualize your data',
+  'app.sections': 'Sections',
+  'tab.upload': 'Upload',
+  'tab.data': 'Data',
+  'tab.analyze': 'Analyze',
+  'tab.pivot': 'Pivot',
+  'tab.visualize': 'Visualize',
+  'tab.dashboard': 'Dashboard',
+  'tab.combine': 'Combine',
+  'tab.query': 'Query',
+  'upload.title': 'Upload Your Data File',
+  'upload.hint': 'Drag and drop, paste, or click to select your data file',
+  'upload.dropZone': 'Drop a data file here, or paste a file or data copied from a spreadsheet',
+  'upload.nothingPasted': 'The clipboard holds no file or text to load',
+  'upload.formats': 'Supported formats: {formats}. Each file is added to the workspace as a new dataset.',
+  'upload.choose': 'Choose File',
+  'upload.addAnother': 'Add Another File',
+  'upload.processing': 'Processing...',
+  'upload.parsing': 'Parsing {name}...',
+  'upload.analysing': 'Analyzing {name}...',
+  'upload.rowsRead': '{rows} rows read',
+  'upload.loaded': 'Successfully loaded {rows} rows',
+  'upload.loadedFile': 'Loaded {rows} rows from {name}',
+  'upload.cancelled': 'Loading cancelled',
+  'upload.unsupported': 'Unsupported file type. Please upload one of: {formats}',
+  'upload.sheet': 'Sheet',
+  'error.loadData': 'Error loading data: {message}',
+  'error.loadPipeline': 'Error loading pipeline: {message}',
+  'error.loadDashboard': 'Error loading dashboard: {message}',
+  'error.saveSession': 'Could not save the session: {message}',
+  'error.openSession': 'Error opening session: {message}',
+  'error.renameSession': 'Error renaming session: {message}',
+  'error.deleteSession': 'Error deleting session: {message}',
+  'error.importSession': 'Error importing session: {message}',
+  'dataset.defaultName': 'Data',
+  'dataset.label': 'Dataset',
+  'dataset.name': 'Dataset name',
+  'dataset.optionRow': '{name} ({count} row)',
+  'dataset.optionRows': '{name} ({count} rows)',
+  'dataset.saveName': 'Save dataset name',
+  'dataset.rename': 'Rename dataset',
+  'dataset.remove': 'Remove dataset from the workspace',
+  'dataset.count': '{count} datasets in the workspace',
+  'dataset.appended': 'Appended',
+  'dataset.appendedFrom': 'Appended from {names}',
+  'dataset.appendedWithConflicts': 'Appended from {names}; types differed for {columns}',
+  'dataset.joined': '{type} join on {keys}: {matched} matched, {leftOnly} only in {left}, {rightOnly} only in {right}',
+  'dataset.joinType.inner': 'Inner',
+  'dataset.joinType.left': 'Left',
+  'dataset.joinType.right': 'Right',
+  'dataset.joinType.outer': 'Outer',
+  'dataset.queryResult': 'Query result',
+  'dataset.fromQuery': 'Query: {sql}',
+  'action.cancel': 'Cancel',
+  'action.clearFilters': 'Clear filters',
+  'action.apply': 'Apply',
+  'view.filtered': 'Showing {shown} of {total} rows, filtered on the Data tab',
+  'data.title': 'Data',
+  'data.exportCsv': 'Export CSV',
+  'data.exportXlsx': 'Export XLSX',
+  'grid.search': 'Search all columns...',
+  'grid.rowCount': '{shown} of {total} rows',
+  'grid.showAllRows': 'Show all rows',
+  'grid.sort': 'Sort',
+  'grid.noMatches': 'No rows match the current filters',
+  'grid.pageSize': 'Rows per page',
+  'grid.page': 'Page {page} of {count}',
+  'grid.previousPage': 'Previous page',
+  'grid.nextPage': 'Next page',
+  'grid.min': 'Min',
+  'grid.max': 'Max',
+  'grid.filterMin': 'Minimum {column}',
+  'grid.filterMax': 'Maximum {column}',
+  'grid.filterMode': 'How to match {column}',
+  'grid.filterPattern': 'Filter {column}',
+  'grid.allValues': 'All values',
+  'grid.selected': '{count} selected',
+  'grid.contains': 'Contains',
+  'grid.regex': 'Regex',
+  'grid.outside': 'Outside {min} – {max}',
+  'grid.outsideHint': 'Rows below the lower or above the upper bound',
+  'grid.clearOutlierFilter': 'Clear outlier filter',
+  'analyze.title': 'Data Analysis Summary',
+  'analyze.statsCsv': 'Stats CSV',
+  'analyze.statsXlsx': 'Stats XLSX',
+  'analyze.json': 'JSON',
+  'analyze.exportReport': 'Export Report',
+  'analyze.reportTitle': 'HTML report, printable to PDF',
+  'analyze.reportWithChart': 'HTML report, printable to PDF, with {count} chart',
+  'analyze.reportWithCharts': 'HTML report, printable to PDF, with {count} charts',
+  'analyze.totalRows': 'Total Rows',
+  'analyze.totalColumns': 'Total Columns',
+  'analyze.numericColumns': 'Numeric Columns',
+  'analyze.textColumns': 'Text Columns',
+  'analyze.missingValues': 'Missing Values',
+  'analyze.missingCount': '{count} missing values',
+  'type.integer': 'Integer',
+  'type.float': 'Decimal',
+  'type.currency': 'Currency',
+  'type.percentage': 'Percentage',
+  'type.boolean': 'Boolean',
+  'type.date': 'Date',
+  'type.datetime': 'Date & Time',
+  'type.string': 'Text',
+  'schema.title': 'Column Types',
+  'schema.reset': 'Reset to Detected',
+  'schema.rerun': 'Re-run Analysis',
+  'schema.column': 'Column',
+  'schema.detected': 'Detected',
+  'schema.type': 'Type',
+  'schema.typeOf': 'Type of {column}',
+  'schema.invalid': 'Invalid Cells',
+  'schema.sample': 'Sample',
+  'numeric.title': 'Numeric Column Statistics',
+  'numeric.column': 'Column',
+  'numeric.min': 'Min',
+  'numeric.q1': 'Q1',
+  'numeric.median': 'Median',
+  'numeric.q3': 'Q3',
+  'numeric.max': 'Max',
+  'numeric.iqr': 'IQR',
+  'numeric.mean': 'Mean',
+  'numeric.stdDev': 'Std Dev',
+  'numeric.skewness': 'Skewness',
+  'numeric.kurtosis': 'Kurtosis',
+  'numeric.percentiles': 'Percentiles',
+  'numeric.percentile': 'P{p}',
+  'numeric.approximate': 'Quantiles for large columns are estimated from a random sample of {count} values.',
+  'outliers.title': 'Outliers',
+  'outliers.method': 'Outlier method',
+  'outliers.iqr': 'IQR (outside Q1 − {multiplier}×IQR, Q3 + {multiplier}×IQR)',
+  'outliers.zScore': 'Z-score (|z| > {threshold})',
+  'outliers.column': 'Column',
+  'outliers.lower': 'Lower Bound',
+  'outliers.upper': 'Upper Bound',
+  'outliers.count': 'Outliers',
+  'outliers.rows': 'Rows',
+  'outliers.viewRows': 'View rows',
+  'correlation.title': 'Correlations',
+  'correlation.pearson': 'Pearson',
+  'correlation.spearman': 'Spearman',
+  'correlation.cell': '{row} × {column}: {value} ({pairs} pairs)',
+  'correlation.notAvailable': 'n/a',
+  'correlation.truncated': 'Showing the first {shown} numeric columns; {more} more were left out.',
+  'histogram.title': 'Distributions',
+  'histogram.bins': 'Bins',
+  'histogram.count': 'Count',
+  'categorical.title': 'Categorical Columns',
+  'categorical.column': 'Column',
+  'categorical.distinct': 'Distinct',
+  'categorical.uniqueness': 'Uniqueness',
+  'categorical.cardinality': 'Cardinality',
+  'categorical.mostFrequent': 'Most Frequent',
+  'categorical.level.constant': 'Constant',
+  'categorical.level.low': 'Low',
+  'categorical.level.high': 'High cardinality',
+  'categorical.level.id': 'ID-like',
+  'categorical.sort': 'Sort',
+  'categorical.frequenciesOf': 'Frequencies of',
+  'categorical.groupUnder': 'Group values under (%)',
+  'categorical.idLike': 'Almost every value of {column} is unique, so it is probably an identifier rather than a category.',
+  'categorical.kept': 'The {kept} most frequent of {distinct} values are listed; the rest are grouped.',
+  'categorical.value': 'Value',
+  'categorical.count': 'Count',
+  'categorical.share': '%',
+  'categorical.cumulative': 'Cumulative %',
+  'categorical.groupedValues': '{label} – {count} values',
+  'categorical.showFirst': 'Show the first {count}',
+  'categorical.showAll': 'Show all {count} rows',
+  'categorical.crossTab': 'Cross-Tabulation',
+  'categorical.rows': 'Rows',
+  'categorical.columns': 'Columns',
+  'categorical.show': 'Show',
+  'categorical.selectColumn': 'Select column',
+  'categorical.values.count': 'Counts',
+  'categorical.values.row': 'Row %',
+  'categorical.values.column': 'Column %',
+  'categorical.chooseTwo': 'Choose two different columns to cross-tabulate.',
+  'categorical.total': 'Total',
+  'categorical.crossTabGrouped': 'Less frequent values are grouped.',
+  'categorical.crossTabSkipped': '{count} rows missing either value are left out.',
+  'categorical.chiSquare': 'Chi-square test of independence',
+  'categorical.chiSquareResult': "χ² = {statistic}, df = {df}, p = {p}, Cramér's V = {v}",
+  'categorical.associated': '{rows} and {columns} look associated (significant at the 5% level).',
+  'categorical.notAssociated': 'No significant association between {rows} and {columns} at the 5% level.',
+  'categorical.lowExpected': '{low} of {cells} cells expect fewer than {min} rows, so the p-value may be unreliable.',
+  'categorical.testNeedsValues': 'The test needs at least two values in each column.',
+  'dates.title': 'Date Columns',
+  'dates.column': 'Column',
+  'dates.from': 'From',
+  'dates.to': 'To',
+  'dates.distinct': 'Distinct Dates',
+  'dates.granularity': 'Granularity',
+  'dates.missingPeriods': 'Missing Periods',
+  'dates.largestGaps': 'Largest: {gaps}',
+  'dates.period.second': 'Seconds',
+  'dates.period.minute': 'Minutes',
+  'dates.period.hour': 'Hourly',
+  'dates.period.day': 'Daily',
+  'dates.period.week': 'Weekly',
+  'dates.period.month': 'Monthly',
+  'dates.period.quarter': 'Quarterly',
+  'dates.period.year': 'Yearly',
+  'dates.period.irregular': 'Irregular',
+  'quality.title': 'Data Quality',
+  'quality.scope': 'Checked on every row after cleaning, ignoring filters.',
+  'quality.nullTokens': 'Read as missing (comma-separated)',
+  'quality.duplicates': '{count} duplicate rows',
+  'quality.duplicateRows': 'Duplicate rows',
+  'quality.view': 'View',
+  'quality.column': 'Column',
+  'quality.type': 'Type',
+  'quality.missing': 'Missing',
+  'quality.placeholders': 'Placeholders',
+  'quality.distinct': 'Distinct',
+  'quality.unique': 'Unique',
+  'quality.mixedTypes': 'Mixed Types',
+  'quality.whitespace': 'Whitespace',
+  'quality.length': 'Length',
+  'quality.pattern': 'Pattern',
+  'quality.patternFor': 'Pattern for {column}',
+  'quality.noPattern': 'None',
+  'quality.regexFor': 'Regular expression for {column}',
+  'quality.detected': '(detected)',
+  'quality.notMatching': '{column} not matching {pattern}',
+  'quality.rules': 'Validation Rules',
+  'quality.ruleType': 'Rule type',
+  'quality.ruleColumn': 'Rule column',
+  'quality.selectColumn': 'Select column...',
+  'quality.selectColumns': 'Select columns...',
+  'quality.minimum': 'Minimum',
+  'quality.maximum': 'Maximum',
+  'quality.allowedValues': 'Allowed values',
+  'quality.addRule': 'Add Rule',
+  'quality.needColumns': 'Choose at least one column',
+  'quality.needColumn': 'Choose a column',
+  'quality.needBounds': 'Enter a minimum, a maximum or both',
+  'quality.needValues': 'List the allowed values',
+  'quality.noRules': 'No rules yet, e.g. "id is unique", "age between 0 and 120" or "status in {A, B, C}".',
+  'quality.rule': 'Rule',
+  'quality.passed': 'Passed',
+  'quality.failed': 'Failed',
+  'quality.skipped': 'Skipped (missing)',
+  'quality.actions': 'Actions',
+  'quality.failing': 'Failing: {rule}',
+  'quality.viewRows': 'View rows',
+  'quality.removeRule': 'Remove rule {rule}',
+  'fit.none': 'None',
+  'fit.linear': 'Linear',
+  'fit.polynomial': 'Polynomial',
+  'fit.polynomialDegree': 'Polynomial (degree {degree})',
+  'fit.exponential': 'Exponential',
+  'fit.logarithmic': 'Logarithmic',
+  'fit.multiple': 'Multiple linear',
+  'regression.title': 'Regression',
+  'regression.target': 'Target (y)',
+  'regression.selectColumn': 'Select column...',
+  'regression.predictors': 'Predictors (x)',
+  'regression.selectPredictors': 'Select predictors...',
+  'regression.model': 'Model',
+  'regression.multiple': 'Multiple linear regression',
+  'regression.degree': 'Degree',
+  'regression.empty': 'Choose a target column and one or more predictors to fit a model.',
+  'regression.rSquared': 'R²',
+  'regression.rSquaredLog': 'R² (on ln y)',
+  'regression.adjustedRSquared': 'Adjusted R²',
+  'regression.residualStdError': 'Residual Std Error',
+  'regression.fStatistic': 'F Statistic',
+  'regression.fPValue': 'F Test p-value',
+  'regression.observations': 'Observations',
+  'regression.skipped': '{count} rows missing a value are left out.',
+  'regression.excluded': "{count} rows the {model} fit can't use (non-positive values) are left out.",
+  'regression.term': 'Term',
+  'regression.estimate': 'Estimate',
+  'regression.stdError': 'Std Error',
+  'regression.t': 't',
+  'regression.pValue': 'p-value',
+  'regression.residualsTitle': 'Residuals vs Fitted',
+  'regression.fitted': 'Fitted',
+  'regression.residual': 'Residual',
+  'regression.sampled': 'Showing an evenly spaced sample of the {count} rows.',
+  'regression.predict': 'Predict {column}',
+  'regression.interval': '{level}% confidence interval for the mean: {lower} – {upper}',
+  'regression.cannotPredict': "The {model} model can't predict from these values.",
+  'regression.error.noColumns': 'Choose a target column and at least one predictor.',
+  'regression.error.targetIsPredictor': "The target column can't also be a predictor.",
+  'regression.error.missingColumns': 'No column named {columns}.',
+  'regression.error.nonNumeric': 'Regression needs numeric columns; not numeric: {columns}.',
+  'regression.error.notFitted': 'Not enough rows to fit this model, or its terms are collinear.',
+  'regression.extrapolation': '{column} is outside the fitted range ({min} – {max}), so this is an extrapolation.',
+  'pivot.title': 'Pivot Table',
+  'pivot.rowKeys': 'Row Keys',
+  'pivot.selectRowKeys': 'Select row keys...',
+  'pivot.columnKeys': 'Column Keys (optional)',
+  'pivot.noColumnKeys': 'None',
+  'pivot.measures': 'Measures',
+  'pivot.empty': 'Choose at least one row key and one measure to build a pivot table',
+  'pivot.chart': 'Chart This',
+  'pivot.exportCsv': 'Export CSV',
+  'pivot.truncatedColumns': 'Showing the first {shown} column groups; {hidden} more were left out.',
+  'pivot.total': 'Total',
+  'pivot.subtotal': 'Subtotal',
+  'pivot.grandTotal': 'Grand Total',
+  'pivot.truncatedRows': 'Showing {shown} of {total} rows. Export to CSV for the full table.',
+  'visualize.title': 'Data Visualization',
+  'visualize.addToReport': 'Add to Report',
+  'visualize.inReport': 'In the report:',
+  'visualize.removeFromReport': 'Remove {title} from the report',
+  'visualize.saveWidget': 'Save as Widget',
+  'dashboard.title': 'Dashboard',
+  'dashboard.name': 'Dashboard name',
+  'dashboard.exportJson': 'Export JSON',
+  'dashboard.importJson': 'Import JSON',
+  'dashboard.issues': 'This dataset differs from the one the dashboard was saved with: {issues}.',
+  'dashboard.kpiColumn': 'KPI column',
+  'dashboard.kpiAggregation': 'KPI aggregation',
+  'dashboard.kpiRows': '(rows)',
+  'dashboard.percentile': 'Percentile',
+  'dashboard.addKpi': 'Add KPI',
+  'dashboard.kpiOver': 'over {rows} rows',
+  'dashboard.addFilter': 'Add filter...',
+  'dashboard.removeFilter': 'Remove the {column} filter',
+  'dashboard.missingColumn': 'Column not in this dataset',
+  'dashboard.clearCrossFilter': 'Clear cross-filter',
+  'dashboard.empty': 'Save charts from the Visualize tab or add KPI cards to build the dashboard',
+  'dashboard.widgetCount': '{count} widget.',
+  'dashboard.widgetsCount': '{count} widgets.',
+  'dashboard.crossFilterHint': 'Click a bar, point or slice of a category chart to filter the other widgets by it.',
+  'dashboard.widget': 'widget',
+  'dashboard.widgetTitle': 'Widget title',
+  'dashboard.width': 'Width in grid columns',
+  'dashboard.wide': '{count} wide',
+  'dashboard.height': 'Height in grid rows',
+  'dashboard.high': '{count} high',
+  'dashboard.moveEarlier': 'Move earlier',
+  'dashboard.moveLater': 'Move later',
+  'dashboard.removeWidget': 'Remove {title}',
+  'sessions.title': 'Recent Sessions',
+  'sessions.new': 'New Session',
+  'sessions.export': 'Export Session',
+  'sessions.import': 'Import Session',
+  'sessions.unavailable': "Sessions can't be saved in this browser, but you can still export and import session files.",
+  'sessions.empty': 'Sessions are saved automatically once a file is loaded.',
+  'sessions.name': 'Session name',
+  'sessions.open': '(open)',
+  'sessions.openAction': 'Open',
+  'sessions.dataset': '{count} dataset',
+  'sessions.datasets': '{count} datasets',
+  'sessions.row': '{count} row',
+  'sessions.rows': '{count} rows',
+  'sessions.saveName': 'Save session name',
+  'sessions.rename': 'Rename {name}',
+  'sessions.delete': 'Delete {name}',
+  'sessions.storage': 'Browser storage',
+  'sessions.storageUsed': '{used} of {quota} used',
+  'pipeline.title': 'Cleaning Pipeline',
+  'pipeline.undo': 'Undo',
+  'pipeline.redo': 'Redo',
+  'pipeline.save': 'Save',
+  'pipeline.load': 'Load',
+  'pipeline.empty': 'No cleaning steps yet. Steps are replayed in order over the uploaded file.',
+  'pipeline.enableStep': 'Enable step',
+  'pipeline.enableStepNumber': 'Enable step {number}',
+  'pipeline.moveUp': 'Move up',
+  'pipeline.moveDown': 'Move down',
+  'pipeline.removeStep': 'Remove step',
+  'pipeline.stepType': 'Step type',
+  'pipeline.addStep': 'Add Step',
+  'pipeline.column': 'Column',
+  'pipeline.selectColumn': 'Select column...',
+  'pipeline.selectColumns': 'Select columns...',
+  'pipeline.allColumns': 'All columns',
+  'pipeline.allColumnsLower': 'all columns',
+  'pipeline.allTextColumns': 'All text columns',
+  'pipeline.newName': 'New name',
+  'pipeline.fillWith': 'Fill with',
+  'pipeline.fillValue': 'Fill value',
+  'pipeline.transform': 'Transform',
+  'pipeline.newType': 'New type',
+  'pipeline.newColumn': 'New column',
+  'pipeline.expression': 'Expression',
+  'pipeline.expressionExample': 'e.g. price * qty',
+  'pipeline.needsColumns': 'Choose at least one column',
+  'pipeline.needsRename': 'Choose a column and a new name',
+  'pipeline.needsColumn': 'Choose a column',
+  'pipeline.needsName': 'Name the new column',
+  'pipeline.step.dropColumns': 'Drop columns',
+  'pipeline.step.renameColumn': 'Rename column',
+  'pipeline.step.fillMissing': 'Fill missing values',
+  'pipeline.step.dropMissing': 'Drop rows with missing values',
+  'pipeline.step.textTransform': 'Transform text',
+  'pipeline.step.deduplicate': 'Remove duplicate rows',
+  'pipeline.step.castType': 'Change column type',
+  'pipeline.step.deriveColumn': 'Add derived column',
+  'pipeline.fill.value': 'Constant value',
+  'pipeline.fill.mean': 'Mean',
+  'pipeline.fill.median': 'Median',
+  'pipeline.fill.mode': 'Most frequent value',
+  'pipeline.fill.previous': 'Previous value',
+  'pipeline.text.trim': 'Trim whitespace',
+  'pipeline.text.collapse': 'Collapse whitespace',
+  'pipeline.text.lower': 'lowercase',
+  'pipeline.text.upper': 'UPPERCASE',
+  'pipeline.text.title': 'Title Case',
+  'pipeline.describe.dropColumns': 'Drop {columns}',
+  'pipeline.describe.renameColumn': 'Rename "{from}" to "{to}"',
+  'pipeline.describe.fillMissing': 'Fill missing {column} with {with}',
+  'pipeline.describe.dropMissing': 'Drop rows missing {columns}',
+  'pipeline.describe.textTransform': '{operation} in {columns}',
+  'pipeline.describe.deduplicate': 'Remove duplicates by {columns}',
+  'pipeline.describe.castType': 'Cast {column} to {type}',
+  'combine.title': 'Combine Datasets',
+  'combine.selectDataset': 'Select dataset...',
+  'combine.selectDatasets': 'Select datasets...',
+  'combine.selectKeys': 'Select key columns...',
+  'combine.appendNeedsTwo': 'Choose at least two datasets',
+  'combine.joinNeedsBoth': 'Choose a left and a right dataset',
+  'combine.joinNeedsKeys': 'Choose the key columns',
+  'combine.joinKeysMismatch': 'Choose the same number of key columns on both sides',
+  'combine.appendTitle': 'Append Rows',
+  'combine.appendHint': 'Stack datasets on top of each other, lining up columns by name.',
+  'combine.appendDatasets': 'Datasets (in order)',
+  'combine.appendMode': 'Columns',
+  'combine.appendMode.union': 'All columns (blank where missing)',
+  'combine.appendMode.intersect': 'Shared columns only',
+  'combine.addSource': 'Add a column naming the source dataset',
+  'combine.sourceColumn': 'Source column name',
+  'combine.newName': 'New dataset name (optional)',
+  'combine.append': 'Append',
+  'combine.joinTitle': 'Join',
+  'combine.joinHint': 'Match rows of two datasets on key columns; keys pair up in the order they are picked.',
+  'combine.leftDataset': 'Left dataset',
+  'combine.rightDataset': 'Right dataset',
+  'combine.leftKeys': 'Left keys',
+  'combine.rightKeys': 'Right keys',
+  'combine.joinType': 'Join type',
+  'combine.joinType.inner': 'Inner (matching rows only)',
+  'combine.joinType.left': 'Left (all rows of the left dataset)',
+  'combine.joinType.right': 'Right (all rows of the right dataset)',
+  'combine.joinType.outer': 'Full outer (all rows of both)',
+  'combine.joinedPlaceholder': 'Joined',
+  'combine.join': 'Join',
+  'compare.title': 'Compare Datasets',
+  'compare.left': 'Compare',
+  'compare.right': 'With',
+  'compare.selectDataset': 'Select dataset...',
+  'compare.keys': 'Match rows on (optional)',
+  'compare.allShared': 'All shared columns',
+  'compare.empty': 'Choose two datasets to compare',
+  'compare.rows': 'Rows',
+  'compare.columns': 'Columns',
+  'compare.columnsDetail': '{shared} shared, {changed} with a new type',
+  'compare.onlyIn': 'Only in {name}',
+  'compare.changed': '{count} matched rows changed',
+  'compare.schema': 'Schema',
+  'compare.column': 'Column',
+  'compare.removed': 'Removed',
+  'compare.added': 'Added',
+  'compare.numeric': 'Numeric Columns',
+  'compare.mean': 'Mean',
+  'compare.change': 'Change',
+  'compare.median': 'Median',
+  'compare.stdDev': 'Std Dev',
+  'compare.min': 'Min',
+  'compare.max': 'Max',
+  'compare.effectSize': 'Effect Size',
+  'compare.shiftedHint': 'Highlighted columns moved by at least {threshold} pooled standard deviations.',
+  'compare.missing': 'Missing Values',
+  'compare.categories': 'Categories',
+  'compare.distinct': 'Distinct',
+  'compare.newValues': 'New Values',
+  'compare.droppedValues': 'Dropped Values',
+  'compare.rowDifferences': 'Row Differences',
+  'compare.matchedOn': 'Rows matched on {keys}',
+  'compare.matchedOnAll': 'Rows matched on every shared column',
+  'compare.none': 'None',
+  'compare.sampleShown': 'Showing the first {count} rows',
+  'query.title': 'SQL Query',
+  'query.editor': 'SQL (Ctrl+Enter to run)',
+  'query.run': 'Run',
+  'query.defaultName': 'Query result',
+  'query.datasetName': 'New dataset name',
+  'query.save': 'Save as Dataset',
+  'query.errorAt': '(line {line}, column {column})',
+  'query.row': '{count} row',
+  'query.rows': '{count} rows',
+  'query.column': '{count} column',
+  'query.columns': '{count} columns',
+  'query.tables': 'Tables',
+  'query.insertHint': 'Click a name to insert it.',
+  'query.history': 'History',
+  'query.clearHistory': 'Clear query history',
+  'query.noHistory': 'Queries you run are kept here and saved with the session.',
+  'aggregation.count': 'Count',
+  'aggregation.distinct': 'Distinct Count',
+  'aggregation.sum': 'Sum',
+  'aggregation.mean': 'Mean',
+  'aggregation.median': 'Median',
+  'aggregation.min': 'Min',
+  'aggregation.max': 'Max',
+  'aggregation.stdDev': 'Std Dev',
+  'aggregation.percentile': 'Percentile',
+  'measure.rows': '(rows)',
+  'measure.column': 'Measure {number} column',
+  'measure.aggregation': 'Measure {number} aggregation',
+  'measure.percentile': 'Percentile',
+  'measure.percentileNumber': 'Measure {number} percentile',
+  'measure.remove': 'Remove measure {number}',
+  'measure.add': 'Add measure',
+  'timeSeries.period': 'Resample By',
+  'timeSeries.period.day': 'Day',
+  'timeSeries.period.week': 'Week',
+  'timeSeries.period.month': 'Month',
+  'timeSeries.period.quarter': 'Quarter',
+  'timeSeries.period.year': 'Year',
+  'timeSeries.fill': 'Gaps',
+  'timeSeries.fill.none': 'Leave gaps',
+  'timeSeries.fill.zero': 'Fill with zero',
+  'timeSeries.fill.previous': 'Carry forward',
+  'timeSeries.fill.linear': 'Interpolate',
+  'timeSeries.rolling': 'Rolling Average',
+  'timeSeries.rollingHint': 'Window in periods; 0 or 1 turns it off',
+  'timeSeries.change': 'Change',
+  'timeSeries.change.none': 'None',
+  'timeSeries.change.previous': 'vs previous period',
+  'timeSeries.change.lastWeek': 'vs same day last week',
+  'timeSeries.change.lastYear': 'vs same period last year',
+  'timeSeries.overlay': 'Overlay',
+  'timeSeries.overlay.none': 'None',
+  'timeSeries.overlay.trend': 'Linear trend',
+  'timeSeries.overlay.decomposition': 'Seasonal decomposition',
+  'chartConfig.source': 'Data Source',
+  'chartConfig.source.dataset': 'Dataset',
+  'chartConfig.source.pivot': 'Pivot Table',
+  'chartConfig.type': 'Chart Type',
+  'chartConfig.type.bar': 'Bar Chart',
+  'chartConfig.type.line': 'Line Chart',
+  'chartConfig.type.area': 'Area Chart',
+  'chartConfig.type.pie': 'Pie Chart',
+  'chartConfig.type.scatter': 'Scatter Plot',
+  'chartConfig.type.histogram': 'Histogram',
+  'chartConfig.type.box': 'Box Plot',
+  'chartConfig.type.heatmap': 'Heatmap',
+  'chartConfig.series': 'Series',
+  'chartConfig.x': 'X-Axis Column',
+  'chartConfig.boxCategory': 'Category Column (optional)',
+  'chartConfig.selectColumn': 'Select column...',
+  'chartConfig.dateColumn': '{column} (date)',
+  'chartConfig.groupBy': 'Colour / Group By',
+  'chartConfig.heatmapRows': 'Row Column',
+  'chartConfig.none': 'None',
+  'chartConfig.measures': 'Measures',
+  'chartConfig.measures.grouped': 'Measure (first is grouped)',
+  'chartConfig.measures.scatter': 'Y Column (first measure)',
+  'chartConfig.measures.box': 'Value Columns',
+  'chartConfig.measures.heatmap': 'Cell Value (first measure)',
+  'chartConfig.measures.pie': 'Slice Size (first measure)',
+  'chartConfig.bins': 'Bins ({count})',
+  'chartConfig.topN': 'Top N',
+  'chartConfig.topNHint': '0 shows every category',
+  'chartConfig.other': 'Other',
+  'chartConfig.sort': 'Sort order',
+  'chartConfig.sort.auto': 'Automatic',
+  'chartConfig.sort.value-desc': 'Value (high to low)',
+  'chartConfig.sort.value-asc': 'Value (low to high)',
+  'chartConfig.sort.label-asc': 'Label (A to Z)',
+  'chartConfig.sort.label-desc': 'Label (Z to A)',
+  'chartConfig.fit': 'Trend Fit',
+  'chartConfig.degree': 'Degree',
+  'chartConfig.fitsFirstSeries': 'Fits the first series.',
+  'chartConfig.fitsFirstGroup': 'Fits the first series (first group).',
+  'chartConfig.axes': 'Axes & Legend',
+  'chartConfig.xTitle': 'X-axis title',
+  'chartConfig.yTitle': 'Y-axis title',
+  'chartConfig.legend': 'Legend',
+  'chartConfig.stacked': 'Stacked',
+  'chartConfig.logScale': 'Log scale',
+  'chart.noData': 'No data to display',
+  'chart.showTable': 'View as table',
+  'chart.hideTable': 'Hide table',
+  'chart.tableRows': 'Showing the first {shown} of {total} rows',
+  'chart.noRows': 'no rows',
+  'chart.category': 'Category',
+  'chart.column': 'Column',
+  'chart.series': 'Series',
+  'chart.x': 'X',
+  'chart.y': 'Y',
+  'chart.count': 'Count',
+  'chart.outliers': 'Outliers',
+  'chart.fit': 'Fit',
+  'chart.bandLow': '{band} low',
+  'chart.bandHigh': '{band} high',
+  'chart.rolling': '{periods}-period average',
+  'chart.trend': 'Trend',
+  'chart.seasonal': 'Seasonal',
+  'chart.change': 'Change %',
+  'chart.fitLine': '{label} fit',
+  'chart.fitOver': '{label} fit over {count} points:',
+  'chart.onLogY': '(on ln y)',
+  'chart.fitExcluded': "{count} points the fit can't use were left out",
+  'chart.fitUnavailable': 'Not enough points to fit this trend line.',
+  'chart.confidenceBand': '{level}% confidence band',
+  'chart.hiddenCategories': '{count} smaller categories are not shown.',
+  'chart.truncated': 'Only the first {count} periods are shown; resample by a longer period to see the full range.',
+  'chart.decompositionUnavailable': 'Seasonal decomposition needs at least two full cycles of data at this period.',
+  'chart.sampled': 'Showing an evenly spaced sample of the {count} points.',
+  'chart.max': 'Max',
+  'chart.upperWhisker': 'Upper whisker',
+  'chart.q3': 'Q3',
+  'chart.median': 'Median',
+  'chart.q1': 'Q1',
+  'chart.lowerWhisker': 'Lower whisker',
+  'chart.min': 'Min',
+  'chart.boxCounts': '{count} values, {outliers} outside the whiskers'
+};
+
+const DATE_FORMATS = {
+  date: { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' },
+  datetime: { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'UTC' }
+};
+
+// Translator and formatters for a locale (a BCP 47 tag such as 'de-DE'; undefined for the browser's).
+export const createI18n = ({ locale, messages = {} } = {}) => {
+  const strings = { ...DEFAULT_MESSAGES, ...messages };
+  const numberFormats = new Map();
+
+  const t = (key, values = {}) => (strings[key] === undefined ? key : strings[key])
+    .replace(/\{(\w+)\}/g, (match, name) => (values[name] === undefined ? match : String(values[name])));
+
+  const formatNumber = (value, options = {}) => {
+    const id = JSON.stringify(options);
+    if (!numberFormats.has(id)) numberFormats.set(id, new Intl.NumberFormat(locale, options));
+    return numberFormats.get(id).format(value);
+  };
+
+  // A typed cell for display; with no locale this is the canonical text the exports use.
+  const formatCell = (value, column) => {
+    if (value === null || value === undefined || !locale || !column) return formatValue(value, column);
+    if (isDateType(column.type) && value instanceof Date) {
+      return value.toLocaleString(locale, DATE_FORMATS[column.type === 'datetime' ? 'datetime' : 'date']);
+    }
+    if (isNumericType(column.type) && typeof value === 'number') {
+      const text = formatNumber(value, { maximumFractionDigits: 10 });
+      return column.type === 'percentage' ? `${text}%` : text;
+    }
+    return formatValue(value, column);
+  };
+
+  return { locale, t, formatNumber, formatCell };
+};
+
+export const I18nContext = createContext(createI18n());
+
+// The name of a fitted model (fitCurve or fitMultipleRegression) from its type and degree.
+export const fitLabel = (t, { type, degree }) => (
+  type === 'polynomial' ? t('fit.polynomialDegree', { degree }) : t(`fit.${type}`)
+);
+
+export const useI18n = () => useContext(I18nContext);
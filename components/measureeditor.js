@@ -0,0 +1,78 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { aggregationsFor } from '../core/aggregate';
+import { useI18n } from './i18n';
+
+const fieldClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Editable list of { column, aggregation, percentile } measures, shared by the pivot and chart builders.
+const MeasureEditor = ({ headers, schema, measures, onChange }) => {
+  const { t } = useI18n();
+  const updateMeasure = (index, patch) => {
+    onChange(measures.map((measure, i) => {
+      if (i !== index) return measure;
+      const next = { ...measure, ...patch };
+      if (!aggregationsFor(schema[next.column]).includes(next.aggregation)) next.aggregation = 'count';
+      return next;
+    }));
+  };
+
+  const addMeasure = () => {
+    onChange([...measures, { column: '', aggregation: 'count', percentile: 90 }]);
+  };
+
+  const removeMeasure = (index) => {
+    onChange(measures.filter((measure, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-2">
+      {measures.map((measure, index) => (
+        <div key={index} className="flex gap-2">
+          <select
+            value={measure.column}
+            onChange={(e) => updateMeasure(index, { column: e.target.value })}
+            className={fieldClass}
+            aria-label={t('measure.column', { number: index + 1 })}
+          >
+            <option value="">{t('measure.rows')}</option>
+            {headers.map(header => (
+              <option key={header} value={header}>{header}</option>
+            ))}
+          </select>
+          <select
+            value={measure.aggregation}
+            onChange={(e) => updateMeasure(index, { aggregation: e.target.value })}
+            className={fieldClass}
+            aria-label={t('measure.aggregation', { number: index + 1 })}
+          >
+            {(measure.column ? aggregationsFor(schema[measure.column]) : ['count']).map(key => (
+              <option key={key} value={key}>{t(`aggregation.${key}`)}</option>
+            ))}
+          </select>
+          {measure.aggregation === 'percentile' && (
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={measure.percentile}
+              onChange={(e) => updateMeasure(index, { percentile: Math.min(100, Math.max(0, Number(e.target.value))) })}
+              className="w-20 px-2 py-2 border border-gray-300 rounded-md"
+              title={t('measure.percentile')}
+              aria-label={t('measure.percentileNumber', { number: index + 1 })}
+            />
+          )}
+          <button onClick={() => removeMeasure(index)} className="p-2 text-red-500 hover:text-red-700" aria-label={t('measure.remove', { number: index + 1 })}>
+            <Trash2 size={16} />
+          </button>
+        </div>
+      ))}
+      <button onClick={addMeasure} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800">
+        <Plus size={16} />
+        {t('measure.add')}
+      </button>
+    </div>
+  );
+};
+
+export default MeasureEditor;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { PERCENTILES } from '../core/statistics';
+import { RESERVOIR_SIZE } from '../core/streamstats';
+import { useI18n } from './i18n';
+
+const cellClass = 'border border-gray-300 px-4 py-2';
+
+const COLUMNS = ['min', 'q1', 'median', 'q3', 'max', 'iqr', 'mean', 'stdDev', 'skewness', 'kurtosis'];
+
+const NumericStats = ({ numericStats }) => {
+  const entries = Object.entries(numericStats);
+  const approximate = entries.some(([, stats]) => !stats.exactQuantiles);
+  const { t, formatNumber } = useI18n();
+  const fixed = (value) => (value === null || value === undefined || Number.isNaN(value)
+    ? '—'
+    : formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-xl font-semibold mb-4">{t('numeric.title')}</h3>
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full border-collapse border border-gray-300">
+          <thead>
+            <tr className="bg-gray-50">
+              <th className={`${cellClass} text-left`}>{t('numeric.column')}</th>
+              {COLUMNS.map(key => (
+                <th key={key} className={`${cellClass} text-left`}>{t(`numeric.${key}`)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(([col, stats]) => (
+              <tr key={col}>
+                <td className={`${cellClass} font-medium`}>{col}</td>
+                {COLUMNS.map(key => (
+                  <td key={key} className={cellClass}>{fixed(stats[key])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h4 className="text-lg font-semibold mb-3">{t('numeric.percentiles')}</h4>
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse border border-gray-300">
+          <thead>
+            <tr className="bg-gray-50">
+              <th className={`${cellClass} text-left`}>{t('numeric.column')}</th>
+              {PERCENTILES.map(p => (
+                <th key={p} className={`${cellClass} text-left`}>{t('numeric.percentile', { p })}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(([col, stats]) => (
+              <tr key={col}>
+                <td className={`${cellClass} font-medium`}>{col}</td>
+                {PERCENTILES.map(p => (
+                  <td key={p} className={cellClass}>{fixed(stats.percentiles[`p${p}`])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {approximate && (
+        <p className="text-gray-500 text-sm mt-2">{t('numeric.approximate', { count: formatNumber(RESERVOIR_SIZE) })}</p>
+      )}
+    </div>
+  );
+};
+
+export default NumericStats;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { Table } from 'lucide-react';
+import { IQR_MULTIPLIER, Z_SCORE_THRESHOLD } from '../core/statistics';
+import { useI18n } from './i18n';
+
+const cellClass = 'border border-gray-300 px-4 py-2';
+
+const TWO_DECIMALS = { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+const ONE_DECIMAL_PERCENT = { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+const METHODS = ['iqr', 'zScore'];
+
+const OutlierPanel = ({ outliers, totalRows, onViewRows }) => {
+  const { t, formatNumber } = useI18n();
+  const [method, setMethod] = useState('iqr');
+  const entries = Object.entries(outliers);
+  if (!entries.length) return null;
+
+  return (
+    <div className="mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold">{t('outliers.title')}</h3>
+        <select
+          aria-label={t('outliers.method')}
+          value={method}
+          onChange={(e) => setMethod(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {METHODS.map(key => (
+            <option key={key} value={key}>{t(`outliers.${key}`, { multiplier: formatNumber(IQR_MULTIPLIER), threshold: formatNumber(Z_SCORE_THRESHOLD) })}</option>
+          ))}
+        </select>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse border border-gray-300">
+          <thead>
+            <tr className="bg-gray-50">
+              <th className={`${cellClass} text-left`}>{t('outliers.column')}</th>
+              <th className={`${cellClass} text-left`}>{t('outliers.lower')}</th>
+              <th className={`${cellClass} text-left`}>{t('outliers.upper')}</th>
+              <th className={`${cellClass} text-left`}>{t('outliers.count')}</th>
+              <th className={cellClass}><span className="sr-only">{t('outliers.rows')}</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(([col, result]) => {
+              const { lower, upper, count } = result[method];
+              return (
+                <tr key={col}>
+                  <td className={`${cellClass} font-medium`}>{col}</td>
+                  <td className={cellClass}>{formatNumber(lower, TWO_DECIMALS)}</td>
+                  <td className={cellClass}>{formatNumber(upper, TWO_DECIMALS)}</td>
+                  <td className={cellClass}>
+                    {formatNumber(count)}
+                    <span className="text-gray-500 text-sm ml-1">({formatNumber(totalRows ? count / totalRows : 0, ONE_DECIMAL_PERCENT)})</span>
+                  </td>
+                  <td className={`${cellClass} text-center`}>
+                    <button
+                      onClick={() => onViewRows(col, lower, upper)}
+                      disabled={!count}
+                      className="inline-flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-300"
+                    >
+                      <Table size={14} />
+                      {t('outliers.viewRows')}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default OutlierPanel;
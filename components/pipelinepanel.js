@@ -0,0 +1,271 @@
+import React, { useState } from 'react';
+import { ArrowUp, ArrowDown, Trash2, Undo2, Redo2, Plus, Save, FolderOpen } from 'lucide-react';
+import { COLUMN_TYPES } from '../core/typeinference';
+import { compileExpression } from '../core/expression';
+import { STEP_TYPES, FILL_STRATEGIES, TEXT_OPERATIONS, createStep } from '../core/pipeline';
+import ColumnPicker from './columnpicker';
+import { useI18n } from './i18n';
+
+const fieldClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const EMPTY_PARAMS = {
+  dropColumns: { columns: [] },
+  renameColumn: { from: '', to: '' },
+  fillMissing: { column: '', strategy: 'value', value: '' },
+  dropMissing: { columns: [] },
+  textTransform: { columns: [], operation: 'trim' },
+  deduplicate: { columns: [] },
+  castType: { column: '', to: 'string' },
+  deriveColumn: { name: '', expression: '' }
+};
+
+const ColumnSelect = ({ headers, value, onChange }) => {
+  const { t } = useI18n();
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={fieldClass} aria-label={t('pipeline.column')}>
+      <option value="">{t('pipeline.selectColumn')}</option>
+      {headers.map(header => (
+        <option key={header} value={header}>{header}</option>
+      ))}
+    </select>
+  );
+};
+
+// The step list's wording of describeStep, which stays English for the CLI.
+const describe = (t, step) => {
+  const columns = step.columns && step.columns.length ? step.columns.join(', ') : t('pipeline.allColumnsLower');
+  switch (step.type) {
+    case 'dropColumns':
+      return t('pipeline.describe.dropColumns', { columns });
+    case 'renameColumn':
+      return t('pipeline.describe.renameColumn', { from: step.from, to: step.to });
+    case 'fillMissing':
+      return t('pipeline.describe.fillMissing', {
+        column: step.column,
+        with: step.strategy === 'value' ? `"${step.value}"` : t(`pipeline.fill.${step.strategy}`).toLocaleLowerCase()
+      });
+    case 'dropMissing':
+      return t('pipeline.describe.dropMissing', { columns });
+    case 'textTransform':
+      return t('pipeline.describe.textTransform', { operation: t(`pipeline.text.${step.operation}`), columns });
+    case 'deduplicate':
+      return t('pipeline.describe.deduplicate', { columns });
+    case 'castType':
+      return t('pipeline.describe.castType', { column: step.column, type: t(`type.${step.to}`) });
+    case 'deriveColumn':
+      return `${step.name} = ${step.expression}`;
+    default:
+      return step.type;
+  }
+};
+
+const validateParams = (t, type, params, headers) => {
+  switch (type) {
+    case 'dropColumns':
+      return params.columns.length ? '' : t('pipeline.needsColumns');
+    case 'renameColumn':
+      return params.from && params.to.trim() ? '' : t('pipeline.needsRename');
+    case 'fillMissing':
+      return params.column ? '' : t('pipeline.needsColumn');
+    case 'castType':
+      return params.column ? '' : t('pipeline.needsColumn');
+    case 'deriveColumn':
+      if (!params.name.trim()) return t('pipeline.needsName');
+      try {
+        compileExpression(params.expression, headers);
+        return '';
+      } catch (err) {
+        return err.message;
+      }
+    default:
+      return '';
+  }
+};
+
+const PipelinePanel = ({
+  headers,
+  steps,
+  errors,
+  canUndo,
+  canRedo,
+  onAddStep,
+  onToggleStep,
+  onMoveStep,
+  onRemoveStep,
+  onUndo,
+  onRedo,
+  onSave,
+  onLoad
+}) => {
+  const { t } = useI18n();
+  const [stepType, setStepType] = useState('dropColumns');
+  const [params, setParams] = useState(EMPTY_PARAMS.dropColumns);
+
+  const changeStepType = (type) => {
+    setStepType(type);
+    setParams(EMPTY_PARAMS[type]);
+  };
+
+  const setParam = (key, value) => setParams(prev => ({ ...prev, [key]: value }));
+  const validationError = validateParams(t, stepType, params, headers);
+
+  const addStep = () => {
+    if (validationError) return;
+    const trimmed = stepType === 'renameColumn' ? { ...params, to: params.to.trim() }
+      : stepType === 'deriveColumn' ? { ...params, name: params.name.trim() }
+      : params;
+    onAddStep(createStep(stepType, trimmed));
+    setParams(EMPTY_PARAMS[stepType]);
+  };
+
+  const handleLoad = (event) => {
+    const file = event.target.files[0];
+    if (file) onLoad(file);
+    event.target.value = '';
+  };
+
+  const renderFields = () => {
+    switch (stepType) {
+      case 'dropColumns':
+        return <ColumnPicker headers={headers} selected={params.columns} onChange={(value) => setParam('columns', value)} emptyLabel={t('pipeline.selectColumns')} />;
+      case 'renameColumn':
+        return (
+          <div className="grid grid-cols-2 gap-2">
+            <ColumnSelect headers={headers} value={params.from} onChange={(value) => setParam('from', value)} />
+            <input type="text" value={params.to} placeholder={t('pipeline.newName')} aria-label={t('pipeline.newName')} onChange={(e) => setParam('to', e.target.value)} className={fieldClass} />
+          </div>
+        );
+      case 'fillMissing':
+        return (
+          <div className="grid grid-cols-3 gap-2">
+            <ColumnSelect headers={headers} value={params.column} onChange={(value) => setParam('column', value)} />
+            <select value={params.strategy} onChange={(e) => setParam('strategy', e.target.value)} className={fieldClass} aria-label={t('pipeline.fillWith')}>
+              {Object.keys(FILL_STRATEGIES).map(value => (
+                <option key={value} value={value}>{t(`pipeline.fill.${value}`)}</option>
+              ))}
+            </select>
+            {params.strategy === 'value' && (
+              <input type="text" value={params.value} placeholder={t('pipeline.fillValue')} aria-label={t('pipeline.fillValue')} onChange={(e) => setParam('value', e.target.value)} className={fieldClass} />
+            )}
+          </div>
+        );
+      case 'dropMissing':
+      case 'deduplicate':
+        return <ColumnPicker headers={headers} selected={params.columns} onChange={(value) => setParam('columns', value)} emptyLabel={t('pipeline.allColumns')} />;
+      case 'textTransform':
+        return (
+          <div className="grid grid-cols-2 gap-2">
+            <ColumnPicker headers={headers} selected={params.columns} onChange={(value) => setParam('columns', value)} emptyLabel={t('pipeline.allTextColumns')} />
+            <select value={params.operation} onChange={(e) => setParam('operation', e.target.value)} className={fieldClass} aria-label={t('pipeline.transform')}>
+              {Object.keys(TEXT_OPERATIONS).map(value => (
+                <option key={value} value={value}>{t(`pipeline.text.${value}`)}</option>
+              ))}
+            </select>
+          </div>
+        );
+      case 'castType':
+        return (
+          <div className="grid grid-cols-2 gap-2">
+            <ColumnSelect headers={headers} value={params.column} onChange={(value) => setParam('column', value)} />
+            <select value={params.to} onChange={(e) => setParam('to', e.target.value)} className={fieldClass} aria-label={t('pipeline.newType')}>
+              {COLUMN_TYPES.map(type => (
+                <option key={type} value={type}>{t(`type.${type}`)}</option>
+              ))}
+            </select>
+          </div>
+        );
+      case 'deriveColumn':
+        return (
+          <div className="grid grid-cols-3 gap-2">
+            <input type="text" value={params.name} placeholder={t('pipeline.newColumn')} aria-label={t('pipeline.newColumn')} onChange={(e) => setParam('name', e.target.value)} className={fieldClass} />
+            <input
+              type="text"
+              value={params.expression}
+              placeholder={t('pipeline.expressionExample')}
+              aria-label={t('pipeline.expression')}
+              onChange={(e) => setParam('expression', e.target.value)}
+              className={`${fieldClass} col-span-2 font-mono`}
+            />
+          </div>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="mb-8">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h3 className="text-xl font-semibold">{t('pipeline.title')}</h3>
+        <div className="flex gap-2">
+          <button onClick={onUndo} disabled={!canUndo} className="p-2 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50" aria-label={t('pipeline.undo')} title={t('pipeline.undo')}>
+            <Undo2 size={18} />
+          </button>
+          <button onClick={onRedo} disabled={!canRedo} className="p-2 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50" aria-label={t('pipeline.redo')} title={t('pipeline.redo')}>
+            <Redo2 size={18} />
+          </button>
+          <button onClick={onSave} disabled={!steps.length} className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50">
+            <Save size={18} />
+            {t('pipeline.save')}
+          </button>
+          <input type="file" accept=".json" onChange={handleLoad} className="sr-only peer" id="pipeline-upload" />
+          <label htmlFor="pipeline-upload" className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-md hover:bg-gray-50 cursor-pointer peer-focus:ring-2 peer-focus:ring-blue-500">
+            <FolderOpen size={18} />
+            {t('pipeline.load')}
+          </label>
+        </div>
+      </div>
+
+      {steps.length > 0 ? (
+        <ol className="space-y-2 mb-4">
+          {steps.map((step, index) => (
+            <li key={step.id} className={`flex items-center gap-3 p-3 rounded-lg border ${errors[step.id] ? 'border-red-300 bg-red-50' : 'border-gray-200 bg-gray-50'}`}>
+              <input type="checkbox" checked={step.enabled} onChange={() => onToggleStep(step.id)} title={t('pipeline.enableStep')} aria-label={t('pipeline.enableStepNumber', { number: index + 1 })} />
+              <span className="text-gray-400 text-sm w-6">{index + 1}.</span>
+              <div className={`flex-1 ${step.enabled ? 'text-gray-800' : 'text-gray-400 line-through'}`}>
+                <span className="font-medium">{t(`pipeline.step.${step.type}`)}</span>
+                <span className="text-gray-500 text-sm ml-2 font-mono">{describe(t, step)}</span>
+                {errors[step.id] && <p className="text-red-600 text-sm">{errors[step.id]}</p>}
+              </div>
+              <button onClick={() => onMoveStep(step.id, -1)} disabled={index === 0} className="p-1 disabled:opacity-30" aria-label={t('pipeline.moveUp')}>
+                <ArrowUp size={16} />
+              </button>
+              <button onClick={() => onMoveStep(step.id, 1)} disabled={index === steps.length - 1} className="p-1 disabled:opacity-30" aria-label={t('pipeline.moveDown')}>
+                <ArrowDown size={16} />
+              </button>
+              <button onClick={() => onRemoveStep(step.id)} className="p-1 text-red-500 hover:text-red-700" aria-label={t('pipeline.removeStep')}>
+                <Trash2 size={16} />
+              </button>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-gray-500 mb-4">{t('pipeline.empty')}</p>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-2 items-start">
+        <select value={stepType} onChange={(e) => changeStepType(e.target.value)} className={fieldClass} aria-label={t('pipeline.stepType')}>
+          {Object.keys(STEP_TYPES).map(value => (
+            <option key={value} value={value}>{t(`pipeline.step.${value}`)}</option>
+          ))}
+        </select>
+        <div className="lg:col-span-2">
+          {renderFields()}
+          {validationError && params !== EMPTY_PARAMS[stepType] && (
+            <p className="text-red-600 text-sm mt-1">{validationError}</p>
+          )}
+        </div>
+        <button
+          onClick={addStep}
+          disabled={Boolean(validationError)}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-200 disabled:text-gray-400"
+        >
+          <Plus size={18} />
+          {t('pipeline.addStep')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PipelinePanel;
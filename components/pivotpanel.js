@@ -0,0 +1,136 @@
+import React from 'react';
+import { Download, TrendingUp } from 'lucide-react';
+import { columnGroupLabel, measureLabel, pivotSeries, seriesValue } from '../core/aggregate';
+import ColumnPicker from './columnpicker';
+import MeasureEditor from './measureeditor';
+import { useI18n } from './i18n';
+
+const MAX_DISPLAY_ROWS = 1000;
+
+const cellClass = 'border border-gray-300 px-4 py-2';
+const labelClass = 'block text-sm font-medium text-gray-700 mb-2';
+
+// `formatNumber` is the locale's, from useI18n.
+export const formatMeasure = (value, formatNumber) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return '';
+  return formatNumber(value, Number.isInteger(value) ? {} : { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+const PivotPanel = ({ headers, schema, config, pivot, onConfigChange, onExport, onChart }) => {
+  const { t, formatNumber } = useI18n();
+  const setConfig = (key, value) => onConfigChange({ ...config, [key]: value });
+
+  const series = pivot ? pivotSeries(pivot) : [];
+  const displayRows = pivot ? pivot.rows.slice(0, MAX_DISPLAY_ROWS) : [];
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+        <div>
+          <span id="pivot-row-keys" className={labelClass}>{t('pivot.rowKeys')}</span>
+          <ColumnPicker
+            headers={headers}
+            selected={config.rowKeys}
+            onChange={(value) => setConfig('rowKeys', value)}
+            emptyLabel={t('pivot.selectRowKeys')}
+            labelledBy="pivot-row-keys"
+          />
+        </div>
+        <div>
+          <span id="pivot-column-keys" className={labelClass}>{t('pivot.columnKeys')}</span>
+          <ColumnPicker
+            headers={headers}
+            selected={config.columnKeys}
+            onChange={(value) => setConfig('columnKeys', value)}
+            emptyLabel={t('pivot.noColumnKeys')}
+            labelledBy="pivot-column-keys"
+          />
+        </div>
+        <div role="group" aria-labelledby="pivot-measures">
+          <span id="pivot-measures" className={labelClass}>{t('pivot.measures')}</span>
+          <MeasureEditor headers={headers} schema={schema} measures={config.measures} onChange={(value) => setConfig('measures', value)} />
+        </div>
+      </div>
+
+      {!pivot ? (
+        <div className="text-gray-500 text-center py-8">{t('pivot.empty')}</div>
+      ) : (
+        <>
+          <div className="flex justify-end gap-2 mb-4">
+            <button
+              onClick={onChart}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <TrendingUp size={18} />
+              {t('pivot.chart')}
+            </button>
+            <button
+              onClick={onExport}
+              className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors"
+            >
+              <Download size={18} />
+              {t('pivot.exportCsv')}
+            </button>
+          </div>
+
+          {pivot.truncatedColumns > 0 && (
+            <p className="text-yellow-700 text-sm mb-2">
+              {t('pivot.truncatedColumns', { shown: pivot.columnGroups.length, hidden: pivot.truncatedColumns })}
+            </p>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full border-collapse border border-gray-300">
+              <thead>
+                {pivot.columnGroups.length > 0 && (
+                  <tr className="bg-gray-50">
+                    <td className={cellClass} colSpan={pivot.rowKeys.length} />
+                    {pivot.columnGroups.map(group => (
+                      <th key={group.id} className={`${cellClass} text-center`} colSpan={pivot.measures.length}>{columnGroupLabel(group)}</th>
+                    ))}
+                    <th className={`${cellClass} text-center`} colSpan={pivot.measures.length}>{t('pivot.total')}</th>
+                  </tr>
+                )}
+                <tr className="bg-gray-50">
+                  {pivot.rowKeys.map(key => (
+                    <th key={key} className={`${cellClass} text-left`}>{key}</th>
+                  ))}
+                  {series.map(item => (
+                    <th key={item.id} className={`${cellClass} text-right`}>{measureLabel(pivot.measures[item.measure])}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {displayRows.map(row => (
+                  <tr key={`${row.subtotal ? 'subtotal' : 'row'}:${row.key.join('\u0000')}`} className={row.subtotal ? 'bg-gray-50 font-semibold' : ''}>
+                    {pivot.rowKeys.map((key, index) => (
+                      <td key={key} className={cellClass}>
+                        {index < row.key.length ? row.key[index] : index === row.key.length && row.subtotal ? t('pivot.subtotal') : ''}
+                      </td>
+                    ))}
+                    {series.map(item => (
+                      <td key={item.id} className={`${cellClass} text-right`}>{formatMeasure(seriesValue(row, item), formatNumber)}</td>
+                    ))}
+                  </tr>
+                ))}
+                <tr className="bg-blue-50 font-bold">
+                  <td className={cellClass} colSpan={pivot.rowKeys.length}>{t('pivot.grandTotal')}</td>
+                  {series.map(item => (
+                    <td key={item.id} className={`${cellClass} text-right`}>{formatMeasure(seriesValue(pivot.grandTotal, item), formatNumber)}</td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          {pivot.rows.length > MAX_DISPLAY_ROWS && (
+            <p className="text-gray-500 text-sm mt-2">
+              {t('pivot.truncatedRows', { shown: MAX_DISPLAY_ROWS, total: pivot.rows.length })}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PivotPanel;
@@ -0,0 +1,275 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, Eye, CheckCircle, XCircle } from 'lucide-react';
+import { isNumericType, isDateType } from '../core/typeinference';
+import { PATTERNS, RULE_TYPES, createRule } from '../core/quality';
+import ColumnPicker from './columnpicker';
+import { useI18n } from './i18n';
+
+const fieldClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+const cellClass = 'border border-gray-300 px-3 py-2';
+const linkClass = 'inline-flex items-center gap-1 text-blue-600 hover:text-blue-800';
+
+const EMPTY_RULE = { type: 'unique', columns: [], column: '', min: '', max: '', values: '' };
+
+// The message key of what's missing from the rule form, or '' when it's complete.
+const ruleError = (form) => {
+  if (form.type === 'unique') return form.columns.length ? '' : 'quality.needColumns';
+  if (!form.column) return 'quality.needColumn';
+  if (form.type === 'between' && form.min === '' && form.max === '') return 'quality.needBounds';
+  if (form.type === 'inSet' && !form.values.trim()) return 'quality.needValues';
+  return '';
+};
+
+const PROFILE_COLUMNS = [
+  'quality.column', 'quality.type', 'quality.missing', 'quality.placeholders', 'quality.distinct', 'quality.unique',
+  'quality.mixedTypes', 'quality.whitespace', 'quality.length', 'quality.pattern'
+];
+const RULE_COLUMNS = ['quality.rule', 'quality.passed', 'quality.failed', 'quality.skipped'];
+
+const buildRule = (form) => {
+  switch (form.type) {
+    case 'unique':
+      return createRule('unique', { columns: form.columns });
+    case 'between':
+      return createRule('between', { column: form.column, min: form.min.trim(), max: form.max.trim() });
+    case 'inSet':
+      return createRule('inSet', { column: form.column, values: form.values.split(',').map(value => value.trim()).filter(Boolean) });
+    default:
+      return createRule(form.type, { column: form.column });
+  }
+};
+
+// Data quality profile per column, duplicate rows and user-defined validation rules.
+const QualityPanel = ({ headers, schema, quality, nullTokens, config, onNullTokensChange, onConfigChange, onViewRows }) => {
+  const { t, formatNumber } = useI18n();
+  const percent = (value) => (value === null ? '—' : formatNumber(value, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 }));
+  const count = (value) => (value === undefined || value === null ? '—' : formatNumber(value));
+  const [tokens, setTokens] = useState(nullTokens.join(', '));
+  const [form, setForm] = useState(EMPTY_RULE);
+  const formError = ruleError(form);
+  const setFormField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+  const rangeColumns = headers.filter(header => isNumericType(schema[header].type) || isDateType(schema[header].type));
+
+  const setPattern = (header, setting) => {
+    onConfigChange({ ...config, patterns: { ...config.patterns, [header]: setting } });
+  };
+
+  const addRule = () => {
+    if (formError) return;
+    onConfigChange({ ...config, rules: [...config.rules, buildRule(form)] });
+    setForm(EMPTY_RULE);
+  };
+
+  const removeRule = (id) => {
+    onConfigChange({ ...config, rules: config.rules.filter(rule => rule.id !== id) });
+  };
+
+  const applyTokens = () => {
+    onNullTokensChange(tokens.split(',').map(token => token.trim()).filter(Boolean));
+  };
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-xl font-semibold mb-2">{t('quality.title')}</h3>
+      <p className="text-sm text-gray-500 mb-4">{t('quality.scope')}</p>
+
+      <div className="flex flex-wrap items-end gap-2 mb-4">
+        <div className="flex-1 min-w-[240px]">
+          <label htmlFor="null-tokens" className="block text-sm font-medium text-gray-700 mb-1">{t('quality.nullTokens')}</label>
+          <input id="null-tokens" value={tokens} onChange={(e) => setTokens(e.target.value)} className={fieldClass} />
+        </div>
+        <button
+          onClick={applyTokens}
+          disabled={tokens === nullTokens.join(', ')}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {t('action.apply')}
+        </button>
+        <div className="px-4 py-2 bg-gray-50 rounded-lg text-sm">
+          <span className="text-gray-700">{t('quality.duplicates', { count: formatNumber(quality.duplicates.length) })}</span>
+          {quality.duplicates.length > 0 && (
+            <button onClick={() => onViewRows(t('quality.duplicateRows'), quality.duplicates)} className={`${linkClass} ml-2`}>
+              <Eye size={14} />
+              {t('quality.view')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full border-collapse border border-gray-300 text-sm">
+          <thead>
+            <tr className="bg-gray-50">
+              {PROFILE_COLUMNS.map(key => (
+                <th key={key} className={`${cellClass} text-left`}>{t(key)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {headers.map(header => {
+              const profile = quality.columns[header];
+              const raw = quality.raw[header];
+              // File columns show lengths as written; derived columns only have their typed values.
+              const lengths = raw || profile;
+              const pattern = profile.pattern;
+              const setting = config.patterns[header] || { kind: pattern ? pattern.kind : '' };
+              return (
+                <tr key={header}>
+                  <td className={`${cellClass} font-medium`}>{header}</td>
+                  <td className={cellClass}>{t(`type.${schema[header].type}`)}</td>
+                  <td className={cellClass}>{count(profile.missing)}</td>
+                  <td className={cellClass}>{raw ? count(raw.placeholders) : '—'}</td>
+                  <td className={cellClass}>{count(profile.distinct)}</td>
+                  <td className={cellClass}>{percent(profile.uniqueness)}</td>
+                  <td
+                    className={`${cellClass} ${raw && raw.mixed ? 'text-red-600' : ''}`}
+                    title={raw ? Object.entries(raw.kinds).map(([kind, n]) => `${kind}: ${n}`).join(', ') : ''}
+                  >
+                    {raw ? count(raw.mixed) : '—'}
+                  </td>
+                  <td className={`${cellClass} ${raw && raw.whitespace ? 'text-red-600' : ''}`}>{raw ? count(raw.whitespace) : '—'}</td>
+                  <td className={cellClass}>{lengths.minLength === null ? '—' : `${lengths.minLength}–${lengths.maxLength}`}</td>
+                  <td className={cellClass}>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <select
+                        value={setting.kind || ''}
+                        onChange={(e) => setPattern(header, { kind: e.target.value, regex: setting.regex || '' })}
+                        className="px-2 py-1 border border-gray-300 rounded-md"
+                        aria-label={t('quality.patternFor', { column: header })}
+                      >
+                        <option value="">{t('quality.noPattern')}</option>
+                        {Object.entries(PATTERNS).map(([key, item]) => (
+                          <option key={key} value={key}>{item.label}</option>
+                        ))}
+                      </select>
+                      {setting.kind === 'custom' && (
+                        <input
+                          value={setting.regex || ''}
+                          onChange={(e) => setPattern(header, { kind: 'custom', regex: e.target.value })}
+                          placeholder="^ID-\d{6}$"
+                          className={`px-2 py-1 border rounded-md font-mono ${pattern && !pattern.valid ? 'border-red-400 bg-red-50' : 'border-gray-300'}`}
+                          aria-label={t('quality.regexFor', { column: header })}
+                        />
+                      )}
+                      {pattern && pattern.valid && (
+                        <span className={pattern.failing.length ? 'text-red-600' : 'text-green-700'}>
+                          {percent(profile.present ? pattern.matched / profile.present : null)}
+                          {pattern.detected && <span className="text-gray-400"> {t('quality.detected')}</span>}
+                        </span>
+                      )}
+                      {pattern && pattern.failing.length > 0 && (
+                        <button
+                          onClick={() => onViewRows(t('quality.notMatching', { column: header, pattern: PATTERNS[pattern.kind].label }), pattern.failing)}
+                          className={linkClass}
+                        >
+                          <Eye size={14} />
+                          {formatNumber(pattern.failing.length)}
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <h4 className="font-semibold mb-2">{t('quality.rules')}</h4>
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-2 items-start mb-4">
+        <select value={form.type} onChange={(e) => setForm({ ...EMPTY_RULE, type: e.target.value })} className={fieldClass} aria-label={t('quality.ruleType')}>
+          {Object.entries(RULE_TYPES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        {form.type === 'unique' ? (
+          <div className="md:col-span-3">
+            <ColumnPicker headers={headers} selected={form.columns} onChange={(value) => setFormField('columns', value)} emptyLabel={t('quality.selectColumns')} />
+          </div>
+        ) : (
+          <>
+            <select value={form.column} onChange={(e) => setFormField('column', e.target.value)} className={fieldClass} aria-label={t('quality.ruleColumn')}>
+              <option value="">{t('quality.selectColumn')}</option>
+              {(form.type === 'between' ? rangeColumns : headers).map(header => (
+                <option key={header} value={header}>{header}</option>
+              ))}
+            </select>
+            {form.type === 'between' && (
+              <>
+                <input value={form.min} onChange={(e) => setFormField('min', e.target.value)} placeholder={t('quality.minimum')} aria-label={t('quality.minimum')} className={fieldClass} />
+                <input value={form.max} onChange={(e) => setFormField('max', e.target.value)} placeholder={t('quality.maximum')} aria-label={t('quality.maximum')} className={fieldClass} />
+              </>
+            )}
+            {form.type === 'inSet' && (
+              <input
+                value={form.values}
+                onChange={(e) => setFormField('values', e.target.value)}
+                placeholder="A, B, C"
+                aria-label={t('quality.allowedValues')}
+                className={`${fieldClass} md:col-span-2`}
+              />
+            )}
+            {form.type === 'notNull' && <div className="md:col-span-2" />}
+          </>
+        )}
+        <button
+          onClick={addRule}
+          disabled={Boolean(formError)}
+          title={formError && t(formError)}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          <Plus size={18} />
+          {t('quality.addRule')}
+        </button>
+      </div>
+
+      {quality.rules.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('quality.noRules')}</p>
+      ) : (
+        <table className="w-full border-collapse border border-gray-300 text-sm">
+          <thead>
+            <tr className="bg-gray-50">
+              {RULE_COLUMNS.map(key => (
+                <th key={key} className={`${cellClass} text-left`}>{t(key)}</th>
+              ))}
+              <th className={cellClass}><span className="sr-only">{t('quality.actions')}</span></th>
+            </tr>
+          </thead>
+          <tbody>
+            {quality.rules.map(result => (
+              <tr key={result.rule.id}>
+                <td className={`${cellClass} font-medium`}>
+                  <span className="inline-flex items-center gap-2">
+                    {result.failed || result.error
+                      ? <XCircle className="text-red-500" size={16} />
+                      : <CheckCircle className="text-green-600" size={16} />}
+                    {result.description}
+                  </span>
+                  {result.error && <p className="text-xs text-red-600">{result.error}</p>}
+                </td>
+                <td className={cellClass}>{formatNumber(result.passed)}</td>
+                <td className={`${cellClass} ${result.failed ? 'text-red-600' : ''}`}>
+                  {formatNumber(result.failed)}
+                  {result.failed > 0 && (
+                    <button onClick={() => onViewRows(t('quality.failing', { rule: result.description }), result.failing)} className={`${linkClass} ml-2`}>
+                      <Eye size={14} />
+                      {t('quality.viewRows')}
+                    </button>
+                  )}
+                </td>
+                <td className={cellClass}>{formatNumber(result.skipped)}</td>
+                <td className={cellClass}>
+                  <button onClick={() => removeRule(result.rule.id)} className="text-red-600 hover:text-red-800" aria-label={t('quality.removeRule', { rule: result.description })}>
+                    <Trash2 size={16} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default QualityPanel;
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Play, Database, History, Trash2 } from 'lucide-react';
+import { applyView, emptyView } from '../core/filters';
+import { quoteIdentifier, errorLocation } from '../core/sql';
+import DataGrid from './datagrid';
+import { useI18n } from './i18n';
+
+const buttonClass = 'flex items-center gap-2 px-4 py-2 rounded-lg transition-colors disabled:opacity-50';
+
+// SQL console over the workspace datasets: editor, table list, results grid and query history.
+const QueryPanel = ({ tables, activeName, sql, result, error, history, onSqlChange, onRun, onSave, onClearHistory }) => {
+  const { t, formatNumber, locale } = useI18n();
+  const [name, setName] = useState('');
+  const [view, setView] = useState(emptyView());
+  const editorRef = useRef(null);
+
+  // Select the token the error points at, so it's visible in the editor.
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editor || !error || error.position === undefined || error.sql !== editor.value) return;
+    editor.focus();
+    editor.setSelectionRange(error.position, error.position + error.length);
+  }, [error]);
+
+  const rows = useMemo(
+    () => (result ? applyView(result.rows, result.headers, result.schema, view) : []),
+    [result, view]
+  );
+
+  // A new result starts with no filters or sorting from the previous one.
+  const run = () => {
+    setView(emptyView());
+    onRun();
+  };
+
+  const insert = (text) => {
+    const editor = editorRef.current;
+    const start = editor ? editor.selectionStart : sql.length;
+    const end = editor ? editor.selectionEnd : sql.length;
+    onSqlChange(sql.slice(0, start) + text + sql.slice(end));
+  };
+
+  const location = error && error.position !== undefined ? errorLocation(error.sql, error.position) : null;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+      <div className="lg:col-span-3 min-w-0">
+        <label htmlFor="sql-editor" className="block text-sm font-medium text-gray-700 mb-1">
+          {t('query.editor')}
+        </label>
+        <textarea
+          id="sql-editor"
+          ref={editorRef}
+          value={sql}
+          onChange={(e) => onSqlChange(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+              e.preventDefault();
+              if (sql.trim()) run();
+            }
+          }}
+          rows={8}
+          spellCheck={false}
+          placeholder={activeName ? `SELECT * FROM ${quoteIdentifier(activeName)} LIMIT 100` : ''}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+
+        <div className="flex flex-wrap items-center gap-2 mt-2 mb-4">
+          <button onClick={run} disabled={!sql.trim()} className={`${buttonClass} bg-blue-600 text-white hover:bg-blue-700`}>
+            <Play size={18} />
+            {t('query.run')}
+          </button>
+          {result && (
+            <>
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder={t('query.defaultName')}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                aria-label={t('query.datasetName')}
+              />
+              <button
+                onClick={() => {
+                  onSave(name.trim());
+                  setName('');
+                }}
+                disabled={!result.rows.length}
+                className={`${buttonClass} border border-gray-300 hover:bg-gray-50`}
+              >
+                <Database size={18} />
+                {t('query.save')}
+              </button>
+            </>
+          )}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4" role="alert">
+            <p className="text-red-700">
+              {error.message}
+              {location && <span className="text-red-500"> {t('query.errorAt', { line: location.line, column: location.column })}</span>}
+            </p>
+            {location && (
+              <pre className="mt-2 text-sm font-mono text-gray-700 overflow-x-auto">
+                {location.text}
+                {'\n'}
+                <span className="text-red-600">{' '.repeat(location.column - 1)}{'^'.repeat(Math.max(1, Math.min(error.length, location.text.length - location.column + 1)))}</span>
+              </pre>
+            )}
+          </div>
+        )}
+
+        {result && (
+          <div>
+            <p className="text-sm text-gray-500 mb-2">
+              {t(result.rows.length === 1 ? 'query.row' : 'query.rows', { count: formatNumber(result.rows.length) })},{' '}
+              {t(result.headers.length === 1 ? 'query.column' : 'query.columns', { count: result.headers.length })}
+            </p>
+            <DataGrid
+              headers={result.headers}
+              schema={result.schema}
+              rows={rows}
+              totalRows={result.rows.length}
+              view={view}
+              valueOptions={{}}
+              onViewChange={setView}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="space-y-6 min-w-0">
+        <div>
+          <h3 className="font-semibold mb-2">{t('query.tables')}</h3>
+          <p className="text-xs text-gray-500 mb-2">{t('query.insertHint')}</p>
+          <ul className="space-y-3 text-sm">
+            {tables.map(table => (
+              <li key={table.id}>
+                <button onClick={() => insert(quoteIdentifier(table.name))} className="font-mono font-medium text-blue-700 hover:text-blue-900 break-all text-left">
+                  {quoteIdentifier(table.name)}
+                </button>
+                <span className="text-xs text-gray-400 ml-1">{t('query.rows', { count: formatNumber(table.rows.length) })}</span>
+                <ul className="ml-3 mt-1 space-y-0.5">
+                  {table.headers.map(header => (
+                    <li key={header} className="flex justify-between gap-2">
+                      <button onClick={() => insert(quoteIdentifier(header))} className="font-mono text-gray-700 hover:text-blue-700 truncate text-left">
+                        {quoteIdentifier(header)}
+                      </button>
+                      <span className="text-xs text-gray-400 flex-shrink-0">{t(`type.${table.schema[header].type}`)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div>
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="font-semibold flex items-center gap-2">
+              <History size={16} />
+              {t('query.history')}
+            </h3>
+            {history.length > 0 && (
+              <button onClick={onClearHistory} className="text-red-600 hover:text-red-800" aria-label={t('query.clearHistory')}>
+                <Trash2 size={16} />
+              </button>
+            )}
+          </div>
+          {history.length === 0 ? (
+            <p className="text-sm text-gray-500">{t('query.noHistory')}</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg text-sm">
+              {history.map(entry => (
+                <li key={entry.ranAt}>
+                  <button onClick={() => onSqlChange(entry.sql)} className="w-full text-left p-2 hover:bg-gray-50" title={entry.sql}>
+                    <span className="block font-mono text-xs text-gray-800 truncate">{entry.sql}</span>
+                    <span className={`block text-xs ${entry.error ? 'text-red-600' : 'text-gray-500'}`}>
+                      {new Date(entry.ranAt).toLocaleString(locale)} · {entry.error ? entry.error : t('query.rows', { count: formatNumber(entry.rows) })}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QueryPanel;
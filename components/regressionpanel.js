@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { isNumericType } from '../core/typeinference';
+import { CONFIDENCE_LEVEL, MAX_DEGREE, predict } from '../core/regression';
+import ColumnPicker from './columnpicker';
+import { useTheme } from './theme';
+import { fitLabel, useI18n } from './i18n';
+
+const fieldClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+const cellClass = 'border border-gray-300 px-3 py-2';
+
+const CURVE_TYPES = ['linear', 'polynomial', 'exponential', 'logarithmic'];
+
+// Model statistics span many magnitudes: very large and very small ones in scientific notation.
+const statFormatter = (formatNumber) => (value) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return '—';
+  if (!Number.isFinite(value)) return value > 0 ? '∞' : '−∞';
+  return Math.abs(value) >= 1e6 || (value !== 0 && Math.abs(value) < 1e-3)
+    ? formatNumber(value, { notation: 'scientific', maximumFractionDigits: 3 })
+    : formatNumber(value, { maximumFractionDigits: 4 });
+};
+
+const COEFFICIENT_COLUMNS = ['regression.term', 'regression.estimate', 'regression.stdError', 'regression.t', 'regression.pValue'];
+
+const pValueFormatter = (formatNumber) => (pValue) => {
+  if (pValue === null) return '—';
+  const threeDecimals = { minimumFractionDigits: 3, maximumFractionDigits: 3 };
+  return pValue < 0.001 ? `< ${formatNumber(0.001, threeDecimals)}` : formatNumber(pValue, threeDecimals);
+};
+
+const Stat = ({ label, value }) => (
+  <div className="bg-gray-50 rounded-lg p-3">
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className="text-lg font-semibold text-gray-800">{value}</p>
+  </div>
+);
+
+const PredictPanel = ({ model, predictors }) => {
+  const { t, formatNumber } = useI18n();
+  const formatStat = statFormatter(formatNumber);
+  const [inputs, setInputs] = useState({});
+  const values = predictors.map(column => inputs[column] || '');
+  const ready = values.every(value => value.trim() !== '' && Number.isFinite(Number(value)));
+  const numbers = values.map(Number);
+  const prediction = ready ? predict(model, predictors.length === 1 ? numbers[0] : numbers) : null;
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <h4 className="font-medium text-gray-800 mb-3">{t('regression.predict', { column: model.y })}</h4>
+      <div className="flex flex-wrap items-end gap-3">
+        {predictors.map(column => (
+          <label key={column} className="text-sm text-gray-700">
+            <span className="block mb-1">{column}</span>
+            <input
+              type="number"
+              value={inputs[column] || ''}
+              onChange={(e) => setInputs(prev => ({ ...prev, [column]: e.target.value }))}
+              className={`${fieldClass} w-32`}
+            />
+          </label>
+        ))}
+      </div>
+      {ready && (prediction ? (
+        <p className="mt-3 text-sm">
+          <span className="text-2xl font-bold text-blue-600 mr-2">{formatStat(prediction.value)}</span>
+          {t('regression.interval', { level: CONFIDENCE_LEVEL * 100, lower: formatStat(prediction.lower), upper: formatStat(prediction.upper) })}
+        </p>
+      ) : (
+        <p className="mt-3 text-sm text-yellow-700">{t('regression.cannotPredict', { model: fitLabel(t, model) })}</p>
+      ))}
+      {ready && prediction && model.type !== 'multiple' && (numbers[0] < model.range[0] || numbers[0] > model.range[1]) && (
+        <p className="mt-1 text-sm text-yellow-700">
+          {t('regression.extrapolation', { column: model.x, min: formatStat(model.range[0]), max: formatStat(model.range[1]) })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Model fitting for the Analyze tab: target, predictors and curve type, the fitted coefficients with their
+// tests, a residual plot and predictions for new values.
+const RegressionPanel = ({ headers, schema, config, regression, onConfigChange }) => {
+  const { palette } = useTheme();
+  const { t, formatNumber } = useI18n();
+  const formatStat = statFormatter(formatNumber);
+  const formatPValue = pValueFormatter(formatNumber);
+  const numericHeaders = headers.filter(header => isNumericType(schema[header].type));
+  if (numericHeaders.length < 2) return null;
+
+  const set = (key, value) => onConfigChange({ ...config, [key]: value });
+  const single = config.predictors.length <= 1;
+  const model = regression && regression.model;
+
+  return (
+    <div className="mb-8">
+      <h3 className="text-xl font-semibold mb-4">{t('regression.title')}</h3>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-4 mb-4">
+        <div>
+          <label htmlFor="regression-target" className="block text-sm font-medium text-gray-700 mb-1">{t('regression.target')}</label>
+          <select id="regression-target" value={config.target} onChange={(e) => set('target', e.target.value)} className={`${fieldClass} w-full`}>
+            <option value="">{t('regression.selectColumn')}</option>
+            {numericHeaders.map(header => <option key={header} value={header}>{header}</option>)}
+          </select>
+        </div>
+        <div>
+          <span id="regression-predictors" className="block text-sm font-medium text-gray-700 mb-1">{t('regression.predictors')}</span>
+          <ColumnPicker
+            headers={numericHeaders.filter(header => header !== config.target)}
+            selected={config.predictors}
+            onChange={(value) => set('predictors', value)}
+            emptyLabel={t('regression.selectPredictors')}
+            labelledBy="regression-predictors"
+          />
+        </div>
+        <div>
+          <label htmlFor="regression-type" className="block text-sm font-medium text-gray-700 mb-1">{t('regression.model')}</label>
+          {single ? (
+            <select id="regression-type" value={config.type} onChange={(e) => set('type', e.target.value)} className={`${fieldClass} w-full`}>
+              {CURVE_TYPES.map(type => <option key={type} value={type}>{t(`fit.${type}`)}</option>)}
+            </select>
+          ) : (
+            <p className="py-2 text-sm text-gray-600">{t('regression.multiple')}</p>
+          )}
+        </div>
+        {single && config.type === 'polynomial' && (
+          <div>
+            <label htmlFor="regression-degree" className="block text-sm font-medium text-gray-700 mb-1">{t('regression.degree')}</label>
+            <input
+              id="regression-degree"
+              type="number"
+              min="1"
+              max={MAX_DEGREE}
+              value={config.degree}
+              onChange={(e) => set('degree', Math.min(MAX_DEGREE, Math.max(1, Math.round(Number(e.target.value)))))}
+              className={`${fieldClass} w-24`}
+            />
+          </div>
+        )}
+      </div>
+
+      {!regression ? (
+        <p className="text-sm text-gray-500">{t('regression.empty')}</p>
+      ) : regression.error ? (
+        <p className="text-sm text-yellow-700">{t(`regression.error.${regression.error.code}`, regression.error.values)}</p>
+      ) : (
+        <>
+          <p className="font-mono text-sm bg-gray-50 rounded-lg p-3 mb-4 overflow-x-auto">{model.equation}</p>
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3 mb-4">
+            <Stat label={model.type === 'exponential' ? t('regression.rSquaredLog') : t('regression.rSquared')} value={formatStat(model.rSquared)} />
+            <Stat label={t('regression.adjustedRSquared')} value={formatStat(model.adjustedRSquared)} />
+            <Stat label={t('regression.residualStdError')} value={formatStat(model.residualStandardError)} />
+            <Stat label={t('regression.fStatistic')} value={formatStat(model.fStatistic)} />
+            <Stat label={t('regression.fPValue')} value={formatPValue(model.fPValue)} />
+            <Stat label={t('regression.observations')} value={formatNumber(model.n)} />
+          </div>
+          {(regression.skipped > 0 || model.excluded > 0) && (
+            <p className="text-sm text-gray-500 mb-4">
+              {regression.skipped > 0 ? `${t('regression.skipped', { count: formatNumber(regression.skipped) })} ` : ''}
+              {model.excluded > 0 ? t('regression.excluded', { count: formatNumber(model.excluded), model: fitLabel(t, model) }) : ''}
+            </p>
+          )}
+
+          <div className="overflow-x-auto mb-6">
+            <table className="w-full border-collapse border border-gray-300 text-sm">
+              <thead>
+                <tr className="bg-gray-50">
+                  {COEFFICIENT_COLUMNS.map(key => (
+                    <th key={key} className={`${cellClass} text-left`}>{t(key)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {model.coefficients.map(coefficient => (
+                  <tr key={coefficient.term}>
+                    <td className={`${cellClass} font-medium`}>{coefficient.term}</td>
+                    <td className={`${cellClass} text-right`}>{formatStat(coefficient.estimate)}</td>
+                    <td className={`${cellClass} text-right`}>{formatStat(coefficient.standardError)}</td>
+                    <td className={`${cellClass} text-right`}>{formatStat(coefficient.t)}</td>
+                    <td className={`${cellClass} text-right ${coefficient.pValue !== null && coefficient.pValue < 0.05 ? 'font-semibold' : ''}`}>
+                      {formatPValue(coefficient.pValue)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="border border-gray-200 rounded-lg p-4">
+              <h4 className="font-medium text-gray-800 mb-2">{t('regression.residualsTitle')}</h4>
+              <ResponsiveContainer width="100%" height={260}>
+                <ScatterChart margin={{ top: 10, right: 20, left: 10, bottom: 20 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="fitted" type="number" name={t('regression.fitted')} tickFormatter={formatStat} domain={['auto', 'auto']} />
+                  <YAxis dataKey="residual" type="number" name={t('regression.residual')} tickFormatter={formatStat} />
+                  <Tooltip formatter={formatStat} />
+                  <ReferenceLine y={0} stroke="#6b7280" />
+                  <Scatter data={regression.residuals} fill={palette[0]} isAnimationActive={false} />
+                </ScatterChart>
+              </ResponsiveContainer>
+              {regression.sampledFrom > 0 && (
+                <p className="text-sm text-gray-500">{t('regression.sampled', { count: formatNumber(regression.sampledFrom) })}</p>
+              )}
+            </div>
+            <PredictPanel key={config.predictors.join('\u0000')} model={model} predictors={config.predictors} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RegressionPanel;
@@ -0,0 +1,90 @@
+import React from 'react';
+import { RefreshCw } from 'lucide-react';
+import { COLUMN_TYPES, isBlank } from '../core/typeinference';
+import { useI18n } from './i18n';
+
+const SchemaPanel = ({ headers, schema, rawRows, overrides, onOverrideChange, onApply, onReset }) => {
+  const { t, formatNumber } = useI18n();
+  const pendingChanges = headers.some(header => (overrides[header] || schema[header].inferredType) !== schema[header].type);
+  const hasOverrides = headers.some(header => schema[header].overridden);
+
+  const sampleFor = (colIndex) => {
+    const row = rawRows.find(candidate => !isBlank(candidate[colIndex]));
+    return row ? String(row[colIndex]) : '';
+  };
+
+  return (
+    <div className="mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold">{t('schema.title')}</h3>
+        <div className="flex gap-2">
+          {hasOverrides && (
+            <button
+              onClick={onReset}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              {t('schema.reset')}
+            </button>
+          )}
+          <button
+            onClick={onApply}
+            disabled={!pendingChanges}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg transition-colors ${
+              pendingChanges
+                ? 'bg-blue-600 text-white hover:bg-blue-700'
+                : 'bg-gray-200 text-gray-400 cursor-not-allowed'
+            }`}
+          >
+            <RefreshCw size={18} />
+            {t('schema.rerun')}
+          </button>
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full border-collapse border border-gray-300">
+          <thead>
+            <tr className="bg-gray-50">
+              <th className="border border-gray-300 px-4 py-2 text-left">{t('schema.column')}</th>
+              <th className="border border-gray-300 px-4 py-2 text-left">{t('schema.detected')}</th>
+              <th className="border border-gray-300 px-4 py-2 text-left">{t('schema.type')}</th>
+              <th className="border border-gray-300 px-4 py-2 text-left">{t('schema.invalid')}</th>
+              <th className="border border-gray-300 px-4 py-2 text-left">{t('schema.sample')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {headers.map((header, colIndex) => {
+              const column = schema[header];
+              return (
+                <tr key={header}>
+                  <td className="border border-gray-300 px-4 py-2 font-medium">{header}</td>
+                  <td className="border border-gray-300 px-4 py-2 text-gray-600">
+                    {t(`type.${column.inferredType}`)}
+                    {column.inferredFormat && <span className="text-gray-400 text-sm"> ({column.inferredFormat})</span>}
+                  </td>
+                  <td className="border border-gray-300 px-4 py-2">
+                    <select
+                      value={overrides[header] || column.inferredType}
+                      onChange={(e) => onOverrideChange(header, e.target.value)}
+                      aria-label={t('schema.typeOf', { column: header })}
+                      className="w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {COLUMN_TYPES.map(type => (
+                        <option key={type} value={type}>{t(`type.${type}`)}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className={`border border-gray-300 px-4 py-2 ${column.invalid > 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                    {formatNumber(column.invalid)}
+                  </td>
+                  <td className="border border-gray-300 px-4 py-2 text-gray-500 font-mono text-sm">{sampleFor(colIndex)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SchemaPanel;
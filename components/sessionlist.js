@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { History, FolderOpen, Pencil, Trash2, Check, Download, Upload, FilePlus } from 'lucide-react';
+import { useI18n } from './i18n';
+
+const formatBytes = (bytes, formatNumber) => {
+  if (bytes < 1024) return `${formatNumber(bytes)} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} ${units[unit]}`;
+};
+
+const buttonClass = 'flex items-center gap-1 px-2 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors';
+
+// Recent sessions saved in the browser, with the storage quota and session file export/import.
+const SessionList = ({ sessions, currentId, estimate, onOpen, onRename, onDelete, onNew, onExport, onImport }) => {
+  const { t, formatNumber, locale } = useI18n();
+  const [editingId, setEditingId] = useState(null);
+  const [name, setName] = useState('');
+
+  const startRename = (session) => {
+    setEditingId(session.id);
+    setName(session.name);
+  };
+
+  const finishRename = () => {
+    if (name.trim()) onRename(editingId, name.trim());
+    setEditingId(null);
+  };
+
+  const usedShare = estimate && estimate.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 0;
+
+  return (
+    <div className="mt-8 text-left">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <History size={20} />
+          {t('sessions.title')}
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={onNew} className={buttonClass}>
+            <FilePlus size={16} />
+            {t('sessions.new')}
+          </button>
+          <button onClick={onExport} disabled={!currentId} className={`${buttonClass} disabled:opacity-50`}>
+            <Download size={16} />
+            {t('sessions.export')}
+          </button>
+          <label className={`${buttonClass} cursor-pointer focus-within:ring-2 focus-within:ring-blue-500`}>
+            <Upload size={16} />
+            {t('sessions.import')}
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="sr-only"
+              onChange={(e) => {
+                if (e.target.files[0]) onImport(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </div>
+      </div>
+
+      {sessions === null ? (
+        <p className="text-sm text-gray-500">{t('sessions.unavailable')}</p>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('sessions.empty')}</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {sessions.map(session => (
+            <li key={session.id} className={`flex flex-wrap items-center gap-2 p-3 ${session.id === currentId ? 'bg-blue-50' : ''}`}>
+              <div className="flex-1 min-w-0">
+                {editingId === session.id ? (
+                  <input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') finishRename();
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    className="w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label={t('sessions.name')}
+                    autoFocus
+                  />
+                ) : (
+                  <p className="font-medium text-gray-800 truncate">
+                    {session.name}
+                    {session.id === currentId && <span className="ml-2 text-xs text-blue-600">{t('sessions.open')}</span>}
+                  </p>
+                )}
+                <p className="text-xs text-gray-500">
+                  {new Date(session.savedAt).toLocaleString(locale)}
+                  {' · '}
+                  {t(session.datasets === 1 ? 'sessions.dataset' : 'sessions.datasets', { count: formatNumber(session.datasets) })}
+                  {' · '}
+                  {t(session.rows === 1 ? 'sessions.row' : 'sessions.rows', { count: formatNumber(session.rows) })}
+                </p>
+              </div>
+              <button
+                onClick={() => onOpen(session.id)}
+                disabled={session.id === currentId}
+                className={`${buttonClass} disabled:opacity-50`}
+              >
+                <FolderOpen size={16} />
+                {t('sessions.openAction')}
+              </button>
+              <button
+                onClick={() => (editingId === session.id ? finishRename() : startRename(session))}
+                className={buttonClass}
+                aria-label={editingId === session.id ? t('sessions.saveName') : t('sessions.rename', { name: session.name })}
+              >
+                {editingId === session.id ? <Check size={16} /> : <Pencil size={16} />}
+              </button>
+              <button
+                onClick={() => onDelete(session.id)}
+                className={`${buttonClass} text-red-600 hover:bg-red-50`}
+                aria-label={t('sessions.delete', { name: session.name })}
+              >
+                <Trash2 size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {estimate && estimate.quota > 0 && (
+        <div className="mt-4">
+          <div className="flex justify-between text-xs text-gray-500 mb-1">
+            <span>{t('sessions.storage')}</span>
+            <span>{t('sessions.storageUsed', { used: formatBytes(estimate.usage, formatNumber), quota: formatBytes(estimate.quota, formatNumber) })}</span>
+          </div>
+          <div className="w-full bg-gray-100 rounded-full h-2 overflow-hidden">
+            <div
+              className={`h-2 ${usedShare > 80 ? 'bg-red-500' : 'bg-blue-500'}`}
+              style={{ width: `${usedShare}%` }}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionList;
@@ -0,0 +1,71 @@
+import { createContext, useContext } from 'react';
+
+// Theme for an embedded analyser: chart palette, fonts and dark mode. The components keep their
+// Tailwind classes; fonts and dark mode come from a stylesheet scoped to one analyser's root element.
+
+// Named chart palettes. Okabe–Ito and Tol's bright scheme stay distinguishable under the common forms of
+// colour blindness; `classic` is the app's original palette, which does not.
+export const PALETTES = {
+  okabeIto: ['#0072B2', '#E69F00', '#009E73', '#D55E00', '#CC79A7', '#56B4E9', '#F0E442'],
+  tolBright: ['#4477AA', '#EE6677', '#228833', '#CCBB44', '#66CCEE', '#AA3377', '#BBBBBB'],
+  classic: ['#8884d8', '#82ca9d', '#ffc658', '#ff7300', '#8dd1e1', '#d084d0', '#ffb347']
+};
+
+export const DEFAULT_THEME = {
+  palette: PALETTES.okabeIto,
+  fonts: { body: '', mono: '' },
+  dark: false
+};
+
+// `palette` is a list of colours or the name of one of PALETTES.
+const resolvePalette = (palette) => {
+  const colors = typeof palette === 'string' ? PALETTES[palette] : palette;
+  return colors && colors.length ? colors : DEFAULT_THEME.palette;
+};
+
+export const resolveTheme = (theme = {}) => ({
+  ...DEFAULT_THEME,
+  ...theme,
+  palette: resolvePalette(theme.palette),
+  fonts: { ...DEFAULT_THEME.fonts, ...theme.fonts }
+});
+
+export const ThemeContext = createContext(DEFAULT_THEME);
+
+export const useTheme = () => useContext(ThemeContext);
+
+// Colours of the Tailwind utilities the app uses, remapped for dark mode.
+const DARK_RULES = [
+  ['.bg-white', 'background-color: #1f2937'],
+  ['.bg-gray-50, .hover\\:bg-gray-50:hover', 'background-color: #273244'],
+  ['.bg-gray-100', 'background-color: #374151'],
+  ['.bg-blue-50, .hover\\:bg-blue-50:hover', 'background-color: rgba(59, 130, 246, 0.15)'],
+  ['.bg-blue-100, .hover\\:bg-blue-100:hover', 'background-color: rgba(59, 130, 246, 0.25)'],
+  ['.bg-green-50', 'background-color: rgba(34, 197, 94, 0.15)'],
+  ['.bg-purple-50', 'background-color: rgba(168, 85, 247, 0.15)'],
+  ['.bg-orange-50', 'background-color: rgba(249, 115, 22, 0.15)'],
+  ['.bg-yellow-50', 'background-color: rgba(234, 179, 8, 0.15)'],
+  ['.bg-red-50', 'background-color: rgba(239, 68, 68, 0.15)'],
+  ['.text-gray-900, .text-gray-800', 'color: #f3f4f6'],
+  ['.text-gray-700', 'color: #e5e7eb'],
+  ['.text-gray-600, .text-gray-500', 'color: #9ca3af'],
+  ['.text-gray-400, .text-gray-300', 'color: #6b7280'],
+  ['.border-gray-200, .border-gray-300', 'border-color: #4b5563'],
+  ['input, select, textarea', 'background-color: #111827; color: #f3f4f6; border-color: #4b5563'],
+  ['.recharts-text, .recharts-cartesian-axis-tick-value', 'fill: #d1d5db'],
+  ['.recharts-default-tooltip', 'background-color: #1f2937 !important; border-color: #4b5563 !important']
+];
+
+// The theme's stylesheet for the element with class `scope`.
+export const themeCss = (theme, scope) => {
+  const rules = [];
+  if (theme.fonts.body) rules.push(`.${scope} { font-family: ${theme.fonts.body}; }`);
+  if (theme.fonts.mono) rules.push(`.${scope} .font-mono, .${scope} pre, .${scope} code { font-family: ${theme.fonts.mono}; }`);
+  if (theme.dark) {
+    rules.push(`.${scope} { background-image: none; background-color: #111827; color: #e5e7eb; }`);
+    DARK_RULES.forEach(([selector, declarations]) => {
+      rules.push(`${selector.split(', ').map(part => `.${scope} ${part}`).join(', ')} { ${declarations}; }`);
+    });
+  }
+  return rules.join('\n');
+};
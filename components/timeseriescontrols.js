@@ -0,0 +1,66 @@
+import React from 'react';
+import { PERIODS, FILL_MODES, OVERLAYS, SEASON_LENGTHS } from '../core/timeseries';
+import { useI18n } from './i18n';
+
+const fieldClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// `id` is the id of the control inside.
+const Field = ({ id, label, children }) => (
+  <div>
+    <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+    {children}
+  </div>
+);
+
+const TimeSeriesControls = ({ config, onChange }) => {
+  const { t } = useI18n();
+  const set = (key, value) => onChange({ ...config, [key]: value });
+  const seasonal = SEASON_LENGTHS[config.period];
+
+  return (
+    <div className="grid grid-cols-2 lg:grid-cols-5 gap-4 mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+      <Field id="timeseries-period" label={t('timeSeries.period')}>
+        <select id="timeseries-period" value={config.period} onChange={(e) => set('period', e.target.value)} className={fieldClass}>
+          {Object.keys(PERIODS).map(value => (
+            <option key={value} value={value}>{t(`timeSeries.period.${value}`)}</option>
+          ))}
+        </select>
+      </Field>
+      <Field id="timeseries-fill" label={t('timeSeries.fill')}>
+        <select id="timeseries-fill" value={config.fill} onChange={(e) => set('fill', e.target.value)} className={fieldClass}>
+          {Object.keys(FILL_MODES).map(value => (
+            <option key={value} value={value}>{t(`timeSeries.fill.${value}`)}</option>
+          ))}
+        </select>
+      </Field>
+      <Field id="timeseries-rolling" label={t('timeSeries.rolling')}>
+        <input
+          id="timeseries-rolling"
+          type="number"
+          min="0"
+          max="365"
+          value={config.rolling}
+          onChange={(e) => set('rolling', Math.max(0, Math.round(Number(e.target.value))))}
+          className={fieldClass}
+          title={t('timeSeries.rollingHint')}
+        />
+      </Field>
+      <Field id="timeseries-change" label={t('timeSeries.change')}>
+        <select id="timeseries-change" value={config.change} onChange={(e) => set('change', e.target.value)} className={fieldClass}>
+          <option value="none">{t('timeSeries.change.none')}</option>
+          <option value="previous">{t('timeSeries.change.previous')}</option>
+          {seasonal && <option value="seasonal">{t(config.period === 'day' ? 'timeSeries.change.lastWeek' : 'timeSeries.change.lastYear')}</option>}
+        </select>
+      </Field>
+      <Field id="timeseries-overlay" label={t('timeSeries.overlay')}>
+        <select id="timeseries-overlay" value={config.overlay} onChange={(e) => set('overlay', e.target.value)} className={fieldClass}>
+          {Object.keys(OVERLAYS).map(value => (
+            <option key={value} value={value} disabled={value === 'decomposition' && !seasonal}>{t(`timeSeries.overlay.${value}`)}</option>
+          ))}
+        </select>
+      </Field>
+    </div>
+  );
+};
+
+export default TimeSeriesControls;
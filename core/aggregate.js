@@ -0,0 +1,167 @@
+import _ from 'lodash';
+import { formatValue, isNumericType } from './typeinference.js';
+import { quantileSorted } from './streamstats.js';
+
+export const MAX_COLUMN_GROUPS = 50;
+export const BLANK_KEY = '(blank)';
+
+const sorted = (values) => values.slice().sort((a, b) => a - b);
+
+const standardDeviation = (values) => {
+  if (!values.length) return null;
+  const mean = _.mean(values);
+  return Math.sqrt(_.sumBy(values, value => (value - mean) * (value - mean)) / values.length);
+};
+
+export const AGGREGATIONS = {
+  count: { label: 'Count', numeric: false, compute: (values, rowCount) => (values === null ? rowCount : values.length) },
+  distinct: { label: 'Distinct Count', numeric: false, compute: values => (values === null ? null : new Set(values).size) },
+  sum: { label: 'Sum', numeric: true, compute: values => _.sum(values) },
+  mean: { label: 'Mean', numeric: true, compute: values => (values.length ? _.mean(values) : null) },
+  median: { label: 'Median', numeric: true, compute: values => (values.length ? quantileSorted(sorted(values), 0.5) : null) },
+  min: { label: 'Min', numeric: true, compute: values => (values.length ? _.min(values) : null) },
+  max: { label: 'Max', numeric: true, compute: values => (values.length ? _.max(values) : null) },
+  stdDev: { label: 'Std Dev', numeric: true, compute: standardDeviation },
+  percentile: {
+    label: 'Percentile',
+    numeric: true,
+    compute: (values, rowCount, measure) => (values.length ? quantileSorted(sorted(values), (measure.percentile || 50) / 100) : null)
+  }
+};
+
+export const aggregationsFor = (column) => Object.keys(AGGREGATIONS).filter(key => (
+  !AGGREGATIONS[key].numeric || (column && isNumericType(column.type))
+));
+
+export const defaultPivotConfig = () => ({ rowKeys: [], columnKeys: [], measures: [{ column: '', aggregation: 'count', percentile: 90 }] });
+
+export const measureLabel = (measure) => {
+  const aggregation = measure.aggregation === 'percentile' ? `P${measure.percentile || 50}` : AGGREGATIONS[measure.aggregation].label;
+  return measure.column ? `${aggregation} of ${measure.column}` : aggregation;
+};
+
+export const computeMeasure = (rows, measure, schema) => {
+  const aggregation = AGGREGATIONS[measure.aggregation];
+  if (!measure.column) return aggregation.compute(null, rows.length, measure);
+  const column = schema[measure.column];
+  const present = rows.map(row => row[measure.column]).filter(value => value !== null && value !== undefined);
+  const values = aggregation.numeric ? present : present.map(value => formatValue(value, column));
+  return aggregation.compute(values, rows.length, measure);
+};
+
+export const keyOf = (row, column, schema) => {
+  const value = row[column];
+  return value === null || value === undefined ? BLANK_KEY : formatValue(value, schema[column]);
+};
+
+export const compareKeys = (a, b) => {
+  if (a === BLANK_KEY) return 1;
+  if (b === BLANK_KEY) return -1;
+  return a.localeCompare(b, undefined, { numeric: true });
+};
+
+const groupRows = (rows, columns, schema) => {
+  const groups = _.groupBy(rows, row => JSON.stringify(columns.map(column => keyOf(row, column, schema))));
+  return Object.keys(groups)
+    .map(id => ({ id, key: JSON.parse(id), rows: groups[id] }))
+    .sort((a, b) => {
+      for (let i = 0; i < a.key.length; i += 1) {
+        const order = compareKeys(a.key[i], b.key[i]);
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+};
+
+// Group-by / pivot over typed rows. Every cell, subtotal and total is computed from the underlying
+// rows rather than from other aggregates, so medians and distinct counts stay correct.
+export const buildPivot = (rows, schema, { rowKeys = [], columnKeys = [], measures = [] }) => {
+  const allColumnGroups = columnKeys.length ? groupRows(rows, columnKeys, schema) : [];
+  const columnGroups = allColumnGroups.slice(0, MAX_COLUMN_GROUPS).map(({ id, key }) => ({ id, key }));
+
+  const summarise = (groupRowsList) => {
+    const byColumn = columnKeys.length ? _.groupBy(groupRowsList, row => JSON.stringify(columnKeys.map(column => keyOf(row, column, schema)))) : {};
+    return {
+      count: groupRowsList.length,
+      cells: _.fromPairs(columnGroups.map(group => [
+        group.id,
+        measures.map(measure => (byColumn[group.id] ? computeMeasure(byColumn[group.id], measure, schema) : null))
+      ])),
+      total: measures.map(measure => computeMeasure(groupRowsList, measure, schema))
+    };
+  };
+
+  const body = [];
+  const walk = (groupRowsList, depth, prefix) => {
+    groupRows(groupRowsList, [rowKeys[depth]], schema).forEach(group => {
+      const key = [...prefix, group.key[0]];
+      if (depth === rowKeys.length - 1) {
+        body.push({ key, level: depth, subtotal: false, ...summarise(group.rows) });
+      } else {
+        walk(group.rows, depth + 1, key);
+        body.push({ key, level: depth, subtotal: true, ...summarise(group.rows) });
+      }
+    });
+  };
+  if (rowKeys.length) walk(rows, 0, []);
+
+  return {
+    rowKeys,
+    columnKeys,
+    measures,
+    columnGroups,
+    truncatedColumns: allColumnGroups.length - columnGroups.length,
+    rows: body,
+    grandTotal: summarise(rows)
+  };
+};
+
+export const columnGroupLabel = (group) => group.key.join(' / ');
+
+// Flat list of the value columns in a pivot, in display order.
+export const pivotSeries = (pivot) => {
+  const series = [];
+  pivot.columnGroups.forEach(group => {
+    pivot.measures.forEach((measure, index) => {
+      series.push({ id: `${group.id}:${index}`, group: group.id, measure: index, label: `${columnGroupLabel(group)} · ${measureLabel(measure)}` });
+    });
+  });
+  pivot.measures.forEach((measure, index) => {
+    series.push({
+      id: `total:${index}`,
+      group: null,
+      measure: index,
+      label: pivot.columnGroups.length ? `Total · ${measureLabel(measure)}` : measureLabel(measure)
+    });
+  });
+  return series;
+};
+
+export const seriesValue = (summary, series) => (series.group === null ? summary.total[series.measure] : summary.cells[series.group][series.measure]);
+
+export const pivotToMatrix = (pivot) => {
+  const series = pivotSeries(pivot);
+  const header = [...pivot.rowKeys, ...series.map(item => item.label)];
+  const body = pivot.rows.map(row => [
+    ...pivot.rowKeys.map((column, index) => {
+      if (index < row.key.length) return row.key[index];
+      return index === row.key.length && row.subtotal ? 'Subtotal' : '';
+    }),
+    ...series.map(item => seriesValue(row, item))
+  ]);
+  const total = [
+    ...pivot.rowKeys.map((column, index) => (index === 0 ? 'Grand Total' : '')),
+    ...series.map(item => seriesValue(pivot.grandTotal, item))
+  ];
+  return [header, ...body, total];
+};
+
+// Leaf rows of the pivot as { name, value } points for one series, for the chart builder.
+export const pivotChartData = (pivot, seriesId) => {
+  const series = pivotSeries(pivot).find(item => item.id === seriesId) || pivotSeries(pivot)[0];
+  if (!series) return [];
+  return pivot.rows
+    .filter(row => !row.subtotal)
+    .map(row => ({ name: row.key.join(' / '), value: seriesValue(row, series), count: row.count }))
+    .filter(point => point.value !== null);
+};
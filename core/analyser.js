@@ -0,0 +1,102 @@
+import _ from 'lodash';
+import { findReader } from './readers.js';
+import { inferSchema, buildTypedRows, DEFAULT_NULL_TOKENS } from './typeinference.js';
+import { analyseDataset, buildHistogram } from './statistics.js';
+import { runPipeline } from './pipeline.js';
+import { applyView, describeView, emptyView, isViewFiltered } from './filters.js';
+import { profileColumns, profileRawColumns, findDuplicateRows, evaluateRules, qualitySummary, defaultQualityConfig } from './quality.js';
+import { runRegression, regressionSummary } from './regression.js';
+import { buildReport, renderReportHtml, renderReportMarkdown } from './report.js';
+import { HTML_TYPE } from './exporters.js';
+
+// The app's analysis without React: read → type → clean → filter → analyse → report. The app, its
+// worker and the command-line tool all go through these functions, so they produce the same report.
+
+export const DEFAULT_BINS = 20;
+
+// Reads a File, or anything with name, size, text() and arrayBuffer(), with the reader registered for
+// its extension. Options go to the reader: sheet, signal and onProgress.
+export const readTable = async (file, options = {}) => {
+  const reader = findReader(file.name);
+  if (!reader) throw new Error(`Unsupported file type: ${file.name}`);
+  try {
+    const table = await reader.read(file, options);
+    return { sheets: [], sheet: '', ...table, readerLabel: reader.label };
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new Error(`Error processing ${reader.label} file: ${err.message}`);
+  }
+};
+
+// Infers column types, honouring per-column overrides, and converts the raw cells to typed rows.
+export const typeTable = (headers, rawRows, { typeOverrides = {}, nullTokens = DEFAULT_NULL_TOKENS } = {}) => {
+  const schema = inferSchema(headers, rawRows, typeOverrides, { nullTokens });
+  return { headers, rows: buildTypedRows(headers, rawRows, schema, { nullTokens }), schema };
+};
+
+// One histogram per numeric column of the analysis; `bins` holds per-column bin counts.
+export const buildHistograms = (rows, analysis, bins = {}) => _.mapValues(analysis.numericStats, (stats, column) => buildHistogram(
+  rows.map(row => row[column]).filter(value => value !== null && value !== undefined),
+  bins[column] || DEFAULT_BINS
+));
+
+// Quality profile of a typed table. `rawProfile` is profileRawColumns over the cells before typing.
+export const assessQuality = (table, rawProfile, config = defaultQualityConfig()) => ({
+  columns: profileColumns(table.rows, table.headers, table.schema, config.patterns),
+  raw: rawProfile,
+  duplicates: findDuplicateRows(table.rows, table.headers, table.schema),
+  rules: evaluateRules(table.rows, table.schema, config.rules)
+});
+
+// The whole analysis of raw header-aligned rows, as the Analyze tab shows it. Options mirror the
+// per-dataset settings: typeOverrides, nullTokens, cleaning steps, the filtered view, histogram bins,
+// quality patterns/rules and an optional regression ({ target, predictors, type, degree }). Returns the
+// intermediate results and the exportable report.
+export const analyseTable = ({ headers, rows, fileName = '', sheet = '' }, {
+  typeOverrides = {},
+  nullTokens = DEFAULT_NULL_TOKENS,
+  steps = [],
+  view = emptyView(),
+  histogramBins = {},
+  quality = defaultQualityConfig(),
+  regression = null
+} = {}) => {
+  const cleaned = runPipeline(typeTable(headers, rows, { typeOverrides, nullTokens }), steps);
+  const table = { headers: cleaned.headers, rows: cleaned.rows, schema: cleaned.schema };
+  const viewRows = applyView(table.rows, table.headers, table.schema, view);
+  const analysis = analyseDataset(viewRows, table.headers, table.schema);
+  const histograms = buildHistograms(viewRows, analysis, histogramBins);
+  const qualityResult = assessQuality(table, profileRawColumns(headers, rows, nullTokens), quality);
+  const regressionResult = regression ? runRegression(viewRows, table.schema, regression) : null;
+  return {
+    table,
+    stepErrors: cleaned.errors,
+    viewRows,
+    analysis,
+    histograms,
+    quality: qualityResult,
+    regression: regressionResult,
+    report: buildReport({
+      fileName,
+      sheet,
+      view: isViewFiltered(view) ? describeView(view) : undefined,
+      analysis,
+      histograms,
+      quality: qualitySummary(qualityResult),
+      regression: regressionResult && regressionResult.model ? regressionSummary(regressionResult.model) : undefined
+    })
+  };
+};
+
+// readTable followed by analyseTable; `options.sheet` picks the worksheet of a workbook.
+export const analyseFile = async (file, options = {}) => {
+  const { headers, rows, sheet } = await readTable(file, { sheet: options.sheet });
+  return analyseTable({ headers, rows, fileName: file.name, sheet }, options);
+};
+
+// Report renderers by format name, as the exports and the command-line tool offer them.
+export const REPORT_FORMATS = {
+  json: { label: 'JSON', extension: '.json', type: 'application/json', render: report => JSON.stringify(report, null, 2) },
+  md: { label: 'Markdown', extension: '.md', type: 'text/markdown', render: (report, options) => renderReportMarkdown(report, options) },
+  html: { label: 'HTML', extension: '.html', type: HTML_TYPE, render: (report, options) => renderReportHtml(report, options) }
+};
@@ -0,0 +1,59 @@
+import { DEFAULT_NULL_TOKENS } from './typeinference.js';
+import { analyseDataset } from './statistics.js';
+import { readTable, typeTable } from './analyser.js';
+
+// Message handler shared by the Web Worker and its in-thread fallback; `post` delivers replies.
+// Incoming: { type: 'load', jobId, file, options } and { type: 'cancel', jobId }.
+// Outgoing: 'progress', 'complete', 'error' and 'cancelled', each tagged with the jobId.
+export const createAnalysisHandler = (post) => {
+  const jobs = new Map();
+
+  const load = ({ jobId, file, options = {} }) => {
+    const controller = new AbortController();
+    jobs.set(jobId, controller);
+
+    const onProgress = ({ rows, loaded, total }) => {
+      post({ type: 'progress', jobId, stage: 'parsing', rows, loaded, total });
+    };
+
+    return readTable(file, { ...options, signal: controller.signal, onProgress })
+      .then(({ headers, rows, sheets, sheet, readerLabel }) => {
+        if (controller.signal.aborted) throw new Error('cancelled');
+        post({ type: 'progress', jobId, stage: 'analysing', rows: rows.length, loaded: file.size, total: file.size });
+
+        const { nullTokens = DEFAULT_NULL_TOKENS } = options;
+        const { schema, rows: data } = typeTable(headers, rows, { nullTokens });
+        const analysis = analyseDataset(data, headers, schema);
+        if (controller.signal.aborted) throw new Error('cancelled');
+
+        // Typed rows are rebuilt from the raw rows and schema on arrival rather than cloned alongside them.
+        post({ type: 'complete', jobId, readerLabel, headers, rows, sheets, sheet, schema, nullTokens, analysis });
+      })
+      .catch(err => {
+        if (controller.signal.aborted) {
+          post({ type: 'cancelled', jobId });
+        } else {
+          post({ type: 'error', jobId, message: err.message });
+        }
+      })
+      .finally(() => {
+        jobs.delete(jobId);
+      });
+  };
+
+  const cancel = ({ jobId }) => {
+    const controller = jobs.get(jobId);
+    if (controller) controller.abort();
+  };
+
+  return (message) => {
+    switch (message.type) {
+      case 'load':
+        return load(message);
+      case 'cancel':
+        return cancel(message);
+      default:
+        return undefined;
+    }
+  };
+};
@@ -0,0 +1,157 @@
+import _ from 'lodash';
+import { keyOf, compareKeys } from './aggregate.js';
+import { createFrequencyCounter } from './streamstats.js';
+import { chiSquarePValue } from './distributions.js';
+
+// Frequency tables, cardinality and cross-tabulation for text and boolean columns.
+
+// Distinct values counted exactly per column; a column past this is reported as "at least" this many.
+export const MAX_TRACKED_VALUES = 100000;
+// Most frequent values kept per column in the analysis and the exports; the rest are only counted.
+export const MAX_STORED_VALUES = 1000;
+export const MAX_CROSSTAB_CATEGORIES = 20;
+export const HIGH_CARDINALITY_VALUES = 50;
+export const HIGH_CARDINALITY_RATIO = 0.5;
+export const ID_LIKE_RATIO = 0.95;
+export const MIN_ID_LIKE_VALUES = 20;
+export const MIN_EXPECTED_COUNT = 5;
+export const OTHER_VALUES = '(other values)';
+
+export const CARDINALITY_LEVELS = {
+  constant: 'Constant',
+  low: 'Low',
+  high: 'High cardinality',
+  id: 'ID-like'
+};
+
+export const cardinalityLevel = (distinct, present) => {
+  if (distinct <= 1) return 'constant';
+  const ratio = present ? distinct / present : 0;
+  if (ratio >= ID_LIKE_RATIO && distinct >= MIN_ID_LIKE_VALUES) return 'id';
+  if (distinct > HIGH_CARDINALITY_VALUES || ratio > HIGH_CARDINALITY_RATIO) return 'high';
+  return 'low';
+};
+
+// Trims a column's value counts to the MAX_STORED_VALUES most frequent and describes its cardinality.
+// `present` is the number of non-missing values; `untracked` those the counter stopped tracking.
+export const summariseCounts = (counts, { present, untracked = 0 }) => {
+  const entries = Object.entries(counts);
+  const kept = entries.length > MAX_STORED_VALUES
+    ? _.take(_.orderBy(entries, ([, count]) => count, 'desc'), MAX_STORED_VALUES)
+    : entries;
+  const distinct = entries.length;
+  // Once the counter is capped, judge the column by the rows whose values were tracked.
+  const tracked = present - untracked;
+  return {
+    counts: _.fromPairs(kept),
+    cardinality: {
+      distinct,
+      capped: untracked > 0,
+      present,
+      uniqueness: present ? distinct / present : null,
+      level: cardinalityLevel(distinct, tracked),
+      kept: kept.length,
+      otherCount: present - _.sumBy(kept, ([, count]) => count)
+    }
+  };
+};
+
+// Rows of a frequency table: share and cumulative share are percentages of the non-missing values.
+// Values under `minShare` percent, and those not kept by the analysis, are grouped into one final row.
+export const frequencyTable = (counts, cardinality, { sort = 'count', direction = 'desc', minShare = 0 } = {}) => {
+  const total = cardinality.present;
+  const share = count => (total ? (count / total) * 100 : 0);
+  const [common, rare] = _.partition(Object.entries(counts), ([, count]) => share(count) >= minShare);
+
+  const ordered = sort === 'value'
+    ? common.sort(([a], [b]) => compareKeys(a, b))
+    : _.orderBy(common, [([, count]) => count, ([value]) => value], ['desc', 'asc']);
+  if (direction === 'asc' && sort === 'count') ordered.reverse();
+  if (direction === 'desc' && sort === 'value') ordered.reverse();
+
+  const rows = ordered.map(([value, count]) => ({ value, count }));
+  const groupedValues = rare.length + (cardinality.distinct - cardinality.kept);
+  const groupedCount = _.sumBy(rare, ([, count]) => count) + cardinality.otherCount;
+  if (groupedValues > 0 && groupedCount > 0) {
+    rows.push({ value: OTHER_VALUES, count: groupedCount, grouped: groupedValues, capped: cardinality.capped });
+  }
+
+  let cumulative = 0;
+  return rows.map(row => {
+    cumulative += row.count;
+    return { ...row, share: share(row.count), cumulative: share(cumulative) };
+  });
+};
+
+// The most frequent keys of a column, in display order, and whether the rest were grouped.
+const crossTabKeys = (rows, column, schema, maxCategories) => {
+  const counter = createFrequencyCounter(MAX_TRACKED_VALUES);
+  rows.forEach(row => counter.push(keyOf(row, column, schema)));
+  const counts = Object.entries(counter.result());
+  const kept = _.take(_.orderBy(counts, ([, count]) => count, 'desc'), maxCategories).map(([key]) => key).sort(compareKeys);
+  const grouped = counts.length > kept.length || counter.untracked() > 0;
+  return { keys: grouped ? [...kept, OTHER_VALUES] : kept, grouped };
+};
+
+// Chi-square test of independence for a contingency table of observed counts.
+export const chiSquareTest = (counts, rowTotals, columnTotals, total) => {
+  const df = (rowTotals.length - 1) * (columnTotals.length - 1);
+  if (!total || df < 1) return null;
+  let statistic = 0;
+  let lowExpected = 0;
+  counts.forEach((row, i) => row.forEach((observed, j) => {
+    const expected = (rowTotals[i] * columnTotals[j]) / total;
+    if (expected < MIN_EXPECTED_COUNT) lowExpected += 1;
+    if (expected > 0) statistic += ((observed - expected) * (observed - expected)) / expected;
+  }));
+  const cells = rowTotals.length * columnTotals.length;
+  return {
+    statistic,
+    df,
+    pValue: chiSquarePValue(statistic, df),
+    cramersV: Math.sqrt(statistic / (total * Math.min(rowTotals.length - 1, columnTotals.length - 1))),
+    lowExpected,
+    cells
+  };
+};
+
+// Two-way table of counts between two columns over rows where both have a value. Each axis keeps its
+// `maxCategories` most frequent values and groups the rest, so the table stays readable and bounded.
+export const crossTab = (rows, rowColumn, columnColumn, schema, { maxCategories = MAX_CROSSTAB_CATEGORIES } = {}) => {
+  const complete = rows.filter(row => (
+    row[rowColumn] !== null && row[rowColumn] !== undefined && row[columnColumn] !== null && row[columnColumn] !== undefined
+  ));
+  const rowAxis = crossTabKeys(complete, rowColumn, schema, maxCategories);
+  const columnAxis = crossTabKeys(complete, columnColumn, schema, maxCategories);
+  const rowIndex = new Map(rowAxis.keys.map((key, i) => [key, i]));
+  const columnIndex = new Map(columnAxis.keys.map((key, i) => [key, i]));
+  const otherRow = rowAxis.keys.length - 1;
+  const otherColumn = columnAxis.keys.length - 1;
+
+  const counts = rowAxis.keys.map(() => columnAxis.keys.map(() => 0));
+  complete.forEach(row => {
+    const rowKey = keyOf(row, rowColumn, schema);
+    const columnKey = keyOf(row, columnColumn, schema);
+    const i = rowIndex.has(rowKey) ? rowIndex.get(rowKey) : otherRow;
+    const j = columnIndex.has(columnKey) ? columnIndex.get(columnKey) : otherColumn;
+    counts[i][j] += 1;
+  });
+
+  const rowTotals = counts.map(row => _.sum(row));
+  const columnTotals = columnAxis.keys.map((key, j) => _.sumBy(counts, row => row[j]));
+  const total = complete.length;
+
+  return {
+    rowColumn,
+    columnColumn,
+    rowKeys: rowAxis.keys,
+    columnKeys: columnAxis.keys,
+    grouped: { rows: rowAxis.grouped, columns: columnAxis.grouped },
+    counts,
+    rowTotals,
+    columnTotals,
+    total,
+    skipped: rows.length - total,
+    test: chiSquareTest(counts, rowTotals, columnTotals, total)
+  };
+};
@@ -0,0 +1,464 @@
+import _ from 'lodash';
+import { isNumericType, isDateType } from './typeinference.js';
+import { keyOf, compareKeys, computeMeasure, measureLabel, pivotChartData, pivotSeries } from './aggregate.js';
+import { quantileSorted } from './streamstats.js';
+import { buildHistogram } from './statistics.js';
+import { buildTimeSeries } from './timeseries.js';
+import { defaultFitConfig, fitCurve, curvePoints, predict } from './regression.js';
+
+export const CHART_TYPES = {
+  bar: 'Bar Chart',
+  line: 'Line Chart',
+  area: 'Area Chart',
+  pie: 'Pie Chart',
+  scatter: 'Scatter Plot',
+  histogram: 'Histogram',
+  box: 'Box Plot',
+  heatmap: 'Heatmap'
+};
+
+// Chart types that can plot the pre-aggregated rows of a pivot table.
+export const PIVOT_CHART_TYPES = ['bar', 'line', 'area', 'pie'];
+
+export const SORT_ORDERS = {
+  auto: 'Automatic',
+  'value-desc': 'Value (high to low)',
+  'value-asc': 'Value (low to high)',
+  'label-asc': 'Label (A to Z)',
+  'label-desc': 'Label (Z to A)'
+};
+
+export const OTHER_KEY = '(other)';
+export const MAX_SERIES = 10;
+export const MAX_CATEGORIES = 500;
+export const MAX_HEATMAP_ROWS = 50;
+export const MAX_SCATTER_POINTS = 5000;
+
+export const defaultChartConfig = () => ({
+  source: 'dataset',
+  type: 'bar',
+  x: '',
+  measures: [{ column: '', aggregation: 'count', percentile: 90 }],
+  groupBy: '',
+  stacked: false,
+  topN: 15,
+  other: true,
+  sort: 'auto',
+  logScale: false,
+  legend: true,
+  xTitle: '',
+  yTitle: '',
+  bins: 20,
+  pivotSeries: '',
+  timeSeries: { period: 'month', fill: 'none', rolling: 0, change: 'none', overlay: 'none' },
+  fit: defaultFitConfig()
+});
+
+// Starting chart for a freshly loaded table: the first column on x, averaging the second if it is numeric.
+export const initialChartConfig = (headers, schema) => {
+  const [x = '', y] = headers;
+  const measure = y && isNumericType(schema[y].type)
+    ? { column: y, aggregation: 'mean', percentile: 90 }
+    : { column: '', aggregation: 'count', percentile: 90 };
+  return { ...defaultChartConfig(), x, measures: [measure] };
+};
+
+const empty = (message) => ({ kind: 'empty', message });
+
+const isNumericColumn = (schema, column) => Boolean(column && schema[column] && isNumericType(schema[column].type));
+
+const present = (value) => value !== null && value !== undefined;
+
+export const isTimeSeriesChart = (config, schema) => (
+  config.source === 'dataset'
+  && (config.type === 'line' || config.type === 'area')
+  && Boolean(schema[config.x])
+  && isDateType(schema[config.x].type)
+);
+
+const validMeasures = (config, schema) => {
+  const measures = config.measures.filter(measure => !measure.column || schema[measure.column]);
+  return measures.length ? measures : [{ column: '', aggregation: 'count' }];
+};
+
+// Most frequent keys of `column`, and whether any were left over.
+const topKeys = (rows, column, schema, limit) => {
+  const counts = _.countBy(rows, row => keyOf(row, column, schema));
+  const keys = _.orderBy(Object.keys(counts), [key => counts[key]], ['desc']);
+  return { keys: keys.slice(0, limit), rest: keys.length > limit };
+};
+
+// One series per measure, or with a group-by column one series per group (first measure only),
+// capped at MAX_SERIES with the remaining groups optionally folded into an "other" series.
+export const chartSeries = (rows, schema, config) => {
+  const measures = validMeasures(config, schema);
+  if (!config.groupBy || !schema[config.groupBy]) {
+    return measures.map((measure, index) => ({ key: `s${index}`, label: measureLabel(measure), measure, match: null }));
+  }
+  const { keys, rest } = topKeys(rows, config.groupBy, schema, MAX_SERIES);
+  const series = keys.map((group, index) => ({
+    key: `s${index}`,
+    label: group,
+    measure: measures[0],
+    match: row => keyOf(row, config.groupBy, schema) === group
+  }));
+  if (rest && config.other) {
+    const kept = new Set(keys);
+    series.push({ key: `s${keys.length}`, label: OTHER_KEY, measure: measures[0], match: row => !kept.has(keyOf(row, config.groupBy, schema)) });
+  }
+  return series;
+};
+
+const publicSeries = (series) => series.map(({ key, label }) => ({ key, label }));
+
+const resolvedSort = (config, schema) => {
+  if (config.sort !== 'auto') return config.sort;
+  const ordered = config.type === 'line' || config.type === 'area' || isNumericColumn(schema, config.x) || (schema[config.x] && isDateType(schema[config.x].type));
+  return ordered ? 'label-asc' : 'value-desc';
+};
+
+const sortCategories = (categories, order) => {
+  const [by, direction] = order.split('-');
+  const sorted = by === 'label'
+    ? categories.slice().sort((a, b) => compareKeys(a.name, b.name))
+    : _.sortBy(categories, item => (item.score === null ? -Infinity : item.score));
+  return direction === 'desc' ? sorted.reverse() : sorted;
+};
+
+// Keeps the top N categories by the first series value; the rest become one "other" category
+// aggregated from their rows, or are dropped.
+const limitCategories = (categories, config, order) => {
+  const limit = config.topN > 0 ? Math.min(config.topN, MAX_CATEGORIES) : MAX_CATEGORIES;
+  const ranked = _.orderBy(categories, [item => (item.score === null ? -Infinity : item.score)], ['desc']);
+  const kept = sortCategories(ranked.slice(0, limit), order);
+  return { kept, dropped: ranked.slice(limit) };
+};
+
+const buildCategoryChart = (rows, schema, config) => {
+  if (!schema[config.x]) return empty('Choose an X-axis column');
+  const series = chartSeries(rows, schema, config);
+  const groups = _.groupBy(rows, row => keyOf(row, config.x, schema));
+  const categories = Object.keys(groups).map(name => ({
+    name,
+    rows: groups[name],
+    score: computeMeasure(groups[name], series[0].measure, schema)
+  }));
+  const { kept, dropped } = limitCategories(categories, config, resolvedSort(config, schema));
+  if (dropped.length && config.other) kept.push({ name: OTHER_KEY, rows: _.flatMap(dropped, 'rows') });
+
+  const data = kept.map(category => {
+    const point = { name: category.name, count: category.rows.length };
+    series.forEach(item => {
+      const matching = item.match ? category.rows.filter(item.match) : category.rows;
+      point[item.key] = matching.length ? computeMeasure(matching, item.measure, schema) : null;
+    });
+    return point;
+  });
+
+  return { kind: 'category', data, series: publicSeries(series), hiddenCategories: config.other ? 0 : dropped.length };
+};
+
+const buildTimeSeriesChart = (rows, schema, config) => {
+  const series = chartSeries(rows, schema, config);
+  const result = buildTimeSeries(rows, schema, { ...config.timeSeries, dateColumn: config.x, series });
+  return { kind: 'timeseries', ...result, series: publicSeries(series) };
+};
+
+const hasFit = (config) => Boolean(config.fit && config.fit.type !== 'none');
+
+const fitSummary = (model) => _.pick(model, ['type', 'label', 'equation', 'rSquared', 'n', 'excluded']);
+
+const buildScatterChart = (rows, schema, config) => {
+  const yColumn = config.measures[0] && config.measures[0].column;
+  if (!isNumericColumn(schema, config.x) || !isNumericColumn(schema, yColumn)) {
+    return empty('Scatter plots need a numeric X-axis column and a numeric first measure column');
+  }
+  const complete = rows.filter(row => present(row[config.x]) && present(row[yColumn]));
+  const step = Math.max(1, Math.ceil(complete.length / MAX_SCATTER_POINTS));
+  const sampled = step > 1 ? complete.filter((row, index) => index % step === 0) : complete;
+  const series = config.groupBy && schema[config.groupBy]
+    ? chartSeries(rows, schema, config)
+    : [{ key: 's0', label: yColumn, match: null }];
+  // The fit uses every complete row, not just the plotted sample.
+  const model = hasFit(config)
+    ? fitCurve(complete.map(row => ({ x: row[config.x], y: row[yColumn] })), { ...config.fit, x: config.x, y: yColumn })
+    : null;
+
+  return {
+    kind: 'scatter',
+    ...(model && { fit: { ...fitSummary(model), curve: curvePoints(model) } }),
+    fitUnavailable: hasFit(config) && !model,
+    series: series.map(item => ({
+      key: item.key,
+      label: item.label,
+      points: (item.match ? sampled.filter(item.match) : sampled).map(row => ({ x: row[config.x], y: row[yColumn] }))
+    })),
+    sampledFrom: step > 1 ? complete.length : 0
+  };
+};
+
+// `locale` is a BCP 47 tag, or undefined for the runtime's default.
+const formatEdge = (value, locale) => Number(value.toFixed(2)).toLocaleString(locale);
+
+const buildHistogramChart = (rows, schema, config, locale) => {
+  if (!isNumericColumn(schema, config.x)) return empty('Histograms need a numeric X-axis column');
+  const valuesOf = list => list.map(row => row[config.x]).filter(present);
+  const values = valuesOf(rows);
+  if (!values.length) return empty('No values to bin');
+
+  const range = { min: _.min(values), max: _.max(values) };
+  const series = config.groupBy && schema[config.groupBy]
+    ? chartSeries(rows, schema, config)
+    : [{ key: 's0', label: 'Rows', match: null }];
+  const binned = series.map(item => buildHistogram(item.match ? valuesOf(rows.filter(item.match)) : values, config.bins, range));
+
+  const data = binned[0].map((bin, index) => ({
+    name: `${formatEdge(bin.start, locale)} – ${formatEdge(bin.end, locale)}`,
+    start: bin.start,
+    end: bin.end,
+    ..._.fromPairs(series.map((item, i) => [item.key, binned[i][index].count]))
+  }));
+
+  return { kind: 'histogram', data, series: publicSeries(series) };
+};
+
+const boxSummary = (name, values) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const q1 = quantileSorted(sorted, 0.25);
+  const q3 = quantileSorted(sorted, 0.75);
+  const lowFence = q1 - 1.5 * (q3 - q1);
+  const highFence = q3 + 1.5 * (q3 - q1);
+  const inside = sorted.filter(value => value >= lowFence && value <= highFence);
+  const whiskerLow = inside.length ? inside[0] : q1;
+  const whiskerHigh = inside.length ? inside[inside.length - 1] : q3;
+  return {
+    name,
+    count: sorted.length,
+    min: sorted[0],
+    q1,
+    median: quantileSorted(sorted, 0.5),
+    q3,
+    max: sorted[sorted.length - 1],
+    whiskerLow,
+    whiskerHigh,
+    outliers: sorted.length - inside.length,
+    range: [whiskerLow, whiskerHigh]
+  };
+};
+
+// One box per category of the X column for the first measure column, or one box per numeric
+// measure column when no categorical X column is chosen.
+const buildBoxChart = (rows, schema, config) => {
+  const numericMeasures = config.measures.filter(measure => isNumericColumn(schema, measure.column));
+  if (!numericMeasures.length) return empty('Box plots need a numeric measure column');
+  const valuesOf = (list, column) => list.map(row => row[column]).filter(present);
+
+  if (schema[config.x] && !isNumericColumn(schema, config.x)) {
+    const column = numericMeasures[0].column;
+    const limit = config.topN > 0 ? Math.min(config.topN, MAX_CATEGORIES) : MAX_CATEGORIES;
+    const { keys } = topKeys(rows, config.x, schema, limit);
+    const groups = _.groupBy(rows, row => keyOf(row, config.x, schema));
+    const order = resolvedSort(config, schema).startsWith('label') ? keys.slice().sort(compareKeys) : keys;
+    const data = order
+      .map(key => ({ key, values: valuesOf(groups[key], column) }))
+      .filter(item => item.values.length)
+      .map(item => boxSummary(item.key, item.values));
+    return { kind: 'box', data, valueLabel: column };
+  }
+
+  const data = _.uniq(numericMeasures.map(measure => measure.column))
+    .map(column => ({ column, values: valuesOf(rows, column) }))
+    .filter(item => item.values.length)
+    .map(item => boxSummary(item.column, item.values));
+  return { kind: 'box', data, valueLabel: '' };
+};
+
+const buildHeatmapChart = (rows, schema, config) => {
+  if (!schema[config.x] || !schema[config.groupBy]) return empty('Heatmaps need an X-axis column and a Group By column for the rows');
+  const measure = validMeasures(config, schema)[0];
+  const limit = config.topN > 0 ? Math.min(config.topN, MAX_CATEGORIES) : MAX_CATEGORIES;
+  const xKeys = topKeys(rows, config.x, schema, limit).keys.sort(compareKeys);
+  const yKeys = topKeys(rows, config.groupBy, schema, MAX_HEATMAP_ROWS).keys.sort(compareKeys);
+  const byX = _.groupBy(rows, row => keyOf(row, config.x, schema));
+
+  const columns = xKeys.map(xKey => _.groupBy(byX[xKey], row => keyOf(row, config.groupBy, schema)));
+  const cells = yKeys.map(yKey => columns.map(groups => (groups[yKey] ? computeMeasure(groups[yKey], measure, schema) : null)));
+  const values = _.flatten(cells).filter(value => typeof value === 'number');
+
+  return {
+    kind: 'heatmap',
+    xKeys,
+    yKeys,
+    cells,
+    min: values.length ? _.min(values) : 0,
+    max: values.length ? _.max(values) : 0,
+    valueLabel: measureLabel(measure)
+  };
+};
+
+const buildPivotChart = (pivot, config) => {
+  if (!pivot) return empty('Build a pivot table on the Pivot tab first');
+  if (!PIVOT_CHART_TYPES.includes(config.type)) return empty(`${CHART_TYPES[config.type]}s are not available for pivot tables`);
+  const series = pivotSeries(pivot).find(item => item.id === config.pivotSeries) || pivotSeries(pivot)[0];
+  if (!series) return empty('The pivot table has no series');
+
+  const categories = pivotChartData(pivot, series.id).map(point => ({ name: point.name, count: point.count, score: point.value }));
+  const order = config.sort === 'auto' ? (config.type === 'line' || config.type === 'area' ? 'label-asc' : 'value-desc') : config.sort;
+  const { kept, dropped } = limitCategories(categories, config, order);
+
+  return {
+    kind: 'category',
+    data: kept.map(item => ({ name: item.name, count: item.count, s0: item.score })),
+    series: [{ key: 's0', label: series.label }],
+    hiddenCategories: dropped.length
+  };
+};
+
+// Fits the first series of a line chart against each point's x: the value itself for a numeric X column,
+// otherwise the point's position, as categories and resampled periods are evenly spaced.
+const fitLineSeries = (chart, schema, config) => {
+  const key = chart.series[0].key;
+  const numericX = config.source === 'dataset' && chart.kind === 'category' && isNumericColumn(schema, config.x);
+  const xOf = (point, index) => (numericX ? parseFloat(point.name) : index);
+  const points = chart.data
+    .map((point, index) => ({ x: xOf(point, index), y: point[key] }))
+    .filter(point => Number.isFinite(point.x) && typeof point.y === 'number');
+  const x = numericX ? config.x : (chart.kind === 'timeseries' ? 'period' : 'position');
+  const model = fitCurve(points, { ...config.fit, x, y: chart.series[0].label });
+  if (!model) return { fitUnavailable: true };
+  return {
+    data: chart.data.map((point, index) => {
+      const prediction = predict(model, xOf(point, index));
+      return prediction ? { ...point, fit: prediction.value, fitBand: [prediction.lower, prediction.upper] } : point;
+    }),
+    fit: fitSummary(model)
+  };
+};
+
+// Running totals across series, so lines can be stacked like bars and areas.
+const stackValues = (data, series) => data.map(point => {
+  let total = 0;
+  const stacked = { ...point };
+  series.forEach(item => {
+    if (typeof point[item.key] !== 'number') return;
+    total += point[item.key];
+    stacked[item.key] = total;
+  });
+  return stacked;
+});
+
+// Log axes cannot show zero or negative values.
+const positiveOnly = (data, series) => data.map(point => {
+  const cleaned = { ...point };
+  series.forEach(item => {
+    if (typeof point[item.key] === 'number' && point[item.key] <= 0) cleaned[item.key] = null;
+  });
+  return cleaned;
+});
+
+const axisTitles = (chart, schema, config, pivot) => {
+  const defaultX = config.source === 'pivot' ? (pivot ? pivot.rowKeys.join(' / ') : '') : config.x;
+  let defaultY = '';
+  if (chart.kind === 'histogram') defaultY = 'Rows';
+  else if (chart.kind === 'box' || chart.kind === 'heatmap') defaultY = chart.kind === 'box' ? chart.valueLabel : config.groupBy;
+  else if (chart.kind === 'scatter') defaultY = config.measures[0] ? config.measures[0].column : '';
+  else if (config.groupBy && config.source === 'dataset') defaultY = measureLabel(validMeasures(config, schema)[0]);
+  else if (chart.series && chart.series.length === 1) defaultY = chart.series[0].label;
+  return { x: config.xTitle || defaultX, y: config.yTitle || defaultY };
+};
+
+const buildDatasetChart = (rows, schema, config, locale) => {
+  if (!rows.length) return empty('No rows to chart');
+  switch (config.type) {
+    case 'scatter':
+      return buildScatterChart(rows, schema, config);
+    case 'histogram':
+      return buildHistogramChart(rows, schema, config, locale);
+    case 'box':
+      return buildBoxChart(rows, schema, config);
+    case 'heatmap':
+      return buildHeatmapChart(rows, schema, config);
+    default:
+      return isTimeSeriesChart(config, schema) ? buildTimeSeriesChart(rows, schema, config) : buildCategoryChart(rows, schema, config);
+  }
+};
+
+// Chart-ready data for a chart config, from the current view rows or from a pivot table. `locale`
+// formats the numbers in category names, such as histogram bin edges.
+export const buildChart = (rows, schema, config, pivot = null, { locale } = {}) => {
+  const chart = config.source === 'pivot' ? buildPivotChart(pivot, config) : buildDatasetChart(rows, schema, config, locale);
+  if (chart.kind === 'empty') return chart;
+
+  if (hasFit(config) && config.type === 'line' && chart.data && chart.series && chart.series.length) {
+    Object.assign(chart, fitLineSeries(chart, schema, config));
+  }
+  if (chart.data && chart.series) {
+    if (config.stacked && config.type === 'line') chart.data = stackValues(chart.data, chart.series);
+    if (config.logScale && config.type !== 'pie') chart.data = positiveOnly(chart.data, chart.series);
+  }
+  if (chart.kind === 'scatter' && config.logScale) {
+    chart.series = chart.series.map(item => ({ ...item, points: item.points.filter(point => point.x > 0 && point.y > 0) }));
+    if (chart.fit) chart.fit = { ...chart.fit, curve: chart.fit.curve.filter(point => point.x > 0 && point.lower > 0) };
+  }
+
+  return { ...chart, axes: axisTitles(chart, schema, config, pivot) };
+};
+
+export const chartTitle = (config, chart) => {
+  const axes = chart && chart.axes ? chart.axes : {};
+  if (axes.x && axes.y) return `${axes.y} by ${axes.x}`;
+  return axes.x || CHART_TYPES[config.type];
+};
+
+const BOX_COLUMNS = ['count', 'min', 'whiskerLow', 'q1', 'median', 'q3', 'whiskerHigh', 'max', 'outliers'];
+
+// The overlays a series chart draws besides its series.
+const overlayColumns = (chart) => ['rolling', 'trend', 'seasonal', 'change', 'fit']
+  .filter(key => chart.data.some(point => point[key] !== undefined));
+
+// A built chart as { columns, rows } of plain cells: the text alternative to the drawing, with one
+// row per category, period, bin, box, point or heatmap row. `labels` holds the header text the axes
+// don't supply, keyed by category, column, series, x, y, the BOX_COLUMNS, the overlays, bandLow and
+// bandHigh, so the caller can word and translate them.
+export const chartTable = (chart, config, labels) => {
+  if (!chart || chart.kind === 'empty') return { columns: [], rows: [] };
+  const axes = chart.axes || {};
+
+  switch (chart.kind) {
+    case 'scatter': {
+      const grouped = chart.series.length > 1;
+      return {
+        columns: [...(grouped ? [config.groupBy || labels.series] : []), axes.x || labels.x, axes.y || labels.y],
+        rows: _.flatMap(chart.series, item => item.points.map(point => [...(grouped ? [item.label] : []), point.x, point.y]))
+      };
+    }
+    case 'box':
+      return {
+        columns: [chart.valueLabel && axes.x ? axes.x : labels.column, ...BOX_COLUMNS.map(key => labels[key])],
+        rows: chart.data.map(box => [box.name, ...BOX_COLUMNS.map(key => box[key])])
+      };
+    case 'heatmap':
+      return {
+        columns: [axes.y || config.groupBy, ...chart.xKeys],
+        rows: chart.yKeys.map((yKey, index) => [yKey, ...chart.cells[index]])
+      };
+    default: {
+      const overlays = overlayColumns(chart);
+      const band = chart.data.some(point => point.fitBand);
+      return {
+        columns: [
+          axes.x || labels.category,
+          ...chart.series.map(item => item.label),
+          ...overlays.map(key => labels[key]),
+          ...(band ? [labels.bandLow, labels.bandHigh] : [])
+        ],
+        rows: chart.data.map(point => [
+          point.name,
+          ...chart.series.map(item => point[item.key]),
+          ...overlays.map(key => point[key]),
+          ...(band ? (point.fitBand || [null, null]) : [])
+        ])
+      };
+    }
+  }
+};
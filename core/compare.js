@@ -0,0 +1,145 @@
+import _ from 'lodash';
+import { formatValue } from './typeinference.js';
+
+export const MAX_DIFF_SAMPLES = 100;
+
+// Standardised mean difference at or above which a numeric column is flagged as shifted ("small" effect).
+export const EFFECT_SIZE_THRESHOLD = 0.2;
+
+const NUMERIC_FIELDS = ['count', 'mean', 'median', 'stdDev', 'min', 'max'];
+
+const percentChange = (from, to) => (from ? ((to - from) / Math.abs(from)) * 100 : null);
+
+const effectSize = (left, right) => {
+  const pooled = Math.sqrt((left.stdDev * left.stdDev + right.stdDev * right.stdDev) / 2);
+  return pooled ? (right.mean - left.mean) / pooled : null;
+};
+
+const signature = (row, columns, schema) => JSON.stringify(columns.map(column => formatValue(row[column], schema[column])));
+
+const countSignatures = (rows, columns, schema) => {
+  const counts = new Map();
+  rows.forEach(row => {
+    const key = signature(row, columns, schema);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+};
+
+// Rows present in only one of the tables. Without keys rows are compared on every shared column, as
+// multisets, so duplicated rows count; with keys they are matched on the key columns and matching rows
+// whose other shared columns differ are counted as changed.
+export const diffRows = (left, right, columns, keys = []) => {
+  const compareOn = keys.length ? keys : columns;
+  const leftCounts = countSignatures(left.rows, compareOn, left.schema);
+  const rightCounts = countSignatures(right.rows, compareOn, right.schema);
+
+  const unmatched = (rows, schema, other) => {
+    const remaining = new Map(other);
+    return rows.filter(row => {
+      const key = signature(row, compareOn, schema);
+      const available = remaining.get(key) || 0;
+      if (available > 0) {
+        remaining.set(key, available - 1);
+        return false;
+      }
+      return true;
+    });
+  };
+  const onlyLeft = unmatched(left.rows, left.schema, rightCounts);
+  const onlyRight = unmatched(right.rows, right.schema, leftCounts);
+
+  let changed = null;
+  if (keys.length) {
+    const rightByKey = new Map();
+    right.rows.forEach(row => {
+      const key = signature(row, keys, right.schema);
+      if (!rightByKey.has(key)) rightByKey.set(key, row);
+    });
+    const others = columns.filter(column => !keys.includes(column));
+    changed = left.rows.filter(row => {
+      const match = rightByKey.get(signature(row, keys, left.schema));
+      return match && signature(row, others, left.schema) !== signature(match, others, right.schema);
+    }).length;
+  }
+
+  return {
+    keys,
+    onlyLeft: onlyLeft.length,
+    onlyRight: onlyRight.length,
+    matched: left.rows.length - onlyLeft.length,
+    changed,
+    samples: { left: onlyLeft.slice(0, MAX_DIFF_SAMPLES), right: onlyRight.slice(0, MAX_DIFF_SAMPLES) }
+  };
+};
+
+// Side-by-side comparison of two datasets ({ name, headers, rows, schema, analysis }): schema changes,
+// row counts, shifts in numeric statistics, missing values and category sets, and the row-level diff.
+export const compareDatasets = (left, right, { keys = [] } = {}) => {
+  const shared = left.headers.filter(header => right.headers.includes(header));
+
+  const types = shared.map(column => ({
+    column,
+    left: left.schema[column].type,
+    right: right.schema[column].type,
+    changed: left.schema[column].type !== right.schema[column].type
+  }));
+
+  const numeric = shared
+    .filter(column => left.analysis.numericStats[column] && right.analysis.numericStats[column])
+    .map(column => {
+      const a = left.analysis.numericStats[column];
+      const b = right.analysis.numericStats[column];
+      const effect = effectSize(a, b);
+      return {
+        column,
+        left: _.pick(a, NUMERIC_FIELDS),
+        right: _.pick(b, NUMERIC_FIELDS),
+        meanDelta: b.mean - a.mean,
+        meanChange: percentChange(a.mean, b.mean),
+        effectSize: effect,
+        shifted: effect !== null && Math.abs(effect) >= EFFECT_SIZE_THRESHOLD
+      };
+    });
+
+  const missing = shared
+    .map(column => ({
+      column,
+      left: left.analysis.summary.missingValues[column] || 0,
+      right: right.analysis.summary.missingValues[column] || 0
+    }))
+    .filter(item => item.left !== item.right);
+
+  const categories = shared
+    .filter(column => left.analysis.categoricalStats[column] && right.analysis.categoricalStats[column])
+    .map(column => {
+      const a = Object.keys(left.analysis.categoricalStats[column]);
+      const b = Object.keys(right.analysis.categoricalStats[column]);
+      const leftCardinality = left.analysis.cardinality[column];
+      const rightCardinality = right.analysis.cardinality[column];
+      // New and dropped values are only known when neither side had values trimmed from its counts.
+      const complete = leftCardinality.distinct === leftCardinality.kept && rightCardinality.distinct === rightCardinality.kept;
+      return {
+        column,
+        left: leftCardinality.distinct,
+        right: rightCardinality.distinct,
+        added: complete ? _.difference(b, a).length : null,
+        removed: complete ? _.difference(a, b).length : null
+      };
+    });
+
+  return {
+    names: { left: left.name, right: right.name },
+    rows: { left: left.rows.length, right: right.rows.length, delta: right.rows.length - left.rows.length },
+    columns: {
+      added: right.headers.filter(header => !left.headers.includes(header)),
+      removed: left.headers.filter(header => !right.headers.includes(header)),
+      shared,
+      types
+    },
+    numeric,
+    missing,
+    categories,
+    diff: diffRows(left, right, shared, keys.filter(key => shared.includes(key)))
+  };
+};
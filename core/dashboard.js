@@ -0,0 +1,159 @@
+import _ from 'lodash';
+import { applyView, emptyView, isFilterActive } from './filters.js';
+import { buildChart, OTHER_KEY } from './chartdata.js';
+import { buildPivot, computeMeasure, measureLabel, aggregationsFor, AGGREGATIONS, BLANK_KEY } from './aggregate.js';
+
+// Dashboards: saved charts and KPI cards on a grid, filtered together by the dashboard's filter bar
+// and by clicking a category in one chart (cross-filtering). A dashboard refers to columns by name,
+// so its JSON can be applied to any dataset with the same schema.
+
+export const DASHBOARD_VERSION = 1;
+export const GRID_COLUMNS = 4;
+export const MAX_WIDGET_HEIGHT = 3;
+
+export const WIDGET_TYPES = {
+  chart: { label: 'Chart', width: 2, height: 2 },
+  kpi: { label: 'KPI', width: 1, height: 1 }
+};
+
+let widgetCounter = 0;
+
+export const emptyDashboard = () => ({ name: 'Dashboard', widgets: [], filters: {} });
+
+// `details` for a chart: title, config (chart settings), pivotConfig for pivot charts and the Data tab
+// filters to save with it. For a KPI: title and measure ({ column, aggregation, percentile }).
+export const createWidget = (type, details = {}) => {
+  widgetCounter += 1;
+  return {
+    id: `widget-${Date.now().toString(36)}-${widgetCounter}`,
+    type,
+    title: '',
+    filters: {},
+    width: WIDGET_TYPES[type].width,
+    height: WIDGET_TYPES[type].height,
+    ...details
+  };
+};
+
+export const kpiTitle = (measure) => (measure.column || measure.aggregation !== 'count' ? measureLabel(measure) : 'Rows');
+
+const activeFilters = (filters = {}) => _.pickBy(filters, isFilterActive);
+
+// Every column a widget reads, to check it against a dataset's schema.
+export const widgetColumns = (widget) => {
+  const columns = Object.keys(activeFilters(widget.filters));
+  if (widget.type === 'kpi') {
+    columns.push(widget.measure.column);
+  } else if (widget.config.source === 'pivot') {
+    const pivot = widget.pivotConfig || {};
+    columns.push(...(pivot.rowKeys || []), ...(pivot.columnKeys || []), ...(pivot.measures || []).map(measure => measure.column));
+  } else {
+    columns.push(widget.config.x, widget.config.groupBy, ...widget.config.measures.map(measure => measure.column));
+  }
+  return _.uniq(columns.filter(Boolean));
+};
+
+export const dashboardColumns = (dashboard) => _.uniq([
+  ...Object.keys(activeFilters(dashboard.filters)),
+  ..._.flatMap(dashboard.widgets, widgetColumns)
+]);
+
+// The filter a click on `category` in a widget's chart applies to the other widgets, or null when the
+// chart's categories don't map back to values of one column.
+export const crossFilterFor = (widget, chart, category) => {
+  if (widget.type !== 'chart' || widget.config.source === 'pivot' || !widget.config.x) return null;
+  if (!chart || chart.kind !== 'category' || category === OTHER_KEY) return null;
+  return { widgetId: widget.id, column: widget.config.x, value: category === BLANK_KEY ? '' : category, label: category };
+};
+
+// Measures whose aggregation no longer fits their column's type, e.g. a sum over a column now read as text.
+const mismatchedMeasures = (widget, schema) => {
+  const measures = widget.type === 'kpi' ? [widget.measure] : (widget.config.source === 'pivot' ? widget.pivotConfig.measures : widget.config.measures);
+  return measures.filter(measure => measure.column && !aggregationsFor(schema[measure.column]).includes(measure.aggregation));
+};
+
+const filterRows = (rows, headers, schema, filters) => applyView(rows, headers, schema, { ...emptyView(), filters });
+
+// Each widget's chart or KPI value over the dashboard's rows: the filter bar applies to every widget,
+// the cross-filter to every widget but its source, and each widget's own saved filters last.
+export const evaluateDashboard = (dashboard, { rows, headers, schema }, crossFilter = null, { locale } = {}) => {
+  const filtered = filterRows(rows, headers, schema, dashboard.filters);
+  const crossed = crossFilter && schema[crossFilter.column]
+    ? filterRows(filtered, headers, schema, { [crossFilter.column]: { kind: 'values', values: [crossFilter.value] } })
+    : filtered;
+
+  return _.fromPairs(dashboard.widgets.map(widget => {
+    const missing = widgetColumns(widget).filter(column => !schema[column]);
+    if (missing.length) {
+      return [widget.id, { error: `Missing column${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}` }];
+    }
+    const mismatched = mismatchedMeasures(widget, schema);
+    if (mismatched.length) {
+      return [widget.id, { error: `${mismatched.map(measureLabel).join(', ')} needs a numeric column` }];
+    }
+    const source = crossFilter && crossFilter.widgetId !== widget.id ? crossed : filtered;
+    const widgetRows = filterRows(source, headers, schema, widget.filters || {});
+    if (widget.type === 'kpi') {
+      return [widget.id, { value: computeMeasure(widgetRows, widget.measure, schema), rows: widgetRows.length }];
+    }
+    const pivot = widget.config.source === 'pivot' ? buildPivot(widgetRows, schema, widget.pivotConfig) : null;
+    return [widget.id, { chart: buildChart(widgetRows, schema, widget.config, pivot, { locale }), rows: widgetRows.length }];
+  }));
+};
+
+// Moves a widget one place earlier (-1) or later (1) in the grid.
+export const moveWidget = (dashboard, id, delta) => {
+  const widgets = dashboard.widgets.slice();
+  const index = widgets.findIndex(widget => widget.id === id);
+  const target = index + delta;
+  if (index === -1 || target < 0 || target >= widgets.length) return dashboard;
+  [widgets[index], widgets[target]] = [widgets[target], widgets[index]];
+  return { ...dashboard, widgets };
+};
+
+export const resizeWidget = (dashboard, id, { width, height }) => ({
+  ...dashboard,
+  widgets: dashboard.widgets.map(widget => (widget.id === id
+    ? {
+      ...widget,
+      width: _.clamp(width === undefined ? widget.width : width, 1, GRID_COLUMNS),
+      height: _.clamp(height === undefined ? widget.height : height, 1, MAX_WIDGET_HEIGHT)
+    }
+    : widget))
+});
+
+// The dashboard as JSON, with the types of the columns it uses so it can be checked against a new upload.
+export const serializeDashboard = (dashboard, schema) => JSON.stringify({
+  version: DASHBOARD_VERSION,
+  name: dashboard.name,
+  columns: _.fromPairs(dashboardColumns(dashboard).filter(column => schema[column]).map(column => [column, schema[column].type])),
+  filters: activeFilters(dashboard.filters),
+  widgets: dashboard.widgets
+}, null, 2);
+
+// Reads a dashboard file, giving every widget a fresh id.
+export const parseDashboard = (text) => {
+  const parsed = JSON.parse(text);
+  if (!parsed || !Array.isArray(parsed.widgets)) throw new Error('Dashboard file must contain a list of widgets');
+  const widgets = parsed.widgets.map(widget => {
+    if (!widget || !WIDGET_TYPES[widget.type]) throw new Error(`Unknown widget type "${widget && widget.type}"`);
+    if (widget.type === 'kpi' && !(widget.measure && AGGREGATIONS[widget.measure.aggregation])) throw new Error(`KPI "${widget.title}" has no valid measure`);
+    if (widget.type === 'chart' && !(widget.config && Array.isArray(widget.config.measures))) throw new Error(`Chart "${widget.title}" has no chart settings`);
+    if (widget.type === 'chart' && widget.config.source === 'pivot' && !widget.pivotConfig) throw new Error(`Chart "${widget.title}" has no pivot settings`);
+    const { id, ...details } = widget;
+    return createWidget(widget.type, details);
+  });
+  return {
+    dashboard: { name: parsed.name || 'Dashboard', widgets, filters: parsed.filters || {} },
+    columns: parsed.columns || {}
+  };
+};
+
+// Differences between the columns a dashboard was saved with and a dataset's schema.
+export const checkDashboardColumns = (columns, schema) => Object.entries(columns)
+  .map(([column, type]) => {
+    if (!schema[column]) return `${column} is missing`;
+    if (schema[column].type !== type) return `${column} is ${schema[column].type}, not ${type}`;
+    return null;
+  })
+  .filter(Boolean);
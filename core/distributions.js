@@ -0,0 +1,125 @@
+// Probability distributions for significance tests. Numerical Recipes-style approximations, accurate
+// to well beyond the precision the app displays p-values at.
+
+const EPSILON = 1e-14;
+const MAX_ITERATIONS = 500;
+
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61503916999185, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+// ln Γ(x) for x > 0 (Lanczos approximation, g = 7).
+export const logGamma = (x) => {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const z = x - 1;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i += 1) sum += LANCZOS[i] / (z + i);
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+const gammaSeries = (a, x) => {
+  let term = 1 / a;
+  let sum = term;
+  for (let n = 1; n < MAX_ITERATIONS; n += 1) {
+    term *= x / (a + n);
+    sum += term;
+    if (Math.abs(term) < Math.abs(sum) * EPSILON) break;
+  }
+  return sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+};
+
+// Lentz's continued fraction for the upper tail.
+const gammaContinuedFraction = (a, x) => {
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < MAX_ITERATIONS; i += 1) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+};
+
+// Upper regularized incomplete gamma function Q(a, x) = Γ(a, x) / Γ(a).
+export const gammaUpper = (a, x) => {
+  if (x <= 0) return 1;
+  return x < a + 1 ? 1 - gammaSeries(a, x) : gammaContinuedFraction(a, x);
+};
+
+// P(X ≥ statistic) for a chi-square distribution with `df` degrees of freedom.
+export const chiSquarePValue = (statistic, df) => {
+  if (!(df > 0) || !Number.isFinite(statistic)) return null;
+  return Math.min(1, Math.max(0, gammaUpper(df / 2, statistic / 2)));
+};
+
+// Continued fraction for the incomplete beta function, evaluated with Lentz's method.
+const betaContinuedFraction = (a, b, x) => {
+  const tiny = 1e-300;
+  const clampTiny = value => (Math.abs(value) < tiny ? tiny : value);
+  let c = 1;
+  let d = 1 / clampTiny(1 - ((a + b) * x) / (a + 1));
+  let h = d;
+  for (let m = 1; m < MAX_ITERATIONS; m += 1) {
+    const even = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 / clampTiny(1 + even * d);
+    c = clampTiny(1 + even / c);
+    h *= d * c;
+    const odd = (-(a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 / clampTiny(1 + odd * d);
+    c = clampTiny(1 + odd / c);
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return h;
+};
+
+// Regularized incomplete beta function I_x(a, b).
+export const betaIncomplete = (a, b, x) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+};
+
+// Two-sided P(|T| ≥ |t|) for Student's t distribution with `df` degrees of freedom.
+export const studentTPValue = (t, df) => {
+  if (!(df > 0) || Number.isNaN(t)) return null;
+  if (!Number.isFinite(t)) return 0;
+  return Math.min(1, Math.max(0, betaIncomplete(df / 2, 0.5, df / (df + t * t))));
+};
+
+// The t value with P(|T| ≥ t) = alpha, e.g. about 1.96 for alpha 0.05 and many degrees of freedom.
+export const studentTCritical = (alpha, df) => {
+  let low = 0;
+  let high = 1;
+  while (studentTPValue(high, df) > alpha) high *= 2;
+  for (let i = 0; i < 100 && high - low > 1e-10; i += 1) {
+    const mid = (low + high) / 2;
+    if (studentTPValue(mid, df) > alpha) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// P(X ≥ statistic) for an F distribution with `df1` and `df2` degrees of freedom.
+export const fPValue = (statistic, df1, df2) => {
+  if (!(df1 > 0) || !(df2 > 0) || Number.isNaN(statistic)) return null;
+  if (!Number.isFinite(statistic)) return 0;
+  if (statistic <= 0) return 1;
+  return Math.min(1, Math.max(0, betaIncomplete(df2 / 2, df1 / 2, df2 / (df2 + df1 * statistic))));
+};
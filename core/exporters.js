@@ -0,0 +1,43 @@
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { formatValue } from './typeinference.js';
+
+export const CSV_TYPE = 'text/csv';
+export const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+export const HTML_TYPE = 'text/html';
+
+// Typed rows as a header-first matrix. CSV gets the display strings; spreadsheets keep numbers,
+// booleans and dates as native cell values.
+export const datasetToMatrix = (headers, rows, schema, { raw = false } = {}) => [
+  headers,
+  ...rows.map(row => headers.map(header => {
+    const value = row[header];
+    if (value === null || value === undefined) return raw ? null : '';
+    return raw ? value : formatValue(value, schema[header]);
+  }))
+];
+
+export const matrixToCsv = (matrix) => Papa.unparse(matrix);
+
+// Several titled tables in one CSV file, separated by blank lines.
+export const tablesToCsv = (tables) => tables
+  .map(table => `${Papa.unparse([[table.title]])}\n${Papa.unparse(table.rows)}`)
+  .join('\n\n');
+
+const sheetName = (name, used) => {
+  const base = String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet';
+  let candidate = base;
+  for (let i = 2; used.has(candidate); i += 1) candidate = `${base.slice(0, 28)} ${i}`;
+  used.add(candidate);
+  return candidate;
+};
+
+// One worksheet per { name, rows } matrix, returned as an ArrayBuffer.
+export const sheetsToXlsx = (sheets) => {
+  const workbook = XLSX.utils.book_new();
+  const used = new Set();
+  sheets.forEach(({ name, rows }) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows, { cellDates: true }), sheetName(name, used));
+  });
+  return XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+};
@@ -0,0 +1,271 @@
+// Small, eval-free expression language for derived columns, e.g. `price * qty` or
+// `if([Unit Price] > 100, "high", "low")`. Column names with spaces go in [brackets] or `backticks`.
+
+export class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+const OPERATORS = ['<=', '>=', '!=', '<>', '==', '&&', '||', '+', '-', '*', '/', '%', '(', ')', ',', '<', '>', '=', '!'];
+
+export const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (char === '"' || char === "'") {
+      let j = i + 1;
+      let text = '';
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) j += 1;
+        text += source[j];
+        j += 1;
+      }
+      if (j >= source.length) throw new ExpressionError('Unterminated string', i);
+      tokens.push({ type: 'string', value: text, position: i });
+      i = j + 1;
+    } else if (char === '[' || char === '`') {
+      const close = char === '[' ? ']' : '`';
+      const end = source.indexOf(close, i + 1);
+      if (end === -1) throw new ExpressionError('Unterminated column name', i);
+      tokens.push({ type: 'identifier', value: source.slice(i + 1, end), quoted: true, position: i });
+      i = end + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_.]*/);
+      tokens.push({ type: 'identifier', value: match[0], position: i });
+      i += match[0].length;
+    } else {
+      const operator = OPERATORS.find(op => source.startsWith(op, i));
+      if (!operator) throw new ExpressionError(`Unexpected character "${char}"`, i);
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+    }
+  }
+
+  tokens.push({ type: 'end', value: '', position: source.length });
+  return tokens;
+};
+
+const isBlankValue = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return typeof value === 'number' ? value : Number(value);
+};
+
+const numeric = (fn) => (...args) => {
+  if (args.some(isBlankValue)) return null;
+  const result = fn(...args.map(toNumber));
+  return typeof result === 'number' && !isFinite(result) ? null : result;
+};
+
+const dateValue = (fn) => (value) => (value instanceof Date ? fn(value) : null);
+
+export const FUNCTIONS = {
+  abs: numeric(Math.abs),
+  round: numeric((value, digits = 0) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits)),
+  floor: numeric(Math.floor),
+  ceil: numeric(Math.ceil),
+  sqrt: numeric(Math.sqrt),
+  ln: numeric(Math.log),
+  log10: numeric(Math.log10),
+  exp: numeric(Math.exp),
+  pow: numeric(Math.pow),
+  min: numeric(Math.min),
+  max: numeric(Math.max),
+  lower: value => (isBlankValue(value) ? null : String(value).toLowerCase()),
+  upper: value => (isBlankValue(value) ? null : String(value).toUpperCase()),
+  trim: value => (isBlankValue(value) ? null : String(value).trim()),
+  length: value => (isBlankValue(value) ? null : String(value).length),
+  substr: (value, start, count) => (isBlankValue(value) ? null : String(value).substr(toNumber(start) - 1, count === undefined ? undefined : toNumber(count))),
+  concat: (...values) => values.filter(value => !isBlankValue(value)).join(''),
+  coalesce: (...values) => {
+    const found = values.find(value => !isBlankValue(value));
+    return found === undefined ? null : found;
+  },
+  if: (condition, whenTrue, whenFalse = null) => (condition ? whenTrue : whenFalse),
+  year: dateValue(date => date.getUTCFullYear()),
+  month: dateValue(date => date.getUTCMonth() + 1),
+  day: dateValue(date => date.getUTCDate())
+};
+
+const compare = (op, left, right) => {
+  if (isBlankValue(left) || isBlankValue(right)) return op === '!=' || op === '<>' ? left !== right : (op === '=' || op === '==') && left === right;
+  const numericCompare = typeof left !== 'string' || typeof right !== 'string';
+  const a = numericCompare ? toNumber(left) : left;
+  const b = numericCompare ? toNumber(right) : right;
+  switch (op) {
+    case '=':
+    case '==':
+      return a === b;
+    case '!=':
+    case '<>':
+      return a !== b;
+    case '<':
+      return a < b;
+    case '<=':
+      return a <= b;
+    case '>':
+      return a > b;
+    default:
+      return a >= b;
+  }
+};
+
+const arithmetic = (op, left, right) => {
+  if (op === '+' && (typeof left === 'string' || typeof right === 'string')) {
+    return `${isBlankValue(left) ? '' : left}${isBlankValue(right) ? '' : right}`;
+  }
+  if (isBlankValue(left) || isBlankValue(right)) return null;
+  const a = toNumber(left);
+  const b = toNumber(right);
+  let result;
+  switch (op) {
+    case '+': result = a + b; break;
+    case '-': result = a - b; break;
+    case '*': result = a * b; break;
+    case '/': result = a / b; break;
+    default: result = a % b;
+  }
+  return isFinite(result) ? result : null;
+};
+
+const PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['=', '==', '!=', '<>', '<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+const KEYWORD_OPERATORS = { or: '||', and: '&&', not: '!' };
+
+// Compiles `source` against the known column names; throws ExpressionError pointing at the bad token.
+export const compileExpression = (source, columns) => {
+  const tokens = tokenize(source);
+  let index = 0;
+  const referenced = new Set();
+
+  const peek = () => tokens[index];
+  const operatorOf = (token) => {
+    if (token.type === 'operator') return token.value;
+    if (token.type === 'identifier' && !token.quoted) {
+      const keyword = token.value.toLowerCase();
+      return Object.hasOwn(KEYWORD_OPERATORS, keyword) ? KEYWORD_OPERATORS[keyword] : null;
+    }
+    return null;
+  };
+  const expect = (value) => {
+    const token = peek();
+    if (operatorOf(token) !== value) {
+      throw new ExpressionError(`Expected "${value}" but found ${token.type === 'end' ? 'end of expression' : `"${token.value}"`}`, token.position);
+    }
+    index += 1;
+  };
+
+  const parseLevel = (level) => {
+    if (level === PRECEDENCE.length) return parseUnary();
+    let left = parseLevel(level + 1);
+    let op = operatorOf(peek());
+    while (op && PRECEDENCE[level].includes(op)) {
+      index += 1;
+      const right = parseLevel(level + 1);
+      const lhs = left;
+      const operator = op;
+      if (level === 0) left = row => Boolean(lhs(row)) || Boolean(right(row));
+      else if (level === 1) left = row => Boolean(lhs(row)) && Boolean(right(row));
+      else if (level === 2) left = row => compare(operator, lhs(row), right(row));
+      else left = row => arithmetic(operator, lhs(row), right(row));
+      op = operatorOf(peek());
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    const op = operatorOf(peek());
+    if (op === '-') {
+      index += 1;
+      const operand = parseUnary();
+      return row => arithmetic('*', -1, operand(row));
+    }
+    if (op === '!') {
+      index += 1;
+      const operand = parseUnary();
+      return row => !operand(row);
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    index += 1;
+
+    if (token.type === 'number' || token.type === 'string') {
+      return () => token.value;
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const inner = parseLevel(0);
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'identifier') {
+      const name = token.value;
+      const lower = name.toLowerCase();
+
+      if (!token.quoted && operatorOf(peek()) === '(') {
+        if (!Object.hasOwn(FUNCTIONS, lower)) {
+          throw new ExpressionError(`Unknown function "${name}"`, token.position);
+        }
+        index += 1;
+        const args = [];
+        if (operatorOf(peek()) !== ')') {
+          args.push(parseLevel(0));
+          while (operatorOf(peek()) === ',') {
+            index += 1;
+            args.push(parseLevel(0));
+          }
+        }
+        expect(')');
+        const fn = FUNCTIONS[lower];
+        return row => fn(...args.map(arg => arg(row)));
+      }
+
+      if (!token.quoted && ['true', 'false', 'null'].includes(lower)) {
+        const literal = lower === 'null' ? null : lower === 'true';
+        return () => literal;
+      }
+
+      if (!columns.includes(name)) {
+        throw new ExpressionError(`Unknown column "${name}"`, token.position);
+      }
+      referenced.add(name);
+      return row => (row[name] === undefined ? null : row[name]);
+    }
+
+    throw new ExpressionError(
+      token.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${token.value}"`,
+      token.position
+    );
+  };
+
+  const evaluate = parseLevel(0);
+  if (peek().type !== 'end') {
+    throw new ExpressionError(`Unexpected "${peek().value}"`, peek().position);
+  }
+
+  return { evaluate, columns: Array.from(referenced) };
+};
@@ -0,0 +1,139 @@
+import { formatValue, isDateType, isNumericType } from './typeinference.js';
+
+// `rows` optionally pins the view to a labelled set of row indexes, e.g. the rows failing a quality rule.
+export const emptyView = () => ({ filters: {}, search: '', rows: null });
+
+export const rowsView = (label, indexes) => ({ ...emptyView(), rows: { label, indexes } });
+
+export const defaultFilterFor = (column, optionCount = 0) => {
+  if (isNumericType(column.type) || isDateType(column.type)) return { kind: 'range', min: '', max: '' };
+  if (column.type === 'boolean' || (optionCount > 0 && optionCount <= 50)) return { kind: 'values', values: [] };
+  return { kind: 'text', mode: 'contains', pattern: '' };
+};
+
+export const isValidPattern = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+export const isFilterActive = (filter) => {
+  if (!filter) return false;
+  switch (filter.kind) {
+    case 'range':
+      return filter.min !== '' || filter.max !== '';
+    case 'outside':
+      return filter.min !== '' || filter.max !== '';
+    case 'values':
+      return filter.values.length > 0;
+    case 'text':
+      return filter.pattern !== '' && (filter.mode !== 'regex' || isValidPattern(filter.pattern));
+    default:
+      return false;
+  }
+};
+
+export const isViewFiltered = (view) => {
+  return Boolean(view.search.trim()) || Boolean(view.rows) || Object.values(view.filters).some(isFilterActive);
+};
+
+export const toBound = (bound, column) => {
+  if (bound === '' || bound === null || bound === undefined) return null;
+  const value = isDateType(column.type) ? Date.parse(bound) : Number(bound);
+  return isNaN(value) ? null : value;
+};
+
+export const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const buildPredicate = (header, filter, column) => {
+  switch (filter.kind) {
+    case 'range': {
+      const min = toBound(filter.min, column);
+      const max = toBound(filter.max, column);
+      return row => {
+        if (row[header] === null) return false;
+        const value = comparable(row[header]);
+        return (min === null || value >= min) && (max === null || value <= max);
+      };
+    }
+    case 'outside': {
+      const min = toBound(filter.min, column);
+      const max = toBound(filter.max, column);
+      return row => {
+        if (row[header] === null) return false;
+        const value = comparable(row[header]);
+        return (min !== null && value < min) || (max !== null && value > max);
+      };
+    }
+    case 'values': {
+      const allowed = new Set(filter.values);
+      return row => allowed.has(formatValue(row[header], column));
+    }
+    case 'text': {
+      if (filter.mode === 'regex') {
+        const pattern = new RegExp(filter.pattern, 'i');
+        return row => pattern.test(formatValue(row[header], column));
+      }
+      const needle = filter.pattern.toLowerCase();
+      return row => formatValue(row[header], column).toLowerCase().includes(needle);
+    }
+    default:
+      return () => true;
+  }
+};
+
+// Rows of `data` in the pinned row set that pass every active column filter and the global search.
+export const applyView = (data, headers, schema, view) => {
+  const predicates = Object.entries(view.filters)
+    .filter(([header, filter]) => schema[header] && isFilterActive(filter))
+    .map(([header, filter]) => buildPredicate(header, filter, schema[header]));
+  if (view.rows) {
+    const pinned = new Set(view.rows.indexes);
+    predicates.push(row => pinned.has(row._index));
+  }
+  const term = view.search.trim().toLowerCase();
+
+  if (!predicates.length && !term) return data;
+
+  return data.filter(row => {
+    if (!predicates.every(predicate => predicate(row))) return false;
+    return !term || headers.some(header => formatValue(row[header], schema[header]).toLowerCase().includes(term));
+  });
+};
+
+export const sortRows = (rows, column, direction = 'asc') => {
+  if (!column) return rows;
+  const sign = direction === 'desc' ? -1 : 1;
+  return rows.slice().sort((a, b) => {
+    const x = comparable(a[column]);
+    const y = comparable(b[column]);
+    if (x === y) return 0;
+    if (x === null || x === undefined) return 1;
+    if (y === null || y === undefined) return -1;
+    if (typeof x === 'string' || typeof y === 'string') {
+      return sign * String(x).localeCompare(String(y), undefined, { numeric: true });
+    }
+    return sign * (x < y ? -1 : 1);
+  });
+};
+
+export const describeView = (view) => {
+  const filters = Object.entries(view.filters)
+    .filter(([, filter]) => isFilterActive(filter))
+    .map(([column, filter]) => {
+      switch (filter.kind) {
+        case 'range':
+          return { column, kind: 'range', min: filter.min || null, max: filter.max || null };
+        case 'outside':
+          return { column, kind: 'outside', below: filter.min === '' ? null : filter.min, above: filter.max === '' ? null : filter.max };
+        case 'values':
+          return { column, kind: 'values', values: filter.values };
+        default:
+          return { column, kind: filter.mode, pattern: filter.pattern };
+      }
+    });
+  return { search: view.search.trim() || null, rows: view.rows ? view.rows.label : null, filters };
+};
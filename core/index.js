@@ -0,0 +1,29 @@
+// Public API of the analysis core: plain functions over plain data, with no React or DOM dependencies
+// beyond File/Blob-like inputs. See "Headless API" in the README for an overview.
+
+// End-to-end analysis and report rendering.
+export { readTable, typeTable, analyseTable, analyseFile, buildHistograms, assessQuality, REPORT_FORMATS, DEFAULT_BINS } from './analyser.js';
+export { buildReport, reportTables, renderReportHtml, renderReportMarkdown } from './report.js';
+
+// Reading files and typing cells.
+export { registerReader, findReader, supportedExtensions, toTable, recordsToTable } from './readers.js';
+export { COLUMN_TYPES, TYPE_LABELS, DEFAULT_NULL_TOKENS, inferSchema, inferColumnType, buildTypedRows, coerceValue, formatValue } from './typeinference.js';
+
+// Cleaning, filtering and statistics.
+export { STEP_TYPES, createStep, describeStep, runPipeline, serializePipeline, parsePipeline } from './pipeline.js';
+export { emptyView, applyView, describeView, sortRows } from './filters.js';
+export { analyseDataset, buildHistogram, correlationMatrix } from './statistics.js';
+export { CARDINALITY_LEVELS, frequencyTable, crossTab, chiSquareTest } from './categorical.js';
+export { FIT_TYPES, fitCurve, fitMultipleRegression, runRegression, describeRegressionError, predict } from './regression.js';
+export { PATTERNS, RULE_TYPES, createRule, profileColumns, profileRawColumns, findDuplicateRows, evaluateRules, qualitySummary } from './quality.js';
+
+// Aggregation, charts, queries and combining tables.
+export { AGGREGATIONS, buildPivot, pivotToMatrix } from './aggregate.js';
+export { CHART_TYPES, buildChart, chartTable } from './chartdata.js';
+export { createWidget, evaluateDashboard, serializeDashboard, parseDashboard, checkDashboardColumns } from './dashboard.js';
+export { runQuery, SqlError } from './sql.js';
+export { appendTables, joinTables } from './workspace.js';
+export { compareDatasets } from './compare.js';
+
+// Exporting data.
+export { datasetToMatrix, matrixToCsv, sheetsToXlsx } from './exporters.js';
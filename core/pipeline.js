@@ -0,0 +1,289 @@
+import _ from 'lodash';
+import { coerceValue, formatValue, isNumericType } from './typeinference.js';
+import { compileExpression } from './expression.js';
+import { quantileSorted } from './streamstats.js';
+
+export const PIPELINE_VERSION = 1;
+
+export const STEP_TYPES = {
+  dropColumns: 'Drop columns',
+  renameColumn: 'Rename column',
+  fillMissing: 'Fill missing values',
+  dropMissing: 'Drop rows with missing values',
+  textTransform: 'Transform text',
+  deduplicate: 'Remove duplicate rows',
+  castType: 'Change column type',
+  deriveColumn: 'Add derived column'
+};
+
+export const FILL_STRATEGIES = {
+  value: 'Constant value',
+  mean: 'Mean',
+  median: 'Median',
+  mode: 'Most frequent value',
+  previous: 'Previous value'
+};
+
+export const TEXT_OPERATIONS = {
+  trim: 'Trim whitespace',
+  collapse: 'Collapse whitespace',
+  lower: 'lowercase',
+  upper: 'UPPERCASE',
+  title: 'Title Case'
+};
+
+let stepCounter = 0;
+
+export const createStep = (type, params = {}) => {
+  stepCounter += 1;
+  return { id: `step-${Date.now().toString(36)}-${stepCounter}`, type, enabled: true, ...params };
+};
+
+const listColumns = (columns) => (columns && columns.length ? columns.join(', ') : 'all columns');
+
+export const describeStep = (step) => {
+  switch (step.type) {
+    case 'dropColumns':
+      return `Drop ${listColumns(step.columns)}`;
+    case 'renameColumn':
+      return `Rename "${step.from}" to "${step.to}"`;
+    case 'fillMissing':
+      return `Fill missing ${step.column} with ${step.strategy === 'value' ? `"${step.value}"` : FILL_STRATEGIES[step.strategy].toLowerCase()}`;
+    case 'dropMissing':
+      return `Drop rows missing ${listColumns(step.columns)}`;
+    case 'textTransform':
+      return `${TEXT_OPERATIONS[step.operation]} in ${listColumns(step.columns)}`;
+    case 'deduplicate':
+      return `Remove duplicates by ${listColumns(step.columns)}`;
+    case 'castType':
+      return `Cast ${step.column} to ${step.to}`;
+    case 'deriveColumn':
+      return `${step.name} = ${step.expression}`;
+    default:
+      return step.type;
+  }
+};
+
+const requireColumns = (table, columns) => {
+  const missing = columns.filter(column => !table.headers.includes(column));
+  if (missing.length) throw new Error(`Unknown column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+};
+
+const titleCase = (text) => text.toLowerCase().replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+
+const typeOfValues = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (!present.length) return 'string';
+  if (present.every(value => typeof value === 'number')) return present.every(Number.isInteger) ? 'integer' : 'float';
+  if (present.every(value => typeof value === 'boolean')) return 'boolean';
+  if (present.every(value => value instanceof Date)) return 'datetime';
+  return 'string';
+};
+
+const fillValueFor = (table, step) => {
+  const column = table.schema[step.column];
+  const present = table.rows.map(row => row[step.column]).filter(value => value !== null);
+  switch (step.strategy) {
+    case 'value':
+      return coerceValue(step.value, column);
+    case 'mean':
+      if (!isNumericType(column.type)) throw new Error(`${step.column} is not numeric`);
+      return present.length ? _.mean(present) : null;
+    case 'median':
+      if (!isNumericType(column.type)) throw new Error(`${step.column} is not numeric`);
+      return present.length ? quantileSorted(present.slice().sort((a, b) => a - b), 0.5) : null;
+    case 'mode': {
+      const counts = _.countBy(present, value => formatValue(value, column));
+      const top = _.maxBy(Object.keys(counts), key => counts[key]);
+      return top === undefined ? null : present.find(value => formatValue(value, column) === top);
+    }
+    default:
+      return null;
+  }
+};
+
+const STEP_RUNNERS = {
+  dropColumns: (table, step) => {
+    requireColumns(table, step.columns);
+    const headers = table.headers.filter(header => !step.columns.includes(header));
+    return {
+      headers,
+      schema: _.pick(table.schema, headers),
+      rows: table.rows.map(row => _.omit(row, step.columns))
+    };
+  },
+
+  renameColumn: (table, step) => {
+    requireColumns(table, [step.from]);
+    if (!step.to) throw new Error('New column name is empty');
+    if (step.to !== step.from && table.headers.includes(step.to)) throw new Error(`Column "${step.to}" already exists`);
+    return {
+      headers: table.headers.map(header => (header === step.from ? step.to : header)),
+      schema: _.mapKeys(table.schema, (column, header) => (header === step.from ? step.to : header)),
+      rows: table.rows.map(row => _.mapKeys(row, (value, key) => (key === step.from ? step.to : key)))
+    };
+  },
+
+  fillMissing: (table, step) => {
+    requireColumns(table, [step.column]);
+    if (step.strategy === 'previous') {
+      let previous = null;
+      return {
+        ...table,
+        rows: table.rows.map(row => {
+          if (row[step.column] !== null) {
+            previous = row[step.column];
+            return row;
+          }
+          return { ...row, [step.column]: previous };
+        })
+      };
+    }
+    const fill = fillValueFor(table, step);
+    return {
+      ...table,
+      rows: table.rows.map(row => (row[step.column] === null ? { ...row, [step.column]: fill } : row))
+    };
+  },
+
+  dropMissing: (table, step) => {
+    const columns = step.columns && step.columns.length ? step.columns : table.headers;
+    requireColumns(table, columns);
+    return { ...table, rows: table.rows.filter(row => columns.every(column => row[column] !== null)) };
+  },
+
+  textTransform: (table, step) => {
+    const columns = step.columns && step.columns.length
+      ? step.columns
+      : table.headers.filter(header => table.schema[header].type === 'string');
+    requireColumns(table, columns);
+    // Typing already trims cells read from a file; trimming matters for derived values such as concatenations.
+    const transform = {
+      trim: text => text.trim(),
+      collapse: text => text.replace(/\s+/g, ' ').trim(),
+      lower: text => text.toLowerCase(),
+      upper: text => text.toUpperCase(),
+      title: titleCase
+    }[step.operation];
+    return {
+      ...table,
+      rows: table.rows.map(row => {
+        const next = { ...row };
+        columns.forEach(column => {
+          if (typeof next[column] === 'string') next[column] = transform(next[column]);
+        });
+        return next;
+      })
+    };
+  },
+
+  deduplicate: (table, step) => {
+    const columns = step.columns && step.columns.length ? step.columns : table.headers;
+    requireColumns(table, columns);
+    const seen = new Set();
+    return {
+      ...table,
+      rows: table.rows.filter(row => {
+        const key = JSON.stringify(columns.map(column => formatValue(row[column], table.schema[column])));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+    };
+  },
+
+  castType: (table, step) => {
+    requireColumns(table, [step.column]);
+    const previous = table.schema[step.column];
+    const column = { ...previous, type: step.to, format: null, overridden: true };
+    let invalid = 0;
+    const rows = table.rows.map(row => {
+      if (row[step.column] === null) return row;
+      const value = coerceValue(formatValue(row[step.column], previous), column);
+      if (value === null) invalid += 1;
+      return { ...row, [step.column]: value };
+    });
+    return { ...table, schema: { ...table.schema, [step.column]: { ...column, invalid } }, rows };
+  },
+
+  deriveColumn: (table, step) => {
+    if (!step.name) throw new Error('Derived column needs a name');
+    if (table.headers.includes(step.name)) throw new Error(`Column "${step.name}" already exists`);
+    const { evaluate } = compileExpression(step.expression, table.headers);
+    const rows = table.rows.map(row => {
+      const value = evaluate(row);
+      return { ...row, [step.name]: value === undefined || (typeof value === 'number' && isNaN(value)) ? null : value };
+    });
+    const type = typeOfValues(rows.map(row => row[step.name]));
+    return {
+      headers: [...table.headers, step.name],
+      schema: {
+        ...table.schema,
+        [step.name]: { type, format: null, invalid: 0, inferredType: type, inferredFormat: null, overridden: false, derived: true }
+      },
+      rows
+    };
+  }
+};
+
+// Replays the enabled steps over the base table. A failing step is skipped and its error reported by step id.
+export const runPipeline = (table, steps) => {
+  const errors = {};
+  let changed = false;
+  const result = steps.reduce((current, step) => {
+    if (!step.enabled) return current;
+    const runner = STEP_RUNNERS[step.type];
+    if (!runner) {
+      errors[step.id] = `Unknown step type "${step.type}"`;
+      return current;
+    }
+    try {
+      const next = runner(current, step);
+      changed = true;
+      return next;
+    } catch (err) {
+      errors[step.id] = err.message;
+      return current;
+    }
+  }, table);
+
+  return { ...result, errors, changed };
+};
+
+export const serializePipeline = (steps) => JSON.stringify({ version: PIPELINE_VERSION, steps }, null, 2);
+
+export const parsePipeline = (text) => {
+  const parsed = JSON.parse(text);
+  const steps = Array.isArray(parsed) ? parsed : parsed.steps;
+  if (!Array.isArray(steps)) throw new Error('Pipeline file must contain a list of steps');
+  return steps.map(step => {
+    if (!step || !STEP_TYPES[step.type]) throw new Error(`Unknown step type "${step && step.type}"`);
+    return { ...createStep(step.type), ...step, enabled: step.enabled !== false };
+  });
+};
+
+export const createHistory = (present = []) => ({ past: [], present, future: [] });
+
+export const pushHistory = (history, present) => ({
+  past: [...history.past, history.present],
+  present,
+  future: []
+});
+
+export const undoHistory = (history) => {
+  if (!history.past.length) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future]
+  };
+};
+
+export const redoHistory = (history) => {
+  if (!history.future.length) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1)
+  };
+};
@@ -0,0 +1,216 @@
+import _ from 'lodash';
+import { formatValue, isBlank, nullTokenSet, valueKind } from './typeinference.js';
+import { toBound, comparable } from './filters.js';
+
+export const PATTERNS = {
+  email: { label: 'Email', regex: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$' },
+  phone: { label: 'Phone', regex: '^\\+?[0-9][0-9 ().-]{5,18}[0-9]$' },
+  url: { label: 'URL', regex: '^https?://[^\\s]+$' },
+  uuid: { label: 'UUID', regex: '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$' },
+  custom: { label: 'Custom regex', regex: '' }
+};
+
+export const RULE_TYPES = {
+  unique: 'Is unique',
+  notNull: 'Is not missing',
+  between: 'Is between',
+  inSet: 'Is one of'
+};
+
+// Share of values a built-in pattern must match to be suggested for a column.
+const PATTERN_DETECTION_THRESHOLD = 0.9;
+const PATTERN_SAMPLE_SIZE = 1000;
+
+export const defaultQualityConfig = () => ({ patterns: {}, rules: [] });
+
+let ruleCounter = 0;
+
+export const createRule = (type, params = {}) => {
+  ruleCounter += 1;
+  return { id: `rule-${Date.now().toString(36)}-${ruleCounter}`, type, ...params };
+};
+
+export const describeRule = (rule) => {
+  switch (rule.type) {
+    case 'unique':
+      return `${rule.columns.join(' + ')} ${rule.columns.length > 1 ? 'are unique together' : 'is unique'}`;
+    case 'notNull':
+      return `${rule.column} is not missing`;
+    case 'between':
+      return `${rule.column} between ${rule.min === '' ? '…' : rule.min} and ${rule.max === '' ? '…' : rule.max}`;
+    case 'inSet':
+      return `${rule.column} in {${rule.values.join(', ')}}`;
+    default:
+      return rule.type;
+  }
+};
+
+// Checks against the raw cells: placeholders read as missing, stray whitespace, value lengths as
+// written in the file and cells whose kind (number, date, boolean, text) differs from the most common
+// kind in the column.
+export const profileRawColumns = (headers, rawRows, nullTokens) => {
+  const tokens = nullTokenSet(nullTokens);
+  return _.fromPairs(headers.map((header, colIndex) => {
+    const kinds = {};
+    let placeholders = 0;
+    let whitespace = 0;
+    let minLength = null;
+    let maxLength = null;
+    rawRows.forEach(row => {
+      const value = row[colIndex];
+      if (isBlank(value)) return;
+      if (isBlank(value, tokens)) {
+        placeholders += 1;
+        return;
+      }
+      if (typeof value === 'string' && value !== value.trim()) whitespace += 1;
+      const { length } = value instanceof Date ? formatValue(value) : String(value);
+      minLength = minLength === null ? length : Math.min(minLength, length);
+      maxLength = maxLength === null ? length : Math.max(maxLength, length);
+      const kind = valueKind(value);
+      kinds[kind] = (kinds[kind] || 0) + 1;
+    });
+    const counts = Object.values(kinds);
+    const mixed = counts.length > 1 ? _.sum(counts) - _.max(counts) : 0;
+    return [header, { placeholders, whitespace, minLength, maxLength, mixed, kinds }];
+  }));
+};
+
+const compilePattern = (setting) => {
+  const source = setting.kind === 'custom' ? setting.regex : PATTERNS[setting.kind] && PATTERNS[setting.kind].regex;
+  if (!source) return null;
+  try {
+    return new RegExp(source);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Built-in pattern most text values of a column follow, judged on a sample.
+export const detectPattern = (texts) => {
+  const sample = texts.slice(0, PATTERN_SAMPLE_SIZE);
+  if (!sample.length) return null;
+  return Object.keys(PATTERNS).find(kind => {
+    if (kind === 'custom') return false;
+    const pattern = new RegExp(PATTERNS[kind].regex);
+    return sample.filter(text => pattern.test(text)).length >= sample.length * PATTERN_DETECTION_THRESHOLD;
+  }) || null;
+};
+
+// Per-column profile of typed rows: missing, distinct values, uniqueness, value lengths and conformance
+// to the configured (or detected) pattern, with the indexes of non-conforming rows for drill-through.
+export const profileColumns = (rows, headers, schema, patterns = {}) => _.fromPairs(headers.map(header => {
+  const column = schema[header];
+  const present = [];
+  rows.forEach(row => {
+    if (row[header] !== null && row[header] !== undefined) present.push(row);
+  });
+  const texts = present.map(row => formatValue(row[header], column));
+  const lengths = texts.map(text => text.length);
+  const distinct = new Set(texts).size;
+
+  const textual = column.type === 'string';
+  const setting = patterns[header] || (textual ? { kind: detectPattern(texts), detected: true } : null);
+  let pattern = null;
+  if (setting && setting.kind) {
+    const regex = compilePattern(setting);
+    const failing = regex ? present.filter((row, i) => !regex.test(texts[i])).map(row => row._index) : [];
+    pattern = {
+      kind: setting.kind,
+      detected: Boolean(setting.detected),
+      valid: Boolean(regex),
+      matched: regex ? present.length - failing.length : 0,
+      failing
+    };
+  }
+
+  return [header, {
+    present: present.length,
+    missing: rows.length - present.length,
+    distinct,
+    uniqueness: present.length ? distinct / present.length : null,
+    minLength: lengths.length ? _.min(lengths) : null,
+    maxLength: lengths.length ? _.max(lengths) : null,
+    pattern
+  }];
+}));
+
+// Rows identical on every column to an earlier row.
+export const findDuplicateRows = (rows, headers, schema) => {
+  const seen = new Set();
+  const indexes = [];
+  rows.forEach(row => {
+    const key = JSON.stringify(headers.map(header => formatValue(row[header], schema[header])));
+    if (seen.has(key)) indexes.push(row._index);
+    else seen.add(key);
+  });
+  return indexes;
+};
+
+// Pass/fail counts per rule. Rows with a missing value are skipped by every rule except notNull;
+// `failing` holds the indexes of the violating rows.
+export const evaluateRules = (rows, schema, rules) => rules.map(rule => {
+  const columns = rule.type === 'unique' ? rule.columns : [rule.column];
+  const absent = columns.filter(column => !schema[column]);
+  if (!columns.length || absent.length) {
+    return { rule, description: describeRule(rule), error: `Column "${absent[0] || ''}" is not in the data`, passed: 0, failed: 0, skipped: 0, failing: [] };
+  }
+
+  const complete = rule.type === 'notNull'
+    ? rows
+    : rows.filter(row => columns.every(column => row[column] !== null && row[column] !== undefined));
+  let failing;
+  switch (rule.type) {
+    case 'unique': {
+      const groups = _.groupBy(complete, row => JSON.stringify(columns.map(column => formatValue(row[column], schema[column]))));
+      failing = _.flatMap(Object.values(groups).filter(group => group.length > 1), group => group.map(row => row._index));
+      break;
+    }
+    case 'notNull':
+      failing = rows.filter(row => row[rule.column] === null || row[rule.column] === undefined).map(row => row._index);
+      break;
+    case 'between': {
+      const min = toBound(rule.min, schema[rule.column]);
+      const max = toBound(rule.max, schema[rule.column]);
+      failing = complete.filter(row => {
+        const value = comparable(row[rule.column]);
+        return (min !== null && value < min) || (max !== null && value > max);
+      }).map(row => row._index);
+      break;
+    }
+    case 'inSet': {
+      const allowed = new Set(rule.values);
+      failing = complete.filter(row => !allowed.has(formatValue(row[rule.column], schema[rule.column]))).map(row => row._index);
+      break;
+    }
+    default:
+      failing = [];
+  }
+
+  return {
+    rule,
+    description: describeRule(rule),
+    error: null,
+    passed: complete.length - failing.length,
+    failed: failing.length,
+    skipped: rows.length - complete.length,
+    failing
+  };
+});
+
+// The profile and rule results for the report, without row indexes.
+export const qualitySummary = ({ columns, raw, duplicates, rules }) => ({
+  duplicateRows: duplicates.length,
+  columns: _.mapValues(columns, (profile, header) => ({
+    ..._.omit(profile, 'pattern'),
+    ...(raw[header] && _.omit(raw[header], 'kinds')),
+    pattern: profile.pattern ? { kind: profile.pattern.kind, matched: profile.pattern.matched, failed: profile.pattern.failing.length } : null
+  })),
+  rules: rules.map(result => ({
+    rule: result.description,
+    passed: result.passed,
+    failed: result.failed,
+    skipped: result.skipped,
+    error: result.error || undefined
+  }))
+});
@@ -0,0 +1,227 @@
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { parquetReadObjects } from 'hyparquet';
+import _ from 'lodash';
+
+const readers = [];
+
+export const registerReader = (reader) => {
+  readers.unshift(reader);
+};
+
+const extensionOf = (fileName) => {
+  const match = fileName.toLowerCase().match(/\.[^.]+$/);
+  return match ? match[0] : '';
+};
+
+export const findReader = (fileName) => {
+  const extension = extensionOf(fileName);
+  return readers.find(reader => reader.extensions.includes(extension)) || null;
+};
+
+export const supportedExtensions = () => _.uniq(_.flatMap(readers, reader => reader.extensions));
+
+const readAsText = (file) => file.text();
+const readAsArrayBuffer = (file) => file.arrayBuffer();
+
+export const createAbortError = () => {
+  const error = new Error('Loading was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Wraps a whole-file reader so it honours options.signal and reports a single progress step.
+const whenNotAborted = (read) => (file, options = {}) => read(file, options).then(table => {
+  if (options.signal && options.signal.aborted) throw createAbortError();
+  if (options.onProgress) options.onProgress({ rows: table.rows.length, loaded: file.size, total: file.size });
+  return table;
+});
+
+// Turns a matrix of cells into { headers, rows }, dropping blank rows and trimming the headers. Cells
+// keep their whitespace for the quality checks; typing trims them.
+export const toTable = (matrix) => {
+  const cleaned = matrix
+    .filter(row => row.some(cell => cell !== null && cell !== undefined && cell.toString().trim() !== ''))
+    .map(row => row.map(cell => (cell === undefined ? '' : cell)));
+
+  if (cleaned.length < 2) {
+    throw new Error('File must contain at least a header row and one data row');
+  }
+
+  const headers = cleaned[0].map((header, index) => {
+    const name = header === null ? '' : String(header).trim();
+    return name === '' ? `Column ${index + 1}` : name;
+  });
+  const rows = cleaned.slice(1).map(row => headers.map((header, index) => (row[index] === undefined ? '' : row[index])));
+  return { headers, rows };
+};
+
+const flattenRecord = (record, prefix = '', target = {}) => {
+  Object.entries(record).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      flattenRecord(value, path, target);
+    } else if (Array.isArray(value)) {
+      target[path] = JSON.stringify(value);
+    } else {
+      target[path] = typeof value === 'bigint' ? Number(value) : value;
+    }
+  });
+  return target;
+};
+
+// Flattens an array of (possibly nested) objects into dotted column names.
+export const recordsToTable = (records) => {
+  const flattened = records
+    .filter(record => record !== null && typeof record === 'object')
+    .map(record => (Array.isArray(record) ? { value: JSON.stringify(record) } : flattenRecord(record)));
+
+  const headers = [];
+  const seen = new Set();
+  flattened.forEach(record => {
+    Object.keys(record).forEach(key => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
+      }
+    });
+  });
+
+  return toTable([headers, ...flattened.map(record => headers.map(header => (Object.hasOwn(record, header) ? record[header] : '')))]);
+};
+
+const findRecords = (parsed) => {
+  if (Array.isArray(parsed)) return parsed;
+  if (parsed && typeof parsed === 'object') {
+    const nested = Object.values(parsed).find(Array.isArray);
+    return nested || [parsed];
+  }
+  throw new Error('JSON must contain an array of objects');
+};
+
+const streamDelimited = (input, delimiter, { onProgress, signal } = {}, total) => new Promise((resolve, reject) => {
+  const matrix = [];
+
+  Papa.parse(input, {
+    chunk: (results, parser) => {
+      if (signal && signal.aborted) {
+        parser.abort();
+        return;
+      }
+      results.data.forEach(row => matrix.push(row));
+      if (onProgress) {
+        onProgress({ rows: Math.max(matrix.length - 1, 0), loaded: results.meta.cursor, total });
+      }
+    },
+    complete: () => {
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      try {
+        resolve(toTable(matrix));
+      } catch (err) {
+        reject(err);
+      }
+    },
+    error: reject,
+    chunkSize: 1024 * 1024,
+    header: false,
+    skipEmptyLines: true,
+    dynamicTyping: false,
+    delimiter,
+    delimitersToGuess: [',', ';', '\t', '|']
+  });
+});
+
+const parseDelimited = (file, delimiter, options) => {
+  // Papa streams File objects through FileReader, which Node lacks; there the text is parsed instead.
+  if (typeof FileReader === 'undefined' && typeof file.text === 'function') {
+    return file.text().then(text => streamDelimited(text, delimiter, options, file.size));
+  }
+  return streamDelimited(file, delimiter, options, file.size);
+};
+
+registerReader({
+  id: 'parquet',
+  label: 'Parquet',
+  extensions: ['.parquet'],
+  read: whenNotAborted((file) => readAsArrayBuffer(file)
+    .then(buffer => parquetReadObjects({ file: buffer }))
+    .then(recordsToTable))
+});
+
+registerReader({
+  id: 'ndjson',
+  label: 'NDJSON',
+  extensions: ['.ndjson', '.jsonl'],
+  read: whenNotAborted((file) => readAsText(file).then(text => {
+    const records = text.split(/\r?\n/).map((line, index) => {
+      if (!line.trim()) return null;
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Invalid JSON on line ${index + 1}: ${err.message}`);
+      }
+    }).filter(Boolean);
+    return recordsToTable(records);
+  }))
+});
+
+registerReader({
+  id: 'json',
+  label: 'JSON',
+  extensions: ['.json'],
+  read: whenNotAborted((file) => readAsText(file).then(text => recordsToTable(findRecords(JSON.parse(text)))))
+});
+
+registerReader({
+  id: 'excel',
+  label: 'Excel',
+  extensions: ['.xlsx', '.xls', '.xlsm', '.ods'],
+  read: whenNotAborted((file, options) => readAsArrayBuffer(file).then(buffer => {
+    const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+    const sheets = workbook.SheetNames;
+    const sheet = sheets.includes(options.sheet) ? options.sheet : sheets[0];
+    const matrix = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { header: 1, raw: true, defval: '' });
+    return { ...toTable(matrix), sheets, sheet };
+  }))
+});
+
+registerReader({
+  id: 'tsv',
+  label: 'TSV',
+  extensions: ['.tsv', '.tab'],
+  read: (file, options) => parseDelimited(file, '\t', options)
+});
+
+registerReader({
+  id: 'csv',
+  label: 'CSV',
+  extensions: ['.csv', '.txt'],
+  read: (file, options) => parseDelimited(file, '', options)
+});
+
+const PASTED_NAME = 'Pasted data';
+
+// A file to load from a paste: a copied file as is, or pasted text named for the reader that fits it,
+// i.e. tab-separated text as copied from a spreadsheet, a JSON document, JSON lines or CSV.
+// Returns null when the clipboard holds neither.
+export const pastedFile = (clipboardData) => {
+  if (clipboardData.files && clipboardData.files.length) return clipboardData.files[0];
+  const text = clipboardData.getData('text/plain');
+  if (!text || !text.trim()) return null;
+
+  const trimmed = text.trim();
+  let extension = text.split(/\r?\n/, 1)[0].includes('\t') ? '.tsv' : '.csv';
+  if (trimmed.startsWith('[')) extension = '.json';
+  if (trimmed.startsWith('{')) {
+    try {
+      JSON.parse(trimmed);
+      extension = '.json';
+    } catch (err) {
+      extension = '.jsonl';
+    }
+  }
+  return new File([text], `${PASTED_NAME}${extension}`, { type: 'text/plain' });
+};
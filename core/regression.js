@@ -0,0 +1,276 @@
+import _ from 'lodash';
+import { isNumericType } from './typeinference.js';
+import { studentTPValue, studentTCritical, fPValue } from './distributions.js';
+
+// Least-squares model fitting: curves of one variable for chart overlays, and multiple linear regression
+// over several numeric columns. Models are plain data, so they can go into the report as they are.
+
+export const FIT_TYPES = {
+  none: 'None',
+  linear: 'Linear',
+  polynomial: 'Polynomial',
+  exponential: 'Exponential',
+  logarithmic: 'Logarithmic'
+};
+
+export const MAX_DEGREE = 6;
+export const CONFIDENCE_LEVEL = 0.95;
+export const CURVE_POINTS = 60;
+export const MAX_RESIDUAL_POINTS = 2000;
+
+export const defaultFitConfig = () => ({ type: 'none', degree: 2 });
+
+export const defaultRegressionConfig = () => ({ target: '', predictors: [], type: 'linear', degree: 2 });
+
+// Why runRegression couldn't fit a model. It returns { code, values } so the app can word the reason
+// in its own language; describeRegressionError gives the English text.
+export const REGRESSION_ERRORS = {
+  noColumns: 'Choose a target column and at least one predictor',
+  targetIsPredictor: 'The target column can\'t also be a predictor',
+  missingColumns: 'No column named {columns}',
+  nonNumeric: 'Regression needs numeric columns; not numeric: {columns}',
+  notFitted: 'Not enough rows to fit this model, or its terms are collinear'
+};
+
+export const describeRegressionError = ({ code, values = {} }) => REGRESSION_ERRORS[code]
+  .replace(/\{(\w+)\}/g, (match, name) => values[name]);
+
+const SUPERSCRIPTS = ['⁰', '¹', '²', '³', '⁴', '⁵', '⁶', '⁷', '⁸', '⁹'];
+
+// Householder QR least squares. Returns the coefficients and (XᵀX)⁻¹, or null when the columns of X
+// are (numerically) linearly dependent.
+const leastSquares = (X, y) => {
+  const n = X.length;
+  const p = X[0].length;
+  const A = X.map(row => row.slice());
+  const b = y.slice();
+
+  for (let k = 0; k < p; k += 1) {
+    let norm = 0;
+    for (let i = k; i < n; i += 1) norm += A[i][k] * A[i][k];
+    norm = Math.sqrt(norm);
+    if (norm === 0) return null;
+    const alpha = A[k][k] > 0 ? -norm : norm;
+    const v = [];
+    for (let i = k; i < n; i += 1) v.push(A[i][k]);
+    v[0] -= alpha;
+    const vNorm = v.reduce((sum, value) => sum + value * value, 0);
+    if (vNorm === 0) continue;
+    for (let j = k; j < p; j += 1) {
+      let projection = 0;
+      for (let i = k; i < n; i += 1) projection += v[i - k] * A[i][j];
+      const factor = (2 * projection) / vNorm;
+      for (let i = k; i < n; i += 1) A[i][j] -= factor * v[i - k];
+    }
+    let projection = 0;
+    for (let i = k; i < n; i += 1) projection += v[i - k] * b[i];
+    const factor = (2 * projection) / vNorm;
+    for (let i = k; i < n; i += 1) b[i] -= factor * v[i - k];
+  }
+
+  const largest = _.max(_.range(p).map(k => Math.abs(A[k][k])));
+  if (_.range(p).some(k => Math.abs(A[k][k]) <= largest * 1e-12)) return null;
+
+  const coefficients = new Array(p).fill(0);
+  for (let i = p - 1; i >= 0; i -= 1) {
+    let sum = b[i];
+    for (let j = i + 1; j < p; j += 1) sum -= A[i][j] * coefficients[j];
+    coefficients[i] = sum / A[i][i];
+  }
+
+  // R⁻¹ by back substitution, then (XᵀX)⁻¹ = R⁻¹ R⁻ᵀ.
+  const inverse = _.range(p).map(() => new Array(p).fill(0));
+  for (let col = 0; col < p; col += 1) {
+    for (let i = col; i >= 0; i -= 1) {
+      let sum = i === col ? 1 : 0;
+      for (let j = i + 1; j <= col; j += 1) sum -= A[i][j] * inverse[j][col];
+      inverse[i][col] = sum / A[i][i];
+    }
+  }
+  const unscaled = _.range(p).map(i => _.range(p).map(j => {
+    let sum = 0;
+    for (let k = Math.max(i, j); k < p; k += 1) sum += inverse[i][k] * inverse[j][k];
+    return sum;
+  }));
+
+  return { coefficients, unscaled };
+};
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+// Ordinary least squares with an intercept in the first column of X: coefficient estimates with
+// standard errors and t-test p-values, R², and the F-test of the model against the intercept alone.
+const fitLinearModel = (X, y, terms) => {
+  const n = X.length;
+  const p = terms.length;
+  if (n <= p) return null;
+  const solved = leastSquares(X, y);
+  if (!solved) return null;
+
+  const mean = _.mean(y);
+  let sse = 0;
+  let sst = 0;
+  X.forEach((row, i) => {
+    const residual = y[i] - dot(row, solved.coefficients);
+    sse += residual * residual;
+    sst += (y[i] - mean) * (y[i] - mean);
+  });
+  const df = n - p;
+  const variance = sse / df;
+  const rSquared = sst > 0 ? 1 - sse / sst : null;
+  const fStatistic = p > 1 && sst > 0 ? ((sst - sse) / (p - 1)) / variance : null;
+
+  return {
+    n,
+    df,
+    coefficients: terms.map((term, i) => {
+      const standardError = Math.sqrt(variance * solved.unscaled[i][i]);
+      const t = solved.coefficients[i] / standardError;
+      return { term, estimate: solved.coefficients[i], standardError, t: Number.isNaN(t) ? null : t, pValue: studentTPValue(t, df) };
+    }),
+    rSquared,
+    adjustedRSquared: rSquared === null ? null : 1 - ((1 - rSquared) * (n - 1)) / df,
+    residualStandardError: Math.sqrt(variance),
+    fStatistic,
+    fPValue: fStatistic === null ? null : fPValue(fStatistic, p - 1, df),
+    covariance: solved.unscaled.map(row => row.map(value => value * variance)),
+    tCritical: studentTCritical(1 - CONFIDENCE_LEVEL, df)
+  };
+};
+
+// The model's design row for an input: x for a curve, or one value per predictor for a multiple regression.
+const basisFor = (model, input) => {
+  if (model.type === 'multiple') return [1, ...input];
+  if (model.type === 'logarithmic') return input > 0 ? [1, Math.log(input)] : null;
+  if (model.type === 'polynomial') return _.range(model.degree + 1).map(power => input ** power);
+  return [1, input];
+};
+
+// The fitted value with a confidence interval for the mean response, or null for inputs the model
+// can't take (e.g. x ≤ 0 for a logarithmic fit). Exponential fits work on ln(y) and are mapped back.
+export const predict = (model, input) => {
+  const basis = basisFor(model, input);
+  if (!basis || basis.some(value => !Number.isFinite(value))) return null;
+  const estimates = model.coefficients.map(coefficient => coefficient.estimate);
+  const value = dot(basis, estimates);
+  const spread = model.tCritical * Math.sqrt(Math.max(0, dot(basis, model.covariance.map(row => dot(row, basis)))));
+  const back = model.type === 'exponential' ? Math.exp : _.identity;
+  return { value: back(value), lower: back(value - spread), upper: back(value + spread) };
+};
+
+const formatCoefficient = (value) => Number(value.toPrecision(4)).toString();
+
+const formatEquation = (target, parts) => {
+  const [first, ...rest] = parts;
+  return `${target} = ${formatCoefficient(first.value)}${first.suffix}${rest.map(part => (
+    `${part.value < 0 ? ' − ' : ' + '}${formatCoefficient(Math.abs(part.value))}${part.suffix}`
+  )).join('')}`;
+};
+
+const equationFor = (model, x, y) => {
+  const estimates = model.coefficients.map(coefficient => coefficient.estimate);
+  switch (model.type) {
+    case 'exponential':
+      return `${y} = ${formatCoefficient(Math.exp(estimates[0]))} · e^(${formatCoefficient(estimates[1])}·${x})`;
+    case 'logarithmic':
+      return formatEquation(y, [{ value: estimates[0], suffix: '' }, { value: estimates[1], suffix: `·ln(${x})` }]);
+    case 'multiple':
+      return formatEquation(y, estimates.map((value, i) => ({ value, suffix: i ? `·${model.coefficients[i].term}` : '' })));
+    default:
+      return formatEquation(y, estimates.map((value, power) => ({
+        value,
+        suffix: power === 0 ? '' : `·${x}${power > 1 ? String(power).split('').map(digit => SUPERSCRIPTS[digit]).join('') : ''}`
+      })));
+  }
+};
+
+// Fits y against x. `points` are { x, y } pairs of numbers; points a fit can't use (y ≤ 0 for an
+// exponential, x ≤ 0 for a logarithmic fit) are counted in `excluded`. Null when there are too few
+// usable points. For exponential fits R² and the standard errors are on the ln(y) scale.
+export const fitCurve = (points, { type, degree = 2, x = 'x', y = 'y' }) => {
+  const usable = points.filter(point => (
+    (type !== 'exponential' || point.y > 0) && (type !== 'logarithmic' || point.x > 0)
+  ));
+  const power = type === 'polynomial' ? _.clamp(Math.round(degree), 1, MAX_DEGREE) : 1;
+  const base = { type, degree: power };
+  const terms = type === 'polynomial'
+    ? _.range(power + 1).map(p => (p === 0 ? 'Intercept' : `${x}${p > 1 ? `^${p}` : ''}`))
+    : ['Intercept', type === 'logarithmic' ? `ln(${x})` : x];
+  const X = usable.map(point => basisFor(base, point.x));
+  const Y = usable.map(point => (type === 'exponential' ? Math.log(point.y) : point.y));
+  const fitted = fitLinearModel(X, Y, terms);
+  if (!fitted) return null;
+
+  const model = { ...base, x, y, ...fitted, excluded: points.length - usable.length, range: [_.minBy(usable, 'x').x, _.maxBy(usable, 'x').x] };
+  return { ...model, label: FIT_TYPES[type] + (type === 'polynomial' ? ` (degree ${power})` : ''), equation: equationFor(model, x, y) };
+};
+
+// Evenly spaced points along a curve model's x range, with its confidence band.
+export const curvePoints = (model, steps = CURVE_POINTS) => {
+  const [min, max] = model.range;
+  return _.range(steps + 1)
+    .map(i => {
+      const x = min + ((max - min) * i) / steps;
+      const prediction = predict(model, x);
+      return prediction && { x, fit: prediction.value, lower: prediction.lower, upper: prediction.upper };
+    })
+    .filter(Boolean);
+};
+
+// Multiple linear regression of `target` on numeric `predictors` over rows with every value present.
+export const fitMultipleRegression = (rows, target, predictors) => {
+  const X = rows.map(row => [1, ...predictors.map(column => row[column])]);
+  const fitted = fitLinearModel(X, rows.map(row => row[target]), ['Intercept', ...predictors]);
+  if (!fitted) return null;
+  const model = { type: 'multiple', degree: 1, x: predictors.join(', '), y: target, ...fitted, excluded: 0 };
+  return { ...model, label: 'Multiple linear', equation: equationFor(model, model.x, target) };
+};
+
+const present = (value) => value !== null && value !== undefined;
+
+// The Regression panel's model: one predictor fits the chosen curve type, two or more a multiple linear
+// regression. Residuals are against the fitted values, sampled down to MAX_RESIDUAL_POINTS for plotting.
+export const runRegression = (rows, schema, { target, predictors, type, degree }) => {
+  const columns = [target, ...predictors];
+  if (!target || !predictors.length) return { error: { code: 'noColumns' } };
+  if (predictors.includes(target)) return { error: { code: 'targetIsPredictor' } };
+  const missing = columns.filter(column => !schema[column]);
+  if (missing.length) return { error: { code: 'missingColumns', values: { columns: missing.join(', ') } } };
+  const nonNumeric = columns.filter(column => !isNumericType(schema[column].type));
+  if (nonNumeric.length) return { error: { code: 'nonNumeric', values: { columns: nonNumeric.join(', ') } } };
+
+  const complete = rows.filter(row => columns.every(column => present(row[column])));
+  const inputOf = predictors.length === 1 ? row => row[predictors[0]] : row => predictors.map(column => row[column]);
+  const model = predictors.length === 1
+    ? fitCurve(complete.map(row => ({ x: row[predictors[0]], y: row[target] })), { type, degree, x: predictors[0], y: target })
+    : fitMultipleRegression(complete, target, predictors);
+  if (!model) return { error: { code: 'notFitted' } };
+
+  const step = Math.max(1, Math.ceil(complete.length / MAX_RESIDUAL_POINTS));
+  const residuals = complete
+    .filter((row, index) => index % step === 0)
+    .map(row => {
+      const prediction = predict(model, inputOf(row));
+      return prediction && { fitted: prediction.value, residual: row[target] - prediction.value };
+    })
+    .filter(Boolean);
+
+  return { model, residuals, skipped: rows.length - complete.length, sampledFrom: step > 1 ? complete.length : 0 };
+};
+
+// A model without its covariance matrix, for the report.
+export const regressionSummary = (model) => ({
+  type: model.type,
+  label: model.label,
+  target: model.y,
+  predictors: model.x,
+  equation: model.equation,
+  observations: model.n,
+  excluded: model.excluded,
+  rSquared: model.rSquared,
+  adjustedRSquared: model.adjustedRSquared,
+  residualStandardError: model.residualStandardError,
+  fStatistic: model.fStatistic,
+  fPValue: model.fPValue,
+  coefficients: model.coefficients
+});
@@ -0,0 +1,260 @@
+import _ from 'lodash';
+import { PERCENTILES } from './statistics.js';
+import { CARDINALITY_LEVELS } from './categorical.js';
+
+export const TOP_VALUES_PER_COLUMN = 10;
+
+// The analysis report shared by the JSON, HTML and spreadsheet exports.
+export const buildReport = ({ fileName, sheet, view, analysis, histograms, quality, regression }) => ({
+  fileName,
+  sheet: sheet || undefined,
+  timestamp: new Date().toISOString(),
+  view: view || undefined,
+  summary: analysis.summary,
+  columnTypes: analysis.columnTypes,
+  numericStatistics: analysis.numericStats,
+  categoricalStatistics: analysis.categoricalStats,
+  cardinality: analysis.cardinality,
+  dateStatistics: analysis.dateStats,
+  histograms,
+  correlations: analysis.correlations,
+  outliers: analysis.outliers,
+  quality: quality || undefined,
+  regression: regression || undefined
+});
+
+const round = (value) => (typeof value === 'number' && !Number.isInteger(value) ? Number(value.toFixed(4)) : value);
+
+// The report's tables as header-first matrices, for CSV/XLSX export and the HTML report.
+export const reportTables = (report) => {
+  const tables = [];
+  const add = (id, title, header, rows) => {
+    if (rows.length) tables.push({ id, title, rows: [header, ...rows.map(row => row.map(round))] });
+  };
+
+  add('summary', 'Summary', ['Metric', 'Value'], [
+    ['Total rows', report.summary.totalRows],
+    ['Total columns', report.summary.totalColumns],
+    ['Numeric columns', report.summary.numericColumns],
+    ['Text columns', report.summary.categoricalColumns],
+    ['Date columns', report.summary.dateColumns]
+  ]);
+
+  add('columnTypes', 'Column Types', ['Column', 'Type'], Object.entries(report.columnTypes));
+
+  add('numeric', 'Numeric Statistics',
+    ['Column', 'Count', 'Min', 'Q1', 'Median', 'Q3', 'Max', 'IQR', 'Mean', 'Std Dev', 'Skewness', 'Kurtosis'],
+    Object.entries(report.numericStatistics).map(([col, stats]) => [
+      col, stats.count, stats.min, stats.q1, stats.median, stats.q3, stats.max, stats.iqr, stats.mean, stats.stdDev, stats.skewness, stats.kurtosis
+    ]));
+
+  add('percentiles', 'Percentiles', ['Column', ...PERCENTILES.map(p => `P${p}`)],
+    Object.entries(report.numericStatistics).map(([col, stats]) => [col, ...PERCENTILES.map(p => stats.percentiles[`p${p}`])]));
+
+  add('dates', 'Date Columns', ['Column', 'From', 'To', 'Distinct Dates', 'Granularity', 'Missing Periods'],
+    Object.entries(report.dateStatistics || {}).map(([col, stats]) => [
+      col, stats.min, stats.max, stats.distinct, stats.granularity, stats.missingPeriods
+    ]));
+
+  add('outliers', 'Outliers', ['Column', 'IQR Lower', 'IQR Upper', 'IQR Outliers', 'Z Lower', 'Z Upper', 'Z Outliers'],
+    Object.entries(report.outliers || {}).map(([col, result]) => [
+      col, result.iqr.lower, result.iqr.upper, result.iqr.count, result.zScore.lower, result.zScore.upper, result.zScore.count
+    ]));
+
+  if (report.correlations) {
+    add('correlations', 'Correlations (Pearson)', ['', ...report.correlations.columns],
+      report.correlations.columns.map((col, i) => [col, ...report.correlations.pearson[i]]));
+  }
+
+  add('missing', 'Missing Values', ['Column', 'Missing', '% of Rows'],
+    Object.entries(report.summary.missingValues).map(([col, count]) => [
+      col, count, report.summary.totalRows ? (count / report.summary.totalRows) * 100 : 0
+    ]));
+
+  add('topValues', 'Top Values', ['Column', 'Value', 'Count'],
+    _.flatMap(Object.entries(report.categoricalStatistics), ([col, counts]) => (
+      _.take(_.orderBy(Object.entries(counts), ([, count]) => count, 'desc'), TOP_VALUES_PER_COLUMN).map(([value, count]) => [col, value, count])
+    )));
+
+  add('cardinality', 'Cardinality', ['Column', 'Distinct', 'Uniqueness %', 'Level', 'Values Listed'],
+    Object.entries(report.cardinality || {}).map(([col, description]) => [
+      col,
+      description.capped ? `${description.distinct}+` : description.distinct,
+      description.uniqueness === null ? null : description.uniqueness * 100,
+      CARDINALITY_LEVELS[description.level],
+      description.kept
+    ]));
+
+  if (report.quality) {
+    add('quality', 'Data Quality', ['Column', 'Missing', 'Placeholders', 'Distinct', 'Uniqueness %', 'Mixed Types', 'Whitespace', 'Min Length', 'Max Length', 'Pattern', 'Pattern Failures'],
+      Object.entries(report.quality.columns).map(([col, profile]) => [
+        col,
+        profile.missing,
+        profile.placeholders === undefined ? null : profile.placeholders,
+        profile.distinct,
+        profile.uniqueness === null ? null : profile.uniqueness * 100,
+        profile.mixed === undefined ? null : profile.mixed,
+        profile.whitespace === undefined ? null : profile.whitespace,
+        profile.minLength,
+        profile.maxLength,
+        profile.pattern ? profile.pattern.kind : null,
+        profile.pattern ? profile.pattern.failed : null
+      ]));
+    add('duplicates', 'Duplicate Rows', ['Metric', 'Value'], [['Rows duplicating an earlier row', report.quality.duplicateRows]]);
+    add('rules', 'Validation Rules', ['Rule', 'Passed', 'Failed', 'Skipped (missing)', 'Error'],
+      report.quality.rules.map(result => [result.rule, result.passed, result.failed, result.skipped, result.error || null]));
+  }
+
+  if (report.regression) {
+    const model = report.regression;
+    add('regression', 'Regression', ['Metric', 'Value'], [
+      ['Model', model.label],
+      ['Equation', model.equation],
+      ['Observations', model.observations],
+      ['Excluded rows', model.excluded],
+      [model.type === 'exponential' ? 'R² (on ln y)' : 'R²', model.rSquared],
+      ['Adjusted R²', model.adjustedRSquared],
+      ['Residual std error', model.residualStandardError],
+      ['F statistic', model.fStatistic],
+      ['F test p-value', model.fPValue]
+    ]);
+    add('coefficients', 'Regression Coefficients', ['Term', 'Estimate', 'Std Error', 't', 'p-value'],
+      model.coefficients.map(coefficient => [coefficient.term, coefficient.estimate, coefficient.standardError, coefficient.t, coefficient.pValue]));
+  }
+
+  return tables;
+};
+
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'number') return Number.isInteger(value) ? value.toLocaleString('en-US') : value.toFixed(2);
+  return escapeHtml(value);
+};
+
+const renderTable = (table) => {
+  const [header, ...rows] = table.rows;
+  return `<section>
+<h2>${escapeHtml(table.title)}</h2>
+<table>
+<thead><tr>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(cell => `<td${typeof cell === 'number' ? ' class="num"' : ''}>${formatCell(cell)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</section>`;
+};
+
+const REPORT_STYLES = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2937; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; }
+h1 { margin-bottom: 0.25rem; }
+h2 { margin-top: 2rem; font-size: 1.25rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; }
+.meta { color: #6b7280; margin: 0.15rem 0; }
+.cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 1rem; margin-top: 1.5rem; }
+.card { background: #eff6ff; border-radius: 8px; padding: 1rem; }
+.card h3 { margin: 0; font-size: 0.9rem; color: #1e40af; }
+.card p { margin: 0.25rem 0 0; font-size: 1.5rem; font-weight: bold; color: #2563eb; }
+table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+th, td { border: 1px solid #d1d5db; padding: 0.35rem 0.6rem; text-align: left; }
+th { background: #f9fafb; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+figure { margin: 1.5rem 0; page-break-inside: avoid; }
+figure svg { max-width: 100%; height: auto; }
+figcaption { color: #4b5563; font-weight: 600; margin-bottom: 0.5rem; }
+.print { position: fixed; top: 1rem; right: 1rem; padding: 0.5rem 1rem; background: #2563eb; color: #fff; border: 0; border-radius: 6px; cursor: pointer; }
+@media print { .print { display: none; } body { margin: 0; max-width: none; } section { page-break-inside: avoid; } }
+`;
+
+const describeFilters = (view) => {
+  const parts = view.filters.map(filter => {
+    switch (filter.kind) {
+      case 'range':
+        return `${filter.column} between ${filter.min === null ? '…' : filter.min} and ${filter.max === null ? '…' : filter.max}`;
+      case 'outside':
+        return `${filter.column} outside ${filter.below} – ${filter.above}`;
+      case 'values':
+        return `${filter.column} in (${filter.values.join(', ')})`;
+      default:
+        return `${filter.column} ${filter.kind} "${filter.pattern}"`;
+    }
+  });
+  if (view.search) parts.push(`search "${view.search}"`);
+  if (view.rows) parts.push(view.rows);
+  return parts.join('; ');
+};
+
+// Self-contained HTML report (inline styles, charts as inline SVG) that prints cleanly to PDF.
+export const renderReportHtml = (report, { charts = [], title = 'Data Analysis Report' } = {}) => {
+  const cards = [
+    ['Total Rows', report.summary.totalRows],
+    ['Total Columns', report.summary.totalColumns],
+    ['Numeric Columns', report.summary.numericColumns],
+    ['Text Columns', report.summary.categoricalColumns],
+    ['Date Columns', report.summary.dateColumns]
+  ];
+  const tables = reportTables(report).filter(table => table.id !== 'summary');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} – ${escapeHtml(report.fileName)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">Print / Save as PDF</button>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">File: ${escapeHtml(report.fileName)}${report.sheet ? ` (sheet ${escapeHtml(report.sheet)})` : ''}</p>
+<p class="meta">Generated: ${escapeHtml(new Date(report.timestamp).toLocaleString())}</p>
+${report.view ? `<p class="meta">Filtered view: ${escapeHtml(describeFilters(report.view))}</p>` : ''}
+</header>
+<div class="cards">
+${cards.map(([label, value]) => `<div class="card"><h3>${label}</h3><p>${formatCell(value)}</p></div>`).join('\n')}
+</div>
+${tables.map(renderTable).join('\n')}
+${charts.length ? `<section>
+<h2>Charts</h2>
+${charts.map(chart => `<figure><figcaption>${escapeHtml(chart.title)}</figcaption>${chart.svg}</figure>`).join('\n')}
+</section>` : ''}
+</body>
+</html>
+`;
+};
+
+const markdownCell = (value) => {
+  if (value === null || value === undefined) return '—';
+  const text = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+};
+
+// The report as GitHub-flavoured Markdown, for CI logs and pull request comments.
+export const renderReportMarkdown = (report, { title = 'Data Analysis Report' } = {}) => {
+  const lines = [
+    `# ${title}`,
+    '',
+    `- File: ${report.fileName}${report.sheet ? ` (sheet ${report.sheet})` : ''}`,
+    `- Generated: ${report.timestamp}`
+  ];
+  if (report.view) lines.push(`- Filtered view: ${describeFilters(report.view)}`);
+
+  reportTables(report).forEach(table => {
+    const [header, ...rows] = table.rows;
+    lines.push(
+      '',
+      `## ${table.title}`,
+      '',
+      `| ${header.map(markdownCell).join(' | ')} |`,
+      `| ${header.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+    );
+  });
+
+  return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,133 @@
+import { inferSchema, DEFAULT_NULL_TOKENS } from './typeinference.js';
+import { createHistory } from './pipeline.js';
+import { createDataset } from './workspace.js';
+
+export const SESSION_FORMAT = 'data-analyzer-session';
+export const SESSION_VERSION = 1;
+
+let sessionCounter = 0;
+
+export const createSessionId = () => {
+  sessionCounter += 1;
+  return `session-${Date.now().toString(36)}-${sessionCounter}`;
+};
+
+// What a dataset needs to be rebuilt: the raw rows, null tokens and type overrides (the schema, typed rows
+// and analysis are recomputed on restore), the cleaning steps and the per-dataset view, pivot, chart and
+// quality settings.
+// The original File is not kept, so a restored workbook can't switch sheets.
+const serializeDataset = (dataset) => ({
+  id: dataset.id,
+  name: dataset.name,
+  origin: dataset.origin,
+  fileName: dataset.fileName,
+  sheetNames: dataset.sheetNames,
+  activeSheet: dataset.activeSheet,
+  headers: dataset.table.headers,
+  rawRows: dataset.rawRows,
+  nullTokens: dataset.nullTokens,
+  typeOverrides: dataset.typeOverrides,
+  steps: dataset.pipeline.present,
+  view: dataset.view,
+  chartConfig: dataset.chartConfig,
+  pivotConfig: dataset.pivotConfig,
+  qualityConfig: dataset.qualityConfig,
+  dashboard: dataset.dashboard
+});
+
+// The whole workspace and UI state as a plain object, stored in IndexedDB and written to session files.
+export const serializeSession = ({ id, name, datasets, ...state }) => ({
+  format: SESSION_FORMAT,
+  version: SESSION_VERSION,
+  id,
+  name,
+  savedAt: new Date().toISOString(),
+  ...sessionState(state),
+  datasets: datasets.map(serializeDataset)
+});
+
+// The UI state of a session, without its datasets. Autosave stores it on its own so switching tabs or
+// editing a query doesn't rewrite every row.
+export const sessionState = ({ activeId, activeTab, compareConfig, histogramBins, reportCharts, querySql = '', queryHistory = [] }) => ({
+  activeId,
+  activeTab,
+  compareConfig,
+  histogramBins,
+  reportCharts,
+  querySql,
+  queryHistory
+});
+
+// Listing details, kept apart from the data so the Recent sessions list doesn't load every row.
+export const sessionSummary = (session) => ({
+  id: session.id,
+  name: session.name,
+  savedAt: session.savedAt,
+  datasets: session.datasets.length,
+  rows: session.datasets.reduce((sum, dataset) => sum + dataset.rawRows.length, 0)
+});
+
+const restoreDataset = (saved) => {
+  const nullTokens = saved.nullTokens || DEFAULT_NULL_TOKENS;
+  const schema = inferSchema(saved.headers, saved.rawRows, saved.typeOverrides, { nullTokens });
+  const dataset = createDataset({
+    id: saved.id,
+    name: saved.name,
+    origin: saved.origin || '',
+    fileName: saved.fileName || saved.name,
+    sheetNames: saved.sheetNames || [],
+    activeSheet: saved.activeSheet || '',
+    headers: saved.headers,
+    rows: saved.rawRows,
+    schema,
+    nullTokens,
+    typeOverrides: saved.typeOverrides || {}
+  });
+  return {
+    ...dataset,
+    pipeline: createHistory(saved.steps || []),
+    view: saved.view || dataset.view,
+    chartConfig: { ...dataset.chartConfig, ...saved.chartConfig },
+    pivotConfig: saved.pivotConfig || dataset.pivotConfig,
+    qualityConfig: saved.qualityConfig || dataset.qualityConfig,
+    dashboard: saved.dashboard || dataset.dashboard
+  };
+};
+
+// Rebuilds the app state from a serialized session.
+export const restoreSession = (session) => {
+  const datasets = session.datasets.map(restoreDataset);
+  const activeId = datasets.some(dataset => dataset.id === session.activeId)
+    ? session.activeId
+    : (datasets.length ? datasets[0].id : null);
+  return {
+    id: session.id,
+    name: session.name,
+    datasets,
+    activeId,
+    activeTab: datasets.length ? session.activeTab || 'analyze' : 'upload',
+    compareConfig: session.compareConfig || { leftId: '', rightId: '', keys: [] },
+    histogramBins: session.histogramBins || {},
+    reportCharts: session.reportCharts || [],
+    querySql: session.querySql || '',
+    queryHistory: session.queryHistory || []
+  };
+};
+
+export const sessionToJson = (session) => JSON.stringify(session);
+
+export const parseSessionFile = (text) => {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Session file is not valid JSON');
+  }
+  if (!session || session.format !== SESSION_FORMAT || !Array.isArray(session.datasets)) {
+    throw new Error('Not a Data Analyzer session file');
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Session file version ${session.version} is newer than this app supports`);
+  }
+  return session;
+};
@@ -0,0 +1,91 @@
+import { sessionState, sessionSummary } from './session.js';
+
+// IndexedDB persistence for sessions. Summaries and full sessions live in separate stores so listing
+// sessions stays cheap however much data they hold; the latest UI state has a store of its own so
+// saving it doesn't rewrite the data.
+const DB_NAME = 'data-analyzer-pro';
+const DB_VERSION = 2;
+const SUMMARIES = 'summaries';
+const SESSIONS = 'sessions';
+const STATES = 'states';
+
+let databasePromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SUMMARIES)) db.createObjectStore(SUMMARIES, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(SESSIONS)) db.createObjectStore(SESSIONS, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(STATES)) db.createObjectStore(STATES, { keyPath: 'id' });
+    };
+    databasePromise = promisify(request).catch(err => {
+      databasePromise = null;
+      throw err;
+    });
+  }
+  return databasePromise;
+};
+
+// Runs `work(stores)` in one transaction and resolves with its result once the transaction commits.
+const transaction = async (mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([SUMMARIES, SESSIONS, STATES], mode);
+    let result;
+    Promise.resolve(work({ summaries: tx.objectStore(SUMMARIES), sessions: tx.objectStore(SESSIONS), states: tx.objectStore(STATES) }))
+      .then(value => {
+        result = value;
+      })
+      .catch(reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+};
+
+export const listSessions = () => transaction('readonly', ({ summaries }) => promisify(summaries.getAll()))
+  .then(items => items.sort((a, b) => b.savedAt.localeCompare(a.savedAt)));
+
+// The saved session with its latest UI state.
+export const loadSession = (id) => transaction('readonly', async ({ sessions, states }) => {
+  const [session, state] = await Promise.all([promisify(sessions.get(id)), promisify(states.get(id))]);
+  return session && state ? { ...session, ...sessionState(state) } : session;
+});
+
+export const saveSession = (session) => transaction('readwrite', ({ summaries, sessions, states }) => {
+  sessions.put(session);
+  summaries.put(sessionSummary(session));
+  states.put({ id: session.id, ...sessionState(session) });
+});
+
+// Saves the UI state of a stored session, leaving its datasets as they are.
+export const saveSessionState = (id, state) => transaction('readwrite', ({ states }) => {
+  states.put({ id, ...sessionState(state) });
+});
+
+export const renameSession = (id, name) => transaction('readwrite', async ({ summaries, sessions }) => {
+  const [summary, session] = await Promise.all([promisify(summaries.get(id)), promisify(sessions.get(id))]);
+  if (summary) summaries.put({ ...summary, name });
+  if (session) sessions.put({ ...session, name });
+});
+
+export const deleteSession = (id) => transaction('readwrite', ({ summaries, sessions, states }) => {
+  summaries.delete(id);
+  sessions.delete(id);
+  states.delete(id);
+});
+
+// Bytes used and available to this origin, or null where the browser can't tell.
+export const storageEstimate = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+};
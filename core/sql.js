@@ -0,0 +1,1091 @@
+import _ from 'lodash';
+import { inferSchema, buildTypedRows, formatValue } from './typeinference.js';
+import { comparable } from './filters.js';
+import { AGGREGATIONS } from './aggregate.js';
+import { FUNCTIONS } from './expression.js';
+import { uniqueName, MAX_JOIN_ROWS } from './workspace.js';
+
+// In-browser SQL over the workspace datasets: SELECT [DISTINCT] ... FROM ... [JOIN ... ON ...]
+// [WHERE] [GROUP BY] [HAVING] [ORDER BY] [LIMIT [OFFSET]]. Tables are datasets by name; names with
+// spaces or other characters go in "double quotes", [brackets] or `backticks`, strings in 'single quotes'.
+
+export class SqlError extends Error {
+  constructor(message, token) {
+    super(message);
+    this.name = 'SqlError';
+    this.position = token ? token.position : undefined;
+    this.length = token ? Math.max(1, token.length) : 0;
+  }
+}
+
+export const MAX_QUERY_HISTORY = 50;
+
+const OPERATORS = ['<=', '>=', '!=', '<>', '||', '+', '-', '*', '/', '%', '(', ')', ',', '.', ';', '<', '>', '='];
+
+const KEYWORDS = new Set([
+  'select', 'distinct', 'from', 'as', 'join', 'inner', 'left', 'right', 'full', 'outer', 'cross', 'on',
+  'where', 'group', 'by', 'having', 'order', 'asc', 'desc', 'limit', 'offset', 'and', 'or', 'not', 'in',
+  'is', 'null', 'between', 'like', 'case', 'when', 'then', 'else', 'end', 'true', 'false'
+]);
+
+const CLOSING_QUOTES = { '"': '"', '[': ']', '`': '`' };
+
+export const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (source.startsWith('--', i)) {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end + 1;
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) throw new SqlError('Unterminated comment', { position: i, length: 2 });
+      i = end + 2;
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), position: i, length: match[0].length });
+      i += match[0].length;
+    } else if (char === "'" || char in CLOSING_QUOTES) {
+      const close = char === "'" ? "'" : CLOSING_QUOTES[char];
+      let j = i + 1;
+      let text = '';
+      for (;;) {
+        if (j >= source.length) {
+          throw new SqlError(char === "'" ? 'Unterminated string' : 'Unterminated name', { position: i, length: 1 });
+        }
+        if (source[j] === close) {
+          // A doubled quote stands for the quote itself: 'it''s'.
+          if (close !== ']' && source[j + 1] === close) {
+            text += close;
+            j += 2;
+          } else {
+            break;
+          }
+        } else {
+          text += source[j];
+          j += 1;
+        }
+      }
+      tokens.push({ type: char === "'" ? 'string' : 'identifier', value: text, quoted: true, position: i, length: j + 1 - i });
+      i = j + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const word = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+      const lower = word.toLowerCase();
+      tokens.push(KEYWORDS.has(lower)
+        ? { type: 'keyword', value: lower, position: i, length: word.length }
+        : { type: 'identifier', value: word, position: i, length: word.length });
+      i += word.length;
+    } else {
+      const operator = OPERATORS.find(op => source.startsWith(op, i));
+      if (!operator) throw new SqlError(`Unexpected character "${char}"`, { position: i, length: 1 });
+      tokens.push({ type: 'operator', value: operator, position: i, length: operator.length });
+      i += operator.length;
+    }
+  }
+
+  tokens.push({ type: 'end', value: '', position: source.length, length: 0 });
+  return tokens;
+};
+
+// How to write a table or column name in a query.
+export const quoteIdentifier = (name) => (
+  /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !KEYWORDS.has(name.toLowerCase()) ? name : `"${name.replace(/"/g, '""')}"`
+);
+
+// Line and column (both from 1) of a position in the query, with the text of that line.
+export const errorLocation = (source, position) => {
+  const before = source.slice(0, position);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  const lineEnd = source.indexOf('\n', position);
+  return {
+    line: before.split('\n').length,
+    column: position - lineStart + 1,
+    text: source.slice(lineStart, lineEnd === -1 ? source.length : lineEnd)
+  };
+};
+
+// Parsing: the query becomes a plain tree of nodes, each with the source range it came from.
+
+const JOIN_KEYWORDS = { inner: 'inner', left: 'left', right: 'right', full: 'outer', cross: 'cross' };
+
+export const parseQuery = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+  const endOf = (token) => token.position + token.length;
+  const lastEnd = () => (index ? endOf(tokens[index - 1]) : 0);
+  const describe = (token) => (token.type === 'end' ? 'end of query' : `"${source.slice(token.position, endOf(token))}"`);
+  const isKeyword = (word, token = peek()) => token.type === 'keyword' && token.value === word;
+  const isOperator = (op, token = peek()) => token.type === 'operator' && token.value === op;
+  const fail = (message, token = peek()) => {
+    throw new SqlError(message, token);
+  };
+  const acceptKeyword = (word) => {
+    if (!isKeyword(word)) return false;
+    index += 1;
+    return true;
+  };
+  const acceptOperator = (op) => {
+    if (!isOperator(op)) return false;
+    index += 1;
+    return true;
+  };
+  const expectKeyword = (word) => {
+    if (!acceptKeyword(word)) fail(`Expected ${word.toUpperCase()} but found ${describe(peek())}`);
+  };
+  const expectOperator = (op) => {
+    if (!acceptOperator(op)) fail(`Expected "${op}" but found ${describe(peek())}`);
+  };
+  const expectIdentifier = (what) => {
+    const token = peek();
+    if (token.type !== 'identifier') fail(`Expected ${what} but found ${describe(token)}`);
+    index += 1;
+    return token;
+  };
+  const next = () => {
+    const token = peek();
+    index += 1;
+    return token;
+  };
+  const node = (start, fields) => ({ ...fields, start, end: lastEnd() });
+
+  const parseExpression = () => parseOr();
+
+  const parseOr = () => {
+    const start = peek().position;
+    let left = parseAnd();
+    while (acceptKeyword('or')) left = node(start, { kind: 'logical', op: 'or', left, right: parseAnd() });
+    return left;
+  };
+
+  const parseAnd = () => {
+    const start = peek().position;
+    let left = parseNot();
+    while (acceptKeyword('and')) left = node(start, { kind: 'logical', op: 'and', left, right: parseNot() });
+    return left;
+  };
+
+  const parseNot = () => {
+    const start = peek().position;
+    if (acceptKeyword('not')) return node(start, { kind: 'not', operand: parseNot() });
+    return parsePredicate();
+  };
+
+  const parsePredicate = () => {
+    const start = peek().position;
+    const left = parseAdditive();
+    const token = peek();
+
+    if (token.type === 'operator' && ['=', '!=', '<>', '<', '<=', '>', '>='].includes(token.value)) {
+      index += 1;
+      return node(start, { kind: 'compare', op: token.value, left, right: parseAdditive(), token });
+    }
+    if (acceptKeyword('is')) {
+      const negated = acceptKeyword('not');
+      expectKeyword('null');
+      return node(start, { kind: 'isNull', operand: left, negated });
+    }
+
+    const negated = isKeyword('not') && ['in', 'between', 'like'].some(word => isKeyword(word, peek(1)));
+    if (negated) index += 1;
+    if (acceptKeyword('in')) {
+      expectOperator('(');
+      const list = [parseAdditive()];
+      while (acceptOperator(',')) list.push(parseAdditive());
+      expectOperator(')');
+      return node(start, { kind: 'in', operand: left, list, negated });
+    }
+    if (acceptKeyword('between')) {
+      const low = parseAdditive();
+      expectKeyword('and');
+      return node(start, { kind: 'between', operand: left, low, high: parseAdditive(), negated });
+    }
+    if (acceptKeyword('like')) {
+      return node(start, { kind: 'like', operand: left, pattern: parseAdditive(), negated });
+    }
+    return left;
+  };
+
+  const parseBinary = (operators, parseOperand) => () => {
+    const start = peek().position;
+    let left = parseOperand();
+    while (peek().type === 'operator' && operators.includes(peek().value)) {
+      const op = next().value;
+      left = node(start, { kind: 'arithmetic', op, left, right: parseOperand() });
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    const start = peek().position;
+    if (acceptOperator('-')) return node(start, { kind: 'negate', operand: parseUnary() });
+    if (acceptOperator('+')) return parseUnary();
+    return parsePrimary();
+  };
+
+  const parseMultiplicative = parseBinary(['*', '/', '%'], parseUnary);
+  const parseAdditive = parseBinary(['+', '-', '||'], parseMultiplicative);
+
+  const parseCase = (start) => {
+    const operand = isKeyword('when') ? null : parseExpression();
+    const branches = [];
+    while (acceptKeyword('when')) {
+      const when = parseExpression();
+      expectKeyword('then');
+      branches.push({ when, then: parseExpression() });
+    }
+    if (!branches.length) fail(`Expected WHEN but found ${describe(peek())}`);
+    const otherwise = acceptKeyword('else') ? parseExpression() : null;
+    expectKeyword('end');
+    return node(start, { kind: 'case', operand, branches, otherwise });
+  };
+
+  const parseCall = (token) => {
+    const start = token.position;
+    const name = token.value.toLowerCase();
+    expectOperator('(');
+
+    if (name === 'cast') {
+      const operand = parseExpression();
+      expectKeyword('as');
+      const typeToken = expectIdentifier('a type name');
+      expectOperator(')');
+      return node(start, { kind: 'cast', operand, type: typeToken.value.toLowerCase(), token: typeToken });
+    }
+
+    if (acceptOperator('*')) {
+      expectOperator(')');
+      return node(start, { kind: 'call', name, args: [], star: true, distinct: false, token });
+    }
+    const distinct = acceptKeyword('distinct');
+    const args = [];
+    if (!isOperator(')')) {
+      args.push(parseExpression());
+      while (acceptOperator(',')) args.push(parseExpression());
+    }
+    expectOperator(')');
+    return node(start, { kind: 'call', name, args, star: false, distinct, token });
+  };
+
+  // A column name, optionally qualified by a table name or alias: region, s.region, "Sales"."Unit Price".
+  const parseColumn = (token) => {
+    const path = [token];
+    while (isOperator('.') && peek(1).type === 'identifier') {
+      index += 1;
+      path.push(next());
+    }
+    return node(token.position, { kind: 'column', path: path.map(part => part.value), token: { position: token.position, length: lastEnd() - token.position } });
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.type === 'number' || token.type === 'string') {
+      return node(token.position, { kind: 'literal', value: token.value, token });
+    }
+    if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+      return node(token.position, { kind: 'literal', value: token.value === 'null' ? null : token.value === 'true', token });
+    }
+    if (token.type === 'keyword' && token.value === 'case') return parseCase(token.position);
+    if (token.type === 'operator' && token.value === '(') {
+      const inner = parseExpression();
+      expectOperator(')');
+      return inner;
+    }
+    if (token.type === 'identifier') {
+      return !token.quoted && isOperator('(') ? parseCall(token) : parseColumn(token);
+    }
+    return fail(token.type === 'end' ? 'Unexpected end of query' : `Unexpected ${describe(token)}`, token);
+  };
+
+  const parseAlias = () => {
+    if (acceptKeyword('as')) return expectIdentifier('a name').value;
+    return peek().type === 'identifier' ? next().value : null;
+  };
+
+  const parseSelectItem = () => {
+    const start = peek();
+    if (acceptOperator('*')) return { star: true, table: null, token: start };
+    if (start.type === 'identifier' && isOperator('.', peek(1)) && isOperator('*', peek(2))) {
+      index += 3;
+      return { star: true, table: start.value, token: start };
+    }
+    const expr = parseExpression();
+    return { expr, alias: parseAlias() };
+  };
+
+  const parseTable = () => {
+    const token = expectIdentifier('a table name');
+    return { name: token.value, alias: parseAlias(), token };
+  };
+
+  const parseJoin = () => {
+    const token = peek();
+    if (acceptOperator(',')) return { type: 'cross', table: parseTable(), on: null, token };
+    let type = null;
+    if (isKeyword('join')) {
+      type = 'inner';
+    } else if (token.type === 'keyword' && JOIN_KEYWORDS[token.value]) {
+      type = JOIN_KEYWORDS[token.value];
+      index += 1;
+      if (['left', 'outer', 'right'].includes(type)) acceptKeyword('outer');
+    } else {
+      return null;
+    }
+    expectKeyword('join');
+    const table = parseTable();
+    let on = null;
+    if (type !== 'cross') {
+      expectKeyword('on');
+      on = parseExpression();
+    }
+    return { type, table, on, token };
+  };
+
+  const parseList = (parseItem) => {
+    const items = [parseItem()];
+    while (acceptOperator(',')) items.push(parseItem());
+    return items;
+  };
+
+  const parseCount = (what) => {
+    const token = peek();
+    if (token.type !== 'number' || !Number.isInteger(token.value)) fail(`Expected a whole number for ${what} but found ${describe(token)}`);
+    index += 1;
+    return token.value;
+  };
+
+  expectKeyword('select');
+  const query = { distinct: acceptKeyword('distinct') };
+  query.columns = parseList(parseSelectItem);
+  query.from = null;
+  query.joins = [];
+  if (acceptKeyword('from')) {
+    query.from = parseTable();
+    for (let join = parseJoin(); join; join = parseJoin()) query.joins.push(join);
+  }
+  query.where = acceptKeyword('where') ? parseExpression() : null;
+  query.groupBy = [];
+  if (acceptKeyword('group')) {
+    expectKeyword('by');
+    query.groupBy = parseList(parseExpression);
+  }
+  query.having = acceptKeyword('having') ? parseExpression() : null;
+  query.orderBy = [];
+  if (acceptKeyword('order')) {
+    expectKeyword('by');
+    query.orderBy = parseList(() => {
+      const expr = parseExpression();
+      const desc = acceptKeyword('desc');
+      if (!desc) acceptKeyword('asc');
+      return { expr, desc };
+    });
+  }
+  query.limit = acceptKeyword('limit') ? parseCount('LIMIT') : null;
+  query.offset = acceptKeyword('offset') ? parseCount('OFFSET') : 0;
+  acceptOperator(';');
+  if (peek().type !== 'end') fail(`Unexpected ${describe(peek())}`);
+  return query;
+};
+
+// Values: SQL rules for missing values, so comparisons with NULL are unknown (null) and WHERE drops them.
+
+const isNull = (value) => value === null || value === undefined;
+
+const toNumber = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return typeof value === 'number' ? value : Number(value);
+};
+
+const isTrue = (value) => value === true || (typeof value === 'number' && value !== 0);
+
+const truth = (value) => (isNull(value) ? null : isTrue(value));
+
+// Orders two non-missing values. A date compared with text parses the text, so `d > '2024-01-01'`
+// works, and numbers compared with numeric text compare as numbers.
+const compareValues = (a, b) => {
+  let x = typeof a === 'boolean' ? Number(a) : comparable(a);
+  let y = typeof b === 'boolean' ? Number(b) : comparable(b);
+  if (a instanceof Date && typeof y === 'string') y = Date.parse(y);
+  if (b instanceof Date && typeof x === 'string') x = Date.parse(x);
+  if (typeof x === 'number' && typeof y === 'string' && y.trim() !== '' && !isNaN(Number(y))) y = Number(y);
+  if (typeof y === 'number' && typeof x === 'string' && x.trim() !== '' && !isNaN(Number(x))) x = Number(x);
+  if (typeof x !== typeof y) {
+    x = String(x);
+    y = String(y);
+  }
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+};
+
+// ORDER BY order: missing values last, text in natural order like the data grid.
+const sortOrder = (a, b) => {
+  if (isNull(a) || isNull(b)) return isNull(a) - isNull(b);
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b, undefined, { numeric: true });
+  return compareValues(a, b);
+};
+
+// Grouping, DISTINCT and join key for a value.
+const keyValue = (value) => (isNull(value) ? null : String(comparable(value)));
+
+const text = (value) => (value instanceof Date ? formatValue(value, null) : String(value));
+
+const arithmetic = (op, left, right) => {
+  if (isNull(left) || isNull(right)) return null;
+  if (op === '||') return `${text(left)}${text(right)}`;
+  const a = toNumber(left);
+  const b = toNumber(right);
+  let result;
+  switch (op) {
+    case '+': result = a + b; break;
+    case '-': result = a - b; break;
+    case '*': result = a * b; break;
+    case '/': result = a / b; break;
+    default: result = a % b;
+  }
+  return isFinite(result) ? result : null;
+};
+
+const COMPARISONS = {
+  '=': order => order === 0,
+  '!=': order => order !== 0,
+  '<>': order => order !== 0,
+  '<': order => order < 0,
+  '<=': order => order <= 0,
+  '>': order => order > 0,
+  '>=': order => order >= 0
+};
+
+const likePatterns = new Map();
+
+const likeRegex = (pattern) => {
+  if (!likePatterns.has(pattern)) {
+    const source = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+    likePatterns.set(pattern, new RegExp(`^${source}$`, 'is'));
+  }
+  return likePatterns.get(pattern);
+};
+
+const CAST_TYPES = {
+  integer: 'integer', int: 'integer', bigint: 'integer',
+  float: 'float', real: 'float', double: 'float', decimal: 'float', numeric: 'float', number: 'float',
+  text: 'string', varchar: 'string', string: 'string', char: 'string',
+  date: 'date', datetime: 'datetime', timestamp: 'datetime',
+  boolean: 'boolean', bool: 'boolean'
+};
+
+const castValue = (value, type) => {
+  if (isNull(value)) return null;
+  switch (type) {
+    case 'integer':
+    case 'float': {
+      const number = toNumber(typeof value === 'string' ? value.trim().replace(/,/g, '') : value);
+      if (!isFinite(number)) return null;
+      return type === 'integer' ? Math.trunc(number) : number;
+    }
+    case 'string':
+      return text(value);
+    case 'boolean':
+      if (typeof value === 'string') {
+        const lower = value.trim().toLowerCase();
+        if (['true', 'yes', '1'].includes(lower)) return true;
+        return ['false', 'no', '0'].includes(lower) ? false : null;
+      }
+      return Boolean(toNumber(value));
+    default: {
+      const date = value instanceof Date ? value : new Date(typeof value === 'number' ? value : Date.parse(value));
+      if (isNaN(date.getTime())) return null;
+      return type === 'date' ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())) : date;
+    }
+  }
+};
+
+export const SCALAR_FUNCTIONS = {
+  ..._.omit(FUNCTIONS, ['min', 'max']),
+  least: FUNCTIONS.min,
+  greatest: FUNCTIONS.max,
+  iif: FUNCTIONS.if,
+  ifnull: FUNCTIONS.coalesce,
+  nullif: (value, other) => (!isNull(value) && !isNull(other) && compareValues(value, other) === 0 ? null : value),
+  substring: FUNCTIONS.substr,
+  power: FUNCTIONS.pow,
+  replace: (value, search, replacement) => (isNull(value) ? null : text(value).split(text(search)).join(isNull(replacement) ? '' : text(replacement)))
+};
+
+const numbersOf = (values) => values.map(toNumber).filter(value => isFinite(value));
+
+const extreme = (direction) => (values) => values.reduce((best, value) => (
+  best === null || compareValues(value, best) * direction > 0 ? value : best
+), null);
+
+// Aggregates get the non-missing values of their argument in the group (all rows for COUNT(*)).
+export const AGGREGATE_FUNCTIONS = {
+  count: values => values.length,
+  sum: values => (values.length ? _.sum(numbersOf(values)) : null),
+  avg: values => AGGREGATIONS.mean.compute(numbersOf(values)),
+  min: extreme(-1),
+  max: extreme(1),
+  median: values => AGGREGATIONS.median.compute(numbersOf(values)),
+  stddev: values => AGGREGATIONS.stdDev.compute(numbersOf(values)),
+  percentile: (values, percentile) => AGGREGATIONS.percentile.compute(numbersOf(values), values.length, { percentile })
+};
+
+const isAggregateCall = (expr) => expr.kind === 'call' && _.has(AGGREGATE_FUNCTIONS, expr.name);
+
+const childrenOf = (expr) => {
+  switch (expr.kind) {
+    case 'logical':
+    case 'compare':
+    case 'arithmetic':
+      return [expr.left, expr.right];
+    case 'not':
+    case 'negate':
+    case 'isNull':
+    case 'cast':
+      return [expr.operand];
+    case 'in':
+      return [expr.operand, ...expr.list];
+    case 'between':
+      return [expr.operand, expr.low, expr.high];
+    case 'like':
+      return [expr.operand, expr.pattern];
+    case 'case':
+      return [expr.operand, ..._.flatMap(expr.branches, branch => [branch.when, branch.then]), expr.otherwise].filter(Boolean);
+    case 'call':
+      return expr.args;
+    default:
+      return [];
+  }
+};
+
+// A copy of an expression with `replace` applied top-down; a node `replace` changes is not descended into.
+const mapExpression = (expr, replace) => {
+  const replaced = replace(expr);
+  if (replaced !== expr) return replaced;
+  const map = child => (child ? mapExpression(child, replace) : child);
+  switch (expr.kind) {
+    case 'logical':
+    case 'compare':
+    case 'arithmetic':
+      return { ...expr, left: map(expr.left), right: map(expr.right) };
+    case 'not':
+    case 'negate':
+    case 'isNull':
+    case 'cast':
+      return { ...expr, operand: map(expr.operand) };
+    case 'in':
+      return { ...expr, operand: map(expr.operand), list: expr.list.map(map) };
+    case 'between':
+      return { ...expr, operand: map(expr.operand), low: map(expr.low), high: map(expr.high) };
+    case 'like':
+      return { ...expr, operand: map(expr.operand), pattern: map(expr.pattern) };
+    case 'case':
+      return {
+        ...expr,
+        operand: map(expr.operand),
+        branches: expr.branches.map(branch => ({ when: map(branch.when), then: map(branch.then) })),
+        otherwise: map(expr.otherwise)
+      };
+    case 'call':
+      return { ...expr, args: expr.args.map(map) };
+    default:
+      return expr;
+  }
+};
+
+const hasAggregate = (expr) => isAggregateCall(expr) || childrenOf(expr).some(hasAggregate);
+
+// Compilation: every expression becomes a function of (tuple, group). A tuple holds one row per table
+// in FROM/JOIN order (null for the missing side of an outer join); grouped queries also pass the
+// group's tuples, and evaluate everything outside aggregates on the group's first tuple.
+
+const findColumn = (headers, name) => (
+  headers.includes(name) ? name : headers.find(header => header.toLowerCase() === name.toLowerCase())
+);
+
+const createCompiler = (source, sources) => {
+  const normalised = (expr) => source.slice(expr.start, expr.end).replace(/\s+/g, ' ').toLowerCase();
+
+  // A dotted name is a table-qualified column when its first part names a table, otherwise a column
+  // whose own name has dots (as flattened JSON produces).
+  const resolve = (expr) => {
+    if (expr.path.length > 1) {
+      const sourceIndex = sources.findIndex(item => item.alias === expr.path[0].toLowerCase());
+      if (sourceIndex !== -1) {
+        const name = findColumn(sources[sourceIndex].table.headers, expr.path.slice(1).join('.'));
+        if (!name) throw new SqlError(`Table "${expr.path[0]}" has no column "${expr.path.slice(1).join('.')}"`, expr.token);
+        return { sourceIndex, name };
+      }
+    }
+    const full = expr.path.join('.');
+    const matches = sources
+      .map((item, sourceIndex) => ({ sourceIndex, name: findColumn(item.table.headers, full) }))
+      .filter(match => match.name);
+    if (matches.length > 1) {
+      throw new SqlError(`Column "${full}" is ambiguous; prefix it with a table name, e.g. ${quoteIdentifier(sources[matches[0].sourceIndex].alias)}.${quoteIdentifier(full)}`, expr.token);
+    }
+    if (!matches.length) throw new SqlError(`Unknown column "${full}"`, expr.token);
+    return matches[0];
+  };
+
+  const keyOf = (expr) => {
+    if (expr.kind !== 'column') return normalised(expr);
+    const { sourceIndex, name } = resolve(expr);
+    return `column:${sourceIndex}:${name}`;
+  };
+
+  // `scope.grouped`: GROUP BY expressions in `scope.groupKeys`; `scope.clause` names the clause for
+  // errors about misplaced aggregates.
+  const compile = (expr, scope) => {
+    if (scope.grouped && scope.groupKeys.has(keyOf(expr))) {
+      return compile(expr, { ...scope, grouped: false, groupKeys: null });
+    }
+
+    switch (expr.kind) {
+      case 'literal':
+        return () => expr.value;
+
+      case 'column': {
+        if (scope.grouped) {
+          throw new SqlError(`Column "${expr.path.join('.')}" must be in GROUP BY or used inside an aggregate function`, expr.token);
+        }
+        const { sourceIndex, name } = resolve(expr);
+        return (tuple) => {
+          const row = tuple[sourceIndex];
+          return row && !isNull(row[name]) ? row[name] : null;
+        };
+      }
+
+      case 'logical': {
+        const left = compile(expr.left, scope);
+        const right = compile(expr.right, scope);
+        const decisive = expr.op === 'or';
+        return (tuple, group) => {
+          const a = truth(left(tuple, group));
+          if (a === decisive) return decisive;
+          const b = truth(right(tuple, group));
+          if (b === decisive) return decisive;
+          return a === null || b === null ? null : !decisive;
+        };
+      }
+
+      case 'not': {
+        const operand = compile(expr.operand, scope);
+        return (tuple, group) => {
+          const value = truth(operand(tuple, group));
+          return value === null ? null : !value;
+        };
+      }
+
+      case 'compare': {
+        const left = compile(expr.left, scope);
+        const right = compile(expr.right, scope);
+        const test = COMPARISONS[expr.op];
+        return (tuple, group) => {
+          const a = left(tuple, group);
+          const b = right(tuple, group);
+          return isNull(a) || isNull(b) ? null : test(compareValues(a, b));
+        };
+      }
+
+      case 'isNull': {
+        const operand = compile(expr.operand, scope);
+        return (tuple, group) => isNull(operand(tuple, group)) !== expr.negated;
+      }
+
+      case 'in': {
+        const operand = compile(expr.operand, scope);
+        const list = expr.list.map(item => compile(item, scope));
+        return (tuple, group) => {
+          const value = operand(tuple, group);
+          if (isNull(value)) return null;
+          const values = list.map(item => item(tuple, group));
+          const found = values.some(item => !isNull(item) && compareValues(value, item) === 0);
+          if (found) return !expr.negated;
+          return values.some(isNull) ? null : expr.negated;
+        };
+      }
+
+      case 'between': {
+        const operand = compile(expr.operand, scope);
+        const low = compile(expr.low, scope);
+        const high = compile(expr.high, scope);
+        return (tuple, group) => {
+          const value = operand(tuple, group);
+          const min = low(tuple, group);
+          const max = high(tuple, group);
+          if (isNull(value) || isNull(min) || isNull(max)) return null;
+          return (compareValues(value, min) >= 0 && compareValues(value, max) <= 0) !== expr.negated;
+        };
+      }
+
+      case 'like': {
+        const operand = compile(expr.operand, scope);
+        const pattern = compile(expr.pattern, scope);
+        return (tuple, group) => {
+          const value = operand(tuple, group);
+          const like = pattern(tuple, group);
+          if (isNull(value) || isNull(like)) return null;
+          return likeRegex(text(like)).test(text(value)) !== expr.negated;
+        };
+      }
+
+      case 'arithmetic': {
+        const left = compile(expr.left, scope);
+        const right = compile(expr.right, scope);
+        return (tuple, group) => arithmetic(expr.op, left(tuple, group), right(tuple, group));
+      }
+
+      case 'negate': {
+        const operand = compile(expr.operand, scope);
+        return (tuple, group) => arithmetic('*', -1, operand(tuple, group));
+      }
+
+      case 'case': {
+        const operand = expr.operand && compile(expr.operand, scope);
+        const branches = expr.branches.map(branch => ({ when: compile(branch.when, scope), then: compile(branch.then, scope) }));
+        const otherwise = expr.otherwise ? compile(expr.otherwise, scope) : () => null;
+        return (tuple, group) => {
+          const subject = operand ? operand(tuple, group) : null;
+          const match = branches.find(branch => {
+            const when = branch.when(tuple, group);
+            if (!operand) return isTrue(when);
+            return !isNull(subject) && !isNull(when) && compareValues(subject, when) === 0;
+          });
+          return match ? match.then(tuple, group) : otherwise(tuple, group);
+        };
+      }
+
+      case 'cast': {
+        const type = CAST_TYPES[expr.type];
+        if (!type) throw new SqlError(`Unknown type "${expr.type}"; use one of ${_.uniq(Object.values(CAST_TYPES)).join(', ')}`, expr.token);
+        const operand = compile(expr.operand, scope);
+        return (tuple, group) => castValue(operand(tuple, group), type);
+      }
+
+      default:
+        return compileCall(expr, scope);
+    }
+  };
+
+  const compileCall = (expr, scope) => {
+    const label = expr.name.toUpperCase();
+
+    if (isAggregateCall(expr)) {
+      if (!scope.aggregates) throw new SqlError(`Aggregate function ${label} is not allowed in ${scope.clause}`, expr.token);
+      if (scope.inAggregate) throw new SqlError(`Aggregate function ${label} can't be nested inside another aggregate`, expr.token);
+      if (expr.star && expr.name !== 'count') throw new SqlError(`${label}(*) is not supported; name a column`, expr.token);
+      const expected = expr.name === 'percentile' ? 2 : 1;
+      if (!expr.star && expr.args.length !== expected) {
+        throw new SqlError(`${label} takes ${expected === 1 ? 'one argument' : 'a column and a percentile'}`, expr.token);
+      }
+      let percentile = null;
+      if (expr.name === 'percentile') {
+        const [, arg] = expr.args;
+        if (arg.kind !== 'literal' || typeof arg.value !== 'number' || arg.value < 0 || arg.value > 100) {
+          throw new SqlError('The percentile must be a number from 0 to 100', arg.token || expr.token);
+        }
+        percentile = arg.value;
+      }
+      const argument = expr.star ? null : compile(expr.args[0], { ...scope, grouped: false, groupKeys: null, inAggregate: true });
+      const fn = AGGREGATE_FUNCTIONS[expr.name];
+      return (tuple, group) => {
+        if (!argument) return group.length;
+        let values = group.map(member => argument(member)).filter(value => !isNull(value));
+        if (expr.distinct) values = _.uniqBy(values, keyValue);
+        return fn(values, percentile);
+      };
+    }
+
+    if (!_.has(SCALAR_FUNCTIONS, expr.name)) {
+      const known = [...Object.keys(SCALAR_FUNCTIONS), ...Object.keys(AGGREGATE_FUNCTIONS)].map(name => name.toUpperCase()).sort();
+      throw new SqlError(`Unknown function ${label}; available: ${_.uniq(known).join(', ')}`, expr.token);
+    }
+    if (expr.star || expr.distinct) throw new SqlError(`${label} is not an aggregate function`, expr.token);
+    const args = expr.args.map(arg => compile(arg, scope));
+    const fn = SCALAR_FUNCTIONS[expr.name];
+    return (tuple, group) => {
+      const result = fn(...args.map(arg => arg(tuple, group)));
+      return result === undefined ? null : result;
+    };
+  };
+
+  // Tables an expression reads from, for splitting join conditions into hash keys.
+  const sourcesOf = (expr) => {
+    if (expr.kind === 'column') return [resolve(expr).sourceIndex];
+    return _.uniq(_.flatMap(childrenOf(expr), sourcesOf));
+  };
+
+  return { compile, keyOf, resolve, sourcesOf };
+};
+
+const conjuncts = (expr) => (expr.kind === 'logical' && expr.op === 'and' ? [...conjuncts(expr.left), ...conjuncts(expr.right)] : [expr]);
+
+// Joins the tuples built so far with the table at `sourceIndex`. Equality conditions between the new
+// table and earlier ones become a hash lookup; anything else in ON is checked on each candidate pair.
+const joinSource = (tuples, sourceIndex, table, join, compiler) => {
+  const rows = table.rows;
+  const scope = { clause: 'JOIN ... ON', aggregates: false };
+  const keys = [];
+  const residual = [];
+  (join.on ? conjuncts(join.on) : []).forEach(expr => {
+    if (expr.kind === 'compare' && expr.op === '=') {
+      const left = compiler.sourcesOf(expr.left);
+      const right = compiler.sourcesOf(expr.right);
+      const earlier = (list) => list.length > 0 && list.every(index => index < sourceIndex);
+      const current = (list) => list.length === 1 && list[0] === sourceIndex;
+      if (earlier(left) && current(right)) {
+        keys.push({ outer: compiler.compile(expr.left, scope), inner: compiler.compile(expr.right, scope) });
+        return;
+      }
+      if (current(left) && earlier(right)) {
+        keys.push({ outer: compiler.compile(expr.right, scope), inner: compiler.compile(expr.left, scope) });
+        return;
+      }
+    }
+    residual.push(compiler.compile(expr, scope));
+  });
+
+  const keyFor = (tuple, side) => {
+    const values = keys.map(key => keyValue(key[side](tuple)));
+    return values.some(value => value === null) ? null : JSON.stringify(values);
+  };
+
+  let candidatesFor = () => rows.map((row, position) => position);
+  if (keys.length) {
+    const index = new Map();
+    rows.forEach((row, position) => {
+      const probe = [];
+      probe[sourceIndex] = row;
+      const key = keyFor(probe, 'inner');
+      if (key === null) return;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(position);
+    });
+    candidatesFor = (tuple) => {
+      const key = keyFor(tuple, 'outer');
+      return key === null ? [] : index.get(key) || [];
+    };
+  }
+
+  const result = [];
+  const matchedRows = new Set();
+  const push = (tuple) => {
+    if (result.length >= MAX_JOIN_ROWS) {
+      throw new SqlError(`The join would produce more than ${MAX_JOIN_ROWS.toLocaleString()} rows; check the ON condition`, join.token);
+    }
+    result.push(tuple);
+  };
+
+  tuples.forEach(tuple => {
+    let matched = false;
+    candidatesFor(tuple).forEach(position => {
+      const combined = [...tuple, rows[position]];
+      if (!residual.every(condition => truth(condition(combined)) === true)) return;
+      matched = true;
+      matchedRows.add(position);
+      push(combined);
+    });
+    if (!matched && (join.type === 'left' || join.type === 'outer')) push([...tuple, null]);
+  });
+
+  if (join.type === 'right' || join.type === 'outer') {
+    const blank = new Array(sourceIndex).fill(null);
+    rows.forEach((row, position) => {
+      if (!matchedRows.has(position)) push([...blank, row]);
+    });
+  }
+  return result;
+};
+
+const findTable = (tables, ref) => {
+  const lower = ref.name.toLowerCase();
+  const table = tables.find(item => item.name === ref.name) || tables.find(item => item.name.toLowerCase() === lower);
+  if (!table) {
+    const names = tables.map(item => quoteIdentifier(item.name)).join(', ');
+    throw new SqlError(`Unknown table "${ref.name}"${names ? `; loaded tables: ${names}` : ''}`, ref.token);
+  }
+  return table;
+};
+
+// A result cell as text, keeping the source column's formatting (dates vs date-times, percentages).
+const cellText = (value, column) => {
+  if (isNull(value)) return '';
+  if (value instanceof Date && !column) {
+    return value.getTime() % 86400000 === 0 ? formatValue(value, null) : formatValue(value, { type: 'datetime' });
+  }
+  return formatValue(value, column);
+};
+
+// Runs a SELECT against `tables` ({ name, headers, rows, schema }, typed rows). Returns the result as
+// typed rows with an inferred schema, plus the same cells as text (`matrix`) and the type overrides
+// needed to keep that schema when the result is saved as a dataset.
+// Throws SqlError with the position of the offending token.
+export const runQuery = (source, tables) => {
+  const query = parseQuery(source);
+
+  const refs = query.from ? [query.from, ...query.joins.map(join => join.table)] : [];
+  const sources = [];
+  refs.forEach(ref => {
+    const alias = (ref.alias || ref.name).toLowerCase();
+    if (sources.some(item => item.alias === alias)) {
+      throw new SqlError(`Table name "${ref.alias || ref.name}" is used twice; give one of them an alias`, ref.token);
+    }
+    sources.push({ alias, table: findTable(tables, ref) });
+  });
+  const compiler = createCompiler(source, sources);
+
+  let tuples = query.from ? sources[0].table.rows.map(row => [row]) : [[]];
+  query.joins.forEach((join, i) => {
+    tuples = joinSource(tuples, i + 1, sources[i + 1].table, join, createCompiler(source, sources.slice(0, i + 2)));
+  });
+
+  if (query.where) {
+    const where = compiler.compile(query.where, { clause: 'WHERE', aggregates: false });
+    tuples = tuples.filter(tuple => truth(where(tuple)) === true);
+  }
+
+  // Select list: stars expand to columns; GROUP BY and ORDER BY may name a select alias or position,
+  // and HAVING a select alias.
+  const items = _.flatMap(query.columns, item => {
+    if (!item.star) return [item];
+    const expanded = sources
+      .map((entry, sourceIndex) => ({ entry, sourceIndex }))
+      .filter(({ entry }) => !item.table || entry.alias === item.table.toLowerCase());
+    if (item.table && !expanded.length) throw new SqlError(`Unknown table "${item.table}"`, item.token);
+    if (!sources.length) throw new SqlError('SELECT * needs a FROM clause', item.token);
+    return _.flatMap(expanded, ({ entry, sourceIndex }) => entry.table.headers.map(header => ({
+      star: item.token,
+      column: { sourceIndex, name: header },
+      alias: header
+    })));
+  });
+
+  const itemFor = (expr, clause) => {
+    if (expr.kind === 'literal' && typeof expr.value === 'number') {
+      const item = items[expr.value - 1];
+      if (!Number.isInteger(expr.value) || !item) throw new SqlError(`${clause} position ${expr.value} is not in the select list`, expr.token);
+      return item;
+    }
+    if (expr.kind === 'column' && expr.path.length === 1) {
+      const named = items.find(item => item.alias && item.alias.toLowerCase() === expr.path[0].toLowerCase() && !item.star);
+      if (named && named.expr) {
+        try {
+          compiler.resolve(expr);
+        } catch (err) {
+          return named;
+        }
+      }
+    }
+    return null;
+  };
+
+  const groupBy = query.groupBy.map(expr => {
+    const item = itemFor(expr, 'GROUP BY');
+    if (item && item.star) throw new SqlError('GROUP BY position refers to *; name the column instead', expr.token);
+    return item ? item.expr : expr;
+  });
+  const grouped = groupBy.length > 0 || Boolean(query.having)
+    || items.some(item => item.expr && hasAggregate(item.expr))
+    || query.orderBy.some(order => hasAggregate(order.expr));
+
+  // Aggregates without GROUP BY make the whole table one group, so plain columns can't appear beside them.
+  const scope = grouped
+    ? { grouped: true, groupKeys: new Set(groupBy.map(compiler.keyOf)), aggregates: true }
+    : { grouped: false, groupKeys: null, aggregates: false, clause: 'SELECT' };
+  const groupFns = groupBy.map(expr => compiler.compile(expr, { clause: 'GROUP BY', aggregates: false }));
+
+  const outputs = items.map((item, position) => {
+    if (item.star) {
+      if (grouped) throw new SqlError('SELECT * can\'t be combined with GROUP BY or aggregates; list the columns', item.star);
+      const { sourceIndex, name } = item.column;
+      return {
+        name: item.alias,
+        column: sources[sourceIndex].table.schema[name],
+        fn: (tuple) => (tuple[sourceIndex] && !isNull(tuple[sourceIndex][name]) ? tuple[sourceIndex][name] : null)
+      };
+    }
+    const fn = compiler.compile(item.expr, scope);
+    if (item.expr.kind === 'column') {
+      const { sourceIndex, name } = compiler.resolve(item.expr);
+      return { name: item.alias || name, column: sources[sourceIndex].table.schema[name], fn };
+    }
+    const name = item.alias || source.slice(item.expr.start, item.expr.end).replace(/\s+/g, ' ') || `column ${position + 1}`;
+    return { name, column: null, fn };
+  });
+  const headers = outputs.reduce((names, output) => [...names, uniqueName(output.name, names)], []);
+
+  let units;
+  if (grouped) {
+    const groups = new Map();
+    tuples.forEach(tuple => {
+      const key = JSON.stringify(groupFns.map(fn => keyValue(fn(tuple))));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(tuple);
+    });
+    if (!groupBy.length && !groups.size) groups.set('[]', []);
+    units = Array.from(groups.values()).map(group => ({ tuple: group[0] || [], group }));
+    if (query.having) {
+      const aliased = mapExpression(query.having, expr => {
+        const item = expr.kind === 'column' ? itemFor(expr, 'HAVING') : null;
+        return item ? item.expr : expr;
+      });
+      const having = compiler.compile(aliased, { ...scope, clause: 'HAVING' });
+      units = units.filter(unit => truth(having(unit.tuple, unit.group)) === true);
+    }
+  } else {
+    units = tuples.map(tuple => ({ tuple, group: null }));
+  }
+
+  const orderKeys = query.orderBy.map(order => {
+    const item = itemFor(order.expr, 'ORDER BY');
+    const position = item ? items.indexOf(item) : -1;
+    const fn = position === -1 ? compiler.compile(order.expr, { ...scope, clause: 'ORDER BY' }) : null;
+    return { desc: order.desc, value: (unit, values) => (fn ? fn(unit.tuple, unit.group) : values[position]) };
+  });
+
+  let rows = units.map(unit => {
+    const values = outputs.map(output => output.fn(unit.tuple, unit.group));
+    return { values, sort: orderKeys.map(key => key.value(unit, values)) };
+  });
+  if (query.distinct) rows = _.uniqBy(rows, row => JSON.stringify(row.values.map(keyValue)));
+  if (orderKeys.length) {
+    rows.sort((a, b) => {
+      for (let i = 0; i < orderKeys.length; i += 1) {
+        const order = sortOrder(a.sort[i], b.sort[i]);
+        // Missing values stay last either way.
+        if (order !== 0) return orderKeys[i].desc && !isNull(a.sort[i]) && !isNull(b.sort[i]) ? -order : order;
+      }
+      return 0;
+    });
+  }
+  rows = rows.slice(query.offset, query.limit === null ? undefined : query.offset + query.limit);
+
+  const matrix = rows.map(row => row.values.map((value, i) => cellText(value, outputs[i].column)));
+  // Columns taken straight from a table keep its type, which a few result rows might not reveal.
+  const overrides = {};
+  outputs.forEach((output, i) => {
+    if (output.column) overrides[headers[i]] = output.column.type;
+  });
+  const schema = inferSchema(headers, matrix, overrides);
+  return {
+    headers,
+    rows: buildTypedRows(headers, matrix, schema),
+    schema,
+    matrix,
+    typeOverrides: _.pickBy(overrides, (type, header) => schema[header].overridden)
+  };
+};
+
+// Adds a run to the query history, newest first; running the same query again moves it to the top.
+export const recordQuery = (history, entry) => [
+  entry,
+  ...history.filter(item => item.sql.trim() !== entry.sql.trim())
+].slice(0, MAX_QUERY_HISTORY);
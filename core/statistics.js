@@ -0,0 +1,224 @@
+import _ from 'lodash';
+import { formatValue, isNumericType, isDateType, isCategoricalType } from './typeinference.js';
+import { createNumericAccumulator, createFrequencyCounter } from './streamstats.js';
+import { describeDateColumn } from './timeseries.js';
+import { summariseCounts, MAX_TRACKED_VALUES } from './categorical.js';
+
+export const PERCENTILES = [1, 5, 10, 25, 50, 75, 90, 95, 99];
+export const MAX_CORRELATION_COLUMNS = 25;
+export const Z_SCORE_THRESHOLD = 3;
+export const IQR_MULTIPLIER = 1.5;
+
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+// Equal-width bins over `range` (defaults to the values' own min and max), so several series can
+// share bin edges.
+export const buildHistogram = (values, binCount, range = null) => {
+  if (!values.length && !range) return [];
+  let min = range ? range.min : Infinity;
+  let max = range ? range.max : -Infinity;
+  if (!range) {
+    values.forEach(value => {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    });
+  }
+  const bins = min === max ? 1 : Math.max(1, Math.round(binCount));
+  const width = min === max ? 1 : (max - min) / bins;
+  const counts = new Array(bins).fill(0);
+  values.forEach(value => {
+    counts[Math.max(0, Math.min(bins - 1, Math.floor((value - min) / width)))] += 1;
+  });
+  return counts.map((count, index) => ({ start: min + index * width, end: min + (index + 1) * width, count }));
+};
+
+// Pearson from running centred co-moments (Welford), so large values with a small spread don't
+// lose their precision to cancellation.
+const pearson = (xs, ys) => {
+  let n = 0;
+  let meanX = 0;
+  let meanY = 0;
+  let sumXX = 0;
+  let sumYY = 0;
+  let sumXY = 0;
+  for (let i = 0; i < xs.length; i += 1) {
+    const x = xs[i];
+    const y = ys[i];
+    if (x === null || y === null) continue;
+    n += 1;
+    const dx = x - meanX;
+    const dy = y - meanY;
+    meanX += dx / n;
+    meanY += dy / n;
+    sumXX += dx * (x - meanX);
+    sumYY += dy * (y - meanY);
+    sumXY += dx * (y - meanY);
+  }
+  const denominator = Math.sqrt(sumXX * sumYY);
+  return { value: n > 1 && denominator > 0 ? sumXY / denominator : null, n };
+};
+
+// Average ranks (ties share their mean rank); missing values keep a null rank.
+const rankValues = (values) => {
+  const order = values
+    .map((value, index) => ({ value, index }))
+    .filter(item => item.value !== null)
+    .sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length).fill(null);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j += 1;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k += 1) ranks[order[k].index] = rank;
+    i = j + 1;
+  }
+  return ranks;
+};
+
+// Spearman over the rows where both columns are present. When neither column misses a row the
+// other has, the pair's rows are each column's own rows and the column-wide ranks are reused.
+const spearman = (xs, ys, ranksX, ranksY, sameRows) => {
+  if (sameRows) return pearson(ranksX, ranksY);
+  const keep = xs.map((x, index) => x !== null && ys[index] !== null);
+  return pearson(rankValues(xs.filter((x, index) => keep[index])), rankValues(ys.filter((y, index) => keep[index])));
+};
+
+// Pearson and Spearman matrices over pairwise-complete rows.
+export const correlationMatrix = (dataset, columns) => {
+  const used = columns.slice(0, MAX_CORRELATION_COLUMNS);
+  const series = used.map(col => dataset.map(row => (row[col] === null || row[col] === undefined ? null : row[col])));
+  const ranks = series.map(rankValues);
+  const present = series.map(values => values.filter(value => value !== null).length);
+  const empty = () => used.map(() => used.map(() => null));
+  const result = { columns: used, pearson: empty(), spearman: empty(), pairs: empty(), truncated: columns.length - used.length };
+
+  used.forEach((a, i) => {
+    used.forEach((b, j) => {
+      if (j < i) return;
+      const linear = pearson(series[i], series[j]);
+      const ranked = spearman(series[i], series[j], ranks[i], ranks[j], linear.n === present[i] && linear.n === present[j]);
+      const pearsonValue = i === j && linear.n > 1 ? 1 : finiteOrNull(linear.value);
+      const spearmanValue = i === j && ranked.n > 1 ? 1 : finiteOrNull(ranked.value);
+      [[i, j], [j, i]].forEach(([x, y]) => {
+        result.pearson[x][y] = pearsonValue;
+        result.spearman[x][y] = spearmanValue;
+        result.pairs[x][y] = linear.n;
+      });
+    });
+  });
+
+  return result;
+};
+
+// Computes the analysis for typed rows in a single pass over the dataset.
+export const analyseDataset = (dataset, headerList, schema) => {
+  const numericColumns = headerList.filter(header => isNumericType(schema[header].type));
+  const categoricalColumns = headerList.filter(header => isCategoricalType(schema[header].type));
+  const dateColumns = headerList.filter(header => isDateType(schema[header].type));
+
+  const numeric = _.fromPairs(numericColumns.map(col => [col, createNumericAccumulator()]));
+  const categorical = _.fromPairs(categoricalColumns.map(col => [col, createFrequencyCounter(MAX_TRACKED_VALUES)]));
+  const dates = _.fromPairs(dateColumns.map(col => [col, new Set()]));
+  const missing = _.fromPairs(headerList.map(header => [header, 0]));
+
+  dataset.forEach(row => {
+    headerList.forEach(header => {
+      const value = row[header];
+      if (value === null || value === undefined) {
+        missing[header] += 1;
+      } else if (numeric[header]) {
+        numeric[header].push(value);
+      } else if (categorical[header]) {
+        categorical[header].push(formatValue(value, schema[header]));
+      } else if (dates[header] && value instanceof Date) {
+        dates[header].add(value.getTime());
+      }
+    });
+  });
+
+  const summary = {
+    totalRows: dataset.length,
+    totalColumns: headerList.length,
+    numericColumns: numericColumns.length,
+    categoricalColumns: categoricalColumns.length,
+    dateColumns: dateColumns.length,
+    missingValues: _.pickBy(missing, count => count > 0)
+  };
+
+  const numericStats = {};
+  numericColumns.forEach(col => {
+    const stats = numeric[col].result();
+    if (stats.count > 0) {
+      const q1 = stats.quantile(0.25);
+      const q3 = stats.quantile(0.75);
+      numericStats[col] = {
+        count: stats.count,
+        min: stats.min,
+        max: stats.max,
+        mean: stats.mean,
+        median: stats.quantile(0.5),
+        stdDev: stats.stdDev,
+        q1,
+        q3,
+        iqr: q3 - q1,
+        skewness: finiteOrNull(stats.skewness),
+        kurtosis: finiteOrNull(stats.kurtosis),
+        percentiles: _.fromPairs(PERCENTILES.map(p => [`p${p}`, stats.quantile(p / 100)])),
+        exactQuantiles: stats.exact
+      };
+    }
+  });
+
+  const outliers = {};
+  Object.entries(numericStats).forEach(([col, stats]) => {
+    const iqrBounds = { lower: stats.q1 - IQR_MULTIPLIER * stats.iqr, upper: stats.q3 + IQR_MULTIPLIER * stats.iqr };
+    const zBounds = { lower: stats.mean - Z_SCORE_THRESHOLD * stats.stdDev, upper: stats.mean + Z_SCORE_THRESHOLD * stats.stdDev };
+    let iqrCount = 0;
+    let zCount = 0;
+    dataset.forEach(row => {
+      const value = row[col];
+      if (value === null || value === undefined) return;
+      if (value < iqrBounds.lower || value > iqrBounds.upper) iqrCount += 1;
+      if (stats.stdDev > 0 && (value < zBounds.lower || value > zBounds.upper)) zCount += 1;
+    });
+    outliers[col] = {
+      iqr: { ...iqrBounds, count: iqrCount },
+      zScore: { ...zBounds, count: zCount }
+    };
+  });
+
+  // Value counts are trimmed to the most frequent values; `cardinality` keeps the full picture.
+  const categoricalStats = {};
+  const cardinality = {};
+  categoricalColumns.forEach(col => {
+    if (categorical[col].size() > 0) {
+      const { counts, cardinality: description } = summariseCounts(categorical[col].result(), {
+        present: dataset.length - missing[col],
+        untracked: categorical[col].untracked()
+      });
+      categoricalStats[col] = counts;
+      cardinality[col] = description;
+    }
+  });
+
+  const dateStats = {};
+  dateColumns.forEach(col => {
+    const description = describeDateColumn(Array.from(dates[col]));
+    if (description) dateStats[col] = description;
+  });
+
+  return {
+    summary,
+    numericStats,
+    categoricalStats,
+    cardinality,
+    dateStats,
+    outliers,
+    correlations: numericColumns.length > 1 ? correlationMatrix(dataset, Object.keys(numericStats)) : null,
+    numericColumns,
+    categoricalColumns,
+    dateColumns,
+    columnTypes: _.mapValues(schema, column => column.type)
+  };
+};
@@ -0,0 +1,86 @@
+// Values kept for quantile estimation; below this many observations quantiles are exact.
+export const RESERVOIR_SIZE = 10000;
+
+export const quantileSorted = (sorted, p) => {
+  if (!sorted.length) return NaN;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Welford mean/variance (extended to the third and fourth moments), streaming min/max and a
+// reservoir sample for approximate quantiles.
+export const createNumericAccumulator = (reservoirSize = RESERVOIR_SIZE, random = Math.random) => {
+  let count = 0;
+  let mean = 0;
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  const sample = [];
+
+  const push = (value) => {
+    const previous = count;
+    count += 1;
+    const delta = value - mean;
+    const deltaN = delta / count;
+    const deltaN2 = deltaN * deltaN;
+    const term = delta * deltaN * previous;
+    mean += deltaN;
+    m4 += term * deltaN2 * (count * count - 3 * count + 3) + 6 * deltaN2 * m2 - 4 * deltaN * m3;
+    m3 += term * deltaN * (count - 2) - 3 * deltaN * m2;
+    m2 += term;
+    if (value < min) min = value;
+    if (value > max) max = value;
+
+    if (sample.length < reservoirSize) {
+      sample.push(value);
+    } else {
+      const slot = Math.floor(random() * count);
+      if (slot < reservoirSize) sample[slot] = value;
+    }
+  };
+
+  const result = () => {
+    const sorted = sample.slice().sort((a, b) => a - b);
+    const variance = count ? m2 / count : NaN;
+    return {
+      count,
+      min: count ? min : NaN,
+      max: count ? max : NaN,
+      mean: count ? mean : NaN,
+      variance,
+      stdDev: Math.sqrt(variance),
+      skewness: m2 > 0 ? (Math.sqrt(count) * m3) / Math.pow(m2, 1.5) : NaN,
+      kurtosis: m2 > 0 ? (count * m4) / (m2 * m2) - 3 : NaN,
+      exact: count <= reservoirSize,
+      quantile: p => quantileSorted(sorted, p)
+    };
+  };
+
+  return { push, result };
+};
+
+// Exact value counts for up to `limit` distinct values. Past the limit only values already seen are
+// counted and the rest are tallied as untracked, so an ID-like column can't grow the map unbounded.
+export const createFrequencyCounter = (limit = Infinity) => {
+  const counts = new Map();
+  let untracked = 0;
+
+  const push = (value) => {
+    const count = counts.get(value);
+    if (count !== undefined) {
+      counts.set(value, count + 1);
+    } else if (counts.size < limit) {
+      counts.set(value, 1);
+    } else {
+      untracked += 1;
+    }
+  };
+
+  const result = () => Object.fromEntries(counts);
+
+  return { push, result, size: () => counts.size, untracked: () => untracked };
+};
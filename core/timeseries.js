@@ -0,0 +1,294 @@
+import _ from 'lodash';
+import { computeMeasure } from './aggregate.js';
+
+export const PERIODS = {
+  day: 'Day',
+  week: 'Week',
+  month: 'Month',
+  quarter: 'Quarter',
+  year: 'Year'
+};
+
+export const FILL_MODES = {
+  none: 'Leave gaps',
+  zero: 'Fill with zero',
+  previous: 'Carry forward',
+  linear: 'Interpolate'
+};
+
+export const OVERLAYS = {
+  none: 'None',
+  trend: 'Linear trend',
+  decomposition: 'Seasonal decomposition'
+};
+
+// Periods per seasonal cycle, used for decomposition and year-over-year change.
+export const SEASON_LENGTHS = { day: 7, week: 52, month: 12, quarter: 4, year: null };
+
+export const MAX_TIME_POINTS = 10000;
+
+const DAY = 24 * 60 * 60 * 1000;
+const pad = (value) => String(value).padStart(2, '0');
+
+// Start of the period containing `date`, in UTC. Weeks start on Monday.
+export const periodStart = (date, period) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (period) {
+    case 'week': {
+      const day = Date.UTC(year, month, date.getUTCDate());
+      return new Date(day - ((date.getUTCDay() + 6) % 7) * DAY);
+    }
+    case 'month':
+      return new Date(Date.UTC(year, month, 1));
+    case 'quarter':
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    case 'year':
+      return new Date(Date.UTC(year, 0, 1));
+    default:
+      return new Date(Date.UTC(year, month, date.getUTCDate()));
+  }
+};
+
+export const nextPeriod = (date, period) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (period) {
+    case 'week':
+      return new Date(date.getTime() + 7 * DAY);
+    case 'month':
+      return new Date(Date.UTC(year, month + 1, 1));
+    case 'quarter':
+      return new Date(Date.UTC(year, month + 3, 1));
+    case 'year':
+      return new Date(Date.UTC(year + 1, 0, 1));
+    default:
+      return new Date(date.getTime() + DAY);
+  }
+};
+
+export const periodLabel = (date, period) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (period) {
+    case 'month':
+      return `${year}-${pad(month + 1)}`;
+    case 'quarter':
+      return `${year}-Q${Math.floor(month / 3) + 1}`;
+    case 'year':
+      return String(year);
+    default:
+      return `${year}-${pad(month + 1)}-${pad(date.getUTCDate())}`;
+  }
+};
+
+export const fillGaps = (values, mode) => {
+  if (mode === 'none') return values;
+  const filled = values.slice();
+  let previous = null;
+  values.forEach((value, index) => {
+    if (value !== null) {
+      previous = index;
+      return;
+    }
+    if (mode === 'zero') {
+      filled[index] = 0;
+    } else if (mode === 'previous') {
+      if (previous !== null) filled[index] = values[previous];
+    } else if (mode === 'linear') {
+      const next = values.findIndex((candidate, i) => i > index && candidate !== null);
+      if (previous === null || next === -1) return;
+      filled[index] = values[previous] + ((values[next] - values[previous]) * (index - previous)) / (next - previous);
+    }
+  });
+  return filled;
+};
+
+// Buckets rows into consecutive periods between the first and last date and aggregates each
+// series ({ key, measure, match }) per period. Empty periods get null unless `fill` says otherwise.
+export const resample = (rows, schema, { dateColumn, period, series, fill = 'none' }) => {
+  const buckets = new Map();
+  rows.forEach(row => {
+    const date = row[dateColumn];
+    if (!(date instanceof Date)) return;
+    const key = periodStart(date, period).getTime();
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(row);
+  });
+  if (!buckets.size) return { points: [], values: {}, truncated: false };
+
+  const keys = Array.from(buckets.keys()).sort((a, b) => a - b);
+  const last = keys[keys.length - 1];
+  const points = [];
+  const values = _.fromPairs(series.map(item => [item.key, []]));
+  let cursor = new Date(keys[0]);
+  while (cursor.getTime() <= last && points.length < MAX_TIME_POINTS) {
+    const group = buckets.get(cursor.getTime());
+    points.push({ date: cursor, name: periodLabel(cursor, period), count: group ? group.length : 0 });
+    series.forEach(item => {
+      const matching = group && item.match ? group.filter(item.match) : group;
+      values[item.key].push(matching && matching.length ? computeMeasure(matching, item.measure, schema) : null);
+    });
+    cursor = nextPeriod(cursor, period);
+  }
+
+  return {
+    points,
+    values: _.mapValues(values, list => fillGaps(list, fill)),
+    truncated: cursor.getTime() <= last
+  };
+};
+
+// Trailing mean over the last `window` points, ignoring gaps; null until the window is full.
+export const rollingMean = (values, window) => values.map((value, index) => {
+  if (index < window - 1) return null;
+  const present = values.slice(index - window + 1, index + 1).filter(item => item !== null);
+  return present.length ? present.reduce((sum, item) => sum + item, 0) / present.length : null;
+});
+
+// Percentage change against the value `lag` periods earlier.
+export const periodChange = (values, lag) => values.map((value, index) => {
+  const previous = index >= lag ? values[index - lag] : null;
+  if (value === null || previous === null || previous === 0) return null;
+  return ((value - previous) / Math.abs(previous)) * 100;
+});
+
+// Least-squares line over the point index.
+export const linearTrend = (values) => {
+  let n = 0;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumX2 = 0;
+  values.forEach((value, x) => {
+    if (value === null) return;
+    n += 1;
+    sumX += x;
+    sumY += value;
+    sumXY += x * value;
+    sumX2 += x * x;
+  });
+  const denominator = n * sumX2 - sumX * sumX;
+  if (n < 2 || denominator === 0) return values.map(() => null);
+  const slope = (n * sumXY - sumX * sumY) / denominator;
+  const intercept = (sumY - slope * sumX) / n;
+  return values.map((value, x) => intercept + slope * x);
+};
+
+const centredMovingAverage = (values, season) => {
+  const half = Math.floor(season / 2);
+  const even = season % 2 === 0;
+  return values.map((value, index) => {
+    if (index < half || index + half >= values.length) return null;
+    let sum = 0;
+    for (let offset = -half; offset <= half; offset += 1) {
+      const item = values[index + offset];
+      if (item === null) return null;
+      sum += even && Math.abs(offset) === half ? item / 2 : item;
+    }
+    return sum / season;
+  });
+};
+
+// Classical additive decomposition: centred moving-average trend, mean seasonal index per position
+// in the cycle (centred on zero) and the remaining residual. Needs at least two full cycles.
+export const decompose = (values, season) => {
+  if (!season || values.length < 2 * season) return null;
+  const trend = centredMovingAverage(values, season);
+  const sums = new Array(season).fill(0);
+  const counts = new Array(season).fill(0);
+  values.forEach((value, index) => {
+    if (value === null || trend[index] === null) return;
+    sums[index % season] += value - trend[index];
+    counts[index % season] += 1;
+  });
+  const raw = sums.map((sum, index) => (counts[index] ? sum / counts[index] : 0));
+  const offset = raw.reduce((sum, item) => sum + item, 0) / season;
+  const index = raw.map(item => item - offset);
+  const seasonal = values.map((value, i) => index[i % season]);
+  const residual = values.map((value, i) => (value === null || trend[i] === null ? null : value - trend[i] - seasonal[i]));
+  return { trend, seasonal, residual };
+};
+
+const detectGranularity = (times) => {
+  if (times.length < 2) return null;
+  const gaps = [];
+  for (let i = 1; i < times.length; i += 1) gaps.push(times[i] - times[i - 1]);
+  gaps.sort((a, b) => a - b);
+  // A low percentile of the spacing, so that missing periods don't make a series look coarser.
+  const days = gaps[Math.floor(gaps.length / 10)] / DAY;
+  if (days < 1 / 24) return days < 1 / 1440 ? 'second' : 'minute';
+  if (days < 1) return 'hour';
+  if (days < 1.5) return 'day';
+  if (days >= 6.5 && days <= 7.5) return 'week';
+  if (days >= 27 && days <= 32) return 'month';
+  if (days >= 88 && days <= 93) return 'quarter';
+  if (days >= 360 && days <= 370) return 'year';
+  return 'irregular';
+};
+
+// Range, granularity and missing periods for a date column, given its distinct timestamps.
+export const describeDateColumn = (timestamps) => {
+  if (!timestamps.length) return null;
+  const times = timestamps.slice().sort((a, b) => a - b);
+  const granularity = detectGranularity(times);
+  const result = {
+    min: new Date(times[0]).toISOString(),
+    max: new Date(times[times.length - 1]).toISOString(),
+    distinct: times.length,
+    spanDays: Math.round((times[times.length - 1] - times[0]) / DAY),
+    granularity,
+    missingPeriods: null,
+    gaps: []
+  };
+  if (!PERIODS[granularity]) return result;
+
+  const present = new Set(times.map(time => periodStart(new Date(time), granularity).getTime()));
+  const last = periodStart(new Date(times[times.length - 1]), granularity).getTime();
+  let cursor = periodStart(new Date(times[0]), granularity);
+  let missing = 0;
+  let run = null;
+  let steps = 0;
+  while (cursor.getTime() <= last && steps < MAX_TIME_POINTS * 10) {
+    if (!present.has(cursor.getTime())) {
+      missing += 1;
+      if (!run) run = { from: periodLabel(cursor, granularity), periods: 0 };
+      run.to = periodLabel(cursor, granularity);
+      run.periods += 1;
+    } else if (run) {
+      result.gaps.push(run);
+      run = null;
+    }
+    cursor = nextPeriod(cursor, granularity);
+    steps += 1;
+  }
+  result.missingPeriods = missing;
+  result.gaps = result.gaps.sort((a, b) => b.periods - a.periods).slice(0, 5);
+  return result;
+};
+
+// Rows for the time-series chart: one value per series per period, plus the optional rolling mean,
+// period-over-period change and trend/decomposition overlays computed on the first series.
+export const buildTimeSeries = (rows, schema, config) => {
+  const { points, values, truncated } = resample(rows, schema, config);
+  const primary = config.series.length ? values[config.series[0].key] || [] : [];
+  const season = SEASON_LENGTHS[config.period];
+  const rolling = config.rolling > 1 ? rollingMean(primary, config.rolling) : null;
+  const change = config.change === 'previous' ? periodChange(primary, 1)
+    : config.change === 'seasonal' && season ? periodChange(primary, season)
+    : null;
+  const trend = config.overlay === 'trend' ? linearTrend(primary) : null;
+  const decomposition = config.overlay === 'decomposition' ? decompose(primary, season) : null;
+
+  const data = points.map((point, index) => ({
+    name: point.name,
+    count: point.count,
+    ..._.mapValues(values, list => list[index]),
+    ...(rolling && { rolling: rolling[index] }),
+    ...(change && { change: change[index] }),
+    ...(trend && { trend: trend[index] }),
+    ...(decomposition && { trend: decomposition.trend[index], seasonal: decomposition.seasonal[index], residual: decomposition.residual[index] })
+  }));
+
+  return { data, truncated, decompositionUnavailable: config.overlay === 'decomposition' && !decomposition };
+};
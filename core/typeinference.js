@@ -0,0 +1,339 @@
+export const COLUMN_TYPES = ['integer', 'float', 'currency', 'percentage', 'boolean', 'date', 'datetime', 'string'];
+
+export const TYPE_LABELS = {
+  integer: 'Integer',
+  float: 'Decimal',
+  currency: 'Currency',
+  percentage: 'Percentage',
+  boolean: 'Boolean',
+  date: 'Date',
+  datetime: 'Date & Time',
+  string: 'Text'
+};
+
+const NUMERIC_TYPES = ['integer', 'float', 'currency', 'percentage'];
+const DATE_TYPES = ['date', 'datetime'];
+
+export const isNumericType = (type) => NUMERIC_TYPES.includes(type);
+export const isDateType = (type) => DATE_TYPES.includes(type);
+export const isCategoricalType = (type) => type === 'string' || type === 'boolean';
+
+// Share of non-blank cells that must conform before a type is chosen; the rest are counted as invalid.
+const DEFAULT_THRESHOLD = 0.95;
+
+// A Map, so cell text such as "constructor" can't match a key inherited from Object.prototype.
+const BOOLEAN_TOKENS = new Map([
+  ['true', true], ['false', false],
+  ['yes', true], ['no', false],
+  ['t', true], ['f', false],
+  ['y', true], ['n', false]
+]);
+
+const INTEGER_PATTERN = /^[-+]?(?:\d{1,3}(?:,\d{3})+|\d+)$/;
+const FLOAT_PATTERN = /^[-+]?(?:(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?$/;
+const PERCENT_PATTERN = /^(.+?)\s*%$/;
+const CURRENCY_PATTERN = /^([-+]?)\s*[$€£¥₹]\s*([-+]?)(.+)$|^(.+?)\s*[$€£¥₹]$/;
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Placeholders read as missing values; matched case-insensitively after trimming.
+export const DEFAULT_NULL_TOKENS = ['NA', 'N/A', 'null', 'None', 'NaN', '-', '#N/A'];
+
+export const nullTokenSet = (tokens = []) => new Set(tokens.map(token => String(token).trim().toLowerCase()).filter(Boolean));
+
+// `nullTokens` is a Set from nullTokenSet.
+export const isBlank = (value, nullTokens = null) => {
+  if (value === null || value === undefined) return true;
+  const text = String(value).trim();
+  return text === '' || Boolean(nullTokens && nullTokens.has(text.toLowerCase()));
+};
+
+const parsePlainNumber = (text) => (FLOAT_PATTERN.test(text) ? Number(text.replace(/,/g, '')) : NaN);
+
+const parseCurrency = (text) => {
+  let body = text;
+  let sign = 1;
+  if (body.startsWith('(') && body.endsWith(')')) {
+    sign = -1;
+    body = body.slice(1, -1).trim();
+  }
+  const match = body.match(CURRENCY_PATTERN);
+  if (!match) return NaN;
+  if (match[4] !== undefined) return sign * parsePlainNumber(match[4]);
+  const value = parsePlainNumber(match[3]);
+  return (match[1] === '-' || match[2] === '-' ? -sign : sign) * value;
+};
+
+const parsePercentage = (text) => {
+  const match = text.match(PERCENT_PATTERN);
+  return match ? parsePlainNumber(match[1]) : NaN;
+};
+
+const parseNumeric = (text) => {
+  const plain = parsePlainNumber(text);
+  if (!isNaN(plain)) return plain;
+  const percentage = parsePercentage(text);
+  if (!isNaN(percentage)) return percentage;
+  return parseCurrency(text);
+};
+
+const monthFromName = (name) => {
+  const word = name.toLowerCase().replace(/\.$/, '');
+  if (word.length < 3) return NaN;
+  const index = MONTH_NAMES.findIndex(month => month.startsWith(word));
+  return index === -1 ? NaN : index + 1;
+};
+
+const buildDate = (year, month, day, hours = 0, minutes = 0, seconds = 0, millis = 0, offsetMinutes = 0) => {
+  const parts = [year, month, day, hours, minutes, seconds, millis].map(Number);
+  if (parts.some(isNaN)) return null;
+  const [y, mo, d, h, mi, s, ms] = parts;
+  if (mo < 1 || mo > 12 || d < 1 || d > 31 || h > 23 || mi > 59 || s > 59) return null;
+  const time = Date.UTC(y, mo - 1, d, h, mi, s, ms);
+  const date = new Date(time);
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d) return null;
+  return new Date(time - offsetMinutes * 60000);
+};
+
+const parseOffset = (zone) => {
+  if (!zone || zone === 'Z') return 0;
+  const match = zone.match(/^([+-])(\d{2}):?(\d{2})$/);
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+const to24Hour = (hours, meridiem) => {
+  const h = Number(hours);
+  if (!meridiem) return h;
+  if (h < 1 || h > 12) return NaN;
+  const pm = meridiem.toLowerCase() === 'pm';
+  return (h % 12) + (pm ? 12 : 0);
+};
+
+const SLASH_DATETIME = /^(\d{1,2})\/(\d{1,2})\/(\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/;
+
+export const DATE_FORMATS = [
+  {
+    format: 'YYYY-MM-DD',
+    type: 'date',
+    pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})$/,
+    build: m => buildDate(m[1], m[2], m[3])
+  },
+  {
+    format: 'YYYY/MM/DD',
+    type: 'date',
+    pattern: /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/,
+    build: m => buildDate(m[1], m[2], m[3])
+  },
+  {
+    format: 'MM/DD/YYYY',
+    type: 'date',
+    pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/,
+    build: m => buildDate(m[3], m[1], m[2])
+  },
+  {
+    format: 'DD/MM/YYYY',
+    type: 'date',
+    pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/,
+    build: m => buildDate(m[3], m[2], m[1])
+  },
+  {
+    format: 'DD.MM.YYYY',
+    type: 'date',
+    pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/,
+    build: m => buildDate(m[3], m[2], m[1])
+  },
+  {
+    format: 'DD-MM-YYYY',
+    type: 'date',
+    pattern: /^(\d{1,2})-(\d{1,2})-(\d{4})$/,
+    build: m => buildDate(m[3], m[2], m[1])
+  },
+  {
+    format: 'D MMM YYYY',
+    type: 'date',
+    pattern: /^(\d{1,2})[ -]([A-Za-z]{3,9}\.?)[ -](\d{4})$/,
+    build: m => buildDate(m[3], monthFromName(m[2]), m[1])
+  },
+  {
+    format: 'MMM D, YYYY',
+    type: 'date',
+    pattern: /^([A-Za-z]{3,9}\.?) (\d{1,2}),? (\d{4})$/,
+    build: m => buildDate(m[3], monthFromName(m[1]), m[2])
+  },
+  {
+    format: 'ISO 8601',
+    type: 'datetime',
+    pattern: /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/,
+    build: m => buildDate(m[1], m[2], m[3], m[4] || 0, m[5] || 0, m[6] || 0, (m[7] || '0').padEnd(3, '0'), parseOffset(m[8]))
+  },
+  {
+    format: 'MM/DD/YYYY HH:mm',
+    type: 'datetime',
+    pattern: SLASH_DATETIME,
+    build: m => buildDate(m[3], m[1], m[2], to24Hour(m[4], m[7]), m[5], m[6] || 0)
+  },
+  {
+    format: 'DD/MM/YYYY HH:mm',
+    type: 'datetime',
+    pattern: SLASH_DATETIME,
+    build: m => buildDate(m[3], m[2], m[1], to24Hour(m[4], m[7]), m[5], m[6] || 0)
+  }
+];
+
+const parseDateWith = (text, dateFormat) => {
+  const match = text.match(dateFormat.pattern);
+  return match ? dateFormat.build(match) : null;
+};
+
+const CANDIDATES = [
+  { type: 'boolean', format: null, test: text => BOOLEAN_TOKENS.has(text.toLowerCase()) },
+  { type: 'integer', format: null, test: text => INTEGER_PATTERN.test(text) },
+  { type: 'float', format: null, test: text => FLOAT_PATTERN.test(text) },
+  { type: 'percentage', format: null, test: text => !isNaN(parsePlainNumber(text)) || !isNaN(parsePercentage(text)) },
+  { type: 'currency', format: null, test: text => !isNaN(parsePlainNumber(text)) || !isNaN(parseCurrency(text)) },
+  ...DATE_FORMATS.map(dateFormat => ({
+    type: dateFormat.type,
+    format: dateFormat.format,
+    test: text => parseDateWith(text, dateFormat) !== null
+  }))
+];
+
+const toText = (value) => (value instanceof Date ? value.toISOString() : String(value).trim());
+
+export const inferColumnType = (values, { threshold = DEFAULT_THRESHOLD, types = COLUMN_TYPES, nullTokens = [] } = {}) => {
+  const tokens = nullTokenSet(nullTokens);
+  const present = values.filter(value => !isBlank(value, tokens)).map(toText);
+  const candidates = CANDIDATES.filter(candidate => types.includes(candidate.type));
+  const counts = candidates.map(() => 0);
+
+  present.forEach(text => {
+    candidates.forEach((candidate, index) => {
+      if (candidate.test(text)) counts[index] += 1;
+    });
+  });
+
+  const integerIndex = candidates.findIndex(candidate => candidate.type === 'integer');
+  const floatIndex = candidates.findIndex(candidate => candidate.type === 'float');
+  // A column is only integer when none of its numbers carry a fraction.
+  if (integerIndex !== -1 && floatIndex !== -1 && counts[integerIndex] !== counts[floatIndex]) {
+    counts[integerIndex] = 0;
+  }
+
+  let best = -1;
+  candidates.forEach((candidate, index) => {
+    if (counts[index] === 0 || counts[index] < present.length * threshold) return;
+    if (best === -1 || counts[index] > counts[best]) best = index;
+  });
+
+  if (best === -1) {
+    const fallback = types.length === 1 ? types[0] : 'string';
+    return { type: fallback, format: null, invalid: fallback === 'string' ? 0 : present.length };
+  }
+
+  return {
+    type: candidates[best].type,
+    format: candidates[best].format,
+    invalid: present.length - counts[best]
+  };
+};
+
+export const inferSchema = (headers, rows, overrides = {}, options = {}) => {
+  return headers.reduce((schema, header, colIndex) => {
+    const values = rows.map(row => row[colIndex]);
+    const inferred = inferColumnType(values, options);
+    const override = overrides[header];
+    const overridden = Boolean(override && override !== inferred.type);
+    const chosen = overridden
+      ? inferColumnType(values, { ...options, threshold: 0, types: [override] })
+      : inferred;
+    if (overridden) {
+      const tokens = nullTokenSet(options.nullTokens);
+      chosen.invalid = values.filter(value => !isBlank(value, tokens) && coerceValue(value, chosen, tokens) === null).length;
+    }
+
+    schema[header] = {
+      type: chosen.type,
+      format: chosen.format,
+      invalid: chosen.invalid,
+      inferredType: inferred.type,
+      inferredFormat: inferred.format,
+      overridden
+    };
+    return schema;
+  }, {});
+};
+
+const coerceDate = (text, column) => {
+  const formats = column.format
+    ? DATE_FORMATS.filter(dateFormat => dateFormat.format === column.format)
+    : DATE_FORMATS;
+  for (const dateFormat of formats) {
+    const date = parseDateWith(text, dateFormat);
+    if (date) return date;
+  }
+  const fallback = Date.parse(text);
+  return isNaN(fallback) ? null : new Date(fallback);
+};
+
+export const coerceValue = (value, column, nullTokens = null) => {
+  if (isBlank(value, nullTokens)) return null;
+  const type = column ? column.type : 'string';
+
+  if (value instanceof Date) {
+    if (isDateType(type)) return isNaN(value.getTime()) ? null : value;
+    if (type === 'string') return value.toISOString();
+  }
+  if (typeof value === 'number' && isNumericType(type)) {
+    if (!isFinite(value)) return null;
+    return type === 'integer' ? Math.round(value) : value;
+  }
+  if (typeof value === 'boolean' && type === 'boolean') return value;
+
+  const text = toText(value);
+
+  if (isNumericType(type)) {
+    const number = parseNumeric(text);
+    if (isNaN(number)) return null;
+    return type === 'integer' ? Math.round(number) : number;
+  }
+  if (type === 'boolean') {
+    const token = text.toLowerCase();
+    return BOOLEAN_TOKENS.has(token) ? BOOLEAN_TOKENS.get(token) : null;
+  }
+  if (isDateType(type)) return coerceDate(text, column);
+  return text;
+};
+
+export const buildTypedRows = (headers, rows, schema, { nullTokens = [] } = {}) => {
+  const tokens = nullTokenSet(nullTokens);
+  return rows.map((row, index) => {
+    const rowObj = { _index: index };
+    headers.forEach((header, colIndex) => {
+      rowObj[header] = coerceValue(row[colIndex], schema[header], tokens);
+    });
+    return rowObj;
+  });
+};
+
+// Broad kind of a raw cell, used to spot columns mixing numbers, dates, booleans and text.
+export const valueKind = (value) => {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (value instanceof Date) return 'date';
+  const text = toText(value);
+  const candidate = CANDIDATES.find(item => item.test(text));
+  if (!candidate) return 'text';
+  if (candidate.type === 'boolean') return 'boolean';
+  return isNumericType(candidate.type) ? 'number' : 'date';
+};
+
+export const formatValue = (value, column) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return column && column.type === 'datetime' ? iso.replace('.000Z', 'Z') : iso.slice(0, 10);
+  }
+  if (column && column.type === 'percentage') return `${value}%`;
+  return String(value);
+};
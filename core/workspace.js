@@ -0,0 +1,191 @@
+import _ from 'lodash';
+import { inferSchema, buildTypedRows, formatValue, DEFAULT_NULL_TOKENS } from './typeinference.js';
+import { analyseDataset } from './statistics.js';
+import { emptyView } from './filters.js';
+import { createHistory, runPipeline } from './pipeline.js';
+import { defaultPivotConfig } from './aggregate.js';
+import { defaultChartConfig, initialChartConfig } from './chartdata.js';
+import { defaultQualityConfig } from './quality.js';
+import { emptyDashboard } from './dashboard.js';
+
+export const JOIN_TYPES = {
+  inner: 'Inner (matching rows only)',
+  left: 'Left (all rows of the left dataset)',
+  right: 'Right (all rows of the right dataset)',
+  outer: 'Full outer (all rows of both)'
+};
+
+export const APPEND_MODES = {
+  union: 'All columns (blank where missing)',
+  intersect: 'Shared columns only'
+};
+
+export const MAX_JOIN_ROWS = 1000000;
+
+// Placeholder for an empty workspace, so the app can read dataset fields before anything is loaded.
+export const EMPTY_DATASET = {
+  id: null,
+  name: '',
+  origin: '',
+  fileName: '',
+  sourceFile: null,
+  sheetNames: [],
+  activeSheet: '',
+  rawRows: [],
+  nullTokens: DEFAULT_NULL_TOKENS,
+  typeOverrides: {},
+  table: { headers: [], rows: [], schema: {} },
+  analysis: null,
+  pipeline: createHistory(),
+  view: emptyView(),
+  chartConfig: defaultChartConfig(),
+  pivotConfig: defaultPivotConfig(),
+  qualityConfig: defaultQualityConfig(),
+  dashboard: emptyDashboard()
+};
+
+let datasetCounter = 0;
+
+export const uniqueName = (name, taken) => {
+  const used = new Set(taken);
+  let candidate = name;
+  for (let i = 2; used.has(candidate); i += 1) candidate = `${name} (${i})`;
+  return candidate;
+};
+
+// A workspace entry built from raw header-aligned rows. The worker's schema, typed rows and analysis
+// are reused when given; otherwise they are computed here.
+export const createDataset = ({ name, headers, rows, schema, data, analysis, nullTokens = DEFAULT_NULL_TOKENS, ...details }) => {
+  datasetCounter += 1;
+  const tableSchema = schema || inferSchema(headers, rows, {}, { nullTokens });
+  const typedRows = data || buildTypedRows(headers, rows, tableSchema, { nullTokens });
+  return {
+    ...EMPTY_DATASET,
+    id: `dataset-${Date.now().toString(36)}-${datasetCounter}`,
+    name,
+    fileName: name,
+    ...details,
+    rawRows: rows,
+    nullTokens,
+    table: { headers, rows: typedRows, schema: tableSchema },
+    analysis: analysis || analyseDataset(typedRows, headers, tableSchema),
+    view: emptyView(),
+    chartConfig: initialChartConfig(headers, tableSchema),
+    pivotConfig: defaultPivotConfig(),
+    qualityConfig: defaultQualityConfig(),
+    dashboard: emptyDashboard()
+  };
+};
+
+// The dataset after its cleaning pipeline, with the analysis recomputed only if a step changed it.
+export const cleanedTable = (dataset) => {
+  const result = runPipeline(dataset.table, dataset.pipeline.present);
+  return {
+    id: dataset.id,
+    name: dataset.name,
+    headers: result.headers,
+    rows: result.rows,
+    schema: result.schema,
+    analysis: result.changed ? analyseDataset(result.rows, result.headers, result.schema) : dataset.analysis
+  };
+};
+
+const cell = (row, header, schema) => formatValue(row[header], schema[header]);
+
+// Stacks tables ({ name, headers, rows, schema }, typed rows) and aligns their columns by name. Values
+// are written back as text so the combined columns are re-inferred; columns whose types disagree
+// between tables are reported and usually end up as text.
+export const appendTables = (tables, { mode = 'union', sourceColumn = '' } = {}) => {
+  const headerLists = tables.map(table => table.headers);
+  const columns = mode === 'intersect' ? _.intersection(...headerLists) : _.union(...headerLists);
+  const source = sourceColumn ? uniqueName(sourceColumn, columns) : '';
+  const headers = source ? [source, ...columns] : columns;
+
+  const rows = _.flatMap(tables, table => table.rows.map(row => headers.map(header => {
+    if (header === source) return table.name;
+    return table.schema[header] ? cell(row, header, table.schema) : '';
+  })));
+
+  const conflicts = columns
+    .map(column => ({
+      column,
+      types: _.uniq(tables.filter(table => table.schema[column]).map(table => table.schema[column].type))
+    }))
+    .filter(item => item.types.length > 1);
+
+  return { headers, rows, conflicts };
+};
+
+const joinKey = (row, keys, schema) => {
+  if (keys.some(key => row[key] === null || row[key] === undefined)) return null;
+  return JSON.stringify(keys.map(key => cell(row, key, schema)));
+};
+
+// Hash join of two typed tables on pairs of key columns, compared by their formatted values, so an
+// integer 7 on one side matches the text "7" on the other. Rows with a blank key never match. The
+// right-hand key columns are folded into the left ones; other clashing right-hand columns get the
+// right dataset's name appended.
+export const joinTables = (left, right, { leftKeys, rightKeys, type = 'inner' }) => {
+  if (!leftKeys.length || leftKeys.length !== rightKeys.length) {
+    throw new Error('Choose the same number of key columns on both sides');
+  }
+
+  const rightColumns = right.headers.filter(header => !rightKeys.includes(header));
+  const renamed = [];
+  const rightNames = rightColumns.map(header => {
+    const name = uniqueName(left.headers.includes(header) ? `${header} (${right.name})` : header, [...left.headers, ...renamed]);
+    renamed.push(name);
+    return name;
+  });
+  const headers = [...left.headers, ...rightNames];
+
+  const index = new Map();
+  right.rows.forEach((row, position) => {
+    const key = joinKey(row, rightKeys, right.schema);
+    if (key === null) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(position);
+  });
+
+  const rows = [];
+  const matchedRight = new Set();
+  const stats = { matched: 0, leftOnly: 0, rightOnly: 0 };
+  const push = (row) => {
+    if (rows.length >= MAX_JOIN_ROWS) {
+      throw new Error(`The join would produce more than ${MAX_JOIN_ROWS.toLocaleString()} rows; check that the key columns identify rows`);
+    }
+    rows.push(row);
+  };
+  const leftCells = (row) => left.headers.map(header => cell(row, header, left.schema));
+  const rightCells = (row) => rightColumns.map(header => cell(row, header, right.schema));
+  const blankLeft = left.headers.map(() => '');
+  const blankRight = rightColumns.map(() => '');
+
+  left.rows.forEach(row => {
+    const key = joinKey(row, leftKeys, left.schema);
+    const matches = key === null ? null : index.get(key);
+    if (matches) {
+      stats.matched += 1;
+      matches.forEach(position => {
+        matchedRight.add(position);
+        push([...leftCells(row), ...rightCells(right.rows[position])]);
+      });
+    } else {
+      stats.leftOnly += 1;
+      if (type === 'left' || type === 'outer') push([...leftCells(row), ...blankRight]);
+    }
+  });
+
+  right.rows.forEach((row, position) => {
+    if (matchedRight.has(position)) return;
+    stats.rightOnly += 1;
+    if (type !== 'right' && type !== 'outer') return;
+    const keyed = blankLeft.slice();
+    leftKeys.forEach((key, i) => {
+      keyed[left.headers.indexOf(key)] = cell(row, rightKeys[i], right.schema);
+    });
+    push([...keyed, ...rightCells(row)]);
+  });
+
+  return { headers, rows, stats };
+};
@@ -0,0 +1,150 @@
+// @vitest-environment jsdom
+import React from 'react';
+import { afterEach, describe, expect, it } from 'vitest';
+import { act, cleanup, fireEvent, render, screen, within } from '@testing-library/react';
+import { axe, toHaveNoViolations } from 'jest-axe';
+import DataAnalyzerApp from '../analyserapp';
+
+expect.extend(toHaveNoViolations);
+afterEach(cleanup);
+
+// jsdom has no layout; recharts' ResponsiveContainer only needs to be able to observe its element.
+globalThis.ResizeObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+const RECORDS = [
+  { region: 'North', product: 'Tea', sales: 120, date: '2024-01-05' },
+  { region: 'South', product: 'Coffee', sales: 80, date: '2024-02-11' },
+  { region: 'East', product: 'Tea', sales: 95, date: '2024-03-19' },
+  { region: 'West', product: 'Coffee', sales: 60, date: '2024-04-02' }
+];
+
+const renderWithData = async () => {
+  const view = render(<DataAnalyzerApp data={RECORDS} />);
+  await screen.findByRole('tab', { selected: true, name: 'Analyze' });
+  return view;
+};
+
+const openTab = async (name) => {
+  fireEvent.click(screen.getByRole('tab', { name }));
+  return screen.findByRole('tabpanel');
+};
+
+describe('tab list', () => {
+  it('has one tab in the tab order, controlling the panel it selects', async () => {
+    await renderWithData();
+    const tabs = within(screen.getByRole('tablist', { name: 'Sections' })).getAllByRole('tab');
+    const selected = tabs.filter(tab => tab.getAttribute('aria-selected') === 'true');
+
+    expect(selected.map(tab => tab.textContent)).toEqual(['Analyze']);
+    expect(tabs.filter(tab => tab.tabIndex === 0)).toEqual(selected);
+    expect(screen.getByRole('tabpanel').id).toBe(selected[0].getAttribute('aria-controls'));
+    expect(screen.getByRole('tabpanel').getAttribute('aria-labelledby')).toBe(selected[0].id);
+  });
+
+  it('moves selection and focus with the arrow, Home and End keys', async () => {
+    await renderWithData();
+    const tablist = screen.getByRole('tablist');
+    const selectedName = () => within(tablist).getByRole('tab', { selected: true }).textContent;
+
+    screen.getByRole('tab', { name: 'Analyze' }).focus();
+    fireEvent.keyDown(tablist, { key: 'ArrowRight' });
+    expect(selectedName()).toBe('Pivot');
+    expect(document.activeElement).toBe(screen.getByRole('tab', { name: 'Pivot' }));
+
+    fireEvent.keyDown(tablist, { key: 'ArrowLeft' });
+    expect(selectedName()).toBe('Analyze');
+
+    fireEvent.keyDown(tablist, { key: 'Home' });
+    expect(selectedName()).toBe('Upload');
+    expect(document.activeElement).toBe(screen.getByRole('tab', { name: 'Upload' }));
+
+    fireEvent.keyDown(tablist, { key: 'ArrowLeft' });
+    expect(selectedName()).toBe(within(tablist).getAllByRole('tab').filter(tab => !tab.disabled).pop().textContent);
+  });
+
+  it('leaves the data tabs disabled until a dataset is loaded', () => {
+    render(<DataAnalyzerApp />);
+    expect(screen.getByRole('tab', { name: 'Upload' }).disabled).toBe(false);
+    expect(screen.getByRole('tab', { name: 'Analyze' }).disabled).toBe(true);
+  });
+});
+
+describe('upload zone', () => {
+  it('is a named, focusable drop target with no violations', async () => {
+    const { container } = render(<DataAnalyzerApp />);
+    const zone = screen.getByRole('region', { name: /Drop a data file here/ });
+    zone.focus();
+    expect(document.activeElement).toBe(zone);
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('loads pasted spreadsheet cells and announces the result in the live region', async () => {
+    render(<DataAnalyzerApp />);
+    const zone = screen.getByRole('region', { name: /Drop a data file here/ });
+    const clipboardData = { files: [], getData: (type) => (type === 'text/plain' ? 'name\tscore\nada\t3\nbob\t5\n' : '') };
+
+    await act(async () => {
+      fireEvent.paste(zone, { clipboardData });
+    });
+
+    const status = screen.getByRole('status');
+    expect(await within(status).findByText(/^Loaded 2 rows from/)).toBeTruthy();
+    expect(screen.getByRole('tab', { selected: true }).textContent).toBe('Analyze');
+  });
+
+  it('reports an empty paste as an alert', async () => {
+    render(<DataAnalyzerApp />);
+    const zone = screen.getByRole('region', { name: /Drop a data file here/ });
+    fireEvent.paste(zone, { clipboardData: { files: [], getData: () => '' } });
+    expect(screen.getByRole('alert').textContent).toContain('The clipboard holds no file or text to load');
+  });
+
+  it('words load errors with the messages it is given, for the alert and onError alike', () => {
+    const errors = [];
+    const messages = { 'upload.unsupported': 'Dateityp nicht unterstützt: {formats}' };
+    const { container } = render(<DataAnalyzerApp messages={messages} onError={message => errors.push(message)} />);
+    fireEvent.change(container.querySelector('#data-upload'), { target: { files: [new File(['x'], 'notes.doc')] } });
+    expect(screen.getByRole('alert').textContent).toContain('Dateityp nicht unterstützt: .csv');
+    expect(errors).toEqual([expect.stringMatching(/^Dateityp nicht unterstützt: \.csv/)]);
+  });
+});
+
+describe('live region', () => {
+  it('is a polite status outside the tab panels', async () => {
+    await renderWithData();
+    const status = screen.getByRole('status');
+    expect(status.getAttribute('aria-live')).toBe('polite');
+    expect(screen.getByRole('tabpanel').contains(status)).toBe(false);
+  });
+});
+
+describe('panels', () => {
+  it.each(['Data', 'Analyze', 'Pivot', 'Visualize', 'Dashboard', 'Query'])('%s tab has no violations', async (name) => {
+    const { container } = await renderWithData();
+    await openTab(name);
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+
+describe('chart data table', () => {
+  it('opens a captioned table with column and row headers', async () => {
+    const { container } = await renderWithData();
+    const panel = await openTab('Visualize');
+    const toggle = within(panel).getByRole('button', { name: 'View as table' });
+    expect(toggle.getAttribute('aria-expanded')).toBe('false');
+
+    fireEvent.click(toggle);
+    expect(toggle.getAttribute('aria-expanded')).toBe('true');
+    expect(toggle.textContent).toBe('Hide table');
+
+    const table = within(panel).getByRole('table');
+    expect(table.querySelector('caption').textContent).not.toBe('');
+    expect(within(table).getAllByRole('columnheader').length).toBeGreaterThan(1);
+    expect(within(table).getAllByRole('rowheader').length).toBeGreaterThan(0);
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
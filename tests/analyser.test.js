@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+import { analyseTable, createStep, describeRegressionError, emptyView, readTable, REPORT_FORMATS, typeTable } from '../core/index.js';
+
+const orders = {
+  headers: ['id', 'amount', 'city'],
+  rows: [['1', '9.5', 'Paris'], ['2', '12', 'Rome'], ['3', 'NA', 'Paris']],
+  fileName: 'orders.csv'
+};
+
+describe('readTable', () => {
+  it('reads a CSV file into raw header-aligned rows', async () => {
+    const table = await readTable(new File(['a,b\n1,2\n3,4\n'], 'data.csv'));
+    expect(table).toMatchObject({ headers: ['a', 'b'], rows: [['1', '2'], ['3', '4']], readerLabel: 'CSV', sheets: [] });
+  });
+
+  it('flattens nested JSON records into dotted columns', async () => {
+    const table = await readTable(new File([JSON.stringify([{ a: { b: 1 } }, { a: { b: 2 } }])], 'data.json'));
+    expect(table.headers).toEqual(['a.b']);
+    expect(table.rows).toEqual([[1], [2]]);
+  });
+
+  it('leaves a column blank in records that lack it, whatever its name', async () => {
+    const table = await readTable(new File([JSON.stringify([{ constructor: 'x', a: 1 }, { a: 2 }])], 'data.json'));
+    expect(table.rows).toEqual([['x', 1], ['', 2]]);
+  });
+
+  it('rejects files no reader handles', async () => {
+    await expect(readTable(new File(['x'], 'notes.doc'))).rejects.toThrow('Unsupported file type: notes.doc');
+  });
+
+  it('names the reader when a file cannot be parsed', async () => {
+    await expect(readTable(new File(['{not json'], 'data.json'))).rejects.toThrow(/^Error processing JSON file/);
+  });
+});
+
+describe('typeTable', () => {
+  it('infers column types and reads null tokens as missing', () => {
+    const { schema, rows } = typeTable(['n', 'label'], [['1', 'x'], ['2', 'NA']]);
+    expect(schema.n.type).toBe('integer');
+    expect(schema.label.type).toBe('string');
+    expect(rows.map(row => [row.n, row.label])).toEqual([[1, 'x'], [2, null]]);
+  });
+
+  it('honours type overrides and custom null tokens', () => {
+    const { schema, rows } = typeTable(['code'], [['1'], ['-']], { typeOverrides: { code: 'string' }, nullTokens: ['-'] });
+    expect(schema.code).toMatchObject({ type: 'string', inferredType: 'integer', overridden: true });
+    expect(rows.map(row => row.code)).toEqual(['1', null]);
+  });
+});
+
+describe('analyseTable', () => {
+  it('analyses typed columns and builds the report', () => {
+    const result = analyseTable(orders);
+    expect(result.analysis.numericStats.amount).toMatchObject({ count: 2, min: 9.5, max: 12, mean: 10.75 });
+    expect(Object.keys(result.histograms)).toEqual(['id', 'amount']);
+    expect(result.report).toMatchObject({
+      fileName: 'orders.csv',
+      summary: { totalRows: 3, totalColumns: 3, numericColumns: 2, categoricalColumns: 1, missingValues: { amount: 1 } }
+    });
+    expect(result.regression).toBeNull();
+  });
+
+  it('runs cleaning steps before analysing', () => {
+    const result = analyseTable(orders, { steps: [createStep('dropColumns', { columns: ['city'] })] });
+    expect(result.table.headers).toEqual(['id', 'amount']);
+    expect(result.stepErrors).toEqual({});
+  });
+
+  it('analyses only the rows in the filtered view', () => {
+    const view = { ...emptyView(), filters: { city: { kind: 'values', values: ['Paris'] } } };
+    const result = analyseTable(orders, { view });
+    expect(result.viewRows).toHaveLength(2);
+    expect(result.report.summary.totalRows).toBe(2);
+    expect(result.report.view).toBeTruthy();
+  });
+
+  it('adds a regression model when one is requested', () => {
+    const rows = [1, 2, 3, 4, 5].map(x => [String(x), String(2 * x + 1)]);
+    const result = analyseTable({ headers: ['x', 'y'], rows }, { regression: { target: 'y', predictors: ['x'], type: 'linear', degree: 2 } });
+    expect(result.regression.model.rSquared).toBeCloseTo(1);
+    expect(result.report.regression).toBeDefined();
+  });
+
+  it('reports why a regression could not be fitted as a code with its values', () => {
+    const result = analyseTable(orders, { regression: { target: 'amount', predictors: ['city'], type: 'linear', degree: 2 } });
+    expect(result.regression.error).toEqual({ code: 'nonNumeric', values: { columns: 'city' } });
+    expect(describeRegressionError(result.regression.error)).toBe('Regression needs numeric columns; not numeric: city');
+  });
+});
+
+describe('REPORT_FORMATS', () => {
+  const { report } = analyseTable(orders);
+
+  it('offers JSON, Markdown and HTML', () => {
+    expect(Object.keys(REPORT_FORMATS)).toEqual(['json', 'md', 'html']);
+    Object.values(REPORT_FORMATS).forEach(format => {
+      expect(format.extension).toMatch(/^\.\w+$/);
+      expect(typeof format.render).toBe('function');
+    });
+  });
+
+  it('renders JSON that parses back to the report', () => {
+    expect(JSON.parse(REPORT_FORMATS.json.render(report))).toEqual(JSON.parse(JSON.stringify(report)));
+  });
+
+  it('renders Markdown and HTML documents', () => {
+    expect(REPORT_FORMATS.md.render(report)).toMatch(/^# Data Analysis Report\n[\s\S]*- File: orders\.csv/);
+    const html = REPORT_FORMATS.html.render(report);
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('orders.csv');
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { createAnalysisHandler } from '../core/analysisjob.js';
+
+const run = async (messages) => {
+  const posted = [];
+  const handle = createAnalysisHandler(message => posted.push(message));
+  await Promise.all(messages.map(message => handle(message)));
+  return posted;
+};
+
+describe('createAnalysisHandler', () => {
+  it('reports progress and completes a load with the raw rows, their schema and analysis', async () => {
+    const file = new File(['name,age\nalice,30\nbob,25\n'], 'people.csv');
+    const posted = await run([{ type: 'load', jobId: 1, file }]);
+
+    const stages = posted.filter(message => message.type === 'progress').map(message => message.stage);
+    expect(stages[0]).toBe('parsing');
+    expect(stages[stages.length - 1]).toBe('analysing');
+
+    const complete = posted[posted.length - 1];
+    expect(complete).toMatchObject({ type: 'complete', jobId: 1, readerLabel: 'CSV', headers: ['name', 'age'], rows: [['alice', '30'], ['bob', '25']] });
+    expect(complete.schema.age.type).toBe('integer');
+    expect(complete).not.toHaveProperty('data');
+    expect(complete.analysis.numericStats.age.mean).toBe(27.5);
+  });
+
+  it('passes null tokens to typing and back with the result', async () => {
+    const file = new File(['score\n1\n-\n'], 'scores.csv');
+    const posted = await run([{ type: 'load', jobId: 2, file, options: { nullTokens: ['-'] } }]);
+    const complete = posted[posted.length - 1];
+    expect(complete.schema.score.type).toBe('integer');
+    expect(complete.nullTokens).toEqual(['-']);
+    expect(complete.analysis.summary.missingValues).toEqual({ score: 1 });
+  });
+
+  it('posts an error tagged with the job id when reading fails', async () => {
+    const posted = await run([{ type: 'load', jobId: 3, file: new File(['x'], 'notes.doc') }]);
+    expect(posted).toEqual([{ type: 'error', jobId: 3, message: 'Unsupported file type: notes.doc' }]);
+  });
+
+  it('answers a cancelled load with "cancelled" instead of a result', async () => {
+    const file = new File(['a\n1\n2\n'], 'data.csv');
+    const posted = await run([{ type: 'load', jobId: 4, file }, { type: 'cancel', jobId: 4 }]);
+    expect(posted[posted.length - 1]).toEqual({ type: 'cancelled', jobId: 4 });
+    expect(posted.some(message => message.type === 'complete')).toBe(false);
+  });
+
+  it('ignores cancels for unknown jobs and unknown message types', async () => {
+    const posted = await run([{ type: 'cancel', jobId: 9 }, { type: 'ping' }]);
+    expect(posted).toEqual([]);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { buildChart, chartTable, typeTable } from '../core/index.js';
+import { defaultChartConfig } from '../core/chartdata.js';
+
+const sales = typeTable(['region', 'sales'], [['North', '120'], ['South', '80'], ['North', '95']]);
+
+const LABELS = {
+  category: 'Kategorie', column: 'Spalte', series: 'Reihe', x: 'X', y: 'Y',
+  count: 'Anzahl', min: 'Min', whiskerLow: 'Unterer Whisker', q1: 'Q1', median: 'Median', q3: 'Q3',
+  whiskerHigh: 'Oberer Whisker', max: 'Max', outliers: 'Ausreißer',
+  rolling: 'Gleitender Mittelwert', trend: 'Trend', seasonal: 'Saison', change: 'Änderung %', fit: 'Anpassung',
+  bandLow: 'Band unten', bandHigh: 'Band oben'
+};
+
+describe('chartTable', () => {
+  it('takes the headers the axes leave open from the labels it is given', () => {
+    const config = { ...defaultChartConfig(), type: 'box', measures: [{ column: 'sales', aggregation: 'sum' }] };
+    const table = chartTable(buildChart(sales.rows, sales.schema, config), config, LABELS);
+    expect(table.columns).toEqual(['Spalte', 'Anzahl', 'Min', 'Unterer Whisker', 'Q1', 'Median', 'Q3', 'Oberer Whisker', 'Max', 'Ausreißer']);
+    expect(table.rows.map(row => row.slice(0, 3))).toEqual([['sales', 3, 80]]);
+  });
+
+  it('labels a category table by its x column', () => {
+    const config = { ...defaultChartConfig(), x: 'region', measures: [{ column: 'sales', aggregation: 'sum' }] };
+    const table = chartTable(buildChart(sales.rows, sales.schema, config), config, LABELS);
+    expect(table.columns[0]).toBe('region');
+    expect(table.rows).toContainEqual(['North', 215]);
+  });
+
+});
+
+describe('buildChart', () => {
+  it('writes histogram bin edges in the given locale', () => {
+    const prices = typeTable(['price'], [['1000.5'], ['2000.25'], ['3000']]);
+    const config = { ...defaultChartConfig(), type: 'histogram', x: 'price', bins: 2 };
+    const chart = buildChart(prices.rows, prices.schema, config, null, { locale: 'de-DE' });
+    expect(chart.data.map(bin => bin.name)).toEqual(['1.000,5 – 2.000,25', '2.000,25 – 3.000']);
+  });
+});
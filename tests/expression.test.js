@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { compileExpression } from '../core/expression.js';
+
+describe('compileExpression', () => {
+  it('calls the built-in functions case-insensitively', () => {
+    const { evaluate, columns } = compileExpression('ROUND(price * qty, 1)', ['price', 'qty']);
+    expect(columns).toEqual(['price', 'qty']);
+    expect(evaluate({ price: 1.25, qty: 3 })).toBe(3.8);
+  });
+
+  it('rejects unknown functions, including names inherited from Object.prototype', () => {
+    for (const name of ['nosuch', 'constructor', 'toString']) {
+      const source = `1 + ${name}(x)`;
+      const position = source.indexOf(name);
+      expect(() => compileExpression(source, ['x'])).toThrow(expect.objectContaining({
+        message: `Unknown function "${name}" at position ${position + 1}`,
+        position
+      }));
+    }
+  });
+
+  it('does not read Object.prototype names as keyword operators', () => {
+    expect(compileExpression('constructor', ['constructor']).evaluate({ constructor: 4 })).toBe(4);
+  });
+});
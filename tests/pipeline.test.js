@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest';
+import { createStep, describeStep, runPipeline, typeTable } from '../core/index.js';
+
+// Cells are trimmed when typed, so the padding comes from a derived column, as it would in practice.
+const names = typeTable(['first', 'last'], [['Ada', 'Lovelace'], ['grace', 'hopper']]);
+const padded = createStep('deriveColumn', { name: 'name', expression: "concat(' ', first, '   ', last, ' ')" });
+
+const transform = (operation) => runPipeline(names, [padded, createStep('textTransform', { columns: ['name'], operation })]).rows.map(row => row.name);
+
+describe('textTransform', () => {
+  it('trims only the ends of the text', () => {
+    expect(runPipeline(names, [padded]).rows.map(row => row.name)).toEqual([' Ada   Lovelace ', ' grace   hopper ']);
+    expect(transform('trim')).toEqual(['Ada   Lovelace', 'grace   hopper']);
+  });
+
+  it('collapses runs of whitespace to single spaces', () => {
+    expect(transform('collapse')).toEqual(['Ada Lovelace', 'grace hopper']);
+  });
+
+  it('applies to derived text columns by default', () => {
+    const rows = runPipeline(names, [padded, createStep('textTransform', { columns: [], operation: 'trim' })]).rows;
+    expect(rows.map(row => row.name)).toEqual(['Ada   Lovelace', 'grace   hopper']);
+  });
+
+  it('describes each operation by its label', () => {
+    expect(describeStep(createStep('textTransform', { columns: ['name'], operation: 'collapse' }))).toMatch(/^Collapse whitespace in/);
+  });
+});
@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest';
+import { analyseTable, readTable } from '../core/index.js';
+
+describe('raw cell profiling', () => {
+  it('counts stray whitespace and measures lengths as written in a CSV file', async () => {
+    const table = await readTable(new File(['name ,age\n alice ,30\nbob,25\n'], 'people.csv'));
+    expect(table.headers).toEqual(['name', 'age']);
+    expect(table.rows[0][0]).toBe(' alice ');
+
+    const { quality, table: typed } = analyseTable(table);
+    expect(quality.raw.name).toMatchObject({ whitespace: 1, minLength: 3, maxLength: 7 });
+    expect(typed.rows.map(row => row.name)).toEqual(['alice', 'bob']);
+  });
+
+  it('keeps whitespace in JSON string values', async () => {
+    const table = await readTable(new File([JSON.stringify([{ name: ' alice ' }, { name: 'bob' }])], 'people.json'));
+    expect(analyseTable(table).quality.raw.name.whitespace).toBe(1);
+  });
+});
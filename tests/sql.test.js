@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { runQuery, typeTable } from '../core/index.js';
+
+const sales = { name: 'sales', ...typeTable(['city', 'x'], [['Paris', '5'], ['Paris', '6'], ['Rome', '3'], ['Oslo', '9']]) };
+
+const values = (sql) => {
+  const result = runQuery(sql, [sales]);
+  return result.rows.map(row => result.headers.map(header => row[header]));
+};
+
+describe('HAVING', () => {
+  it('filters groups on an aggregate', () => {
+    expect(values('SELECT city, SUM(x) FROM sales GROUP BY city HAVING SUM(x) > 8 ORDER BY city')).toEqual([['Oslo', 9], ['Paris', 11]]);
+  });
+
+  it('resolves select aliases like GROUP BY and ORDER BY do', () => {
+    expect(values('SELECT city, SUM(x) AS total FROM sales GROUP BY city HAVING total > 8 ORDER BY total')).toEqual([['Oslo', 9], ['Paris', 11]]);
+    expect(values('SELECT city AS place, COUNT(*) AS n FROM sales GROUP BY place HAVING n > 1 AND place LIKE \'P%\'')).toEqual([['Paris', 2]]);
+  });
+
+  it('prefers a real column over an alias of the same name', () => {
+    expect(values('SELECT city, SUM(x) AS x FROM sales GROUP BY city HAVING MAX(x) > 5 ORDER BY city')).toEqual([['Oslo', 9], ['Paris', 11]]);
+  });
+});
+
+describe('functions', () => {
+  it('rejects names inherited from Object.prototype as unknown functions', () => {
+    for (const name of ['constructor', 'toString', 'hasOwnProperty']) {
+      const sql = `SELECT ${name}(x) FROM sales`;
+      expect(() => runQuery(sql, [sales])).toThrow(expect.objectContaining({
+        name: 'SqlError',
+        message: expect.stringMatching(new RegExp(`^Unknown function ${name.toUpperCase()}`)),
+        position: sql.indexOf(name)
+      }));
+    }
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { correlationMatrix } from '../core/index.js';
+
+const rowsOf = (columns) => columns.x.map((_, index) => ({ x: columns.x[index], y: columns.y[index] }));
+
+describe('correlationMatrix', () => {
+  it('ranks Spearman over the rows where both columns are present', () => {
+    // The x with no y must not leave a gap in x's ranks.
+    const dataset = rowsOf({ x: [1, 2, 2.5, 3, 4], y: [10, 20, null, 40, 30] });
+    const paired = rowsOf({ x: [1, 2, 3, 4], y: [10, 20, 40, 30] });
+    const { spearman, pairs } = correlationMatrix(dataset, ['x', 'y']);
+    expect(pairs[0][1]).toBe(4);
+    expect(spearman[0][1]).toBeCloseTo(correlationMatrix(paired, ['x', 'y']).spearman[0][1], 12);
+    expect(spearman[0][1]).toBeCloseTo(0.8, 12);
+  });
+
+  it('keeps Pearson accurate for large values with a small spread', () => {
+    const offset = 1e9;
+    const dataset = rowsOf({ x: [1, 2, 3, 4].map(v => v + offset), y: [2, 4, 5, 8].map(v => v + offset) });
+    expect(correlationMatrix(dataset, ['x', 'y']).pearson[0][1]).toBeCloseTo(0.9811557810392123, 6);
+  });
+});
@@ -0,0 +1,16 @@
+import { describe, expect, it } from 'vitest';
+import { coerceValue, inferColumnType } from '../core/typeinference.js';
+
+describe('boolean columns', () => {
+  it('recognises yes/no style tokens in any case', () => {
+    expect(inferColumnType(['Yes', 'no', 'Y', 'n']).type).toBe('boolean');
+    expect(coerceValue('TRUE', { type: 'boolean' })).toBe(true);
+    expect(coerceValue('f', { type: 'boolean' })).toBe(false);
+  });
+
+  it('does not treat names inherited from Object.prototype as boolean tokens', () => {
+    expect(inferColumnType(['constructor', 'toString', 'valueOf']).type).toBe('string');
+    expect(coerceValue('constructor', { type: 'boolean' })).toBeNull();
+    expect(coerceValue('__proto__', { type: 'boolean' })).toBeNull();
+  });
+});
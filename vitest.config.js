@@ -0,0 +1,11 @@
+import { defineConfig } from 'vitest/config';
+
+// The components keep their JSX in .js files, as the app's bundler expects.
+export default defineConfig({
+  esbuild: {
+    include: /\.js$/,
+    exclude: [],
+    loader: 'jsx',
+    jsx: 'automatic'
+  }
+});
@@ -0,0 +1,7 @@
+import { createAnalysisHandler } from '../core/analysisjob.js';
+
+const handle = createAnalysisHandler(message => self.postMessage(message));
+
+self.onmessage = (event) => {
+  handle(event.data);
+};
@@ -0,0 +1,18 @@
+import { createAnalysisHandler } from '../core/analysisjob.js';
+
+// Runs the analysis job off the main thread, falling back to an in-thread handler with the same
+// postMessage/onmessage surface where Web Workers are unavailable.
+export const createAnalysisWorker = () => {
+  if (typeof Worker !== 'undefined') {
+    return new Worker(new URL('./analysisworker.js', import.meta.url), { type: 'module' });
+  }
+
+  const inline = { onmessage: null, terminate: () => {} };
+  const handle = createAnalysisHandler(message => {
+    if (inline.onmessage) inline.onmessage({ data: message });
+  });
+  inline.postMessage = (message) => {
+    setTimeout(() => handle(message), 0);
+  };
+  return inline;
+};